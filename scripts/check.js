@@ -0,0 +1,89 @@
+// Headless checks of guarantees the game relies on, in Node like simulate.js.
+//
+//   npm run check
+//
+// Prints each check's result and exits with an error code if any fails.
+import { World } from '../src/js/core/World.js';
+import { SaveManager } from '../src/js/core/SaveManager.js';
+import { MAP_PRESETS } from '../src/js/utils/MapGen.js';
+import { TerrainType } from '../src/js/utils/Enums.js';
+import { TERRAIN } from '../src/js/utils/Constants.js';
+import { logger } from '../src/js/utils/Logger.js';
+
+logger.configure(process.env.LOG || 'warn');
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+// A save loads back into exactly the same world, which plays on exactly like
+// the original. Replays from saves depend on it.
+check('save round trip', () => {
+    const saveManager = new SaveManager(null);
+    const world = new World({ seed: 'save-check', size: { width: 128, height: 128 } });
+    world.init();
+    world.clock.runTicks(2000, (deltaTime) => world.update(deltaTime));
+
+    const saved = saveManager.toJSON(saveManager.createSave(world));
+    const loaded = saveManager.restoreWorld(saved);
+
+    const problems = [];
+    if (JSON.stringify(loaded.serialize()) !== JSON.stringify(world.serialize())) {
+        problems.push('saving the loaded world gives a different save');
+    }
+    const heights = world.terrain.flat().map(tile => tile.height);
+    if (loaded.terrain.flat().some((tile, i) => tile.height !== heights[i])) {
+        problems.push('tile heights changed');
+    }
+
+    for (const copy of [world, loaded]) {
+        copy.clock.runTicks(2000, (deltaTime) => copy.update(deltaTime));
+    }
+    const settlerPositions = (copy) => JSON.stringify(copy.settlers.map(settler => settler.worldPosition));
+    if (JSON.stringify(loaded.serialize()) !== JSON.stringify(world.serialize()) ||
+        settlerPositions(loaded) !== settlerPositions(world)) {
+        problems.push('the loaded world plays on differently');
+    }
+    return problems;
+});
+
+// Every map type leaves open grassland around the start to build on
+check('start area is buildable', () => {
+    const problems = [];
+    for (const preset of Object.keys(MAP_PRESETS)) {
+        for (const seed of [1, 2, 3]) {
+            const world = new World({ seed, size: { width: 128, height: 128 }, map: { preset } });
+            world.init();
+
+            const start = world._getStartCenter();
+            let tiles = 0;
+            let blocked = 0;
+            world.terrain.forEach((row, y) => row.forEach((tile, x) => {
+                if (Math.hypot(x - start.x, y - start.y) > TERRAIN.START_RADIUS) return;
+
+                tiles++;
+                if (tile.type !== TerrainType.GRASS && !tile.building) {
+                    blocked++;
+                }
+            }));
+            if (blocked > 0) {
+                problems.push(`${preset} seed ${seed}: ${blocked} of ${tiles} start area tiles aren't grass`);
+            }
+        }
+    }
+    return problems;
+});
+
+let failed = 0;
+for (const { name, run } of checks) {
+    const problems = run();
+    console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${name}`);
+    for (const problem of problems) {
+        console.log(`     ${problem}`);
+    }
+    if (problems.length > 0) failed++;
+}
+
+if (failed > 0) {
+    console.log(`\n${failed} of ${checks.length} checks failed`);
+    process.exit(1);
+}
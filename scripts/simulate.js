@@ -0,0 +1,85 @@
+// Run the economy headless in Node, without Three.js or the DOM.
+//
+//   npm run simulate -- [game seconds] [seed]
+//   npm run simulate -- --replay <replay file>
+//   npm run simulate -- --scenario <scenario file> [game seconds]
+//
+// Generates a world (or sets one up from a scenario), places a woodcutter
+// construction next to the starting warehouse and prints the settlement's state
+// when the time is up.
+// With --replay, plays back a replay exported from the game instead and
+// prints the state at the end of the recording.
+// Log levels are read from the LOG environment variable, in the same format as
+// the game's ?log= URL parameter, e.g. LOG=warn,porter:debug.
+import { readFileSync } from 'node:fs';
+import { World } from '../src/js/core/World.js';
+import { SaveManager } from '../src/js/core/SaveManager.js';
+import { ReplayManager } from '../src/js/core/ReplayManager.js';
+import { ScenarioManager } from '../src/js/core/ScenarioManager.js';
+import { BuildingType } from '../src/js/utils/Enums.js';
+import { SIMULATION } from '../src/js/utils/Constants.js';
+import { logger } from '../src/js/utils/Logger.js';
+
+if (process.env.LOG) {
+    logger.configure(process.env.LOG);
+}
+
+const replayFile = process.argv[2] === '--replay' ? process.argv[3] : null;
+const scenarioFile = process.argv[2] === '--scenario' ? process.argv[3] : null;
+const gameSeconds = Number(scenarioFile ? process.argv[4] : process.argv[2]) || 60;
+const seed = process.argv[3];
+
+let world;
+if (replayFile) {
+    const replayManager = new ReplayManager(new SaveManager(null));
+    world = replayManager.restoreWorld(readFileSync(replayFile, 'utf8'));
+} else if (scenarioFile) {
+    const scenarioManager = new ScenarioManager();
+    world = scenarioManager.createWorld(scenarioManager.parseScenario(readFileSync(scenarioFile, 'utf8')));
+} else {
+    world = new World({ seed });
+    world.init();
+}
+
+// Place a woodcutter on the first valid spot near the warehouse
+function placeWoodcutter() {
+    const start = world.startPosition;
+    world.startBuildingPlacement(BuildingType.WOODCUTTER);
+
+    for (let radius = 3; radius < 10; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                world.setPlacementPosition(start.x + dx, start.y + dy);
+                if (world.confirmBuildingPlacement()) return;
+            }
+        }
+    }
+
+    world.cancelBuildingPlacement();
+    console.log('No valid spot found for a woodcutter');
+}
+
+function printSummary() {
+    console.log(`\nSeed: ${world.seed}`);
+    console.log(`Simulated ${(world.clock.getElapsedTime() / 1000).toFixed(1)}s of game time (${world.clock.tick} ticks)`);
+    console.log('Resources:', world.resourceManager.getAllResources());
+    console.log('Buildings:', world.buildings.map(b => `${b.name} L${b.level} (${b.position.x}, ${b.position.y})`));
+    console.log('Constructions:', world.constructions.map(c => `${c.targetBuildingType} ${c.progress.toFixed(0)}%`));
+    console.log('Settlers:', world.settlers.map(s => `${s.type}: ${s.state}`));
+}
+
+// Everything runs on simulation ticks, so there's no need to wait for real time
+if (replayFile) {
+    const ticks = world.commands.replayEndTick - world.clock.tick;
+    world.clock.runTicks(ticks, (deltaTime) => world.update(deltaTime));
+
+    // Commands given after the last recorded tick
+    world.commands.runDueCommands();
+} else {
+    placeWoodcutter();
+
+    const ticks = Math.ceil(gameSeconds * SIMULATION.TICKS_PER_SECOND);
+    world.clock.runTicks(ticks, (deltaTime) => world.update(deltaTime));
+}
+
+printSummary();
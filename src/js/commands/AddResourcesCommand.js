@@ -0,0 +1,27 @@
+import { Command } from './Command.js';
+import { CommandType } from '../utils/Enums.js';
+
+// Cheat: put resources into storage, e.g. { wood: 50 }
+export class AddResourcesCommand extends Command {
+    constructor({ resources }) {
+        super(CommandType.ADD_RESOURCES);
+
+        this.resources = { ...resources };
+    }
+
+    execute(world) {
+        world.resourceManager.addResources(this.resources);
+        return true;
+    }
+
+    describe() {
+        return `add ${Object.entries(this.resources).map(([type, amount]) => `${amount} ${type}`).join(', ')}`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            resources: { ...this.resources }
+        };
+    }
+}
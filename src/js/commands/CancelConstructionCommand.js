@@ -0,0 +1,49 @@
+import { Command } from './Command.js';
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Remove a construction site, refunding its cost and the resources delivered to it
+export class CancelConstructionCommand extends Command {
+    constructor({ constructionId }) {
+        super(CommandType.CANCEL_CONSTRUCTION);
+
+        this.constructionId = constructionId;
+        this.undoable = true;
+
+        // The site as it was when cancelled, for undo
+        this.snapshot = null;
+    }
+
+    execute(world) {
+        const construction = world.getEntityById(this.constructionId);
+        if (!construction || !world.constructions.includes(construction)) {
+            log.warn(`Cannot cancel: no construction with id ${this.constructionId}`);
+            return false;
+        }
+
+        this.snapshot = construction.serialize();
+        world.cancelConstruction(construction);
+        return true;
+    }
+
+    // Puts the site back with its progress and delivered resources, charging them again
+    undo(world) {
+        return world.restoreConstruction(this.snapshot) !== null;
+    }
+
+    describe() {
+        const buildingType = this.snapshot ? this.snapshot.targetBuildingType : null;
+        const definition = buildingRegistry.get(buildingType);
+        return `cancel ${definition ? definition.name : 'building'} construction`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            constructionId: this.constructionId
+        };
+    }
+}
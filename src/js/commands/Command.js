@@ -0,0 +1,38 @@
+// Base class for player actions. Everything a player does to the simulation goes
+// through a command, so it can be logged with its tick and replayed exactly.
+export class Command {
+    constructor(type) {
+        this.type = type;
+
+        // Simulation tick the command was applied on; set by the CommandQueue
+        this.tick = null;
+
+        // Undoable commands implement undo() and go on the undo history
+        this.undoable = false;
+    }
+
+    // Apply the command to the world. Returns true if it had an effect.
+    // Redo calls this again on the same command object.
+    execute(world) {
+        // Abstract method to be implemented by subclasses
+        return false;
+    }
+
+    // Reverse a successful execute(). Returns true if it could be undone.
+    undo(world) {
+        return false;
+    }
+
+    // Short text for undo / redo messages, e.g. "place Woodcutter"
+    describe() {
+        return this.type;
+    }
+
+    // Plain-object form for replay files; subclasses add their parameters
+    serialize() {
+        return {
+            type: this.type,
+            tick: this.tick
+        };
+    }
+}
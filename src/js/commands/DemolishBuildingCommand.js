@@ -0,0 +1,51 @@
+import { Command } from './Command.js';
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Tear down a finished building for a partial refund of its cost
+export class DemolishBuildingCommand extends Command {
+    constructor({ buildingId }) {
+        super(CommandType.DEMOLISH_BUILDING);
+
+        this.buildingId = buildingId;
+        this.undoable = true;
+
+        // The building as it was when demolished, for undo
+        this.snapshot = null;
+    }
+
+    execute(world) {
+        const building = world.getEntityById(this.buildingId);
+        if (!building || !world.buildings.includes(building)) {
+            log.warn(`Cannot demolish: no building with id ${this.buildingId}`);
+            return false;
+        }
+
+        const snapshot = building.serialize();
+        if (!world.demolishBuilding(building)) return false;
+
+        this.snapshot = snapshot;
+        return true;
+    }
+
+    // Puts the building back at its level, taking the refund back
+    undo(world) {
+        return world.restoreBuilding(this.snapshot) !== null;
+    }
+
+    describe() {
+        const buildingType = this.snapshot ? this.snapshot.type : null;
+        const definition = buildingRegistry.get(buildingType);
+        return `demolish ${definition ? definition.name : 'building'}`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            buildingId: this.buildingId
+        };
+    }
+}
@@ -0,0 +1,36 @@
+import { Command } from './Command.js';
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Cheat: complete a construction site instantly
+export class FinishConstructionCommand extends Command {
+    constructor({ constructionId }) {
+        super(CommandType.FINISH_CONSTRUCTION);
+
+        this.constructionId = constructionId;
+    }
+
+    execute(world) {
+        const construction = world.getEntityById(this.constructionId);
+        if (!construction || !world.constructions.includes(construction)) {
+            log.warn(`Cannot finish: no construction with id ${this.constructionId}`);
+            return false;
+        }
+
+        world.finishConstruction(construction);
+        return true;
+    }
+
+    describe() {
+        return 'finish construction';
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            constructionId: this.constructionId
+        };
+    }
+}
@@ -0,0 +1,55 @@
+import { Command } from './Command.js';
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Start a construction site for a building, paying its cost
+export class PlaceConstructionCommand extends Command {
+    constructor({ buildingType, x, y }) {
+        super(CommandType.PLACE_CONSTRUCTION);
+
+        this.buildingType = buildingType;
+        this.x = x;
+        this.y = y;
+        this.undoable = true;
+
+        // Id of the construction site, kept when redoing so later commands still find it
+        this.constructionId = null;
+    }
+
+    execute(world) {
+        const construction = world.placeConstruction(this.buildingType, this.x, this.y, this.constructionId);
+        if (!construction) return false;
+
+        this.constructionId = construction.id;
+        return true;
+    }
+
+    // Removes the site and refunds everything that went into it
+    undo(world) {
+        const construction = world.getEntityById(this.constructionId);
+        if (!construction || !world.constructions.includes(construction)) {
+            log.info(`Cannot undo placing ${this.buildingType}: construction already finished`);
+            return false;
+        }
+
+        world.cancelConstruction(construction);
+        return true;
+    }
+
+    describe() {
+        const definition = buildingRegistry.get(this.buildingType);
+        return `place ${definition ? definition.name : this.buildingType}`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            buildingType: this.buildingType,
+            x: this.x,
+            y: this.y
+        };
+    }
+}
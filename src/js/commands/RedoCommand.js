@@ -0,0 +1,13 @@
+import { Command } from './Command.js';
+import { CommandType } from '../utils/Enums.js';
+
+// Apply the most recently undone command again
+export class RedoCommand extends Command {
+    constructor() {
+        super(CommandType.REDO);
+    }
+
+    execute(world) {
+        return world.commands.redoLast();
+    }
+}
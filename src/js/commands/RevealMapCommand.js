@@ -0,0 +1,17 @@
+import { Command } from './Command.js';
+import { CommandType } from '../utils/Enums.js';
+
+// Cheat: lift the fog of war from the whole map
+export class RevealMapCommand extends Command {
+    constructor() {
+        super(CommandType.REVEAL_MAP);
+    }
+
+    execute(world) {
+        return world.revealMap() > 0;
+    }
+
+    describe() {
+        return 'reveal the map';
+    }
+}
@@ -0,0 +1,30 @@
+import { Command } from './Command.js';
+import { CommandType } from '../utils/Enums.js';
+
+// Cheat: add a settler at a tile
+export class SpawnSettlerCommand extends Command {
+    constructor({ settlerType, x, y }) {
+        super(CommandType.SPAWN_SETTLER);
+
+        this.settlerType = settlerType;
+        this.x = x;
+        this.y = y;
+    }
+
+    execute(world) {
+        return world.spawnSettler(this.settlerType, this.x, this.y) !== null;
+    }
+
+    describe() {
+        return `spawn ${this.settlerType}`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            settlerType: this.settlerType,
+            x: this.x,
+            y: this.y
+        };
+    }
+}
@@ -0,0 +1,14 @@
+import { Command } from './Command.js';
+import { CommandType } from '../utils/Enums.js';
+
+// Undo the latest undoable command. Undo and redo are commands themselves so
+// they end up in the command log and replays follow them.
+export class UndoCommand extends Command {
+    constructor() {
+        super(CommandType.UNDO);
+    }
+
+    execute(world) {
+        return world.commands.undoLast();
+    }
+}
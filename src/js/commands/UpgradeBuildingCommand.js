@@ -0,0 +1,56 @@
+import { Command } from './Command.js';
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Upgrade a finished building to its next level, paying the upgrade cost
+export class UpgradeBuildingCommand extends Command {
+    constructor({ buildingId }) {
+        super(CommandType.UPGRADE_BUILDING);
+
+        this.buildingId = buildingId;
+        this.undoable = true;
+
+        // Set on execute, for undo and messages
+        this.buildingName = null;
+        this.paidCost = null;
+    }
+
+    execute(world) {
+        const building = world.getEntityById(this.buildingId);
+        if (!building || !world.buildings.includes(building)) {
+            log.warn(`Cannot upgrade: no building with id ${this.buildingId}`);
+            return false;
+        }
+
+        const paidCost = { ...building.upgradeCost };
+        if (!world.upgradeBuilding(building)) return false;
+
+        this.buildingName = building.name;
+        this.paidCost = paidCost;
+        return true;
+    }
+
+    // Goes back a level and refunds the upgrade cost
+    undo(world) {
+        const building = world.getEntityById(this.buildingId);
+        if (!building || !world.buildings.includes(building)) {
+            log.info(`Cannot undo upgrade: building ${this.buildingId} no longer exists`);
+            return false;
+        }
+
+        return world.downgradeBuilding(building, this.paidCost);
+    }
+
+    describe() {
+        return `upgrade ${this.buildingName || 'building'}`;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            buildingId: this.buildingId
+        };
+    }
+}
@@ -0,0 +1,192 @@
+import { ResourceType, SettlerType, TerrainType } from '../utils/Enums.js';
+import { FOG_OF_WAR } from '../utils/Constants.js';
+import { defaultBuildings, DEFAULT_PLACEMENT_TERRAIN } from '../utils/BuildingDefinitions.js';
+
+// Where settlers enter a building: the middle or the right tile of its bottom row
+const ENTRANCES = ['bottomCenter', 'bottomRight'];
+
+// Single source of truth for building types. Each definition declares everything
+// the game needs to know about a building, so adding a building is a matter of
+// registering a definition - World, the views and the UI all read from here.
+export class BuildingRegistry {
+    constructor() {
+        // Definitions by type, in registration order
+        this.definitions = new Map();
+    }
+
+    // Add a building type, or replace the definition of an existing one.
+    // Fields (all but type are optional):
+    //   type          unique id, e.g. 'woodcutter'
+    //   name          display name
+    //   size          footprint in tiles, { width, height }
+    //   cost          resources to place a construction site, { resourceType: amount }
+    //   upgradeCost   upgrade cost per level; multiplied by the current level
+    //   sprite        { path, scale } billboard sprite, scale relative to the footprint
+    //                 width; buildings without one are drawn as boxes
+    //   recipe        { produces: { type, rate }, consumes: { resourceType: amount } }
+    //   extraction    { radius } to take what the building produces from the
+    //                 deposits within radius tiles, e.g. ore for a mine
+    //   worker        settler type that works here
+    //   visionRadius  tiles revealed around the building
+    //   placement     { terrain: [terrain types the whole footprint must be],
+    //                   near: { terrain: [types], radius, deposit } to need one of
+    //                   those types within radius tiles, e.g. stone for a quarry;
+    //                   with a deposit (resource type), one holding that deposit }
+    //   entrance      'bottomCenter' or 'bottomRight'
+    //   storage       true for buildings porters fetch resources from
+    //   inBuildMenu   true to offer it in the build menu
+    // Throws an Error naming the problem if the definition is invalid.
+    register(definition) {
+        const normalized = this._normalize(definition);
+        this.definitions.set(normalized.type, normalized);
+        return normalized;
+    }
+
+    // Check a definition without registering it. extraResources are resource
+    // types that count as known although they aren't registered yet, e.g. the
+    // ones a mod pack is about to add. Returns the normalized definition; throws like register.
+    validate(definition, extraResources = []) {
+        return this._normalize(definition, extraResources);
+    }
+
+    get(type) {
+        return this.definitions.get(type) || null;
+    }
+
+    has(type) {
+        return this.definitions.has(type);
+    }
+
+    getAll() {
+        return [...this.definitions.values()];
+    }
+
+    // Replace every definition with ones getAll returned earlier
+    restore(definitions) {
+        this.definitions = new Map(definitions.map(definition => [definition.type, definition]));
+    }
+
+    _normalize(definition, extraResources = []) {
+        if (!definition || typeof definition.type !== 'string' || definition.type === '') {
+            throw new Error('Building definition needs a type');
+        }
+
+        const type = definition.type;
+        const resourceTypes = [...Object.values(ResourceType), ...extraResources];
+        const fail = (message) => {
+            throw new Error(`Building ${type}: ${message}`);
+        };
+
+        const size = { width: 1, height: 1, ...definition.size };
+        if (!Number.isInteger(size.width) || !Number.isInteger(size.height) ||
+            size.width < 1 || size.height < 1) {
+            fail('size must be whole numbers of tiles');
+        }
+
+        const checkAmounts = (amounts, field) => {
+            for (const [resource, amount] of Object.entries(amounts)) {
+                if (!resourceTypes.includes(resource)) {
+                    fail(`unknown resource ${resource} in ${field}`);
+                }
+                if (typeof amount !== 'number' || amount < 0) {
+                    fail(`${field} for ${resource} must be a positive number`);
+                }
+            }
+            return { ...amounts };
+        };
+
+        const recipe = definition.recipe || {};
+        let produces = null;
+        if (recipe.produces) {
+            if (!resourceTypes.includes(recipe.produces.type)) {
+                fail(`unknown resource ${recipe.produces.type} in recipe`);
+            }
+            produces = { type: recipe.produces.type, rate: recipe.produces.rate || 1 };
+        }
+        const consumes = recipe.consumes ? checkAmounts(recipe.consumes, 'recipe') : null;
+
+        let extraction = null;
+        if (definition.extraction) {
+            if (!produces) {
+                fail('extraction needs a recipe that produces something');
+            }
+            if (!Number.isInteger(definition.extraction.radius) || definition.extraction.radius < 1) {
+                fail('extraction.radius must be a whole number of tiles');
+            }
+            extraction = { radius: definition.extraction.radius };
+        }
+
+        let sprite = null;
+        if (definition.sprite) {
+            if (typeof definition.sprite.path !== 'string') {
+                fail('sprite needs a path');
+            }
+            sprite = { path: definition.sprite.path, scale: definition.sprite.scale || 1.5 };
+        }
+
+        const worker = definition.worker || null;
+        if (worker !== null && !Object.values(SettlerType).includes(worker)) {
+            fail(`unknown worker type ${worker}`);
+        }
+
+        const placementTerrain = (definition.placement && definition.placement.terrain) ||
+            DEFAULT_PLACEMENT_TERRAIN;
+        for (const terrain of placementTerrain) {
+            if (!Object.values(TerrainType).includes(terrain)) {
+                fail(`unknown terrain ${terrain} in placement`);
+            }
+        }
+
+        let near = null;
+        if (definition.placement && definition.placement.near) {
+            const { terrain, radius, deposit = null } = definition.placement.near;
+            if (!Array.isArray(terrain) || terrain.length === 0) {
+                fail('placement.near needs a list of terrain types');
+            }
+            for (const nearTerrain of terrain) {
+                if (!Object.values(TerrainType).includes(nearTerrain)) {
+                    fail(`unknown terrain ${nearTerrain} in placement.near`);
+                }
+            }
+            if (!Number.isInteger(radius) || radius < 1) {
+                fail('placement.near.radius must be a whole number of tiles');
+            }
+            if (deposit !== null && !Object.values(ResourceType).includes(deposit)) {
+                fail(`unknown resource ${deposit} in placement.near.deposit`);
+            }
+            near = { terrain: [...terrain], radius, deposit };
+        }
+
+        const entrance = definition.entrance || 'bottomCenter';
+        if (!ENTRANCES.includes(entrance)) {
+            fail(`entrance must be one of ${ENTRANCES.join(', ')}`);
+        }
+
+        return {
+            type,
+            name: definition.name || type,
+            size,
+            cost: checkAmounts(definition.cost || {}, 'cost'),
+            upgradeCost: checkAmounts(definition.upgradeCost || {
+                [ResourceType.PLANK]: 10,
+                [ResourceType.STONE]: 5
+            }, 'upgradeCost'),
+            sprite,
+            recipe: { produces, consumes },
+            extraction,
+            worker,
+            visionRadius: definition.visionRadius ?? FOG_OF_WAR.INITIAL_VISIBILITY_RADIUS,
+            placement: { terrain: [...placementTerrain], near },
+            entrance,
+            storage: definition.storage === true,
+            inBuildMenu: definition.inBuildMenu === true
+        };
+    }
+}
+
+// The registry the game uses, with the built-in buildings
+export const buildingRegistry = new BuildingRegistry();
+
+for (const definition of defaultBuildings) {
+    buildingRegistry.register(definition);
+}
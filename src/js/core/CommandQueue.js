@@ -0,0 +1,167 @@
+import { CommandType, LogCategory } from '../utils/Enums.js';
+import { UNDO } from '../utils/Constants.js';
+import { logger } from '../utils/Logger.js';
+import { PlaceConstructionCommand } from '../commands/PlaceConstructionCommand.js';
+import { UpgradeBuildingCommand } from '../commands/UpgradeBuildingCommand.js';
+import { CancelConstructionCommand } from '../commands/CancelConstructionCommand.js';
+import { DemolishBuildingCommand } from '../commands/DemolishBuildingCommand.js';
+import { UndoCommand } from '../commands/UndoCommand.js';
+import { RedoCommand } from '../commands/RedoCommand.js';
+import { AddResourcesCommand } from '../commands/AddResourcesCommand.js';
+import { RevealMapCommand } from '../commands/RevealMapCommand.js';
+import { SpawnSettlerCommand } from '../commands/SpawnSettlerCommand.js';
+import { FinishConstructionCommand } from '../commands/FinishConstructionCommand.js';
+
+const log = logger.channel(LogCategory.COMMANDS);
+
+// Command classes by type, for turning replay entries back into commands
+const commandClasses = {
+    [CommandType.PLACE_CONSTRUCTION]: PlaceConstructionCommand,
+    [CommandType.UPGRADE_BUILDING]: UpgradeBuildingCommand,
+    [CommandType.CANCEL_CONSTRUCTION]: CancelConstructionCommand,
+    [CommandType.DEMOLISH_BUILDING]: DemolishBuildingCommand,
+    [CommandType.UNDO]: UndoCommand,
+    [CommandType.REDO]: RedoCommand,
+    [CommandType.ADD_RESOURCES]: AddResourcesCommand,
+    [CommandType.REVEAL_MAP]: RevealMapCommand,
+    [CommandType.SPAWN_SETTLER]: SpawnSettlerCommand,
+    [CommandType.FINISH_CONSTRUCTION]: FinishConstructionCommand
+};
+
+// Applies player commands to the world and keeps a log of them for replays.
+//
+// Commands from the player are applied as soon as they're submitted. Nothing
+// in the simulation changes between two ticks, so that's the same as applying
+// them at the start of the next tick, which is where a replay applies them.
+// UI-only state such as the placement preview doesn't go through commands.
+//
+// Undoable commands that succeed go on an undo history. Undo and redo are
+// commands too, so the history is rebuilt the same way during a replay.
+export class CommandQueue {
+    constructor(world) {
+        this.world = world;
+
+        // Every command applied since the world was created or loaded
+        this.log = [];
+
+        // Replay playback: commands waiting for their tick, and the tick the
+        // recording ended on. Player input is ignored until then.
+        this.pending = [];
+        this.replaying = false;
+        this.replayEndTick = 0;
+
+        // Undo / redo history of command objects, most recent last
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    static createCommand(data) {
+        const CommandClass = commandClasses[data.type];
+        if (!CommandClass) {
+            throw new Error(`Unknown command type: ${data.type}`);
+        }
+
+        const command = new CommandClass(data);
+        command.tick = data.tick;
+        return command;
+    }
+
+    // Apply a player command now. Returns true if it had an effect.
+    submit(command) {
+        if (this.replaying) {
+            log.info(`Ignoring ${command.type} while a replay is playing`);
+            return false;
+        }
+
+        command.tick = this.world.clock.tick;
+        return this._execute(command);
+    }
+
+    // Play back a recorded command log; commands run at the start of their tick
+    startReplay(commands, endTick) {
+        this.pending = commands
+            .map(data => CommandQueue.createCommand(data))
+            .sort((a, b) => a.tick - b.tick);
+        this.replaying = true;
+        this.replayEndTick = endTick;
+    }
+
+    // Called by World.update at the start of every tick
+    runDueCommands() {
+        if (!this.replaying) return;
+
+        const tick = this.world.clock.tick;
+        while (this.pending.length > 0 && this.pending[0].tick <= tick) {
+            this._execute(this.pending.shift());
+        }
+
+        // Hand control back to the player once the recording is over
+        if (this.pending.length === 0 && tick >= this.replayEndTick) {
+            this.replaying = false;
+            log.info(`Replay finished at tick ${tick}`);
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // The command the next undo / redo would apply to, or null
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Called by UndoCommand. A command that can no longer be undone (e.g. its
+    // construction has finished) is dropped from the history.
+    undoLast() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        if (!command.undo(this.world)) {
+            log.info(`Could not undo ${command.describe()}`);
+            return false;
+        }
+
+        this.redoStack.push(command);
+        return true;
+    }
+
+    // Called by RedoCommand
+    redoLast() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        if (!command.execute(this.world)) {
+            log.info(`Could not redo ${command.describe()}`);
+            return false;
+        }
+
+        this.undoStack.push(command);
+        return true;
+    }
+
+    _execute(command) {
+        const result = command.execute(this.world);
+        this.log.push(command.serialize());
+        log.debug(`Tick ${command.tick}: ${command.describe()}${result ? '' : ' had no effect'}`);
+
+        // A new action starts a new branch of history
+        if (result && command.undoable) {
+            this.undoStack.push(command);
+            if (this.undoStack.length > UNDO.HISTORY_SIZE) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,55 @@
+import { GameEvent, LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+const knownEvents = new Set(Object.values(GameEvent));
+
+const log = logger.channel(LogCategory.WORLD);
+
+// Publish / subscribe hub for simulation events (see GameEvent for the types and
+// their payloads). The UI, audio, stats or scripts subscribe here instead of
+// polling the World. Handlers run synchronously inside the tick that emits.
+export class EventBus {
+    constructor() {
+        // Handlers by event type
+        this.handlers = new Map();
+    }
+
+    // Subscribe to an event type. Returns a function that unsubscribes again.
+    on(type, handler) {
+        if (!knownEvents.has(type)) {
+            log.warn(`Subscribing to unknown event type: ${type}`);
+        }
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        this.handlers.set(type, handlers.filter(h => h !== handler));
+    }
+
+    emit(type, payload = {}) {
+        if (!knownEvents.has(type)) {
+            log.warn(`Emitting unknown event type: ${type}`);
+        }
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        // A failing subscriber must not break the simulation tick
+        for (const handler of handlers) {
+            try {
+                handler(payload);
+            } catch (error) {
+                log.error(`Error in ${type} handler`, error);
+            }
+        }
+    }
+}
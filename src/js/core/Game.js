@@ -1,11 +1,29 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { World } from './World.js';
+import { WorldRenderer } from '../render/WorldRenderer.js';
 import { UIManager } from '../ui/UIManager.js';
 import { ResourceManager } from './ResourceManager.js';
+import { EventBus } from './EventBus.js';
+import { SimulationClock } from './SimulationClock.js';
+import { SaveManager } from './SaveManager.js';
+import { ReplayManager } from './ReplayManager.js';
+import { modLoader } from './ModLoader.js';
+import { ScenarioManager } from './ScenarioManager.js';
+import { MapEditor } from './MapEditor.js';
+import { SIMULATION, SAVE, SCENARIO, MAP, STARTING_RESOURCES, STARTING_RESOURCE_LEVELS } from '../utils/Constants.js';
+import { LogCategory, ProfileSection } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+import { profiler } from '../utils/Profiler.js';
+
+const log = logger.channel(LogCategory.GAME);
+const renderLog = logger.channel(LogCategory.RENDER);
 
 export class Game {
     constructor() {
+        // Log levels from a ?log= URL parameter, e.g. ?log=debug or ?log=porter:debug,render:warn
+        this._configureLogging();
+
         this.canvas = document.getElementById('game-canvas');
         this.width = window.innerWidth;
         this.height = window.innerHeight;
@@ -18,14 +36,52 @@ export class Game {
 
         // Game components
         this.world = null;
+        this.worldRenderer = null;
         this.resourceManager = null;
         this.uiManager = null;
 
+        // Simulation events; shared by every world this game loads
+        this.events = new EventBus();
+
+        // Mod packs from public/mods; loaded before init
+        this.mods = modLoader;
+
+        // Save games in localStorage slots and files
+        this.saveManager = new SaveManager();
+
+        // Record the session's player commands for replays. A session that was
+        // loaded from a save replays from that save instead of from the seed.
+        this.replayManager = new ReplayManager(this.saveManager);
+        this.replayStartSave = null;
+
+        // Scenario files; a ?scenario= URL parameter starts the game with one
+        this.scenarioManager = new ScenarioManager();
+        this.startScenario = null; // Parsed scenario to start with
+        this.startScenarioError = null;
+
+        // Map editor for the current world while editing, otherwise null
+        this.mapEditor = null;
+        this.wasPausedBeforeEditing = false;
+
+        // Autosave every SAVE.AUTOSAVE_INTERVAL minutes of game time
+        this.autosaveInterval = SAVE.AUTOSAVE_INTERVAL * 60 * SIMULATION.TICKS_PER_SECOND;
+        this.nextAutosaveTick = this.autosaveInterval;
+
         // Game state
         this.isRunning = false;
 
+        // Fixed-timestep simulation clock
+        this.clock = new SimulationClock();
+        this.backgroundTimer = null;
+
+        // Speed to return to when unpausing
+        this.resumeSpeed = 1;
+
         // Bind methods
         this._onWindowResize = this._onWindowResize.bind(this);
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
+        this._onPageHide = this._onPageHide.bind(this);
+        this._onPageShow = this._onPageShow.bind(this);
         this._update = this._update.bind(this);
     }
 
@@ -54,7 +110,7 @@ export class Game {
         this.camera.position.set(50, 70, 50);
         this.camera.lookAt(0, 0, 0);
 
-        console.log("Camera positioned directly above the center point");
+        renderLog.debug("Camera positioned directly above the center point");
 
         // Start with a significantly zoomed-in view on the settlement area
         this.camera.zoom = 70; // Very zoomed in to clearly see the starting point
@@ -97,45 +153,153 @@ export class Game {
         const ambientLight = new THREE.AmbientLight(0xffffff, 1.0); // Full brightness ambient
         this.scene.add(ambientLight);
 
-        console.log("Disabled directional lighting to preserve sprite colors");
+        renderLog.debug("Disabled directional lighting to preserve sprite colors");
 
         // Initialize game components
-        this.resourceManager = new ResourceManager();
+        this.resourceManager = new ResourceManager(this.events);
 
-        // Create world after controls are initialized so it can access them
-        this.world = new World(this);
+        // The world is pure simulation state; the renderer draws it into the scene
+        this.world = this._createStartWorld();
+        this.worldRenderer = new WorldRenderer(this);
         this.uiManager = new UIManager(this);
 
-        // Initialize world
-        this.world.init();
+        // Initialize the world's view
+        this.worldRenderer.init();
 
         // Initialize UI
         this.uiManager.init();
+        this._reportModErrors();
+        this._reportStartScenario();
 
         // Add event listeners
         window.addEventListener('resize', this._onWindowResize);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+        log.info('Game initialized');
+    }
+
+    _configureLogging() {
+        const spec = new URLSearchParams(window.location.search).get('log');
+        if (!spec) return;
+
+        try {
+            logger.configure(spec);
+        } catch (error) {
+            log.error(`Ignoring ?log=${spec}: ${error.message}`);
+        }
+    }
 
-        console.log('Game initialized');
+    // Load the mod packs listed in public/mods/index.json. Broken packs are
+    // skipped; their errors are shown once the UI is up.
+    async loadMods() {
+        await this.mods.loadAll();
+    }
+
+    _reportModErrors() {
+        const errors = this.mods.errors;
+        if (errors.length === 0) return;
+
+        const first = errors[0];
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more, see the console)` : '';
+        this.uiManager.showMessage(`Mod error: ${first.mod ? `${first.mod}: ` : ''}${first.message}${more}`, 10000);
+    }
+
+    // Fetch the scenario named by a ?scenario= URL parameter, if any, so init can
+    // start with it. Problems are shown once the UI is up and a normal game starts instead.
+    async loadStartScenario() {
+        const name = new URLSearchParams(window.location.search).get('scenario');
+        if (!name) return;
+
+        const url = `${SCENARIO.BASE_URL}${encodeURIComponent(name)}.json`;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not fetch ${url}: ${response.status} ${response.statusText}`);
+            }
+            this.startScenario = this.scenarioManager.parseScenario(await response.text());
+        } catch (error) {
+            log.error(error.message);
+            this.startScenarioError = error.message;
+        }
+    }
+
+    // The first world: the start scenario if there is one, otherwise a new map
+    _createStartWorld() {
+        const options = {
+            events: this.events,
+            resourceManager: this.resourceManager,
+            clock: this.clock
+        };
+
+        if (this.startScenario) {
+            const world = this.scenarioManager.createWorld(this.startScenario, options);
+
+            // Replays of this session start from the scenario's initial state
+            this.replayStartSave = this.saveManager.createSave(world);
+            return world;
+        }
+
+        const world = new World({ ...options, seed: this._getSeedFromUrl() });
+        world.init();
+        return world;
+    }
+
+    _reportStartScenario() {
+        if (this.startScenarioError) {
+            this.uiManager.showMessage(`Could not load scenario: ${this.startScenarioError}`, 10000);
+        } else if (this.startScenario) {
+            this.uiManager.showScenarioIntro(this.startScenario);
+        }
+    }
+
+    // A ?seed= URL parameter reproduces a previous game; otherwise a new seed is picked
+    _getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed === null ? undefined : seed;
     }
 
     start() {
         this.isRunning = true;
-        this._update();
+        this.clock.reset(performance.now());
+        requestAnimationFrame(this._update);
 
         // Set initial camera position to view the center of the map clearly
         this._setInitialCameraView();
 
-        console.log('Game started');
+        // Offer to resume if the last session didn't end normally, then mark this one as running
+        const offeredResume = this._checkForInterruptedSession();
+        this.saveManager.startSession();
+        window.addEventListener('pagehide', this._onPageHide);
+        window.addEventListener('pageshow', this._onPageShow);
+
+        // A scenario from the URL starts right away; otherwise the main menu comes first
+        if (!offeredResume && !this.startScenario) {
+            this.uiManager.mainMenu.open();
+        }
+
+        log.info('Game started');
     }
 
     // Set the camera to a good initial view of the warehouse
     _setInitialCameraView() {
-        // Get the center of the map
-        const centerX = Math.floor(this.world.size.width / 2);
-        const centerY = Math.floor(this.world.size.height / 2);
+        // Look at the starting warehouse, falling back to the center of the map
+        const start = this.world.startPosition || {
+            x: Math.floor(this.world.size.width / 2) - 1,
+            y: Math.floor(this.world.size.height / 2) - 1
+        };
+        this.focusCamera(start.x, start.y);
+
+        // Set a higher zoom level for a closer view
+        this.camera.zoom = 25;
+        this.camera.updateProjectionMatrix();
 
-        // Get world position adjusted for warehouse (slightly offset from center)
-        const worldPos = this.world.getWorldPosition(centerX - 1, centerY - 1);
+        // Update the controls
+        this.controls.update();
+    }
+
+    // Move the camera to look at a grid position, keeping the zoom
+    focusCamera(x, y) {
+        const worldPos = this.world.getWorldPosition(x, y);
 
         // Position camera for clear view of the center area
         const distance = 40; // Further out for better perspective
@@ -145,43 +309,348 @@ export class Game {
             worldPos.z + distance
         );
 
-        console.log(`Camera positioned at: (${this.camera.position.x}, ${this.camera.position.y}, ${this.camera.position.z})`);
+        renderLog.debug(`Camera positioned at: (${this.camera.position.x}, ${this.camera.position.y}, ${this.camera.position.z})`);
 
-        // Look at the warehouse position
+        // Look at the position
         this.controls.target.set(worldPos.x, 0, worldPos.z);
-
-        // Set a higher zoom level for a closer view
-        this.camera.zoom = 25;
-        this.camera.updateProjectionMatrix();
-
-        // Update the controls
         this.controls.update();
     }
 
+    // Pause the simulation; the scene keeps rendering so the camera still works
     pause() {
+        if (this.clock.isPaused()) return;
+
+        this.resumeSpeed = this.clock.speed;
+        this.clock.setSpeed(0);
+        this._onSpeedChanged();
+        log.info('Game paused');
+    }
+
+    resume() {
+        if (!this.clock.isPaused()) return;
+
+        this.clock.setSpeed(this.resumeSpeed);
+        this._onSpeedChanged();
+        log.info(`Game resumed at ${this.resumeSpeed}x`);
+    }
+
+    togglePause() {
+        if (this.clock.isPaused()) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Set the game speed multiplier (one of SIMULATION.SPEEDS); 0 pauses
+    setSpeed(speed) {
+        if (speed === 0) {
+            this.pause();
+            return;
+        }
+
+        if (!SIMULATION.SPEEDS.includes(speed)) {
+            log.warn(`Unsupported game speed: ${speed}`);
+            return;
+        }
+
+        this.resumeSpeed = speed;
+        this.clock.setSpeed(speed);
+        this._onSpeedChanged();
+        log.info(`Game speed set to ${speed}x`);
+    }
+
+    _onSpeedChanged() {
+        if (this.uiManager) {
+            this.uiManager.updateSpeedControls();
+        }
+    }
+
+    // Start over on a newly generated map. setup is { seed, size, map, startingResources }:
+    // a seed (random if missing), a key of MAP.SIZES, generator options like a
+    // terrain mix (see MapGen.generateTileMap) and a key of STARTING_RESOURCE_LEVELS.
+    // setup.tiles is a tile map to play on instead, e.g. one imported from images;
+    // the map size is then its size.
+    // Throws with a readable message if the setup is invalid; the current game is kept then.
+    newGame(setup = {}) {
+        const side = MAP.SIZES[setup.size || 'huge'];
+        if (!side && !setup.tiles) {
+            throw new Error(`Unknown map size ${setup.size}`);
+        }
+
+        const size = setup.tiles ?
+            { width: setup.tiles[0].length, height: setup.tiles.length } :
+            { width: side, height: side };
+
+        const level = STARTING_RESOURCE_LEVELS[setup.startingResources || 'normal'];
+        if (level === undefined) {
+            throw new Error(`Unknown starting resources ${setup.startingResources}`);
+        }
+
+        const world = new World({
+            events: this.events,
+            resourceManager: this.resourceManager,
+            clock: this.clock,
+            seed: setup.seed,
+            size,
+            map: setup.map,
+            tiles: setup.tiles
+        });
+
+        // The clock is shared with the running game, which goes on if the map can't be generated
+        const previousTick = this.clock.tick;
+        world.clock.tick = 0;
+        try {
+            world.init();
+        } catch (error) {
+            this.clock.tick = previousTick;
+            throw error;
+        }
+
+        const startingResources = {};
+        for (const [type, amount] of Object.entries(STARTING_RESOURCES)) {
+            startingResources[type] = Math.round(amount * level);
+        }
+        this.resourceManager.reset(startingResources);
+
+        // The map depends on more than the seed, so replays start from its initial state
+        this.replayStartSave = this.saveManager.createSave(world);
+        this._replaceWorld(world);
+        log.info(`New ${size.width} x ${size.height} game started with seed ${world.seed}`);
+        return world;
+    }
+
+    // Save the current game to a localStorage slot. Throws if saving fails.
+    saveGame(slot) {
+        return this.saveManager.saveToSlot(slot, this.world);
+    }
+
+    // Start over from a scenario (object or JSON text). Throws with a readable
+    // message if the scenario is invalid; the current game is kept then.
+    loadScenario(input) {
+        const scenario = this.scenarioManager.parseScenario(input);
+
+        // The clock and stock are shared with the running game, which goes on if the scenario can't be set up
+        const previousTick = this.clock.tick;
+        const previousResources = this.resourceManager.serialize();
+        let world;
+        try {
+            world = this.scenarioManager.createWorld(scenario, {
+                events: this.events,
+                resourceManager: this.resourceManager,
+                clock: this.clock
+            });
+        } catch (error) {
+            this.clock.tick = previousTick;
+            this.resourceManager.restore(previousResources);
+            throw error;
+        }
+
+        // Replays of this session start from the scenario's initial state
+        this.replayStartSave = this.saveManager.createSave(world);
+        this._replaceWorld(world);
+        log.info(`Scenario ${scenario.name} loaded`);
+        return scenario;
+    }
+
+    // Pause the game and edit the current world's map (see MapEditor)
+    startEditing() {
+        if (this.mapEditor) return this.mapEditor;
+
+        this.world.cancelBuildingPlacement();
+        this.wasPausedBeforeEditing = this.clock.isPaused();
+        this.pause();
+
+        this.mapEditor = new MapEditor(this.world);
+        this.worldRenderer.setEditing(true);
+        log.info('Map editor opened');
+        return this.mapEditor;
+    }
+
+    // Stop editing and play the edited map from its start, as a scenario.
+    // Throws with a readable message if the map can't be played; editing goes on then.
+    stopEditing(info = {}) {
+        if (!this.mapEditor) return null;
+
+        const scenario = this.loadScenario(this.scenarioManager.createScenario(this.world, info));
+        if (!this.wasPausedBeforeEditing) {
+            this.resume();
+        }
+        return scenario;
+    }
+
+    // The current game as save file text, for exporting
+    exportSave() {
+        return this.saveManager.toJSON(this.saveManager.createSave(this.world));
+    }
+
+    // Replace the running game with a save (object or JSON text). Throws with a
+    // readable message if the save is invalid; the current game is kept then.
+    loadGame(save) {
+        const parsed = this.saveManager.parseSave(save);
+        const world = this.saveManager.restoreWorld(parsed, {
+            events: this.events,
+            resourceManager: this.resourceManager,
+            clock: this.clock
+        });
+
+        this.replayStartSave = parsed;
+        this._replaceWorld(world);
+        log.info(`Game loaded at tick ${this.clock.tick}`);
+    }
+
+    loadGameFromSlot(slot) {
+        this.loadGame(this.saveManager.loadFromSlot(slot));
+    }
+
+    // The current session as replay file text, for exporting
+    exportReplay() {
+        return this.replayManager.toJSON(this.replayManager.createReplay(this.world, this.replayStartSave));
+    }
+
+    // Restart from a replay's starting point and play its commands back.
+    // Player input is ignored until the recording ends. Throws like loadGame.
+    loadReplay(input) {
+        const replay = this.replayManager.parseReplay(input);
+        const world = this.replayManager.restoreWorld(replay, {
+            events: this.events,
+            resourceManager: this.resourceManager,
+            clock: this.clock
+        });
+
+        this.replayStartSave = replay.startSave || null;
+        this._replaceWorld(world);
+        log.info(`Replaying ${replay.commands.length} commands up to tick ${replay.endTick}`);
+    }
+
+    // Swap in a new world and rebuild its view
+    _replaceWorld(world) {
+        this.worldRenderer.dispose();
+
+        this.world = world;
+        this.mapEditor = null;
+        this.worldRenderer = new WorldRenderer(this);
+        this.worldRenderer.init();
+
+        // Don't try to catch up on the time spent loading
+        this.clock.reset(performance.now());
+        this.nextAutosaveTick = this.clock.tick + this.autosaveInterval;
+
+        if (this.uiManager) {
+            this.uiManager.onWorldReplaced();
+        }
+
+        this._setInitialCameraView();
+    }
+
+    // Stop the game loop entirely
+    stop() {
         this.isRunning = false;
-        console.log('Game paused');
+        this._stopBackgroundTimer();
+        log.info('Game stopped');
     }
 
-    _update() {
+    _update(now) {
         if (!this.isRunning) return;
 
         // Update controls
         this.controls.update();
 
-        // Update world
-        this.world.update();
+        // Advance the simulation in fixed ticks
+        const alpha = this._advanceSimulation(now);
+
+        // Interpolate visuals between the last two ticks and render the scene
+        this.worldRenderer.render(alpha);
 
-        // Render scene
+        const renderStart = profiler.start();
         this.renderer.render(this.scene, this.camera);
+        profiler.end(ProfileSection.SCENE_RENDER, renderStart);
+
+        // Refresh the performance overlay once per profiling window
+        if (profiler.endFrame(now)) {
+            this.uiManager.performanceOverlay.update(profiler.summary);
+        }
 
         // Request next frame
         requestAnimationFrame(this._update);
     }
 
+    // Run all simulation ticks that are due at the given time
+    _advanceSimulation(now, maxFrameTime = SIMULATION.MAX_FRAME_TIME, maxTicks = SIMULATION.MAX_TICKS_PER_FRAME) {
+        const alpha = this.clock.advance(now, (deltaTime) => this.world.update(deltaTime), maxFrameTime, maxTicks);
+        this._autosaveIfDue();
+        return alpha;
+    }
+
+    _autosaveIfDue() {
+        if (this.clock.tick < this.nextAutosaveTick) return;
+
+        // Don't capture a half-finished placement; try again on the next frame
+        if (this.world.buildingPlacementMode) return;
+
+        this.nextAutosaveTick = this.clock.tick + this.autosaveInterval;
+
+        try {
+            this.saveManager.autosave(this.world);
+        } catch (error) {
+            log.error('Autosave failed', error);
+            if (this.uiManager) {
+                this.uiManager.showMessage(`Autosave failed: ${error.message}`);
+            }
+        }
+    }
+
+    // Returns true if the player was asked whether to resume
+    _checkForInterruptedSession() {
+        if (!this.saveManager.wasSessionInterrupted()) return false;
+
+        const autosave = this.saveManager.getLatestAutosave();
+        if (!autosave) return false;
+
+        log.info('Previous session ended unexpectedly, offering to resume');
+        this.uiManager.showResumePrompt(autosave.info, () => this.loadGameFromSlot(autosave.slot));
+        return true;
+    }
+
+    // The page is closing normally, so this session wasn't a crash
+    _onPageHide() {
+        this.saveManager.endSession();
+    }
+
+    // Coming back from the back/forward cache resumes the session
+    _onPageShow(event) {
+        if (event.persisted) {
+            this.saveManager.startSession();
+        }
+    }
+
+    // requestAnimationFrame stops in hidden tabs, so keep the economy going with a timer.
+    // Hidden tabs run timers late, so each one catches up on a longer gap than a frame would.
+    _onVisibilityChange() {
+        if (document.hidden) {
+            if (this.isRunning && !this.backgroundTimer) {
+                this.backgroundTimer = setInterval(() => {
+                    this._advanceSimulation(performance.now(),
+                        SIMULATION.BACKGROUND_MAX_FRAME_TIME, SIMULATION.BACKGROUND_MAX_TICKS);
+                }, SIMULATION.BACKGROUND_INTERVAL);
+            }
+        } else if (this.backgroundTimer) {
+            // Add the time since the last timer to the backlog the frames catch up on
+            this._stopBackgroundTimer();
+            this._advanceSimulation(performance.now(), SIMULATION.BACKGROUND_MAX_FRAME_TIME);
+        }
+    }
+
+    _stopBackgroundTimer() {
+        if (this.backgroundTimer) {
+            clearInterval(this.backgroundTimer);
+            this.backgroundTimer = null;
+        }
+    }
+
     // Preload commonly used textures and assets
     preloadAssets() {
-        console.log("Preloading assets...");
+        renderLog.debug("Preloading assets...");
 
         // Texture cache to store loaded textures
         this.textures = {};
@@ -195,14 +664,14 @@ export class Game {
         this.textureLoader.load(warehousePaths[0],
             // Success callback
             (texture) => {
-                console.log("Preloaded warehouse texture from primary path");
+                renderLog.debug("Preloaded warehouse texture from primary path");
                 this.textures.warehouse = texture;
             },
             // Progress callback
             undefined,
             // Error callback - try the fallback path
             (error) => {
-                console.warn("Failed to preload from primary path", error);
+                renderLog.warn("Failed to preload from primary path", error);
             }
         );
     }
@@ -0,0 +1,209 @@
+import { EditorTool, TerrainType, ResourceType, BuildingType, SettlerType, LogCategory } from '../utils/Enums.js';
+import { EDITOR, TERRAIN } from '../utils/Constants.js';
+import { defaultDepositFor } from '../utils/MapGen.js';
+import { buildingRegistry } from './BuildingRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.WORLD);
+
+// Tools that paint with a round brush; the others act on the clicked tile
+const BRUSH_TOOLS = [
+    EditorTool.TERRAIN,
+    EditorTool.RAISE,
+    EditorTool.LOWER,
+    EditorTool.FLATTEN,
+    EditorTool.TREES,
+    EditorTool.DEPOSIT
+];
+
+// Edits a world's map: brushes for terrain types, heights, forests and
+// deposits, and placing the starting warehouse and settlers. Edits change the
+// world directly instead of going through commands, so the game starts over
+// from the edited map once editing ends (see Game.stopEditing).
+export class MapEditor {
+    constructor(world) {
+        this.world = world;
+        this.random = world.random.stream('editor');
+
+        // The current tool and its settings, chosen in the editor panel
+        this.tool = EditorTool.TERRAIN;
+        this.radius = 2;
+        this.terrainType = TerrainType.GRASS;
+        this.depositType = ResourceType.STONE;
+        this.depositAmount = 40; // 0 removes deposits
+        this.settlerType = SettlerType.PORTER;
+
+        // Height a flatten stroke levels to, taken where it started
+        this.flattenHeight = null;
+    }
+
+    get usesBrush() {
+        return BRUSH_TOOLS.includes(this.tool);
+    }
+
+    // A mouse press on a tile. Brushes start a stroke that continueStroke
+    // carries on while the mouse is dragged; the other tools act right away.
+    // options.remove removes settlers instead of adding one.
+    beginStroke(x, y, options = {}) {
+        if (!this._isOnMap(x, y)) return;
+
+        switch (this.tool) {
+            case EditorTool.WAREHOUSE:
+                this.moveWarehouse(x, y);
+                return;
+            case EditorTool.SETTLERS:
+                if (options.remove) {
+                    this.removeSettlers(x, y);
+                } else {
+                    this.addSettler(x, y);
+                }
+                return;
+            case EditorTool.FLATTEN:
+                this.flattenHeight = this.world.terrain[y][x].height;
+                break;
+        }
+
+        this.applyBrush(x, y);
+    }
+
+    continueStroke(x, y) {
+        if (this.usesBrush && this._isOnMap(x, y)) {
+            this.applyBrush(x, y);
+        }
+    }
+
+    endStroke() {
+        this.flattenHeight = null;
+    }
+
+    // Apply the current brush tool around x, y once. Tiles under buildings are left alone.
+    applyBrush(x, y) {
+        const world = this.world;
+
+        this._forEachTileInBrush(x, y, (tile, falloff) => {
+            switch (this.tool) {
+                case EditorTool.TERRAIN:
+                    this._setType(tile, this.terrainType);
+                    break;
+                case EditorTool.RAISE:
+                    this._setHeight(tile, tile.height + EDITOR.HEIGHT_STEP * falloff);
+                    break;
+                case EditorTool.LOWER:
+                    this._setHeight(tile, tile.height - EDITOR.HEIGHT_STEP * falloff);
+                    break;
+                case EditorTool.FLATTEN:
+                    if (this.flattenHeight !== null) {
+                        this._setHeight(tile, tile.height +
+                            (this.flattenHeight - tile.height) * EDITOR.FLATTEN_STRENGTH * falloff);
+                    }
+                    break;
+                case EditorTool.TREES:
+                    // Trees only grow on open grassland
+                    if (tile.type === TerrainType.GRASS && this.random.next() < EDITOR.TREE_DENSITY) {
+                        this._setType(tile, TerrainType.FOREST);
+                    }
+                    break;
+                case EditorTool.DEPOSIT:
+                    if (this.depositAmount > 0) {
+                        tile.deposit = { type: this.depositType, amount: this.depositAmount };
+                    } else {
+                        delete tile.deposit;
+                    }
+                    break;
+            }
+        });
+
+        const radius = this.radius;
+        world.notifyTerrainEdited({ x: x - radius, y: y - radius, width: radius * 2 + 1, height: radius * 2 + 1 });
+    }
+
+    // Whether the warehouse can be moved to x, y: inside the map, on land
+    // that can be cleared for it and not on another building
+    canMoveWarehouse(x, y) {
+        const world = this.world;
+        const size = buildingRegistry.get(BuildingType.WAREHOUSE).size;
+        const warehouse = this._findWarehouse();
+
+        if (x < 0 || y < 0 || x + size.width > world.size.width || y + size.height > world.size.height) {
+            return false;
+        }
+
+        for (let gridY = y; gridY < y + size.height; gridY++) {
+            for (let gridX = x; gridX < x + size.width; gridX++) {
+                const tile = world.terrain[gridY][gridX];
+                if (tile.type === TerrainType.WATER || tile.type === TerrainType.MOUNTAIN) return false;
+                if (tile.building && tile.building !== warehouse) return false;
+            }
+        }
+        return true;
+    }
+
+    // Move the starting warehouse so its corner is at x, y, clearing and
+    // leveling its new site. Places one if the map has none. Returns whether it moved.
+    moveWarehouse(x, y) {
+        if (!this.canMoveWarehouse(x, y)) return false;
+
+        const world = this.world;
+        const warehouse = this._findWarehouse();
+        if (warehouse) {
+            world.removeBuilding(warehouse);
+        }
+
+        const moved = world.placeBuilding(BuildingType.WAREHOUSE, x, y);
+        world.startPosition = { x, y };
+        log.info(`Editor: warehouse moved to ${x}, ${y}`);
+        return moved !== null;
+    }
+
+    addSettler(x, y) {
+        return this.world.spawnSettler(this.settlerType, x, y);
+    }
+
+    // Remove the settlers standing on a tile. Returns how many were removed.
+    removeSettlers(x, y) {
+        const settlers = this.world.settlers.filter(settler =>
+            settler.position.x === x && settler.position.y === y);
+        settlers.forEach(settler => this.world.removeSettler(settler));
+        return settlers.length;
+    }
+
+    _findWarehouse() {
+        return this.world.buildings.find(building => building.type === BuildingType.WAREHOUSE) || null;
+    }
+
+    // Call back with each free tile within the brush radius of x, y and how
+    // strongly the brush acts on it: 1 at the center, fading towards the edge
+    _forEachTileInBrush(x, y, callback) {
+        const world = this.world;
+        const radius = this.radius;
+
+        for (let gridY = Math.max(0, y - radius); gridY <= Math.min(world.size.height - 1, y + radius); gridY++) {
+            for (let gridX = Math.max(0, x - radius); gridX <= Math.min(world.size.width - 1, x + radius); gridX++) {
+                const distance = Math.hypot(gridX - x, gridY - y);
+                const tile = world.terrain[gridY][gridX];
+                if (distance > radius + 0.5 || tile.building) continue;
+
+                callback(tile, 1 - distance / (radius + 1));
+            }
+        }
+    }
+
+    // Change a tile's terrain type; it gets that type's usual deposit
+    _setType(tile, type) {
+        tile.type = type;
+        delete tile.deposit;
+
+        const deposit = defaultDepositFor(type);
+        if (deposit) {
+            tile.deposit = deposit;
+        }
+    }
+
+    _setHeight(tile, height) {
+        tile.height = Math.min(Math.max(height, 0), TERRAIN.MAX_HEIGHT);
+    }
+
+    _isOnMap(x, y) {
+        return x >= 0 && y >= 0 && x < this.world.size.width && y < this.world.size.height;
+    }
+}
@@ -0,0 +1,317 @@
+import { ResourceType, LogCategory } from '../utils/Enums.js';
+import { resourceNames, STARTING_RESOURCES, MODS } from '../utils/Constants.js';
+import { buildingRegistry } from './BuildingRegistry.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.GAME);
+
+// Resource types are ids used in save files and recipes
+const RESOURCE_TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Set an object's entries back to a copy made earlier
+const restoreEntries = (target, copy) => {
+    for (const key of Object.keys(target)) {
+        if (!(key in copy)) delete target[key];
+    }
+    Object.assign(target, copy);
+};
+
+// Loads mod packs at startup. A pack is a folder under public/mods with a
+// mod.json manifest and its sprites; public/mods/index.json lists the packs to load.
+// A manifest can add resource types, buildings, production recipes and starting
+// resources:
+//
+//   {
+//     "name": "Fishing",
+//     "version": "1.0.0",
+//     "resources": [{ "type": "fish", "name": "Fish" }],
+//     "buildings": [{ "type": "fishery", "name": "Fishery", "cost": { "plank": 5 },
+//                     "sprite": { "path": "fishery.png" }, "inBuildMenu": true }],
+//     "recipes": [{ "building": "fishery", "produces": { "type": "fish", "rate": 1 } }],
+//     "startingResources": { "fish": 5 }
+//   }
+//
+// Buildings take the same fields as BuildingRegistry.register; sprite paths are
+// relative to the pack folder. A recipe sets what a building, from this pack or
+// an earlier one, produces and consumes. Each pack is checked as a whole and only
+// applied if it has no errors, so a broken pack never leaves the game half-modded.
+// Packs change the shared ResourceType, resourceNames and STARTING_RESOURCES
+// objects and the building registry; reset puts the game's own back.
+export class ModLoader {
+    constructor(registry = buildingRegistry, baseUrl = MODS.BASE_URL) {
+        this.registry = registry;
+        this.baseUrl = baseUrl;
+
+        // The game without packs, for reset
+        this.defaults = {
+            resourceTypes: { ...ResourceType },
+            resourceNames: { ...resourceNames },
+            startingResources: { ...STARTING_RESOURCES },
+            buildings: registry.getAll()
+        };
+
+        // Packs that were applied: { id, name, version }
+        this.loaded = [];
+
+        // Problems found while loading: { mod, message }
+        this.errors = [];
+    }
+
+    // Load every pack listed in the index, in place of any loaded before.
+    // Failing packs are skipped and reported in errors; the others still load.
+    async loadAll() {
+        this.reset();
+
+        let ids;
+        try {
+            ids = await this._fetchIndex();
+        } catch (error) {
+            this._reportError(null, error.message);
+            return this.loaded;
+        }
+
+        for (const id of ids) {
+            await this.loadPack(id);
+        }
+
+        if (this.loaded.length > 0) {
+            log.info(`Loaded mods: ${this.loaded.map(mod => `${mod.name} ${mod.version}`).join(', ')}`);
+        }
+        return this.loaded;
+    }
+
+    // Fetch, check and apply one pack. Returns true if it was applied.
+    async loadPack(id) {
+        let manifest;
+        try {
+            manifest = await this._fetchJson(`${this.baseUrl}${id}/${MODS.MANIFEST_FILE}`);
+        } catch (error) {
+            this._reportError(id, error.message);
+            return false;
+        }
+
+        return this.applyManifest(id, manifest);
+    }
+
+    // Check a parsed manifest and apply it if it's valid. Returns true if it was applied.
+    applyManifest(id, manifest) {
+        const problems = [];
+        const pack = this._checkManifest(id, manifest, problems);
+
+        if (problems.length > 0) {
+            for (const problem of problems) {
+                this._reportError(id, problem);
+            }
+            return false;
+        }
+
+        this._apply(pack);
+        this.loaded.push({ id, name: pack.name, version: pack.version });
+        return true;
+    }
+
+    // Remove every pack: their resources, buildings, recipes and starting resources
+    reset() {
+        restoreEntries(ResourceType, this.defaults.resourceTypes);
+        restoreEntries(resourceNames, this.defaults.resourceNames);
+        restoreEntries(STARTING_RESOURCES, this.defaults.startingResources);
+        this.registry.restore(this.defaults.buildings);
+
+        this.loaded = [];
+        this.errors = [];
+    }
+
+    isLoaded(id) {
+        return this.loaded.some(mod => mod.id === id);
+    }
+
+    // Throw a readable Error if any of the given mod ids isn't loaded, e.g. for
+    // a save file that was made with mods
+    checkRequired(ids = [], what = 'This game') {
+        const missing = ids.filter(id => !this.isLoaded(id));
+        if (missing.length > 0) {
+            throw new Error(`${what} needs mods that aren't loaded: ${missing.join(', ')}`);
+        }
+    }
+
+    async _fetchIndex() {
+        const index = await this._fetchJson(`${this.baseUrl}${MODS.INDEX_FILE}`, true);
+        if (index === null) return [];
+
+        if (!Array.isArray(index.mods) || index.mods.some(id => typeof id !== 'string')) {
+            throw new Error(`${MODS.INDEX_FILE} needs a "mods" list of pack folder names`);
+        }
+        return index.mods;
+    }
+
+    // Fetch and parse a JSON file. With optional, a missing file gives null instead of an error.
+    async _fetchJson(url, optional = false) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new Error(`Could not fetch ${url}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            if (optional && response.status === 404) return null;
+            throw new Error(`Could not fetch ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${url} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    // Validate a manifest, collecting every problem instead of stopping at the first.
+    // Returns the pack with normalized building definitions.
+    _checkManifest(id, manifest, problems) {
+        const pack = {
+            name: id,
+            version: '0.0.0',
+            resources: [],
+            buildings: [],
+            recipes: [],
+            startingResources: {}
+        };
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            problems.push('manifest must be a JSON object');
+            return pack;
+        }
+
+        if (typeof manifest.name === 'string' && manifest.name !== '') pack.name = manifest.name;
+        if (typeof manifest.version === 'string') pack.version = manifest.version;
+
+        // New resource types
+        const newResources = [];
+        this._list(manifest, 'resources', problems).forEach((resource, i) => {
+            const where = `resources[${i}]`;
+            if (!resource || typeof resource.type !== 'string' || !RESOURCE_TYPE_PATTERN.test(resource.type)) {
+                problems.push(`${where}: type must be lowercase letters, digits and underscores`);
+                return;
+            }
+            if (Object.values(ResourceType).includes(resource.type) || newResources.includes(resource.type)) {
+                problems.push(`${where}: resource ${resource.type} already exists`);
+                return;
+            }
+            newResources.push(resource.type);
+            pack.resources.push({
+                type: resource.type,
+                name: typeof resource.name === 'string' ? resource.name : resource.type
+            });
+        });
+
+        const knownResources = [...Object.values(ResourceType), ...newResources];
+
+        // New buildings
+        const newBuildings = [];
+        this._list(manifest, 'buildings', problems).forEach((building, i) => {
+            const type = building && building.type;
+            const where = `buildings[${i}]${type ? ` (${type})` : ''}`;
+            if (this.registry.has(type) || newBuildings.includes(type)) {
+                problems.push(`${where}: building ${type} already exists`);
+                return;
+            }
+
+            try {
+                const definition = { ...building };
+                if (definition.sprite && typeof definition.sprite.path === 'string') {
+                    definition.sprite = { ...definition.sprite, path: this._resolvePath(id, definition.sprite.path) };
+                }
+                pack.buildings.push(this.registry.validate(definition, newResources));
+                newBuildings.push(type);
+            } catch (error) {
+                problems.push(`${where}: ${error.message}`);
+            }
+        });
+
+        // Recipes for new or existing buildings
+        this._list(manifest, 'recipes', problems).forEach((recipe, i) => {
+            const where = `recipes[${i}]`;
+            if (!recipe || typeof recipe.building !== 'string') {
+                problems.push(`${where}: needs a building type`);
+                return;
+            }
+
+            const base = pack.buildings.find(b => b.type === recipe.building) ||
+                this.registry.get(recipe.building);
+            if (!base) {
+                problems.push(`${where}: unknown building ${recipe.building}`);
+                return;
+            }
+
+            try {
+                const definition = this.registry.validate({
+                    ...base,
+                    recipe: { produces: recipe.produces || null, consumes: recipe.consumes || null }
+                }, newResources);
+                pack.recipes.push({ building: recipe.building, recipe: definition.recipe });
+            } catch (error) {
+                problems.push(`${where}: ${error.message}`);
+            }
+        });
+
+        // Starting resources
+        const startingResources = manifest.startingResources || {};
+        if (typeof startingResources !== 'object' || Array.isArray(startingResources)) {
+            problems.push('startingResources must be an object of resource amounts');
+        } else {
+            for (const [type, amount] of Object.entries(startingResources)) {
+                if (!knownResources.includes(type)) {
+                    problems.push(`startingResources: unknown resource ${type}`);
+                } else if (!Number.isInteger(amount) || amount < 0) {
+                    problems.push(`startingResources: ${type} must be a whole number of at least 0`);
+                } else {
+                    pack.startingResources[type] = amount;
+                }
+            }
+        }
+
+        return pack;
+    }
+
+    // An optional list field of the manifest
+    _list(manifest, field, problems) {
+        const value = manifest[field];
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            problems.push(`${field} must be a list`);
+            return [];
+        }
+        return value;
+    }
+
+    // Sprite paths are relative to the pack folder, unless absolute
+    _resolvePath(id, path) {
+        if (path.startsWith('/') || /^[a-z]+:/i.test(path)) return path;
+        return `${this.baseUrl}${id}/${path}`;
+    }
+
+    _apply(pack) {
+        for (const resource of pack.resources) {
+            ResourceType[resource.type.toUpperCase()] = resource.type;
+            resourceNames[resource.type] = resource.name;
+        }
+
+        for (const definition of pack.buildings) {
+            this.registry.register(definition);
+        }
+
+        for (const { building, recipe } of pack.recipes) {
+            this.registry.register({ ...this.registry.get(building), recipe });
+        }
+
+        Object.assign(STARTING_RESOURCES, pack.startingResources);
+    }
+
+    _reportError(mod, message) {
+        this.errors.push({ mod, message });
+        log.error(mod ? `Mod ${mod}: ${message}` : `Mods: ${message}`);
+    }
+}
+
+// The loader the game uses; saves and replays check their mods against it
+export const modLoader = new ModLoader();
@@ -0,0 +1,88 @@
+import { World } from './World.js';
+import { REPLAY } from '../utils/Constants.js';
+import { modLoader } from './ModLoader.js';
+
+// Records a session as its starting point plus the player commands applied to it,
+// and plays such a recording back. The simulation is deterministic, so applying
+// the same commands on the same ticks reproduces the session exactly.
+// A session starts either from a seed (a new game) or from a loaded save.
+export class ReplayManager {
+    constructor(saveManager) {
+        this.saveManager = saveManager;
+    }
+
+    // Build a replay of the world's session so far. startSave is the save the
+    // session was loaded from, or null if it started as a new game.
+    createReplay(world, startSave = null) {
+        return {
+            format: REPLAY.FORMAT,
+            version: REPLAY.VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: world.seed,
+            size: { ...world.size },
+            mods: modLoader.loaded.map(mod => mod.id),
+            startSave,
+            endTick: world.clock.tick,
+            commands: [...world.commands.log]
+        };
+    }
+
+    // Validate a replay (object or JSON text).
+    // Throws an Error with a readable message if the replay can't be used.
+    parseReplay(input) {
+        let replay = input;
+
+        if (typeof input === 'string') {
+            try {
+                replay = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Replay file is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!replay || replay.format !== REPLAY.FORMAT) {
+            throw new Error('Not an Isometric Settlers replay file');
+        }
+
+        if (replay.version !== REPLAY.VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version} (this game reads version ${REPLAY.VERSION})`);
+        }
+
+        if (!Array.isArray(replay.commands) || typeof replay.endTick !== 'number') {
+            throw new Error('Replay file is missing its command log');
+        }
+
+        if (replay.startSave) {
+            replay.startSave = this.saveManager.parseSave(replay.startSave);
+        } else if (replay.seed === undefined || !replay.size) {
+            throw new Error('Replay file is missing its seed');
+        }
+
+        modLoader.checkRequired(replay.mods, 'This replay');
+
+        return replay;
+    }
+
+    // Recreate the world the replay started from, set up to play back its commands.
+    // options are passed to the World constructor, like SaveManager.restoreWorld.
+    restoreWorld(input, options = {}) {
+        const replay = this.parseReplay(input);
+
+        let world;
+        if (replay.startSave) {
+            world = this.saveManager.restoreWorld(replay.startSave, options);
+        } else {
+            world = new World({ ...options, seed: replay.seed, size: replay.size });
+            world.clock.tick = 0;
+            world.resourceManager.reset();
+            world.init();
+        }
+
+        world.commands.startReplay(replay.commands, replay.endTick);
+        return world;
+    }
+
+    toJSON(replay) {
+        return JSON.stringify(replay);
+    }
+}
@@ -1,21 +1,25 @@
-import { ResourceType } from '../utils/Enums.js';
+import { ResourceType, GameEvent } from '../utils/Enums.js';
+import { EventBus } from './EventBus.js';
+import { STARTING_RESOURCES } from '../utils/Constants.js';
 
 export class ResourceManager {
-    constructor() {
-        // Initialize resources with starting values
-        this.resources = {
-            [ResourceType.WOOD]: 20,
-            [ResourceType.STONE]: 10,
-            [ResourceType.IRON_ORE]: 0,
-            [ResourceType.IRON]: 0,
-            [ResourceType.PLANK]: 10,
-            [ResourceType.WHEAT]: 0,
-            [ResourceType.FLOUR]: 0,
-            [ResourceType.BREAD]: 10,
-            [ResourceType.MEAT]: 5
-        };
+    constructor(events = new EventBus()) {
+        // Every change is published as a resourceChanged event
+        this.events = events;
         
-        this.listeners = [];
+        this.resources = {};
+        
+        this.reset();
+    }
+    
+    // Set resources back to the starting values of a new game, or to the given
+    // starting stock (e.g. a scenario's)
+    reset(startingResources = STARTING_RESOURCES) {
+        const resources = {};
+        for (const type of Object.values(ResourceType)) {
+            resources[type] = startingResources[type] || 0;
+        }
+        this._replaceAll(resources);
     }
     
     getResource(type) {
@@ -28,7 +32,7 @@ export class ResourceManager {
         }
         
         this.resources[type] += amount;
-        this._notifyListeners();
+        this._emitChange(type, amount);
         return true;
     }
     
@@ -38,7 +42,7 @@ export class ResourceManager {
         }
         
         this.resources[type] -= amount;
-        this._notifyListeners();
+        this._emitChange(type, -amount);
         return true;
     }
     
@@ -64,27 +68,51 @@ export class ResourceManager {
         
         for (const [type, amount] of Object.entries(requirements)) {
             this.resources[type] -= amount;
+            this._emitChange(type, -amount);
         }
         
-        this._notifyListeners();
         return true;
     }
     
-    addListener(callback) {
-        this.listeners.push(callback);
+    // Add several resources at once, e.g. a refund
+    addResources(amounts) {
+        for (const [type, amount] of Object.entries(amounts)) {
+            this.resources[type] = (this.resources[type] || 0) + amount;
+            this._emitChange(type, amount);
+        }
     }
     
-    removeListener(callback) {
-        this.listeners = this.listeners.filter(listener => listener !== callback);
+    _emitChange(type, delta) {
+        this.events.emit(GameEvent.RESOURCE_CHANGED, {
+            resourceType: type,
+            amount: this.resources[type],
+            delta
+        });
     }
     
-    _notifyListeners() {
-        for (const listener of this.listeners) {
-            listener(this.resources);
+    // Swap in a whole new set of totals, publishing the difference for each type
+    _replaceAll(resources) {
+        const previous = this.resources;
+        this.resources = { ...resources };
+        
+        const types = new Set([...Object.keys(previous), ...Object.keys(this.resources)]);
+        for (const type of types) {
+            if (!(type in this.resources)) {
+                this.resources[type] = 0;
+            }
+            this._emitChange(type, this.resources[type] - (previous[type] || 0));
         }
     }
     
     getAllResources() {
         return { ...this.resources };
     }
+    
+    serialize() {
+        return this.getAllResources();
+    }
+    
+    restore(resources) {
+        this._replaceAll(resources);
+    }
 }
\ No newline at end of file
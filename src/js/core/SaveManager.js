@@ -0,0 +1,227 @@
+import { World } from './World.js';
+import { SAVE } from '../utils/Constants.js';
+import { modLoader } from './ModLoader.js';
+import { logger } from '../utils/Logger.js';
+import { LogCategory } from '../utils/Enums.js';
+import { defaultDepositFor } from '../utils/MapGen.js';
+import { encodeRuns, decodeRuns, encodeFloat64, decodeFloat32 } from '../utils/Encoding.js';
+
+const log = logger.channel(LogCategory.GAME);
+
+// The most recently saved of a list of { slot, info }, or null if they're all empty
+const latestSave = (slots) => slots
+    .filter(({ info }) => info)
+    .reduce((latest, entry) =>
+        !latest || entry.info.savedAt > latest.info.savedAt ? entry : latest, null);
+
+// Turns a World into a versioned save object and back, and keeps saves in
+// localStorage slots. Doesn't touch the DOM, so it also works headless
+// (with a storage object passed in, or without slots at all).
+export class SaveManager {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage || null;
+
+        // Upgrades from older save versions, keyed by the version they upgrade from
+        this.migrations = {
+            // Version 2 stores heights as 64-bit floats, so loading gives back the exact world
+            1: (save) => {
+                save.world.terrain.heights = encodeFloat64(decodeFloat32(save.world.terrain.heights));
+                return { ...save, version: 2 };
+            },
+            // Version 3 added resource deposits; older maps get the default ones for their terrain
+            2: (save) => {
+                const deposits = decodeRuns(save.world.terrain.types).map(type => defaultDepositFor(type));
+                save.world.terrain.depositTypes = encodeRuns(deposits.map(deposit => deposit ? deposit.type : null));
+                save.world.terrain.depositAmounts = encodeFloat64(deposits.map(deposit => deposit ? deposit.amount : 0));
+                return { ...save, version: 3 };
+            }
+        };
+    }
+
+    // Build a save object for the current state of the world
+    createSave(world, name = '') {
+        return {
+            format: SAVE.FORMAT,
+            version: SAVE.VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            mods: modLoader.loaded.map(mod => mod.id),
+            world: world.serialize()
+        };
+    }
+
+    // Validate a save (object or JSON text) and upgrade it to the current version.
+    // Throws an Error with a readable message if the save can't be used.
+    parseSave(input) {
+        let save = input;
+
+        if (typeof input === 'string') {
+            try {
+                save = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Save file is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!save || save.format !== SAVE.FORMAT) {
+            throw new Error('Not an Isometric Settlers save file');
+        }
+
+        if (typeof save.version !== 'number' || save.version > SAVE.VERSION) {
+            throw new Error(`Unsupported save version ${save.version} (this game reads up to ${SAVE.VERSION})`);
+        }
+
+        while (save.version < SAVE.VERSION) {
+            const migrate = this.migrations[save.version];
+            if (!migrate) {
+                throw new Error(`No migration from save version ${save.version}`);
+            }
+            save = migrate(save);
+        }
+
+        if (!save.world || !save.world.terrain || !save.world.size) {
+            throw new Error('Save file is missing world data');
+        }
+
+        // Its buildings and resources may come from mod packs
+        modLoader.checkRequired(save.mods, 'This save');
+
+        return save;
+    }
+
+    // Create a World from a save. options are passed to the World constructor,
+    // e.g. to keep using the game's ResourceManager and SimulationClock.
+    restoreWorld(input, options = {}) {
+        const save = this.parseSave(input);
+        const world = new World({ ...options, seed: save.world.seed, size: save.world.size });
+        world.restore(save.world);
+        return world;
+    }
+
+    toJSON(save) {
+        return JSON.stringify(save);
+    }
+
+    // localStorage slots. Each slot has the save itself plus a small metadata
+    // entry, so listing the slots doesn't parse every save.
+
+    saveToSlot(slot, world, name = `Slot ${slot}`) {
+        const storage = this._getStorage();
+        const save = this.createSave(world, name);
+        const info = {
+            name,
+            savedAt: save.savedAt,
+            tick: save.world.tick,
+            seed: save.world.seed
+        };
+
+        try {
+            storage.setItem(this._slotKey(slot), this.toJSON(save));
+            storage.setItem(this._slotKey(slot, 'info'), JSON.stringify(info));
+        } catch (error) {
+            // Most likely the storage quota; don't leave a half-written slot behind
+            storage.removeItem(this._slotKey(slot));
+            storage.removeItem(this._slotKey(slot, 'info'));
+            throw new Error(`Could not save to slot ${slot}: ${error.message}`);
+        }
+
+        log.info(`Game saved to slot ${slot}`);
+        return info;
+    }
+
+    loadFromSlot(slot) {
+        const json = this._getStorage().getItem(this._slotKey(slot));
+        if (json === null) {
+            throw new Error(`Slot ${slot} is empty`);
+        }
+        return this.parseSave(json);
+    }
+
+    // Autosaves rotate through their own ring of slots, named autosave-1, autosave-2, ...
+    // The next autosave goes to an empty slot, or overwrites the oldest one.
+    autosave(world) {
+        const autosaves = this.listAutosaves();
+        const target = autosaves.find(({ info }) => !info) ||
+            autosaves.reduce((oldest, entry) =>
+                entry.info.savedAt < oldest.info.savedAt ? entry : oldest
+            );
+
+        return this.saveToSlot(target.slot, world, 'Autosave');
+    }
+
+    listAutosaves() {
+        const slots = [];
+        for (let i = 1; i <= SAVE.AUTOSAVE_SLOT_COUNT; i++) {
+            const slot = `autosave-${i}`;
+            slots.push({ slot, info: this.getSlotInfo(slot) });
+        }
+        return slots;
+    }
+
+    // The most recent autosave ({ slot, info }), or null if there is none
+    getLatestAutosave() {
+        return latestSave(this.listAutosaves());
+    }
+
+    // The most recent save in any slot, autosaves included, or null
+    getLatestSave() {
+        return latestSave([...this.listSlots(), ...this.listAutosaves()]);
+    }
+
+    // Crash detection: a marker is stored while a game runs and removed when the
+    // page closes normally. Finding it on startup means the last session was cut short.
+
+    wasSessionInterrupted() {
+        return this.storage !== null && this.storage.getItem(SAVE.SESSION_KEY) !== null;
+    }
+
+    startSession() {
+        if (!this.storage) return;
+        this.storage.setItem(SAVE.SESSION_KEY, new Date().toISOString());
+    }
+
+    endSession() {
+        if (!this.storage) return;
+        this.storage.removeItem(SAVE.SESSION_KEY);
+    }
+
+    // Metadata for a slot, or null if it's empty
+    getSlotInfo(slot) {
+        if (!this.storage) return null;
+
+        const json = this.storage.getItem(this._slotKey(slot, 'info'));
+        if (json === null) return null;
+
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            log.error(`Corrupt metadata in save slot ${slot}`, error);
+            return null;
+        }
+    }
+
+    listSlots() {
+        const slots = [];
+        for (let slot = 1; slot <= SAVE.SLOT_COUNT; slot++) {
+            slots.push({ slot, info: this.getSlotInfo(slot) });
+        }
+        return slots;
+    }
+
+    deleteSlot(slot) {
+        const storage = this._getStorage();
+        storage.removeItem(this._slotKey(slot));
+        storage.removeItem(this._slotKey(slot, 'info'));
+    }
+
+    _slotKey(slot, suffix = '') {
+        return `${SAVE.STORAGE_PREFIX}${slot}${suffix ? `.${suffix}` : ''}`;
+    }
+
+    _getStorage() {
+        if (!this.storage) {
+            throw new Error('Local storage is not available');
+        }
+        return this.storage;
+    }
+}
@@ -0,0 +1,423 @@
+import { World } from './World.js';
+import { buildingRegistry } from './BuildingRegistry.js';
+import { modLoader } from './ModLoader.js';
+import { TerrainType, ResourceType, SettlerType } from '../utils/Enums.js';
+import { SCENARIO, STARTING_RESOURCES, MAP } from '../utils/Constants.js';
+
+// Default characters for terrain rows; a scenario can add or override them in terrain.legend
+const TERRAIN_LEGEND = {
+    g: TerrainType.GRASS,
+    f: TerrainType.FOREST,
+    w: TerrainType.WATER,
+    m: TerrainType.MOUNTAIN,
+    s: TerrainType.STONE,
+    d: TerrainType.SAND,
+    n: TerrainType.SNOW
+};
+
+// Settler types World can create (see World._createSettler)
+const SCENARIO_SETTLERS = [SettlerType.PORTER, SettlerType.BUILDER];
+
+// Scenarios describe how a game starts instead of the default warehouse at the
+// map center with 3 porters and 2 builders. A scenario file looks like:
+//
+//   {
+//     "format": "isometric-settlers-scenario",
+//     "version": 1,
+//     "name": "Lakeside",
+//     "description": "Shown when the scenario is loaded",
+//     "size": { "width": 64, "height": 64 },
+//     "seed": "lakeside",
+//     "terrain": { "rows": ["ggggffww", ...], "legend": { "t": "forest" }, "height": 1,
+//                  "heights": [[1, 1.5, ...], ...], "deposits": [{ "x": 4, "y": 0, "type": "wood", "amount": 20 }] },
+//     "buildings": [{ "type": "warehouse", "x": 30, "y": 30, "level": 1 }],
+//     "constructions": [{ "type": "woodcutter", "x": 35, "y": 31 }],
+//     "settlers": [{ "type": "porter", "x": 31, "y": 32, "count": 3 }],
+//     "resources": { "wood": 20, "plank": 10 },
+//     "allowedBuildings": ["woodcutter"],
+//     "start": { "x": 30, "y": 30 },
+//     "mods": ["example-fishing"]
+//   }
+//
+// Everything but format and version is optional. Without terrain rows the map is
+// generated from the seed; the seed also drives the simulation's randomness.
+// Rows use one character per tile (see TERRAIN_LEGEND). All tiles are at
+// terrain.height unless terrain.heights gives each tile's height, row by row.
+// terrain.deposits lists every deposit on the map; without it tiles get the
+// usual deposits of their terrain type. Buildings and
+// constructions clear their footprint to grass. Resources not listed start at 0;
+// without a resources entry the usual starting stock is used. allowedBuildings
+// limits what the player can build; leave it out to allow everything. start is
+// where the camera opens, by default the first storage building.
+export class ScenarioManager {
+    // Validate a scenario (object or JSON text) and fill in its defaults.
+    // Throws an Error listing every problem if the scenario can't be used.
+    parseScenario(input) {
+        let data = input;
+
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Scenario file is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!data || data.format !== SCENARIO.FORMAT) {
+            throw new Error('Not an Isometric Settlers scenario file');
+        }
+
+        if (data.version !== SCENARIO.VERSION) {
+            throw new Error(`Unsupported scenario version ${data.version} (this game reads version ${SCENARIO.VERSION})`);
+        }
+
+        // Buildings and resources may come from mod packs
+        modLoader.checkRequired(data.mods, 'This scenario');
+
+        const problems = [];
+        const scenario = {
+            name: typeof data.name === 'string' ? data.name : 'Scenario',
+            description: typeof data.description === 'string' ? data.description : '',
+            seed: data.seed ?? null,
+            size: null,
+            terrain: null,
+            buildings: [],
+            constructions: [],
+            settlers: [],
+            resources: { ...STARTING_RESOURCES },
+            allowedBuildings: null,
+            start: null
+        };
+
+        if (scenario.seed !== null && typeof scenario.seed !== 'number' && typeof scenario.seed !== 'string') {
+            problems.push('seed must be a number or a string');
+            scenario.seed = null;
+        }
+
+        if (data.size !== undefined) {
+            const { width, height } = data.size || {};
+            if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+                problems.push('size needs a whole number width and height');
+            } else {
+                scenario.size = { width, height };
+            }
+        }
+
+        if (data.terrain !== undefined) {
+            scenario.terrain = this._parseTerrain(data.terrain, problems);
+            if (scenario.terrain) {
+                const size = {
+                    width: scenario.terrain.types[0].length,
+                    height: scenario.terrain.types.length
+                };
+                if (scenario.size && (scenario.size.width !== size.width || scenario.size.height !== size.height)) {
+                    problems.push(`terrain is ${size.width}x${size.height} tiles but size is ${scenario.size.width}x${scenario.size.height}`);
+                }
+                scenario.size = size;
+            }
+        }
+
+        // Positions are checked against the size the world will have
+        const size = scenario.size || MAP.DEFAULT_SIZE;
+
+        // Tiles taken by buildings and constructions so far, as "x,y"
+        const occupied = new Set();
+
+        this._list(data, 'buildings', problems).forEach((entry, i) => {
+            const where = `buildings[${i}]`;
+            const definition = this._checkBuildingType(entry, where, problems);
+            if (!definition || !this._checkArea(entry, definition.size, size, where, problems)) return;
+            if (!this._occupy(entry, definition.size, occupied, where, problems)) return;
+
+            const level = entry.level ?? 1;
+            if (!Number.isInteger(level) || level < 1) {
+                problems.push(`${where}: level must be a whole number of at least 1`);
+                return;
+            }
+            scenario.buildings.push({ type: entry.type, x: entry.x, y: entry.y, level });
+        });
+
+        this._list(data, 'constructions', problems).forEach((entry, i) => {
+            const where = `constructions[${i}]`;
+            const definition = this._checkBuildingType(entry, where, problems);
+            if (!definition || !this._checkArea(entry, definition.size, size, where, problems)) return;
+            if (!this._occupy(entry, definition.size, occupied, where, problems)) return;
+
+            scenario.constructions.push({ type: entry.type, x: entry.x, y: entry.y });
+        });
+
+        this._list(data, 'settlers', problems).forEach((entry, i) => {
+            const where = `settlers[${i}]`;
+            if (!entry || !SCENARIO_SETTLERS.includes(entry.type)) {
+                problems.push(`${where}: settler type must be one of ${SCENARIO_SETTLERS.join(', ')}`);
+                return;
+            }
+            if (!this._checkArea(entry, { width: 1, height: 1 }, size, where, problems)) return;
+
+            const count = entry.count ?? 1;
+            if (!Number.isInteger(count) || count < 1) {
+                problems.push(`${where}: count must be a whole number of at least 1`);
+                return;
+            }
+            for (let n = 0; n < count; n++) {
+                scenario.settlers.push({ type: entry.type, x: entry.x, y: entry.y });
+            }
+        });
+
+        if (data.resources !== undefined) {
+            scenario.resources = {};
+            for (const [type, amount] of Object.entries(data.resources || {})) {
+                if (!Object.values(ResourceType).includes(type)) {
+                    problems.push(`resources: unknown resource ${type}`);
+                } else if (!Number.isInteger(amount) || amount < 0) {
+                    problems.push(`resources: ${type} must be a whole number of at least 0`);
+                } else {
+                    scenario.resources[type] = amount;
+                }
+            }
+        }
+
+        if (data.allowedBuildings !== undefined) {
+            scenario.allowedBuildings = [];
+            this._list(data, 'allowedBuildings', problems).forEach(type => {
+                if (!buildingRegistry.has(type)) {
+                    problems.push(`allowedBuildings: unknown building type ${type}`);
+                } else {
+                    scenario.allowedBuildings.push(type);
+                }
+            });
+        }
+
+        if (data.start !== undefined) {
+            if (this._checkArea(data.start, { width: 1, height: 1 }, size, 'start', problems)) {
+                scenario.start = { x: data.start.x, y: data.start.y };
+            }
+        }
+
+        if (problems.length > 0) {
+            const label = typeof data.name === 'string' ? `Scenario "${data.name}"` : 'Scenario';
+            throw new Error(`${label} is invalid: ${problems.join('; ')}`);
+        }
+
+        return scenario;
+    }
+
+    // Create a World set up from a scenario returned by parseScenario. options are
+    // passed to the World constructor, like SaveManager.restoreWorld.
+    createWorld(scenario, options = {}) {
+        const world = new World({
+            ...options,
+            seed: scenario.seed ?? undefined,
+            size: scenario.size || undefined
+        });
+        world.clock.tick = 0;
+        world.init(scenario);
+        return world;
+    }
+
+    // A scenario file (as an object) that starts like the world does now: its
+    // terrain, heights and deposits, buildings, construction sites, settlers,
+    // stock and camera start. Used to save maps made in the map editor.
+    createScenario(world, info = {}) {
+        const charByType = {};
+        for (const [char, type] of Object.entries(TERRAIN_LEGEND)) {
+            charByType[type] = char;
+        }
+
+        const rows = world.terrain.map(row => row.map(tile => charByType[tile.type]).join(''));
+        const heights = world.terrain.map(row => row.map(tile => tile.height));
+
+        const deposits = [];
+        world.terrain.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile.deposit) {
+                deposits.push({ x, y, type: tile.deposit.type, amount: tile.deposit.amount });
+            }
+        }));
+
+        // Settlers on the same tile are listed once, with a count
+        const settlers = new Map();
+        for (const settler of world.settlers) {
+            if (!SCENARIO_SETTLERS.includes(settler.type)) continue;
+
+            const { x, y } = settler.position;
+            const key = `${settler.type},${x},${y}`;
+            const entry = settlers.get(key) || { type: settler.type, x, y, count: 0 };
+            entry.count++;
+            settlers.set(key, entry);
+        }
+
+        const scenario = {
+            format: SCENARIO.FORMAT,
+            version: SCENARIO.VERSION,
+            name: info.name || 'Custom map',
+            description: info.description || '',
+            size: { ...world.size },
+            seed: world.seed,
+            terrain: { rows, heights, deposits },
+            buildings: world.buildings.map(building => ({
+                type: building.type,
+                x: building.position.x,
+                y: building.position.y,
+                level: building.level
+            })),
+            constructions: world.constructions.map(construction => ({
+                type: construction.targetBuildingType,
+                x: construction.position.x,
+                y: construction.position.y
+            })),
+            settlers: [...settlers.values()],
+            resources: { ...world.resourceManager.getAllResources() }
+        };
+
+        if (world.allowedBuildings) {
+            scenario.allowedBuildings = [...world.allowedBuildings];
+        }
+        if (world.startPosition) {
+            scenario.start = { ...world.startPosition };
+        }
+        if (modLoader.loaded.length > 0) {
+            scenario.mods = modLoader.loaded.map(mod => mod.id);
+        }
+        return scenario;
+    }
+
+    // Terrain rows to a grid of terrain types
+    _parseTerrain(terrain, problems) {
+        if (!terrain || !Array.isArray(terrain.rows) || terrain.rows.length === 0) {
+            problems.push('terrain needs a list of rows');
+            return null;
+        }
+
+        const legend = { ...TERRAIN_LEGEND, ...terrain.legend };
+        for (const [char, type] of Object.entries(legend)) {
+            if (char.length !== 1 || !Object.values(TerrainType).includes(type)) {
+                problems.push(`terrain.legend: ${char} must be a single character for a terrain type`);
+                return null;
+            }
+        }
+
+        const height = terrain.height ?? 1.0;
+        if (typeof height !== 'number') {
+            problems.push('terrain.height must be a number');
+            return null;
+        }
+
+        const width = terrain.rows[0].length;
+        const types = [];
+        for (let y = 0; y < terrain.rows.length; y++) {
+            const row = terrain.rows[y];
+            if (typeof row !== 'string' || row.length !== width) {
+                problems.push(`terrain.rows[${y}] must be a string of ${width} tiles like the first row`);
+                return null;
+            }
+
+            const rowTypes = [];
+            for (let x = 0; x < row.length; x++) {
+                const type = legend[row[x]];
+                if (!type) {
+                    problems.push(`terrain.rows[${y}]: unknown terrain character "${row[x]}" at column ${x}`);
+                    return null;
+                }
+                rowTypes.push(type);
+            }
+            types.push(rowTypes);
+        }
+
+        const heights = terrain.heights !== undefined ?
+            this._parseHeights(terrain.heights, width, types.length, problems) : null;
+        const deposits = terrain.deposits !== undefined ?
+            this._parseDeposits(terrain.deposits, width, types.length, problems) : null;
+
+        return { types, height, heights, deposits };
+    }
+
+    // A height for every tile, as rows of numbers
+    _parseHeights(heights, width, height, problems) {
+        if (!Array.isArray(heights) || heights.length !== height) {
+            problems.push(`terrain.heights needs a row of heights for each of the ${height} terrain rows`);
+            return null;
+        }
+
+        for (let y = 0; y < height; y++) {
+            const row = heights[y];
+            if (!Array.isArray(row) || row.length !== width || !row.every(value => typeof value === 'number' && value >= 0)) {
+                problems.push(`terrain.heights[${y}] must be a list of ${width} numbers of at least 0`);
+                return null;
+            }
+        }
+        return heights;
+    }
+
+    _parseDeposits(deposits, width, height, problems) {
+        if (!Array.isArray(deposits)) {
+            problems.push('terrain.deposits must be a list');
+            return null;
+        }
+
+        const parsed = [];
+        deposits.forEach((entry, i) => {
+            const where = `terrain.deposits[${i}]`;
+            if (!this._checkArea(entry, { width: 1, height: 1 }, { width, height }, where, problems)) return;
+
+            if (!Object.values(ResourceType).includes(entry.type)) {
+                problems.push(`${where}: unknown resource ${entry.type}`);
+            } else if (typeof entry.amount !== 'number' || entry.amount <= 0) {
+                problems.push(`${where}: amount must be a number above 0`);
+            } else {
+                parsed.push({ x: entry.x, y: entry.y, type: entry.type, amount: entry.amount });
+            }
+        });
+        return parsed;
+    }
+
+    _checkBuildingType(entry, where, problems) {
+        const definition = entry && buildingRegistry.get(entry.type);
+        if (!definition) {
+            problems.push(`${where}: unknown building type ${entry && entry.type}`);
+        }
+        return definition;
+    }
+
+    // Whether a footprint at entry.x, entry.y lies inside the map
+    _checkArea(entry, footprint, size, where, problems) {
+        const { x, y } = entry || {};
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            problems.push(`${where}: needs whole number x and y tile coordinates`);
+            return false;
+        }
+        if (x < 0 || y < 0 || x + footprint.width > size.width || y + footprint.height > size.height) {
+            problems.push(`${where}: (${x}, ${y}) is outside the ${size.width}x${size.height} map`);
+            return false;
+        }
+        return true;
+    }
+
+    // Mark a footprint as taken, unless another building already has one of its tiles
+    _occupy(entry, footprint, occupied, where, problems) {
+        const tiles = [];
+        for (let y = entry.y; y < entry.y + footprint.height; y++) {
+            for (let x = entry.x; x < entry.x + footprint.width; x++) {
+                tiles.push(`${x},${y}`);
+            }
+        }
+
+        if (tiles.some(tile => occupied.has(tile))) {
+            problems.push(`${where}: (${entry.x}, ${entry.y}) overlaps another building`);
+            return false;
+        }
+
+        tiles.forEach(tile => occupied.add(tile));
+        return true;
+    }
+
+    // An optional list field
+    _list(data, field, problems) {
+        const value = data[field];
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            problems.push(`${field} must be a list`);
+            return [];
+        }
+        return value;
+    }
+}
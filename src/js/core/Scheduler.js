@@ -0,0 +1,94 @@
+import { LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.WORLD);
+
+// Tick-based scheduler for delayed simulation actions (retries, path steps).
+// Tasks run inside World.update on the tick they're due, so they pause, speed up
+// and stay deterministic together with the rest of the simulation. A task names
+// a method on its owner entity instead of holding a closure, so the queue can be
+// written to a save file and restored.
+export class Scheduler {
+    constructor(clock) {
+        this.clock = clock;
+
+        // Pending tasks: { id, owner, method, tick }
+        this.tasks = [];
+        this.nextTaskId = 1;
+    }
+
+    // Call owner[method]() after delay milliseconds of game time.
+    // An owner has at most one pending task per method; scheduling it again
+    // replaces the earlier one.
+    schedule(owner, method, delay) {
+        if (typeof owner[method] !== 'function') {
+            log.error(`Cannot schedule ${method}: not a method of ${owner.type || 'owner'}`);
+            return null;
+        }
+
+        this.cancel(owner, method);
+
+        const ticks = Math.max(1, Math.ceil(delay / this.clock.tickDuration));
+        const task = {
+            id: this.nextTaskId++,
+            owner,
+            method,
+            tick: this.clock.tick + ticks
+        };
+        this.tasks.push(task);
+        return task;
+    }
+
+    // Cancel the owner's pending task for a method, or all its tasks if no method is given
+    cancel(owner, method = null) {
+        this.tasks = this.tasks.filter(task =>
+            task.owner !== owner || (method !== null && task.method !== method)
+        );
+    }
+
+    isScheduled(owner, method) {
+        return this.tasks.some(task => task.owner === owner && task.method === method);
+    }
+
+    // Tasks reference their owner by entity id in save files
+    serialize() {
+        return {
+            nextTaskId: this.nextTaskId,
+            tasks: this.tasks.map(task => ({
+                id: task.id,
+                owner: task.owner.id,
+                method: task.method,
+                tick: task.tick
+            }))
+        };
+    }
+
+    // getOwner maps a saved owner id back to the restored entity
+    restore(data, getOwner) {
+        this.nextTaskId = data.nextTaskId;
+        this.tasks = [];
+
+        for (const task of data.tasks) {
+            const owner = getOwner(task.owner);
+            if (!owner || typeof owner[task.method] !== 'function') {
+                log.warn(`Dropping saved task ${task.method}: owner ${task.owner} not found`);
+                continue;
+            }
+            this.tasks.push({ id: task.id, owner, method: task.method, tick: task.tick });
+        }
+    }
+
+    // Run every task due at or before the current tick, oldest first
+    runDueTasks() {
+        const now = this.clock.tick;
+        const due = this.tasks.filter(task => task.tick <= now);
+        if (due.length === 0) return;
+
+        this.tasks = this.tasks.filter(task => task.tick > now);
+        due.sort((a, b) => a.tick - b.tick || a.id - b.id);
+
+        for (const task of due) {
+            task.owner[task.method]();
+        }
+    }
+}
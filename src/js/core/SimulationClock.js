@@ -0,0 +1,84 @@
+import { SIMULATION } from '../utils/Constants.js';
+
+// Fixed-timestep clock that drives the simulation independently of the frame rate.
+// Real elapsed time is accumulated and consumed in whole ticks of TICK_DURATION ms,
+// so the economy runs at the same pace on a 60 Hz screen, a 144 Hz screen or a
+// throttled background tab.
+export class SimulationClock {
+    constructor() {
+        this.tickDuration = SIMULATION.TICK_DURATION;
+        this.maxFrameTime = SIMULATION.MAX_FRAME_TIME;
+        this.maxTicks = SIMULATION.MAX_TICKS_PER_FRAME;
+
+        // Number of ticks simulated since the game started
+        this.tick = 0;
+
+        // Real time not yet consumed by a tick
+        this.accumulator = 0;
+        this.lastTime = null;
+
+        // Game speed multiplier - 0 means paused
+        this.speed = 1;
+    }
+
+    // Reset the reference time, e.g. when the loop (re)starts
+    reset(now) {
+        this.lastTime = now;
+        this.accumulator = 0;
+    }
+
+    // Run as many fixed ticks as the elapsed real time allows.
+    // Returns the interpolation factor (0..1) between the last two ticks.
+    // maxFrameTime and maxTicks override the limits, for callers that run late on purpose.
+    advance(now, step, maxFrameTime = this.maxFrameTime, maxTicks = this.maxTicks) {
+        if (this.lastTime === null) {
+            this.lastTime = now;
+        }
+
+        // Clamp long frames (debugger pauses, tab switches) so we don't spiral
+        const frameTime = Math.min(now - this.lastTime, maxFrameTime);
+        this.lastTime = now;
+
+        // Game speed scales how much game time passes per real millisecond
+        this.accumulator += Math.max(0, frameTime) * this.speed;
+
+        // A long catch-up is spread over several calls, so the page doesn't freeze
+        let ticks = 0;
+        while (this.accumulator >= this.tickDuration && ticks < maxTicks) {
+            step(this.tickDuration);
+            this.tick++;
+            ticks++;
+            this.accumulator -= this.tickDuration;
+        }
+        this.accumulator = Math.min(this.accumulator, SIMULATION.MAX_BACKLOG);
+
+        return this.getAlpha();
+    }
+
+    // Between ticks, or 1 while a catch-up is still behind
+    getAlpha() {
+        return Math.min(1, this.accumulator / this.tickDuration);
+    }
+
+    // Elapsed simulation time in milliseconds
+    getElapsedTime() {
+        return this.tick * this.tickDuration;
+    }
+
+    isPaused() {
+        return this.speed === 0;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    // Run a number of ticks immediately, regardless of real time and game speed.
+    // Used by headless runs that simulate as fast as possible.
+    runTicks(count, step) {
+        for (let i = 0; i < count; i++) {
+            step(this.tickDuration);
+            this.tick++;
+        }
+    }
+}
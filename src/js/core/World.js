@@ -1,25 +1,69 @@
-import * as THREE from 'three';
-import { TerrainType, VisibilityState, BuildingType, SettlerType } from '../utils/Enums.js';
-import { Warehouse } from '../entities/buildings/Warehouse.js';
-import { Woodcutter } from '../entities/buildings/Woodcutter.js';
+import { TerrainType, VisibilityState, BuildingType, SettlerType, GameEvent, LogCategory, ProfileSection } from '../utils/Enums.js';
+import { Building } from '../entities/Building.js';
 import { Construction } from '../entities/buildings/Construction.js';
 import { Porter } from '../entities/settlers/Porter.js';
 import { Builder } from '../entities/settlers/Builder.js';
 import * as MapGen from '../utils/MapGen.js';
-import { FOG_OF_WAR, buildingCosts } from '../utils/Constants.js';
+import { FOG_OF_WAR, UNDO, MAP, TERRAIN, MOVEMENT_COST } from '../utils/Constants.js';
+import { encodeRuns, decodeRuns, encodeFloat64, decodeFloat64 } from '../utils/Encoding.js';
+import { ResourceManager } from './ResourceManager.js';
+import { SimulationClock } from './SimulationClock.js';
+import { Scheduler } from './Scheduler.js';
+import { EventBus } from './EventBus.js';
+import { CommandQueue } from './CommandQueue.js';
+import { buildingRegistry } from './BuildingRegistry.js';
+import { PlaceConstructionCommand } from '../commands/PlaceConstructionCommand.js';
+import { Random } from '../utils/Random.js';
+import { logger } from '../utils/Logger.js';
+import { profiler } from '../utils/Profiler.js';
+
+const log = logger.channel(LogCategory.WORLD);
+const fogLog = logger.channel(LogCategory.FOG);
+const constructionLog = logger.channel(LogCategory.CONSTRUCTION);
+
+// Add up { resourceType: amount } maps
+const sumResources = (...amountMaps) => {
+    const total = {};
+    for (const amounts of amountMaps) {
+        for (const [type, amount] of Object.entries(amounts || {})) {
+            total[type] = (total[type] || 0) + amount;
+        }
+    }
+    return total;
+};
 
+// The simulation state: terrain, fog of war, buildings, constructions and settlers.
+// World has no dependency on Three.js or the DOM, so it also runs headless in Node.
+// Renderers observe it through addObserver (see render/WorldRenderer.js).
 export class World {
-    constructor(game) {
-        this.game = game;
-        this.scene = game.scene;
+    constructor(options = {}) {
+        // Shared game services. The event bus outlives the world when a game is
+        // loaded, so subscribers don't need to re-register.
+        this.events = options.events || new EventBus();
+        this.resourceManager = options.resourceManager || new ResourceManager(this.events);
+        this.clock = options.clock || new SimulationClock();
+
+        // Delayed entity actions, run on simulation ticks
+        this.scheduler = new Scheduler(this.clock);
+        this.nextEntityId = 1;
+
+        // Player commands, logged for replays
+        this.commands = new CommandQueue(this);
+
+        // Seeded randomness; the same seed reproduces the same map and simulation
+        this.random = options.random || new Random(options.seed);
+        this.seed = this.random.seed;
 
         // World settings - massive world
-        this.size = { width: 500, height: 500 };
+        this.size = options.size || { ...MAP.DEFAULT_SIZE };
         this.tileSize = 2;
 
-        // Texture loader for terrain sprites
-        this.textureLoader = new THREE.TextureLoader();
-        this.textures = {}; // Cache for loaded textures
+        // Map generator options, e.g. a terrain mix (see MapGen.generateTileMap)
+        this.mapOptions = options.map || {};
+
+        // A ready-made tile map to play on instead of generating one, e.g. one
+        // imported from images (see MapImage.tileMapFromImages)
+        this.tileMap = options.tiles || null;
 
         // World data
         this.terrain = [];
@@ -29,325 +73,181 @@ export class World {
 
         // Fog of War
         this.fogOfWar = [];
-        this.fogOfWarMesh = null;
 
-        // Raycaster for mouse interaction
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
+        // Grid position the starting warehouse was placed at
+        this.startPosition = null;
+
+        // Building types the player may place; null allows all of them
+        this.allowedBuildings = null;
 
         // Building placement mode
         this.buildingPlacementMode = false;
         this.buildingTypeToPlace = null;
-        this.placementPreviewMesh = null;
+        this.placementGridPosition = null;
         this.placementValid = false;
 
-        // Bind methods
-        this._onMouseMove = this._onMouseMove.bind(this);
-        this._onClick = this._onClick.bind(this);
+        // Objects notified about changes (e.g. the Three.js renderer)
+        this.observers = [];
     }
 
-    init() {
-        // Load terrain textures first
-        this._loadTerrainTextures(() => {
-            // Initialize terrain grid
-            this._initTerrain();
+    // Set up a new game: the default start, or a scenario parsed by ScenarioManager
+    init(scenario = null) {
+        // Initialize terrain grid
+        if (scenario && scenario.terrain) {
+            this._loadTerrain(scenario.terrain);
+        } else {
+            // The default start gets a level plain from the generator; scenarios place their own buildings
+            this._initTerrain(scenario ? null : this._getStartCenter());
+        }
 
-            // Initialize fog of war
-            this._initFogOfWar();
+        // Initialize fog of war
+        this._initFogOfWar();
 
-            // Add starting buildings
+        // Add starting buildings
+        if (scenario) {
+            this._setUpScenario(scenario);
+        } else {
             this._addStartingBuildings();
+        }
+
+        // Update fog of war for starting area
+        if (FOG_OF_WAR.ENABLED) {
+            this._updateFogOfWar();
+        }
 
-            // Add grass sprites
-            this._addGrassSprites();
+        log.info(`World initialized with seed ${this.seed}`);
+    }
 
-            // Update fog of war for starting area
-            if (FOG_OF_WAR.ENABLED) {
-                this._updateFogOfWar();
-            }
-        });
+    // Entities get a unique id so saved state and scheduled tasks can refer to them
+    createEntityId() {
+        return this.nextEntityId++;
+    }
 
-        // Add event listeners for mouse interaction
-        window.addEventListener('mousemove', this._onMouseMove);
-        window.addEventListener('click', this._onClick);
-
-        console.log('World initialized');
-    }
-
-    // Load all terrain textures
-    _loadTerrainTextures(callback) {
-        const texturesToLoad = [
-            // Grass textures with various path formats - trying direct paths first for more reliability
-            { name: 'grass1', path: '/assets/textures/grass1.png' }, // New grass texture
-            { name: 'grass2', path: '/assets/textures/grass2.png' }, // New grass texture
-            { name: 'grass3', path: '/assets/textures/grass3.png' }, // New grass texture
-            { name: 'grass4', path: '/assets/textures/grass4.png' }, // New grass texture
-            { name: 'grass5', path: '/assets/textures/grass5.png' }, // New grass texture
-            { name: 'grass6', path: '/assets/textures/grass6.png' }, // New grass texture
-            { name: 'grass7', path: '/assets/textures/grass7.png' }, // New grass texture
-            { name: 'grass8', path: '/assets/textures/grass8.png' }, // New grass texture
-            { name: 'grass9', path: '/assets/textures/grass9.png' }, // New grass texture
-            { name: 'grass10', path: '/assets/textures/grass10.png' }, // New grass texture
-
-            // Tree textures for forest areas
-            { name: 'tree1', path: '/assets/sprites/tree1.png' },
-            { name: 'tree2', path: '/assets/sprites/tree2.png' },
-            { name: 'tree3', path: '/assets/sprites/tree3.png' },
-            { name: 'tree4', path: '/assets/sprites/tree4.png' },
-            { name: 'tree5', path: '/assets/sprites/tree5.png' },
-            { name: 'tree6', path: '/assets/sprites/tree6.png' },
-            { name: 'tree7', path: '/assets/sprites/tree7.png' },
-            { name: 'tree8', path: '/assets/sprites/tree8.png' },
-            { name: 'tree9', path: '/assets/sprites/tree9.png' },
-            { name: 'tree10', path: '/assets/sprites/tree10.png' },
-        ];
-
-        let loadedCount = 0;
-        const totalToLoad = texturesToLoad.length;
-
-        texturesToLoad.forEach(texture => {
-            this.textureLoader.load(
-                texture.path,
-                (loadedTexture) => {
-                    // Store the loaded texture
-                    this.textures[texture.name] = loadedTexture;
-                    loadedCount++;
-
-                    console.log(`Loaded texture: ${texture.name} from ${texture.path}`);
-
-                    // If all textures are loaded, call the callback
-                    if (loadedCount === totalToLoad) {
-                        console.log('All terrain textures loaded');
-                        callback();
-                    }
-                },
-                undefined, // progress callback
-                (error) => {
-                    console.error(`Error loading texture ${texture.name}:`, error);
-                    loadedCount++;
-
-                    // Continue even if texture loading fails
-                    if (loadedCount === totalToLoad) {
-                        console.log('Completed terrain texture loading with some errors');
-                        callback();
-                    }
-                }
-            );
-        });
+    // Observers are plain objects with optional handler methods. They're meant for
+    // views that mirror the world's structure; game events go through this.events.
+    // Handler methods:
+    // onBuildingAdded(building), onBuildingRemoved(building),
+    // onConstructionAdded(construction), onConstructionRemoved(construction),
+    // onSettlerAdded(settler), onSettlerRemoved(settler),
+    // onTerrainChanged(area), onFogChanged(), onDepositsChanged()
+    // area is the { x, y, width, height } of the tiles that changed, or null for anywhere
+    addObserver(observer) {
+        this.observers.push(observer);
     }
 
-    update() {
+    removeObserver(observer) {
+        this.observers = this.observers.filter(o => o !== observer);
+    }
+
+    _notifyObservers(method, ...args) {
+        for (const observer of this.observers) {
+            if (typeof observer[method] === 'function') {
+                observer[method](...args);
+            }
+        }
+    }
+
+    // Advance the simulation by one fixed tick of deltaTime milliseconds
+    update(deltaTime) {
+        const updateStart = profiler.start();
+
+        // Apply replayed player commands recorded for this tick
+        let start = profiler.start();
+        this.commands.runDueCommands();
+        profiler.end(ProfileSection.COMMANDS, start);
+
+        // Run delayed actions that are due this tick
+        start = profiler.start();
+        this.scheduler.runDueTasks();
+        profiler.end(ProfileSection.SCHEDULER, start);
+
         // Update all settlers
+        start = profiler.start();
         for (const settler of this.settlers) {
-            settler.update();
+            settler.savePreviousPosition();
+            settler.update(deltaTime);
         }
+        profiler.end(ProfileSection.SETTLERS, start);
 
         // Update all buildings
+        start = profiler.start();
         for (const building of this.buildings) {
-            building.update();
+            building.update(deltaTime);
         }
+        profiler.end(ProfileSection.BUILDINGS, start);
 
         // Update all constructions
+        start = profiler.start();
         for (const construction of this.constructions) {
-            construction.update();
-        }
-
-        // Update building placement preview if in placement mode
-        if (this.buildingPlacementMode) {
-            this._updatePlacementPreview();
+            construction.update(deltaTime);
         }
+        profiler.end(ProfileSection.CONSTRUCTIONS, start);
 
         // Update fog of war if enabled - uncomment when needed
         // Currently updating only when buildings are added
         // if (FOG_OF_WAR.ENABLED) {
         //     this._updateFogOfWar();
         // }
-    }
-
-    _initTerrain() {
-        console.log("Generating terrain...");
 
-        // Create a more detailed terrain geometry
-        const gridGeometry = new THREE.PlaneGeometry(
-            this.size.width * this.tileSize,
-            this.size.height * this.tileSize,
-            this.size.width,
-            this.size.height
-        );
-        gridGeometry.rotateX(-Math.PI / 2); // Make it horizontal
-
-        // Get position attribute for modifying heights
-        const position = gridGeometry.attributes.position;
-
-        // Arrays to store colors and updated positions
-        const colors = [];
-        const vertices = [];
-
-        // Generate terrain using MapGen
-        console.log("Using MapGen to create terrain...");
-        this.terrain = MapGen.generateTileMap(this.size.width, this.size.height);
-
-        // Update vertex positions and colors based on terrain data
-        for (let i = 0; i < position.count; i++) {
-            const x = Math.floor(i % (this.size.width + 1));
-            const y = Math.floor(i / (this.size.width + 1));
-
-            // Get current vertex
-            const vertex = new THREE.Vector3(
-                position.getX(i),
-                position.getY(i),
-                position.getZ(i)
-            );
-
-            // If within bounds, modify based on terrain height
-            if (x < this.size.width && y < this.size.height) {
-                const terrain = this.terrain[y][x];
-
-                // Modify Y coordinate (height)
-                // vertex.y = terrain.height;
-
-                // Assign color based on terrain type
-                switch (terrain) {
-                    case TerrainType.GRASS:
-                        // Varied green for grass, brighter at higher elevations
-                        colors.push(0.21, 0.85, 0.21);
-                        break;
-
-                    case TerrainType.WATER:
-                        colors.push(0.0, 0.3, 0.5);
-                        break;
-
-                    case TerrainType.SAND:
-                        // Sandy beaches - tan color
-                        colors.push(0.76, 0.7, 0.5);
-                        break;
-
-                    case TerrainType.FOREST:
-                        // Darker green for forests
-                        colors.push(0.0, 0.35, 0.0);
-                        break;
-
-                    case TerrainType.MOUNTAIN:
-                        // Rocky mountains - gray with subtle variations
-                        colors.push(0.4, 0.4, 0.4);
-                        break;
-
-                    case TerrainType.SNOW:
-                        // Snow-capped peaks - white with slight blue tint
-                        colors.push(0.9, 0.9, 1.0);
-                        break;
-
-                    case TerrainType.STONE:
-                        // Stone/rock - grey brown
-                        colors.push(0.5, 0.45, 0.4);
-                        break;
-
-                    default:
-                        colors.push(1, 1, 1); // White
-                        break;
-                }
-            } else {
-                // Edge vertices - set to lowest surrounding height
-                const nearX = Math.min(Math.max(x, 0), this.size.width - 1);
-                const nearY = Math.min(Math.max(y, 0), this.size.height - 1);
-
-                if (this.terrain[nearY] && this.terrain[nearY][nearX]) {
-                    vertex.y = this.terrain[nearY][nearX].height;
-                }
-
-                colors.push(0.8, 0.8, 0.8); // Light grey for edges
-            }
+        profiler.end(ProfileSection.WORLD_UPDATE, updateStart);
+    }
 
-            // Store updated position
-            position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+    // Generate the terrain, with a start area around start if given
+    _initTerrain(start = null) {
+        if (this.tileMap) {
+            this.terrain = this.tileMap;
+            this.tileMap = null;
+            return;
         }
 
-        // Update the geometry after modifying positions
-        position.needsUpdate = true;
-        gridGeometry.computeVertexNormals(); // Recalculate normals for proper lighting
+        log.debug("Generating terrain...");
 
-        // Set vertex colors
-        gridGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-
-        // Create grid material with basic material (unaffected by lighting)
-        const gridMaterial = new THREE.MeshBasicMaterial({
-            vertexColors: true,
-            side: THREE.DoubleSide
+        // Generate terrain using MapGen
+        this.terrain = MapGen.generateTileMap(this.size.width, this.size.height, {
+            ...this.mapOptions,
+            random: this.random.stream('mapgen'),
+            start
         });
 
-        // Create grid mesh
-        const gridMesh = new THREE.Mesh(gridGeometry, gridMaterial);
-        gridMesh.name = 'terrain';
-
-        // Allow terrain to receive shadows
-        gridMesh.receiveShadow = true;
-        gridMesh.castShadow = true;
-
-        // Position the grid so (0,0) is at the bottom-left, and the center of the grid is at (0,0,0) in world space
-        gridMesh.position.x = 0;
-        gridMesh.position.z = 0;
-
-        this.scene.add(gridMesh);
-
-        // Add grid helper for reference (now at water level)
-        // For a massive world, we need fewer grid lines for performance
-        const gridSize = this.size.width * this.tileSize;
-        const gridDivisions = 50; // Just 50 grid lines instead of hundreds
+        log.debug("Terrain generation complete!");
+    }
 
-        const gridHelper = new THREE.GridHelper(
-            gridSize,
-            gridDivisions,
-            0x000000, // Black color for main grid lines
-            0x444444  // Darker gray color for secondary grid lines
-        );
-        gridHelper.position.y = 2.5; // At water level
-        gridHelper.position.x = 0;
-        gridHelper.position.z = 0;
-        gridHelper.material.opacity = 0.2; // More transparent for less visual clutter
-        gridHelper.material.transparent = true;
-        this.scene.add(gridHelper);
+    // Use a scenario's terrain instead of generating it (see
+    // ScenarioManager._parseTerrain). Without a list of deposits, tiles get the
+    // usual deposits of their terrain type.
+    _loadTerrain(terrain) {
+        this.terrain = terrain.types.map((row, y) => row.map((type, x) => ({
+            type,
+            height: terrain.heights ? terrain.heights[y][x] : terrain.height
+        })));
+
+        if (!terrain.deposits) {
+            this._addDefaultDeposits();
+            return;
+        }
 
-        // Store the terrain mesh for later reference
-        this.terrainMesh = gridMesh;
+        for (const { x, y, type, amount } of terrain.deposits) {
+            this.terrain[y][x].deposit = { type, amount };
+        }
+    }
 
-        console.log("Terrain generation complete!");
+    // Deposits for terrain MapGen didn't generate (see MapGen.defaultDepositFor)
+    _addDefaultDeposits() {
+        for (const row of this.terrain) {
+            for (const tile of row) {
+                const deposit = MapGen.defaultDepositFor(tile.type);
+                if (deposit) {
+                    tile.deposit = deposit;
+                }
+            }
+        }
     }
 
     // Initialize fog of war system
     _initFogOfWar() {
         if (!FOG_OF_WAR.ENABLED) return;
 
-        console.log("Initializing fog of war...");
-
-        // Create a fog of war overlay
-        const fogGeometry = new THREE.PlaneGeometry(
-            this.size.width * this.tileSize,
-            this.size.height * this.tileSize,
-            this.size.width,
-            this.size.height
-        );
-        fogGeometry.rotateX(-Math.PI / 2); // Make it horizontal like the terrain
-
-        // Create fog material - black with transparency
-        const fogMaterial = new THREE.MeshBasicMaterial({
-            color: 0x000000,
-            transparent: true,
-            opacity: 0.8,
-            side: THREE.DoubleSide,
-            depthWrite: false // Don't write to depth buffer so it doesn't interfere with raycasting
-        });
-
-        // Create fog mesh
-        this.fogOfWarMesh = new THREE.Mesh(fogGeometry, fogMaterial);
-        this.fogOfWarMesh.name = 'fogOfWar';
-
-        // Position the fog slightly above the terrain to avoid z-fighting
-        this.fogOfWarMesh.position.x = 0;
-        this.fogOfWarMesh.position.y = 0.1; // Just slightly above terrain
-        this.fogOfWarMesh.position.z = 0;
-
-        // Add to scene
-        this.scene.add(this.fogOfWarMesh);
+        fogLog.debug("Initializing fog of war...");
 
         // Initialize fog of war data
         for (let y = 0; y < this.size.height; y++) {
@@ -360,19 +260,14 @@ export class World {
             }
         }
 
-        console.log("Fog of war initialized");
+        fogLog.debug("Fog of war initialized");
     }
 
     // Update fog of war based on building positions
     _updateFogOfWar() {
-        if (!FOG_OF_WAR.ENABLED || !this.fogOfWarMesh) return;
+        if (!FOG_OF_WAR.ENABLED || this.fogOfWar.length === 0) return;
 
-        // Get fog geometry
-        const fogGeometry = this.fogOfWarMesh.geometry;
-        const position = fogGeometry.attributes.position;
-
-        // Create color array for vertex colors (black for fog, transparent for visible areas)
-        const colors = [];
+        const start = profiler.start();
 
         // First, calculate which tiles are currently visible based on buildings
         // Reset visibility first
@@ -384,53 +279,29 @@ export class World {
         }
 
         // Then check each building's visibility radius
+        let revealed = 0;
         for (const building of this.buildings) {
-            const buildingType = building.type;
-            const radius = FOG_OF_WAR.BUILDING_VISIBILITY_RADIUS[buildingType] ||
-                FOG_OF_WAR.INITIAL_VISIBILITY_RADIUS;
+            const radius = building.definition.visionRadius;
 
             // Make tiles within radius visible
-            this._revealArea(building.position.x, building.position.y, radius);
-        }
-
-        // Update color array based on visibility
-        for (let i = 0; i < position.count; i++) {
-            const x = Math.floor(i % (this.size.width + 1));
-            const y = Math.floor(i / (this.size.width + 1));
-
-            if (x < this.size.width && y < this.size.height) {
-                const visibility = this.terrain[y][x].visibility;
-
-                // Set color based on visibility state
-                switch (visibility) {
-                    case VisibilityState.VISIBLE:
-                        // Fully visible - transparent
-                        colors.push(0, 0, 0, 0); // RGBA (fully transparent)
-                        break;
-                    case VisibilityState.EXPLORED:
-                        // Previously explored - semi-transparent dark
-                        colors.push(0, 0, 0, 0.5); // RGBA (semi-transparent)
-                        break;
-                    case VisibilityState.UNEXPLORED:
-                    default:
-                        // Unexplored - solid black
-                        colors.push(0, 0, 0, 1); // RGBA (black)
-                        break;
-                }
-            } else {
-                // Edge vertices - fully dark
-                colors.push(0, 0, 0, 1);
-            }
+            revealed += this._revealArea(building.position.x, building.position.y, radius);
         }
 
-        // Update the fog mesh with new colors
-        fogGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 4));
-        fogGeometry.attributes.color.needsUpdate = true;
+        // Redrawing the fog is timed by the renderer
+        profiler.end(ProfileSection.FOG, start);
+        this._notifyObservers('onFogChanged');
+
+        if (revealed > 0) {
+            fogLog.debug(`Explored ${revealed} tiles`);
+            this.events.emit(GameEvent.FOG_REVEALED, { tiles: revealed });
+        }
     }
 
-    // Reveal an area around a point (make tiles visible)
+    // Reveal an area around a point (make tiles visible).
+    // Returns the number of tiles explored for the first time.
     _revealArea(centerX, centerY, radius) {
         const radiusSquared = radius * radius;
+        let revealed = 0;
 
         // Check all tiles within a square, but apply a circular mask
         for (let y = centerY - radius; y <= centerY + radius; y++) {
@@ -449,56 +320,32 @@ export class World {
                 if (distanceSquared <= radiusSquared) {
                     this.terrain[y][x].visibility = VisibilityState.VISIBLE;
                     this.fogOfWar[y][x].visible = true;
-                    this.fogOfWar[y][x].explored = true;
+                    if (!this.fogOfWar[y][x].explored) {
+                        this.fogOfWar[y][x].explored = true;
+                        revealed++;
+                    }
                 }
             }
         }
+
+        return revealed;
     }
 
     _addStartingBuildings() {
-        console.log("Finding suitable location for starting buildings...");
-
-        // Always start at the exact center of the map
-        let startX = Math.floor(this.size.width / 2);
-        let startY = Math.floor(this.size.height / 2);
-
-        console.log(`Starting at the center of the map: (${startX}, ${startY})`);
-
-        // Force the center to be buildable - don't search for a natural spot
-        let foundSuitableSpot = false;
-
-        // For debugging only - to see if there's a naturally good spot nearby
-        // This code will run but won't change our starting position
-        const searchRadius = Math.min(this.size.width, this.size.height) / 4;
-        for (let attempts = 0; attempts < 10 && !foundSuitableSpot; attempts++) {
-            // Try random positions near the center
-            const testX = Math.floor(startX + (Math.random() * 2 - 1) * searchRadius);
-            const testY = Math.floor(startY + (Math.random() * 2 - 1) * searchRadius);
-
-            // Check if this position and surrounding area is suitable
-            if (this._isAreaSuitableForWarehouse(testX, testY, 3, 3)) {
-                // Don't actually change startX/Y - just log for debugging
-                console.log(`Found naturally suitable spot at ${testX}, ${testY}, but using center anyway`);
-                foundSuitableSpot = true;
-                break;
-            }
-        }
+        log.debug("Finding suitable location for starting buildings...");
 
-        // If no natural spot is found, force-create one
-        if (!foundSuitableSpot) {
-            console.log("No natural suitable spot found. Creating a flat area...");
+        // Start at the center of the map, where the map generator left a level
+        // plain (see MapGen.generateTileMap). Maps that weren't generated may
+        // not have room there; then the nearest place that does is used.
+        const { x: startX, y: startY } = this._findStartCenter();
 
-            // Flatten and prepare a larger area centered exactly on the warehouse position
-            // Since warehouse is at (startX-1, startY-1) and is 2x2, we center a 30x30 area around it
-            this._flattenArea(startX - 15, startY - 15, 30, 30, 1.8); // Lower elevation to match new height scale
-        }
+        log.debug(`Starting at (${startX}, ${startY})`);
 
         // Make sure a 3x3 area for the warehouse and immediate surroundings is buildable grass
         for (let y = startY - 1; y <= startY + 1; y++) {
             for (let x = startX - 1; x <= startX + 1; x++) {
                 if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    this.terrain[y][x].type = TerrainType.GRASS;
-                    this.terrain[y][x].buildable = true;
+                    this._clearTile(this.terrain[y][x]);
                 }
             }
         }
@@ -509,273 +356,156 @@ export class World {
         const warehouseY = startY - 1;
 
         // Create warehouse at the exact center
-        const warehouse = new Warehouse(this, warehouseX, warehouseY);
+        const warehouse = this._createBuilding(BuildingType.WAREHOUSE, warehouseX, warehouseY);
         this.addBuilding(warehouse);
 
-        console.log(`Warehouse placed at grid coordinates: (${warehouseX}, ${warehouseY})`);
-        console.log(`Map center is at grid coordinates: (${startX}, ${startY})`);
+        log.info(`Warehouse placed at grid coordinates: (${warehouseX}, ${warehouseY})`);
+        log.debug(`Map center is at grid coordinates: (${startX}, ${startY})`);
+
+        // Remember the start so views can center the camera on the warehouse
+        this.startPosition = { x: warehouseX, y: warehouseY };
 
         // Add initial settlers
         this._addStartingSettlers(warehouseX, warehouseY);
 
 
-        console.log("Starting buildings added!");
-
-        // Center the camera on the warehouse rather than the exact center
-        // This ensures we're looking at the warehouse, which is slightly offset from center
-        this._centerCameraOnStartingArea(startX - 1, startY - 1);
+        log.debug("Starting buildings added!");
     }
 
-    // Check if an area is suitable for building (flat enough, not water)
-    _isAreaSuitableForWarehouse(startX, startY, width, height) {
-        // Make sure the area is within the map bounds
-        if (startX < 0 || startY < 0 ||
-            startX + width > this.size.width ||
-            startY + height > this.size.height) {
-            return false;
-        }
-
-        // Check if the entire area is buildable and flat enough
-        let baseHeight = null;
-        let maxHeightDiff = 0.3; // Maximum allowable height difference
-
-        for (let y = startY; y < startY + height; y++) {
-            for (let x = startX; x < startX + width; x++) {
-                const terrain = this.terrain[y][x];
-
-                // Reject water or mountains
-                if (terrain.type === TerrainType.WATER ||
-                    terrain.type === TerrainType.MOUNTAIN) {
-                    return false;
-                }
+    _getStartCenter() {
+        return { x: Math.floor(this.size.width / 2), y: Math.floor(this.size.height / 2) };
+    }
 
-                // Check height difference
-                if (baseHeight === null) {
-                    baseHeight = terrain.height;
-                } else if (Math.abs(terrain.height - baseHeight) > maxHeightDiff) {
-                    return false;
+    // The start center closest to the middle of the map whose warehouse site is
+    // level land that can be cleared for it, searching outwards ring by ring
+    _findStartCenter() {
+        const center = this._getStartCenter();
+        const maxDistance = Math.max(this.size.width, this.size.height);
+
+        for (let distance = 0; distance < maxDistance; distance++) {
+            for (let y = center.y - distance; y <= center.y + distance; y++) {
+                for (let x = center.x - distance; x <= center.x + distance; x++) {
+                    const onRing = Math.abs(x - center.x) === distance || Math.abs(y - center.y) === distance;
+                    if (onRing && this._isStartSite(x - 1, y - 1)) {
+                        return { x, y };
+                    }
                 }
             }
         }
 
-        // Also check surrounding area to make sure it's not isolated on a tiny plateau
-        const buffer = 2; // Check 2 tiles around the building area
-        let accessibleTiles = 0;
-
-        for (let y = startY - buffer; y < startY + height + buffer; y++) {
-            for (let x = startX - buffer; x < startX + width + buffer; x++) {
-                // Skip the building area itself
-                if (x >= startX && x < startX + width && y >= startY && y < startY + height) {
-                    continue;
-                }
+        log.warn('No room for the warehouse anywhere on the map; clearing the center');
+        return center;
+    }
 
-                // Check if this position is in bounds
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    const terrain = this.terrain[y][x];
+    // Whether the 2x2 warehouse fits at x, y once grass or forest there is cleared
+    _isStartSite(x, y) {
+        if (x < 0 || y < 0 || x + 2 > this.size.width || y + 2 > this.size.height) {
+            return false;
+        }
 
-                    // Count buildable tiles that are close in height to our base
-                    if (terrain.type === TerrainType.GRASS &&
-                        Math.abs(terrain.height - baseHeight) < 1.0) {
-                        accessibleTiles++;
-                    }
+        for (let gridY = y; gridY < y + 2; gridY++) {
+            for (let gridX = x; gridX < x + 2; gridX++) {
+                const type = this.terrain[gridY][gridX].type;
+                if (type !== TerrainType.GRASS && type !== TerrainType.FOREST) {
+                    return false;
                 }
             }
         }
 
-        // Ensure we have enough accessible tiles around (at least 50% of the perimeter)
-        const requiredAccessible = (width + height) * 2;
-        return accessibleTiles >= requiredAccessible;
+        const heights = this._getAreaCornerHeights(x, y, 2, 2);
+        return Math.max(...heights) - Math.min(...heights) <= TERRAIN.MAX_BUILDING_SLOPE;
     }
 
-    // Flatten an area to a specific height
-    _flattenArea(startX, startY, width, height, targetHeight) {
-        // Clamp to map bounds
-        const endX = Math.min(startX + width, this.size.width);
-        const endY = Math.min(startY + height, this.size.height);
-        const clampedStartX = Math.max(0, startX);
-        const clampedStartY = Math.max(0, startY);
+    // Place a scenario's buildings, constructions and settlers and set its
+    // starting stock. ScenarioManager has already checked that they fit.
+    _setUpScenario(scenario) {
+        log.info(`Setting up scenario ${scenario.name}`);
 
-        console.log(`Flattening area from (${clampedStartX}, ${clampedStartY}) to (${endX}, ${endY}) at height ${targetHeight}`);
+        this.resourceManager.reset(scenario.resources);
+        this.allowedBuildings = scenario.allowedBuildings ? [...scenario.allowedBuildings] : null;
 
-        // Flatten central area completely
-        for (let y = clampedStartY; y < endY; y++) {
-            for (let x = clampedStartX; x < endX; x++) {
-                this.terrain[y][x].height = targetHeight;
-                this.terrain[y][x].type = TerrainType.GRASS;
-                this.terrain[y][x].buildable = true;
+        // Sites are cleared to grass, so they work on generated terrain too
+        for (const entry of scenario.buildings) {
+            this._prepareSite(entry.type, entry.x, entry.y);
+            const building = this._createBuilding(entry.type, entry.x, entry.y);
+            while (building.level < entry.level && building.upgrade()) {
+                // Upgrade to the scenario's level, up to the building's maximum
             }
+            this.addBuilding(building);
         }
 
-        // Create a gradual slope around the flattened area (for a natural look)
-        const fadeDistance = 5; // Increased distance for a more gradual transition
+        for (const entry of scenario.constructions) {
+            this._prepareSite(entry.type, entry.x, entry.y);
+            this.addConstruction(new Construction(this, entry.x, entry.y, entry.type));
+        }
 
-        for (let fadeLevel = 1; fadeLevel <= fadeDistance; fadeLevel++) {
-            // Calculate the height adjustment for this fade level
-            const fadeFactor = 1 - (fadeLevel / (fadeDistance + 1));
-            const heightAdjustment = (targetHeight - 1.0) * fadeFactor;
+        for (const entry of scenario.settlers) {
+            this._addSettler(this._createSettler(entry.type, entry.x, entry.y));
+        }
 
-            // Process each side of the rectangle (top, right, bottom, left)
-            // Top side
-            for (let x = clampedStartX - fadeLevel; x < endX + fadeLevel; x++) {
-                const y = clampedStartY - fadeLevel;
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    // Blend with existing height
-                    const originalHeight = this.terrain[y][x].height;
-                    this.terrain[y][x].height = 1.0 + heightAdjustment;
-
-                    // If it's not water, make it buildable grass
-                    if (this.terrain[y][x].height >= 1.2) {
-                        this.terrain[y][x].type = TerrainType.GRASS;
-                        this.terrain[y][x].buildable = true;
-                    }
-                }
-            }
+        // Open the camera on the scenario's start, its first storage building or the map center
+        const storage = this.buildings.find(building => building.definition.storage);
+        this.startPosition = scenario.start ? { ...scenario.start } :
+            storage ? { ...storage.position } : null;
 
-            // Bottom side
-            for (let x = clampedStartX - fadeLevel; x < endX + fadeLevel; x++) {
-                const y = endY + fadeLevel - 1;
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    const originalHeight = this.terrain[y][x].height;
-                    this.terrain[y][x].height = 1.0 + heightAdjustment;
+        this._notifyObservers('onTerrainChanged');
+    }
 
-                    if (this.terrain[y][x].height >= 1.2) {
-                        this.terrain[y][x].type = TerrainType.GRASS;
-                        this.terrain[y][x].buildable = true;
-                    }
-                }
+    // Clear a building's footprint to grass and level it
+    _prepareSite(type, x, y) {
+        const size = buildingRegistry.get(type).size;
+        for (let gridY = y; gridY < y + size.height; gridY++) {
+            for (let gridX = x; gridX < x + size.width; gridX++) {
+                this._clearTile(this.terrain[gridY][gridX]);
             }
+        }
+        this._levelArea(x, y, size.width, size.height);
+    }
 
-            // Left side
-            for (let y = clampedStartY - fadeLevel + 1; y < endY + fadeLevel - 1; y++) {
-                const x = clampedStartX - fadeLevel;
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    const originalHeight = this.terrain[y][x].height;
-                    this.terrain[y][x].height = 1.0 + heightAdjustment;
-
-                    if (this.terrain[y][x].height >= 1.2) {
-                        this.terrain[y][x].type = TerrainType.GRASS;
-                        this.terrain[y][x].buildable = true;
-                    }
-                }
-            }
+    // Turn a tile into buildable grass, without a deposit
+    _clearTile(tile) {
+        tile.type = TerrainType.GRASS;
+        tile.buildable = true;
+        delete tile.deposit;
+    }
 
-            // Right side
-            for (let y = clampedStartY - fadeLevel + 1; y < endY + fadeLevel - 1; y++) {
-                const x = endX + fadeLevel - 1;
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    const originalHeight = this.terrain[y][x].height;
-                    this.terrain[y][x].height = 1.0 + heightAdjustment;
+    // Set the corners of an area's tiles to their average height, so a building fits
+    _levelArea(x, y, width, height) {
+        const endX = Math.min(x + width, this.size.width - 1);
+        const endY = Math.min(y + height, this.size.height - 1);
 
-                    if (this.terrain[y][x].height >= 1.2) {
-                        this.terrain[y][x].type = TerrainType.GRASS;
-                        this.terrain[y][x].buildable = true;
-                    }
-                }
+        let total = 0;
+        for (let gridY = y; gridY <= endY; gridY++) {
+            for (let gridX = x; gridX <= endX; gridX++) {
+                total += this.terrain[gridY][gridX].height;
             }
         }
 
-        // After modifying terrain, we need to update the terrain mesh
-        this._updateTerrainMesh();
-    }
-
-    // Update the terrain mesh to reflect changes in the terrain data
-    _updateTerrainMesh() {
-        // Find the terrain mesh
-        const terrainMesh = this.scene.getObjectByName('terrain');
-        if (!terrainMesh) return;
-
-        // Get the position attribute
-        const position = terrainMesh.geometry.attributes.position;
-
-        // Update all vertex positions and colors
-        const colors = [];
-
-        for (let i = 0; i < position.count; i++) {
-            const x = Math.floor(i % (this.size.width + 1));
-            const y = Math.floor(i / (this.size.width + 1));
-
-            if (x < this.size.width && y < this.size.height) {
-                const terrain = this.terrain[y][x];
-
-                // Update height
-                position.setY(i, terrain.height);
-
-                // Update color
-                switch (terrain.type) {
-                    case TerrainType.GRASS:
-                        // Varied green for grass, brighter at higher elevations
-                        const greenShade = 0.5 + (terrain.height / 8) * 0.4;
-                        colors.push(0.1, greenShade, 0.1);
-                        break;
-
-                    case TerrainType.WATER:
-                        // Deep water is darker blue, shallow water is lighter
-                        if (terrain.height < 1.5) {
-                            // Deep ocean - dark blue
-                            colors.push(0.0, 0.0, 0.4);
-                        } else {
-                            // Shallow water - lighter blue
-                            const blueShade = 0.3 + (terrain.height - 1.5);
-                            colors.push(0.0, 0.3, blueShade);
-                        }
-                        break;
-
-                    case TerrainType.SAND:
-                        // Sandy beaches - tan color
-                        colors.push(0.76, 0.7, 0.5);
-                        break;
-
-                    case TerrainType.FOREST:
-                        // Darker green for forests
-                        colors.push(0.0, 0.35, 0.0);
-                        break;
-
-                    case TerrainType.MOUNTAIN:
-                        // Rocky mountains - gray with subtle variations
-                        const greyShade = 0.4 + (terrain.height - 10) * 0.05;
-                        colors.push(greyShade, greyShade, greyShade);
-                        break;
-
-                    case TerrainType.SNOW:
-                        // Snow-capped peaks - white with slight blue tint
-                        const snowBrightness = 0.8 + (terrain.height - 13) * 0.1;
-                        colors.push(snowBrightness, snowBrightness, snowBrightness + 0.1);
-                        break;
-
-                    case TerrainType.STONE:
-                        // Stone/rock - grey brown
-                        colors.push(0.5, 0.45, 0.4);
-                        break;
-
-                    default:
-                        colors.push(1, 1, 1); // White
-                        break;
-                }
-            } else {
-                // Edge vertices - match heights with closest edge tile
-                const nearX = Math.min(Math.max(x, 0), this.size.width - 1);
-                const nearY = Math.min(Math.max(y, 0), this.size.height - 1);
-
-                if (this.terrain[nearY] && this.terrain[nearY][nearX]) {
-                    position.setY(i, this.terrain[nearY][nearX].height);
-                }
-
-                colors.push(0.8, 0.8, 0.8);
+        const average = total / ((endX - x + 1) * (endY - y + 1));
+        for (let gridY = y; gridY <= endY; gridY++) {
+            for (let gridX = x; gridX <= endX; gridX++) {
+                this.terrain[gridY][gridX].height = average;
             }
         }
-
-        // Update position and colors
-        position.needsUpdate = true;
-        terrainMesh.geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-
-        // Recalculate normals
-        terrainMesh.geometry.computeVertexNormals();
     }
 
     addBuilding(building) {
         this.buildings.push(building);
 
         // Mark tiles as occupied
+        this._occupyTiles(building);
+
+        this._notifyObservers('onBuildingAdded', building);
+        this.events.emit(GameEvent.BUILDING_ADDED, { building });
+
+        // Update fog of war for new building
+        if (FOG_OF_WAR.ENABLED) {
+            this._updateFogOfWar();
+        }
+    }
+
+    // Mark the tiles under a building or construction site as occupied
+    _occupyTiles(building) {
         for (let y = building.position.y; y < building.position.y + building.size.height; y++) {
             for (let x = building.position.x; x < building.position.x + building.size.width; x++) {
                 if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
@@ -784,34 +514,18 @@ export class World {
                 }
             }
         }
+    }
 
-        // Make sure the building has a mesh
-        if (!building.mesh) {
-            console.error("Building has no mesh!");
-            return;
-        }
-
-        // Position the building properly on the terrain
-        const worldPos = this.getWorldPosition(building.position.x, building.position.y);
-        const terrainHeight = this.terrain[building.position.y][building.position.x].height;
-        const width = building.size.width * this.tileSize;
-        const depth = building.size.height * this.tileSize;
-
-        // Set position on the terrain
-        building.mesh.position.set(
-            worldPos.x + width / 2,
-            terrainHeight + 1,  // Elevated for visibility
-            worldPos.z + depth / 2
-        );
-
-        console.log(`Building positioned at: (${building.mesh.position.x}, ${building.mesh.position.y}, ${building.mesh.position.z})`);
-
-        // Add visual representation to the scene
-        this.scene.add(building.mesh);
-
-        // Update fog of war for new building
-        if (FOG_OF_WAR.ENABLED) {
-            this._updateFogOfWar();
+    // Clear the tiles under a removed building or construction site
+    _freeTiles(building) {
+        for (let y = building.position.y; y < building.position.y + building.size.height; y++) {
+            for (let x = building.position.x; x < building.position.x + building.size.width; x++) {
+                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width &&
+                    this.terrain[y][x].building === building) {
+                    this.terrain[y][x].building = null;
+                    this.terrain[y][x].buildable = true;
+                }
+            }
         }
     }
 
@@ -820,17 +534,10 @@ export class World {
         this.constructions.push(construction);
 
         // Mark tiles as occupied
-        for (let y = construction.position.y; y < construction.position.y + construction.size.height; y++) {
-            for (let x = construction.position.x; x < construction.position.x + construction.size.width; x++) {
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    this.terrain[y][x].building = construction;
-                    this.terrain[y][x].buildable = false;
-                }
-            }
-        }
+        this._occupyTiles(construction);
 
-        // Add visual representation to the scene
-        this.scene.add(construction.mesh);
+        this._notifyObservers('onConstructionAdded', construction);
+        this.events.emit(GameEvent.CONSTRUCTION_STARTED, { construction });
 
         // Update fog of war
         if (FOG_OF_WAR.ENABLED) {
@@ -844,26 +551,28 @@ export class World {
         this.constructions = this.constructions.filter(c => c !== construction);
 
         // Create the actual building
-        let newBuilding;
-
-        switch (construction.targetBuildingType) {
-            case BuildingType.WAREHOUSE:
-                newBuilding = new Warehouse(this, construction.position.x, construction.position.y);
-                break;
-            case BuildingType.WOODCUTTER:
-                newBuilding = new Woodcutter(this, construction.position.x, construction.position.y);
-                break;
-            // Add cases for other building types as they are implemented
-            default:
-                console.error(`Unknown building type: ${construction.targetBuildingType}`);
-                return;
-        }
+        const newBuilding = this._createBuilding(
+            construction.targetBuildingType,
+            construction.position.x,
+            construction.position.y
+        );
+        if (!newBuilding) return;
 
-        // Remove construction mesh from scene
-        this.scene.remove(construction.mesh);
+        this._notifyObservers('onConstructionRemoved', construction);
 
         // Add the new building
         this.addBuilding(newBuilding);
+
+        this.events.emit(GameEvent.CONSTRUCTION_COMPLETED, { construction, building: newBuilding });
+    }
+
+    // Create a finished building of the given type
+    _createBuilding(type, x, y) {
+        if (!buildingRegistry.has(type)) {
+            log.error(`Unknown building type: ${type}`);
+            return null;
+        }
+        return new Building(this, x, y, type);
     }
 
     // Start building placement mode
@@ -876,10 +585,10 @@ export class World {
         this.buildingPlacementMode = true;
         this.buildingTypeToPlace = buildingType;
 
-        // Create preview mesh based on building type
-        this._createPlacementPreview();
+        this.placementGridPosition = null;
+        this.placementValid = false;
 
-        console.log(`Started building placement mode for ${buildingType}`);
+        log.debug(`Started building placement mode for ${buildingType}`);
     }
 
     // Cancel building placement mode
@@ -888,157 +597,72 @@ export class World {
 
         this.buildingPlacementMode = false;
         this.buildingTypeToPlace = null;
+        this.placementGridPosition = null;
+        this.placementValid = false;
 
-        // Remove preview mesh
-        if (this.placementPreviewMesh) {
-            this.scene.remove(this.placementPreviewMesh);
-            this.placementPreviewMesh = null;
-        }
-
-        console.log("Cancelled building placement mode");
+        log.debug("Cancelled building placement mode");
     }
 
-    // Create a preview mesh for building placement
-    _createPlacementPreview() {
-        // Determine building size
-        const size = {
-            width: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1,
-            height: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1
-        };
-
-        const width = size.width * this.tileSize;
-        const depth = size.height * this.tileSize;
-
-        // Create a group for the preview mesh
-        this.placementPreviewMesh = new THREE.Group();
-
-        // Create base outline
-        const outlineGeometry = new THREE.BoxGeometry(width, 0.1, depth);
-        const validMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00FF00,
-            transparent: true,
-            opacity: 0.5
-        });
-        const invalidMaterial = new THREE.MeshBasicMaterial({
-            color: 0xFF0000,
-            transparent: true,
-            opacity: 0.5
-        });
-
-        // Create the outline mesh with valid material initially
-        this.previewOutline = new THREE.Mesh(outlineGeometry, validMaterial);
-        this.previewOutline.position.y = 0.05; // Just above ground
-        this.placementPreviewMesh.add(this.previewOutline);
-
-        // Try to load the building sprite for preview
-        let spritePath;
-        switch (this.buildingTypeToPlace) {
-            case BuildingType.WOODCUTTER:
-                spritePath = '/assets/sprites/woodcutter.png';
-                break;
-            case BuildingType.WAREHOUSE:
-                spritePath = '/assets/sprites/warehouse.png';
-                break;
-            default:
-                // Default to construction sprite
-                spritePath = '/assets/sprites/construction.png';
-        }
-
-        // Load the texture
-        this.textureLoader.load(spritePath, (texture) => {
-            // Create sprite material
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                opacity: 0.7,
-                depthTest: true
-            });
-
-            // Create sprite
-            this.previewSprite = new THREE.Sprite(spriteMaterial);
-            this.previewSprite.scale.set(width * 1.5, width * 1.5, 1);
-            this.previewSprite.position.y = width / 2; // Float above the ground
-            this.placementPreviewMesh.add(this.previewSprite);
-        });
+    // Move the placement preview to a grid position and check if it's valid there
+    setPlacementPosition(x, y) {
+        if (!this.buildingPlacementMode) return;
 
-        // Add the preview to the scene
-        this.scene.add(this.placementPreviewMesh);
+        this.placementGridPosition = { x, y };
+        this.placementValid = this._isPlacementValid(x, y);
     }
 
-    // Update the placement preview position and validity
-    _updatePlacementPreview() {
-        if (!this.placementPreviewMesh) return;
-
-        // Raycast to find mouse position on terrain
-        this.raycaster.setFromCamera(this.mouse, this.game.camera);
-        const intersects = this.raycaster.intersectObjects([this.scene.getObjectByName('terrain')]);
-
-        if (intersects.length > 0) {
-            const intersect = intersects[0];
-
-            // Get grid position from world position
-            const gridPos = this.getGridPosition(intersect.point.x, intersect.point.z);
-
-            // Check if placement is valid
-            this.placementValid = this._isPlacementValid(gridPos.x, gridPos.z);
-
-            // Update outline color based on validity
-            if (this.previewOutline) {
-                this.previewOutline.material = this.placementValid ?
-                    new THREE.MeshBasicMaterial({ color: 0x00FF00, transparent: true, opacity: 0.5 }) :
-                    new THREE.MeshBasicMaterial({ color: 0xFF0000, transparent: true, opacity: 0.5 });
-            }
-
-            // Determine building size
-            const size = {
-                width: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1,
-                height: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1
-            };
-
-            // Get world position for center of building area
-            const worldPos = this.getWorldPosition(gridPos.x, gridPos.z);
-            const width = size.width * this.tileSize;
-            const depth = size.height * this.tileSize;
+    // Place the building at the current preview position, if valid
+    confirmBuildingPlacement() {
+        if (!this.buildingPlacementMode) return false;
 
-            // Determine terrain height at this position
-            const terrainHeight = this._getAverageTerrainHeight(gridPos.x, gridPos.z, size.width, size.height);
+        if (!this.placementValid || !this.placementGridPosition) {
+            constructionLog.debug("Cannot place building here");
+            return false;
+        }
 
-            // Update preview position
-            this.placementPreviewMesh.position.set(
-                worldPos.x + width / 2,
-                terrainHeight + 0.1, // Just above terrain
-                worldPos.z + depth / 2
-            );
+        const placed = this.commands.submit(new PlaceConstructionCommand({
+            buildingType: this.buildingTypeToPlace,
+            x: this.placementGridPosition.x,
+            y: this.placementGridPosition.y
+        }));
 
-            // Store the grid position for placement
-            this.placementGridPosition = { x: gridPos.x, y: gridPos.z };
+        // Exit placement mode
+        if (placed) {
+            this.cancelBuildingPlacement();
         }
+        return placed;
     }
 
-    // Get average terrain height for an area
-    _getAverageTerrainHeight(startX, startY, width, height) {
-        let totalHeight = 0;
-        let count = 0;
+    // Check if the building type being placed fits at the given position
+    _isPlacementValid(x, y) {
+        return this.canPlaceConstruction(this.buildingTypeToPlace, x, y);
+    }
 
-        for (let y = startY; y < startY + height; y++) {
-            for (let x = startX; x < startX + width; x++) {
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    totalHeight += this.terrain[y][x].height;
-                    count++;
-                }
-            }
+    // Check if a building of the given type can be placed at the given position
+    canPlaceConstruction(buildingType, x, y) {
+        const definition = buildingRegistry.get(buildingType);
+        if (!definition || !this.isBuildingAllowed(buildingType) || !this._isAreaFree(x, y, definition)) {
+            return false;
+        }
+
+        // Check if we can afford to build it
+        if (!this.resourceManager.hasResources(definition.cost)) {
+            return false;
         }
 
-        return count > 0 ? totalHeight / count : 0;
+        return true;
     }
 
-    // Check if a building can be placed at the given position
-    _isPlacementValid(x, y) {
-        // Determine building size
-        const size = {
-            width: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1,
-            height: this.buildingTypeToPlace === BuildingType.WAREHOUSE ? 2 : 1
-        };
+    // Whether the player may build this type at all, e.g. in a scenario that limits buildings
+    isBuildingAllowed(buildingType) {
+        return this.allowedBuildings === null || this.allowedBuildings.includes(buildingType);
+    }
+
+    // Check if a building's footprint is inside the map, unoccupied, on terrain
+    // its placement rules allow and, for extracting buildings, near a deposit
+    _isAreaFree(x, y, definition) {
+        const size = definition.size;
+        const allowedTerrain = definition.placement.terrain;
 
         // Check if the entire area is within bounds
         if (x < 0 || y < 0 || x + size.width > this.size.width || y + size.height > this.size.height) {
@@ -1050,113 +674,250 @@ export class World {
             for (let gridX = x; gridX < x + size.width; gridX++) {
                 const tile = this.terrain[gridY][gridX];
 
-                // Check if tile is grass and not occupied
-                if (tile.type !== TerrainType.GRASS || tile.building) {
+                // Check if tile is allowed terrain and not occupied
+                if (!allowedTerrain.includes(tile.type) || tile.building) {
                     return false;
                 }
             }
         }
 
-        // Check if we can afford to build it
-        const costs = buildingCosts[this.buildingTypeToPlace];
-        if (!this.game.resourceManager.hasResources(costs)) {
+        // Check if the ground is flat enough
+        const heights = this._getAreaCornerHeights(x, y, size.width, size.height);
+        if (Math.max(...heights) - Math.min(...heights) > TERRAIN.MAX_BUILDING_SLOPE) {
             return false;
         }
 
-        return true;
+        // Some buildings need a terrain type nearby, e.g. a stonemason needs stone to
+        // quarry and a mine a mountain with its ore
+        const near = definition.placement.near;
+        if (near && !this._isTerrainNear(x, y, size, near.terrain, near.radius, near.deposit)) {
+            return false;
+        }
+
+        // and extracting buildings need something to extract
+        const extraction = definition.extraction;
+        return !extraction ||
+            this.hasDeposit(definition.recipe.produces.type, { position: { x, y }, size }, extraction.radius);
     }
 
-    // Place the building at the current preview position
-    _placeBuilding() {
-        if (!this.placementValid || !this.placementGridPosition) {
-            console.log("Invalid placement");
-            return;
+    // Whether any of the given terrain types is within radius tiles of an area;
+    // with a deposit type, a tile of them holding such a deposit
+    _isTerrainNear(x, y, size, terrainTypes, radius, depositType = null) {
+        const startX = Math.max(0, x - radius);
+        const startY = Math.max(0, y - radius);
+        const endX = Math.min(this.size.width - 1, x + size.width - 1 + radius);
+        const endY = Math.min(this.size.height - 1, y + size.height - 1 + radius);
+
+        for (let gridY = startY; gridY <= endY; gridY++) {
+            for (let gridX = startX; gridX <= endX; gridX++) {
+                const tile = this.terrain[gridY][gridX];
+                if (terrainTypes.includes(tile.type) &&
+                    (!depositType || (tile.deposit && tile.deposit.type === depositType))) {
+                    return true;
+                }
+            }
         }
+        return false;
+    }
 
-        const x = this.placementGridPosition.x;
-        const y = this.placementGridPosition.y;
+    // Pay for a building and start its construction site. Redoing a placement
+    // passes the id the site had before, so commands referring to it still work.
+    // Called by PlaceConstructionCommand; returns the construction, or null if it can't be placed.
+    placeConstruction(buildingType, x, y, id = null) {
+        if (!this.canPlaceConstruction(buildingType, x, y)) {
+            constructionLog.debug(`Cannot place ${buildingType} at grid position: ${x}, ${y}`);
+            return null;
+        }
 
-        console.log(`Placing ${this.buildingTypeToPlace} at grid position: ${x}, ${y}`);
+        constructionLog.info(`Placing ${buildingType} at grid position: ${x}, ${y}`);
 
         // Consume resources
-        const costs = buildingCosts[this.buildingTypeToPlace];
-        this.game.resourceManager.consumeResources(costs);
+        this.resourceManager.consumeResources(buildingRegistry.get(buildingType).cost);
 
         // Create a construction site
-        const construction = new Construction(this, x, y, this.buildingTypeToPlace);
+        const construction = new Construction(this, x, y, buildingType);
+        if (id !== null) {
+            construction.id = id;
+        }
         this.addConstruction(construction);
-
-        // Exit placement mode
-        this.cancelBuildingPlacement();
+        return construction;
     }
 
-    _onMouseMove(event) {
-        // Update mouse position
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    // Remove a construction site and refund everything that went into it: the
+    // placement cost, resources porters delivered and resources on their way.
+    // Returns the refunded resources.
+    cancelConstruction(construction) {
+        let refund = sumResources(
+            buildingRegistry.get(construction.targetBuildingType).cost,
+            construction.allocatedResources
+        );
 
-        // If in building placement mode, update the preview
-        if (this.buildingPlacementMode) {
-            this._updatePlacementPreview();
+        // Send the settlers working on it back to idle; carried resources go back to storage
+        for (const settler of this.settlers) {
+            if (settler.targetConstruction !== construction) continue;
+
+            if (settler.carriedResource) {
+                refund = sumResources(refund, { [settler.carriedResource]: settler.carriedAmount });
+            }
+            settler.abandonConstruction();
         }
+
+        this.constructions = this.constructions.filter(c => c !== construction);
+        this._freeTiles(construction);
+        this._notifyObservers('onConstructionRemoved', construction);
+
+        this.resourceManager.addResources(refund);
+        this.events.emit(GameEvent.CONSTRUCTION_CANCELLED, { construction, refund });
+
+        constructionLog.info(`Cancelled ${construction.targetBuildingType} construction at ${construction.position.x}, ${construction.position.y}`);
+        return refund;
     }
 
-    _onClick(event) {
-        // Raycast to find clicked objects
-        this.raycaster.setFromCamera(this.mouse, this.game.camera);
+    // Put a cancelled construction site back from its serialize() snapshot, with
+    // its id, progress and delivered resources. Charges the placement cost and the
+    // delivered resources again; resources that were on their way stay in storage.
+    // Returns the construction, or null if its tiles are taken or it can't be paid for.
+    restoreConstruction(snapshot) {
+        const { x, y } = snapshot.position;
+        const buildingType = snapshot.targetBuildingType;
+        const definition = buildingRegistry.get(buildingType);
+        const cost = sumResources(definition.cost, snapshot.allocatedResources);
+
+        if (!this._isAreaFree(x, y, definition)) {
+            constructionLog.info(`Cannot restore ${buildingType} construction: its tiles are taken`);
+            return null;
+        }
+
+        if (!this.resourceManager.consumeResources(cost)) {
+            constructionLog.info(`Not enough resources to restore ${buildingType} construction`);
+            return null;
+        }
 
-        const intersects = this.raycaster.intersectObjects(this.scene.children, true); // Use true to check all descendants
+        const construction = new Construction(this, x, y, buildingType);
+        construction.restore(snapshot);
+        this.addConstruction(construction);
+        return construction;
+    }
 
-        if (intersects.length > 0) {
-            const intersect = intersects[0];
-            console.log(`Click detected at world position: (${intersect.point.x}, ${intersect.point.z})`);
+    canDemolishBuilding(building) {
+        // Porters need a storage building to fetch from
+        return !building.definition.storage ||
+            this.buildings.filter(b => b.definition.storage).length > 1;
+    }
 
-            // Handle building placement if in placement mode
-            if (this.buildingPlacementMode) {
-                if (this.placementValid) {
-                    this._placeBuilding();
-                } else {
-                    console.log("Cannot place building here");
-                }
-                return;
+    // Tear down a finished building and refund part of its cost.
+    // Returns the refunded resources, or null if it can't be demolished.
+    demolishBuilding(building) {
+        if (!this.canDemolishBuilding(building)) {
+            log.info(`Cannot demolish the last ${building.name}`);
+            return null;
+        }
+
+        for (const settler of this.settlers) {
+            if (settler.assignedBuilding === building) {
+                settler.assignedBuilding = null;
             }
+        }
 
-            // Check if we clicked on terrain or a building
-            if (intersect.object.name === 'terrain') {
-                // Convert intersection point to grid coordinates using our new method
-                const gridPos = this.getGridPosition(intersect.point.x, intersect.point.z);
-                const x = gridPos.x;
-                const z = gridPos.z;
+        this.removeBuilding(building);
 
-                if (x >= 0 && x < this.size.width && z >= 0 && z < this.size.height) {
-                    console.log(`Clicked on terrain at grid [${x}, ${z}], type: ${this.terrain[z][x].type}`);
-                }
-            } else {
-                // Find the clicked building - search through parent objects too
-                let obj = intersect.object;
-                while (obj && !obj.userData.isBuilding) {
-                    obj = obj.parent;
-                }
+        const refund = this._getDemolitionRefund(building.type);
+        this.resourceManager.addResources(refund);
+        this.events.emit(GameEvent.BUILDING_DEMOLISHED, { building, refund });
 
-                if (obj && obj.userData.isBuilding) {
-                    // Check if it's a construction site
-                    if (obj.userData.isConstruction) {
-                        const construction = this.constructions.find(c => c.mesh === obj);
-                        if (construction) {
-                            console.log(`Clicked on construction: ${construction.targetBuildingType}`);
-                            this.game.uiManager.showConstructionPanel(construction);
-                        }
-                    } else {
-                        // Regular building
-                        const building = this.buildings.find(b => b.mesh === obj);
-                        if (building) {
-                            console.log(`Clicked on building: ${building.name}`);
-                            this.game.uiManager.showBuildingPanel(building);
-                        }
-                    }
-                }
-            }
+        if (FOG_OF_WAR.ENABLED) {
+            this._updateFogOfWar();
         }
+
+        log.info(`Demolished ${building.name} at ${building.position.x}, ${building.position.y}`);
+        return refund;
+    }
+
+    // Take a building off the map, without a refund
+    removeBuilding(building) {
+        building.stopProduction();
+        this.buildings = this.buildings.filter(b => b !== building);
+        this._freeTiles(building);
+        this._notifyObservers('onBuildingRemoved', building);
+    }
+
+    // Add a finished building, clearing and leveling its site like a scenario's.
+    // Returns the building, or null if the type is unknown.
+    placeBuilding(type, x, y) {
+        const building = this._createBuilding(type, x, y);
+        if (!building) return null;
+
+        this._prepareSite(type, x, y);
+        this.addBuilding(building);
+
+        // Leveling moves the corners along the site's far edges too
+        const size = buildingRegistry.get(type).size;
+        this._notifyObservers('onTerrainChanged', { x, y, width: size.width + 1, height: size.height + 1 });
+        return building;
+    }
+
+    // Put a demolished building back from its serialize() snapshot, with its id
+    // and level, taking the demolition refund back.
+    // Returns the building, or null if its tiles are taken or the refund is spent.
+    restoreBuilding(snapshot) {
+        const { x, y } = snapshot.position;
+        const refund = this._getDemolitionRefund(snapshot.type);
+
+        const definition = buildingRegistry.get(snapshot.type);
+        if (!definition || !this._isAreaFree(x, y, definition)) {
+            log.info(`Cannot restore ${snapshot.type}: its tiles are taken`);
+            return null;
+        }
+
+        if (!this.resourceManager.consumeResources(refund)) {
+            log.info(`Not enough resources to restore ${snapshot.type}`);
+            return null;
+        }
+
+        const building = this._createBuilding(snapshot.type, x, y);
+        if (!building) return null;
+
+        building.restore(snapshot);
+        this.addBuilding(building);
+        return building;
+    }
+
+    _getDemolitionRefund(buildingType) {
+        const refund = {};
+        for (const [type, amount] of Object.entries(buildingRegistry.get(buildingType).cost)) {
+            refund[type] = Math.floor(amount * UNDO.DEMOLITION_REFUND);
+        }
+        return refund;
+    }
+
+    // Pay for a building's next level and upgrade it.
+    // Called by UpgradeBuildingCommand; returns true if the building was upgraded.
+    upgradeBuilding(building) {
+        if (building.level >= building.maxLevel) {
+            log.info(`${building.name} is already at maximum level`);
+            return false;
+        }
+
+        if (!this.resourceManager.hasResources(building.upgradeCost)) {
+            log.info('Not enough resources for upgrade');
+            return false;
+        }
+
+        this.resourceManager.consumeResources(building.upgradeCost);
+
+        if (!building.upgrade()) return false;
+
+        this.events.emit(GameEvent.BUILDING_UPGRADED, { building, level: building.level });
+        return true;
+    }
+
+    // Undo an upgrade: go back a level and refund what the upgrade cost
+    downgradeBuilding(building, upgradeCost) {
+        if (!building.downgrade(upgradeCost)) return false;
+
+        this.resourceManager.addResources(upgradeCost);
+        this.events.emit(GameEvent.BUILDING_DOWNGRADED, { building, level: building.level });
+        return true;
     }
 
     getGridPosition(worldX, worldZ) {
@@ -1181,265 +942,146 @@ export class World {
         return { x, z };
     }
 
-    // Add terrain sprites (grass, forest, etc.)
-    _addGrassSprites() {
-        // Check if we have loaded the new grass textures, try all possible fallbacks
-        const grassTextures = [];
-        for (let i = 1; i <= 10; i++) {
-            const grassTexture = this.textures[`grass${i}`];
-            if (grassTexture) {
-                grassTextures.push(grassTexture);
+    // Whether there's a deposit of the resource within radius tiles of a building's footprint
+    hasDeposit(resourceType, building, radius) {
+        return this._findDeposit(resourceType, building, radius) !== null;
+    }
+
+    // Total amount of a resource in the deposits within radius tiles of a building's footprint
+    countDeposits(resourceType, building, radius) {
+        let total = 0;
+        this._forEachTileNear(building, radius, (tile) => {
+            if (tile.deposit && tile.deposit.type === resourceType) {
+                total += tile.deposit.amount;
             }
-        }
+        });
+        return total;
+    }
 
-        // Get all available tree textures
-        const treeTextures = [];
-        for (let i = 1; i <= 10; i++) {
-            const treeTexture = this.textures[`tree${i}`];
-            if (treeTexture) {
-                treeTextures.push(treeTexture);
+    // Take up to amount of a resource from the nearest deposit within radius
+    // tiles of a building's footprint. Returns the amount taken, which is 0 once
+    // the deposits around the building are used up.
+    extractDeposit(resourceType, building, radius, amount) {
+        const found = this._findDeposit(resourceType, building, radius);
+        if (!found) return 0;
+
+        const { x, y, tile } = found;
+        const taken = Math.min(amount, tile.deposit.amount);
+        tile.deposit.amount -= taken;
+
+        if (tile.deposit.amount <= 0) {
+            delete tile.deposit;
+
+            // A felled forest leaves open grass
+            if (tile.type === TerrainType.FOREST) {
+                this._clearTile(tile);
+                this._notifyObservers('onTerrainChanged', { x, y, width: 1, height: 1 });
             }
+
+            log.debug(`${resourceType} deposit at (${x}, ${y}) used up`);
+            this.events.emit(GameEvent.DEPOSIT_DEPLETED, { x, y, resourceType });
         }
 
-        console.log("Adding terrain sprites...");
-        console.log(`Loaded ${treeTextures.length} tree textures for forests`);
-
-        // Create materials for different terrain types
-        const materials = {};
-        const grassMaterials = [];
-        const treeMaterials = [];
-
-        // Add all available grass materials to an array for variety
-        grassTextures.forEach((texture, index) => {
-            grassMaterials.push(new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                alphaTest: 0.5,
-                depthTest: true,
-                sizeAttenuation: true,
-                lights: false, // Disable lighting
-                color: 0xffffff // Full brightness white to use texture colors exactly
-            }));
-            console.log("Created grass material", index + 1);
-        });
+        this._notifyObservers('onDepositsChanged');
+        return taken;
+    }
 
-        // Create tree materials from available textures
-        treeTextures.forEach((texture, index) => {
-            treeMaterials.push(new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                alphaTest: 0.5,
-                depthTest: true,
-                sizeAttenuation: true,
-                lights: false, // Disable lighting
-                color: 0xffffff // Full brightness white to use texture colors exactly
-            }));
-            console.log(`Created tree material ${index + 1}`);
+    // The nearest tile with a deposit of the resource, as { x, y, tile }, or null
+    _findDeposit(resourceType, building, radius) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this._forEachTileNear(building, radius, (tile, x, y, distance) => {
+            if (tile.deposit && tile.deposit.type === resourceType && distance < nearestDistance) {
+                nearest = { x, y, tile };
+                nearestDistance = distance;
+            }
         });
+        return nearest;
+    }
 
-        // Fallback to legacy forest textures if no tree textures are available
-        if (treeMaterials.length === 0) {
-            if (forestTexture) {
-                treeMaterials.push(new THREE.SpriteMaterial({
-                    map: forestTexture,
-                    transparent: true,
-                    alphaTest: 0.5,
-                    depthTest: true,
-                    sizeAttenuation: true,
-                    lights: false, // Disable lighting
-                    color: 0xffffff // Full brightness white to use texture colors exactly
-                }));
-                console.log("Created legacy forest material");
-            } else if (forest1Texture) {
-                treeMaterials.push(new THREE.SpriteMaterial({
-                    map: forest1Texture,
-                    transparent: true,
-                    alphaTest: 0.5,
-                    depthTest: true,
-                    sizeAttenuation: true,
-                    lights: false, // Disable lighting
-                    color: 0xffffff // Full brightness white to use texture colors exactly
-                }));
-                console.log("Created alternate legacy forest material");
+    // Call callback(tile, x, y, distance) for every tile within radius tiles of a
+    // building's footprint, where distance is counted from the footprint's edge
+    _forEachTileNear(building, radius, callback) {
+        const { position, size } = building;
+        const startX = Math.max(0, position.x - radius);
+        const startY = Math.max(0, position.y - radius);
+        const endX = Math.min(this.size.width - 1, position.x + size.width - 1 + radius);
+        const endY = Math.min(this.size.height - 1, position.y + size.height - 1 + radius);
+
+        for (let y = startY; y <= endY; y++) {
+            for (let x = startX; x <= endX; x++) {
+                const dx = Math.max(position.x - x, 0, x - (position.x + size.width - 1));
+                const dy = Math.max(position.y - y, 0, y - (position.y + size.height - 1));
+                callback(this.terrain[y][x], x, y, Math.max(dx, dy));
             }
         }
+    }
 
-        // Store grass materials for use in the terrain generation
-        if (grassMaterials.length > 0) {
-            materials[TerrainType.GRASS] = grassMaterials;
-            // Also use grass textures for forest ground
-            materials[TerrainType.FOREST] = grassMaterials;
+    // Cost of walking onto a tile (see MOVEMENT_COST); Infinity where settlers
+    // can't walk, such as water, mountains and off the map
+    getMovementCost(x, y) {
+        if (x < 0 || y < 0 || x >= this.size.width || y >= this.size.height) {
+            return Infinity;
         }
+        return MOVEMENT_COST[this.terrain[y][x].type] ?? Infinity;
+    }
 
-        // Store tree materials separately
-        if (treeMaterials.length > 0) {
-            materials['TREES'] = treeMaterials;
+    // Height of the terrain surface at a world position. Tiles are the corners of
+    // the terrain mesh's quads, so this interpolates across the same two
+    // triangles each quad is split into.
+    getTerrainHeightAt(worldX, worldZ) {
+        const gridX = worldX / this.tileSize + this.size.width / 2;
+        const gridZ = worldZ / this.tileSize + this.size.height / 2;
+
+        const x = Math.min(Math.max(Math.floor(gridX), 0), this.size.width - 1);
+        const z = Math.min(Math.max(Math.floor(gridZ), 0), this.size.height - 1);
+        const fx = Math.min(Math.max(gridX - x, 0), 1);
+        const fz = Math.min(Math.max(gridZ - z, 0), 1);
+
+        const a = this._getCornerHeight(x, z);
+        const b = this._getCornerHeight(x, z + 1);
+        const c = this._getCornerHeight(x + 1, z + 1);
+        const d = this._getCornerHeight(x + 1, z);
+
+        if (fx + fz <= 1) {
+            return a + (d - a) * fx + (b - a) * fz;
         }
+        return c + (b - c) * (1 - fx) + (d - c) * (1 - fz);
+    }
 
-        // Group for all terrain sprites
-        this.spriteGroup = new THREE.Group();
-        this.spriteGroup.name = "terrainSprites";
-
-        // Stats for logging
-        const stats = {
-            grass: 0,
-            forest: 0,
-            trees: 0,
-            total: 0
-        };
-
-        // Create sprites for terrain tiles
-        // Focus on a reasonable area around the center for performance
-        const centerX = Math.floor(this.size.width / 2);
-        const centerY = Math.floor(this.size.height / 2);
-        const radius = 25; // Only add sprites in a 50x50 area around center
+    // Average ground height under an area of tiles, for placing buildings on it
+    getAreaHeight(x, y, width, height) {
+        const heights = this._getAreaCornerHeights(x, y, width, height);
+        return heights.reduce((total, h) => total + h, 0) / heights.length;
+    }
 
-        for (let y = centerY - radius; y < centerY + radius; y++) {
-            for (let x = centerX - radius; x < centerX + radius; x++) {
-                // Check if coordinates are valid
-                if (y >= 0 && y < this.size.height && x >= 0 && x < this.size.width) {
-                    const terrainType = this.terrain[y][x].type;
-
-                    // Only add sprites if we have a material for this terrain type
-                    if (materials[terrainType]) {
-                        // Get world position for this tile
-                        const worldPos = this.getWorldPosition(x, y);
-                        const terrainHeight = this.terrain[y][x].height;
-
-                        // Handle the different terrain types
-                        if ((terrainType === TerrainType.GRASS || terrainType === TerrainType.FOREST) &&
-                            Array.isArray(materials[terrainType])) {
-
-                            // Add grass sprites (for both grass and forest terrains)
-                            // Randomly select a grass material from the array for each sprite
-                            const randomIndex = Math.floor(Math.random() * materials[terrainType].length);
-                            const sprite = new THREE.Sprite(materials[terrainType][randomIndex]);
-
-                            sprite.scale.set(this.tileSize, this.tileSize, 1);
-
-                            // Create grass as a horizontal plane instead of a sprite
-                            // Create a small plane geometry
-                            const planeGeometry = new THREE.PlaneGeometry(
-                                this.tileSize,
-                                this.tileSize,
-                            );
-
-                            // Create plane material with the grass texture
-                            const planeMaterial = new THREE.MeshBasicMaterial({
-                                map: materials[terrainType][randomIndex].map,
-                                transparent: true,
-                                alphaTest: 0.5,
-                                side: THREE.DoubleSide
-                            });
-
-                            // Create mesh with the plane geometry and material
-                            const grassPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-
-                            // Rotate the plane to be flat on the ground (rotated around X-axis)
-                            grassPlane.rotation.x = -Math.PI / 2;
-                            // rotate 90, 180, 270 degrees randomly
-                            grassPlane.rotation.z = Math.random() > 0.75 ? Math.PI / 2 :
-                                Math.random() > 0.5 ? Math.PI : Math.random() > 0.25 ? -Math.PI / 2 : 0;
-
-                            // Position the grass plane
-                            grassPlane.position.set(
-                                worldPos.x,
-                                terrainHeight,
-                                worldPos.z,
-                            );
-
-                            // Add to the sprite group
-                            this.spriteGroup.add(grassPlane);
-                            stats.grass++;
-                            stats.total++;
-
-                            // Add trees only for forest terrain
-                            if (terrainType === TerrainType.FOREST && materials['TREES']) {
-                                // Add 1-2 trees per forest tile
-                                const treeCount = 1; // + Math.floor(Math.random() * 0.99); // 1-2 trees
-
-                                for (let i = 0; i < treeCount; i++) {
-                                    // Randomly select a tree material
-                                    const randomTreeIndex = Math.floor(Math.random() * materials['TREES'].length);
-                                    const treeSprite = new THREE.Sprite(materials['TREES'][randomTreeIndex]);
-
-                                    // Trees should be moderately sized but tall enough to be visible
-                                    const treeScale = 0.7 + Math.random() * 0.3; // Slight size variation (0.7-1.0)
-                                    const treeSize = this.tileSize * 2.0 * treeScale; // Slightly larger to compensate for height
-                                    treeSprite.scale.set(treeSize, treeSize, 1);
-
-                                    // Random rotation for trees
-                                    // treeSprite.material.rotation = Math.random() * Math.PI * 0.2; // Slight rotation
-
-                                    // Position the tree with offset within the tile
-                                    const treeOffsetX = (Math.random() - 0.5) * this.tileSize * 0.7;
-                                    const treeOffsetZ = (Math.random() - 0.5) * this.tileSize * 0.7;
-                                    const treeHeightOffset = 1.5; // Higher offset to show trees above grass
-
-                                    treeSprite.position.set(
-                                        worldPos.x + treeOffsetX,
-                                        terrainHeight + treeHeightOffset,
-                                        worldPos.z + treeOffsetZ
-                                    );
-
-                                    // Add to the sprite group
-                                    this.spriteGroup.add(treeSprite);
-                                    stats.trees++;
-                                    stats.total++;
-                                }
-                            }
-                        } else if (materials[terrainType]) {
-                            // For other terrain types, create planes aligned with terrain
-                            const planeSize = this.tileSize * 1.5;
-                            const heightOffset = 0.1;
-
-                            // Create plane geometry
-                            const planeGeometry = new THREE.PlaneGeometry(planeSize, planeSize);
-
-                            // Create material with the texture
-                            const planeMaterial = new THREE.MeshBasicMaterial({
-                                map: materials[terrainType].map,
-                                transparent: true,
-                                alphaTest: 0.5,
-                                side: THREE.DoubleSide
-                            });
-
-                            // Create the mesh
-                            const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-
-                            // Rotate to lie flat on the ground
-                            plane.rotation.x = -Math.PI / 2;
-
-                            // Add some random rotation for natural look
-                            plane.rotation.z = Math.random() * Math.PI * 2;
-
-                            // Position the plane on the terrain
-                            plane.position.set(
-                                worldPos.x,
-                                terrainHeight + heightOffset,
-                                worldPos.z
-                            );
-
-                            // Add to the sprite group
-                            this.spriteGroup.add(plane);
-                            stats.total++;
-                        }
-                    }
-                }
+    // Heights of the mesh corners around an area's tiles
+    _getAreaCornerHeights(x, y, width, height) {
+        const heights = [];
+        for (let gridY = y; gridY <= y + height; gridY++) {
+            for (let gridX = x; gridX <= x + width; gridX++) {
+                heights.push(this._getCornerHeight(gridX, gridY));
             }
         }
+        return heights;
+    }
 
-        // Add all sprites to the scene
-        this.scene.add(this.spriteGroup);
-        console.log(`Added ${stats.total} terrain sprites (${stats.grass} grass, ${stats.trees} trees, ${stats.forest} forest patches)`);
+    // The mesh has one more row and column of corners than the map has tiles;
+    // corners past the edge take the height of the nearest tile
+    _getCornerHeight(x, y) {
+        const clampedX = Math.min(Math.max(x, 0), this.size.width - 1);
+        const clampedY = Math.min(Math.max(y, 0), this.size.height - 1);
+        return this.terrain[clampedY][clampedX].height;
     }
 
     // Add initial settlers
     _addStartingSettlers(warehouseX, warehouseY) {
+        const random = this.random.stream('world');
+
         // Add 3 porters around the warehouse
         for (let i = 0; i < 3; i++) {
-            const offsetX = Math.floor(Math.random() * 3) - 1;
-            const offsetY = Math.floor(Math.random() * 3) - 1;
+            const offsetX = random.nextInt(3) - 1;
+            const offsetY = random.nextInt(3) - 1;
 
             const porterX = warehouseX + offsetX;
             const porterY = warehouseY + offsetY;
@@ -1453,8 +1095,8 @@ export class World {
 
         // Add 2 builders around the warehouse
         for (let i = 0; i < 2; i++) {
-            const offsetX = Math.floor(Math.random() * 3) - 1;
-            const offsetY = Math.floor(Math.random() * 3) - 1;
+            const offsetX = random.nextInt(3) - 1;
+            const offsetY = random.nextInt(3) - 1;
 
             const builderX = warehouseX + offsetX;
             const builderY = warehouseY + offsetY;
@@ -1471,59 +1113,225 @@ export class World {
     _addSettler(settler) {
         this.settlers.push(settler);
 
-        // Initialize and add to scene
+        // Initialize and place the settler on the terrain
         settler.init();
 
-        if (settler.mesh) {
-            this.scene.add(settler.mesh);
-            
-            // Make sure the settler is properly initialized
-            const worldPos = this.getWorldPosition(settler.position.x, settler.position.y);
-            const terrainHeight = this.terrain[settler.position.y][settler.position.x].height;
-            settler.mesh.position.set(worldPos.x, terrainHeight + 0.1, worldPos.z);
-            
-            // Create a marker to help locate the settler
-            const markerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-            const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFF00 });
-            const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-            marker.position.y = 1.5; // Above the settler
-            settler.mesh.add(marker);
-            
-            // Make the marker blink to make it extra visible
-            const blinkInterval = setInterval(() => {
-                marker.visible = !marker.visible;
-            }, 500);
-            
-            // Remove the marker after 10 seconds
-            setTimeout(() => {
-                clearInterval(blinkInterval);
-                settler.mesh.remove(marker);
-            }, 10000);
-        }
-
-        console.log(`Added ${settler.type} at (${settler.position.x}, ${settler.position.y})`);
-    }
-
-    // Position the camera to focus on the starting area
-    _centerCameraOnStartingArea(centerX, centerY) {
-        // Get the world position of the starting tile
-        const worldPos = this.getWorldPosition(centerX, centerY);
-
-        // Calculate the offset from the center
-        const offsetX = worldPos.x;
-        const offsetZ = worldPos.z;
-
-        // Move the camera's target to this position
-        // We need to adjust the orbit controls target point
-        const controls = this.game.controls;
-
-        // Set the target to the world position of our starting area
-        controls.target.set(offsetX, 0, offsetZ);
-
-        // Update controls to apply the new target
-        controls.update();
-
-        console.log(`Camera centered on starting area at world position: ${offsetX}, ${offsetZ}`);
-        console.log(`Center coordinates: Grid (${centerX}, ${centerY}), World (${offsetX}, ${offsetZ})`);
-    }
-}
\ No newline at end of file
+        const worldPos = this.getWorldPosition(settler.position.x, settler.position.y);
+        const terrainHeight = this.getTerrainHeightAt(worldPos.x, worldPos.z);
+        settler.setWorldPosition(worldPos.x, terrainHeight + 0.1, worldPos.z);
+
+        this._notifyObservers('onSettlerAdded', settler);
+        this.events.emit(GameEvent.SETTLER_ADDED, { settler });
+
+        settler.log.debug(`Added at (${settler.position.x}, ${settler.position.y})`);
+    }
+
+    removeSettler(settler) {
+        // Its pending path steps and retries would act on a settler that's gone
+        this.scheduler.cancel(settler);
+        this.settlers = this.settlers.filter(s => s !== settler);
+        this._notifyObservers('onSettlerRemoved', settler);
+    }
+
+    // Let views know tiles were changed directly, e.g. by the map editor.
+    // area ({ x, y, width, height }) is where; leave it out for anywhere.
+    notifyTerrainEdited(area = null) {
+        this._notifyObservers('onTerrainChanged', area);
+        this._notifyObservers('onDepositsChanged');
+    }
+
+    // Cheats for the developer console (ui/DevConsole.js). They're applied through
+    // commands like other player actions, so replays reproduce them.
+
+    // Mark the whole map as explored. Returns the number of newly explored tiles.
+    revealMap() {
+        if (!FOG_OF_WAR.ENABLED) return 0;
+
+        let revealed = 0;
+        for (const row of this.fogOfWar) {
+            for (const fog of row) {
+                if (!fog.explored) {
+                    fog.explored = true;
+                    revealed++;
+                }
+            }
+        }
+
+        this._updateFogOfWar();
+
+        if (revealed > 0) {
+            fogLog.info(`Revealed the map, ${revealed} tiles newly explored`);
+            this.events.emit(GameEvent.FOG_REVEALED, { tiles: revealed });
+        }
+        return revealed;
+    }
+
+    // Add a settler of the given type at a tile. Returns the settler, or null
+    // if the type can't be created or the tile is off the map.
+    spawnSettler(type, x, y) {
+        if (x < 0 || y < 0 || x >= this.size.width || y >= this.size.height) {
+            log.warn(`Cannot spawn ${type} at ${x}, ${y}: outside the map`);
+            return null;
+        }
+
+        const settler = this._createSettler(type, x, y);
+        if (!settler) return null;
+
+        this._addSettler(settler);
+        return settler;
+    }
+
+    // Finish a construction site right away. Settlers working on it go back to
+    // idle and resources they were carrying to it return to storage.
+    finishConstruction(construction) {
+        for (const settler of this.settlers) {
+            if (settler.targetConstruction !== construction) continue;
+
+            if (settler.carriedResource) {
+                this.resourceManager.addResource(settler.carriedResource, settler.carriedAmount);
+            }
+            settler.abandonConstruction();
+        }
+
+        this.completeConstruction(construction);
+    }
+
+    // Find a building, construction site or settler by its id
+    getEntityById(id) {
+        return this.buildings.find(b => b.id === id) ||
+            this.constructions.find(c => c.id === id) ||
+            this.settlers.find(s => s.id === id) ||
+            null;
+    }
+
+    // Plain-object snapshot of the whole simulation, for save files
+    serialize() {
+        const tiles = this.terrain.flat();
+
+        return {
+            size: { ...this.size },
+            seed: this.seed,
+            random: this.random.getState(),
+            tick: this.clock.tick,
+            nextEntityId: this.nextEntityId,
+            startPosition: this.startPosition ? { ...this.startPosition } : null,
+            allowedBuildings: this.allowedBuildings ? [...this.allowedBuildings] : null,
+            terrain: {
+                types: encodeRuns(tiles.map(tile => tile.type)),
+                heights: encodeFloat64(tiles.map(tile => tile.height)),
+                // null where MapGen never set the flag
+                buildable: encodeRuns(tiles.map(tile => tile.buildable === undefined ? null : tile.buildable)),
+                // Resource type of each tile's deposit (null for none) and the amount left
+                depositTypes: encodeRuns(tiles.map(tile => tile.deposit ? tile.deposit.type : null)),
+                depositAmounts: encodeFloat64(tiles.map(tile => tile.deposit ? tile.deposit.amount : 0))
+            },
+            explored: this.fogOfWar.length > 0 ?
+                encodeRuns(this.fogOfWar.flat().map(fog => fog.explored ? 1 : 0)) : null,
+            buildings: this.buildings.map(building => building.serialize()),
+            constructions: this.constructions.map(construction => construction.serialize()),
+            settlers: this.settlers.map(settler => settler.serialize()),
+            scheduler: this.scheduler.serialize(),
+            resources: this.resourceManager.serialize()
+        };
+    }
+
+    // Rebuild the simulation from serialize() output, instead of calling init()
+    restore(data) {
+        this.size = { ...data.size };
+        this.random.setState(data.random);
+        this.clock.tick = data.tick;
+        this.startPosition = data.startPosition ? { ...data.startPosition } : null;
+        this.allowedBuildings = data.allowedBuildings ? [...data.allowedBuildings] : null;
+
+        // Terrain
+        const types = decodeRuns(data.terrain.types);
+        const heights = decodeFloat64(data.terrain.heights);
+        const buildable = decodeRuns(data.terrain.buildable);
+        const depositTypes = decodeRuns(data.terrain.depositTypes);
+        const depositAmounts = decodeFloat64(data.terrain.depositAmounts);
+        this.terrain = [];
+        for (let y = 0; y < this.size.height; y++) {
+            this.terrain[y] = [];
+            for (let x = 0; x < this.size.width; x++) {
+                const i = y * this.size.width + x;
+                const tile = { type: types[i], height: heights[i] };
+                if (buildable[i] !== null) {
+                    tile.buildable = buildable[i];
+                }
+                if (depositTypes[i] !== null) {
+                    tile.deposit = { type: depositTypes[i], amount: depositAmounts[i] };
+                }
+                this.terrain[y][x] = tile;
+            }
+        }
+
+        // Fog of war
+        this.fogOfWar = [];
+        if (FOG_OF_WAR.ENABLED) {
+            const explored = data.explored ? decodeRuns(data.explored) : [];
+            for (let y = 0; y < this.size.height; y++) {
+                this.fogOfWar[y] = [];
+                for (let x = 0; x < this.size.width; x++) {
+                    this.fogOfWar[y][x] = {
+                        visible: false,
+                        explored: explored[y * this.size.width + x] === 1
+                    };
+                }
+            }
+        }
+
+        // Entities: create them all first, then reconnect their references
+        this.buildings = data.buildings.map(entry => this._restoreEntity(entry, () =>
+            this._createBuilding(entry.type, entry.position.x, entry.position.y)
+        )).filter(building => building);
+        this.constructions = data.constructions.map(entry => this._restoreEntity(entry, () =>
+            new Construction(this, entry.position.x, entry.position.y, entry.targetBuildingType)
+        ));
+        this.settlers = data.settlers.map(entry => this._restoreEntity(entry, () =>
+            this._createSettler(entry.type, entry.position.x, entry.position.y)
+        )).filter(settler => settler);
+
+        const entries = [...data.buildings, ...data.constructions, ...data.settlers];
+        for (const entry of entries) {
+            const entity = this.getEntityById(entry.id);
+            if (entity) {
+                entity.resolveReferences(entry);
+            }
+        }
+
+        for (const building of [...this.buildings, ...this.constructions]) {
+            this._occupyTiles(building);
+        }
+
+        // Ids must not collide with restored entities
+        this.nextEntityId = data.nextEntityId;
+        this.scheduler.restore(data.scheduler, id => this.getEntityById(id));
+        this.resourceManager.restore(data.resources);
+
+        if (FOG_OF_WAR.ENABLED) {
+            this._updateFogOfWar();
+        }
+
+        log.info(`World restored at tick ${this.clock.tick} with seed ${this.seed}`);
+    }
+
+    _restoreEntity(entry, create) {
+        const entity = create();
+        if (entity) {
+            entity.restore(entry);
+        }
+        return entity;
+    }
+
+    _createSettler(type, x, y) {
+        switch (type) {
+            case SettlerType.PORTER:
+                return new Porter(this, x, y);
+            case SettlerType.BUILDER:
+                return new Builder(this, x, y);
+            default:
+                log.error(`Unknown settler type: ${type}`);
+                return null;
+        }
+    }
+}
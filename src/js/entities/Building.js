@@ -1,16 +1,29 @@
-import * as THREE from 'three';
 import { Entity } from './Entity.js';
-import { buildingNames, productionChains } from '../utils/Constants.js';
+import { GameEvent, LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+
+// Scale a per-level cost to a level
+const costForLevel = (cost, level) => {
+    const scaled = {};
+    for (const [resource, amount] of Object.entries(cost)) {
+        scaled[resource] = amount * level;
+    }
+    return scaled;
+};
 
 export class Building extends Entity {
     constructor(world, x, y, type) {
         super(world, x, y);
         
+        // Everything type-specific comes from the registered definition
         this.type = type;
-        this.name = buildingNames[type] || 'Building';
+        this.definition = buildingRegistry.get(type);
+        this.name = this.definition.name;
+        this.log = logger.channel(LogCategory.PRODUCTION, this);
         
         // Building properties
-        this.size = { width: 1, height: 1 }; // Size in tiles
+        this.size = { ...this.definition.size }; // Size in tiles
         this.level = 1;
         this.maxLevel = 3;
         this.isProducing = false;
@@ -20,15 +33,11 @@ export class Building extends Entity {
         this._defineInteractionPoint();
         
         // Production properties
-        const production = productionChains[type] || {};
-        this.produces = production.produces || null;
-        this.consumes = production.consumes || null;
+        this.produces = this.definition.recipe.produces;
+        this.consumes = this.definition.recipe.consumes;
         
         // Upgrade costs - increase with level
-        this.upgradeCost = {
-            plank: 10 * this.level,
-            stone: 5 * this.level
-        };
+        this.upgradeCost = costForLevel(this.definition.upgradeCost, this.level);
         
         // Production timer
         this.productionTimer = 0;
@@ -38,39 +47,11 @@ export class Building extends Entity {
         this.workers = [];
     }
     
-    init() {
-        this.createMesh();
-    }
-    
-    createMesh() {
-        // Create a simple box for the building
-        const width = this.size.width * this.world.tileSize;
-        const depth = this.size.height * this.world.tileSize;
-        const height = 1.5; // Building height
-        
-        const geometry = new THREE.BoxGeometry(width, height, depth);
-        const material = new THREE.MeshStandardMaterial({ color: 0xDDDDDD });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        
-        // Position the building
-        const worldPos = this.world.getWorldPosition(this.position.x, this.position.y);
-        this.mesh.position.set(worldPos.x, height / 2, worldPos.z);
-        
-        // Name the mesh for raycasting
-        this.mesh.name = `building_${this.type}_${this.position.x}_${this.position.y}`;
-        
-        // Mark this as a building for raycasting
-        this.mesh.userData.isBuilding = true;
-        
-        return this.mesh;
-    }
-    
-    update() {
+    update(deltaTime) {
         if (!this.isProducing || !this.produces) return;
         
-        // Update production timer
-        this.productionTimer += 16.67; // Approx 1 frame at 60fps
+        // Update production timer with the fixed tick duration
+        this.productionTimer += deltaTime;
         
         if (this.productionTimer >= this.productionTime) {
             this.productionTimer = 0;
@@ -79,11 +60,18 @@ export class Building extends Entity {
     }
     
     startProduction() {
+        // Check if there's anything left to extract
+        const extraction = this.definition.extraction;
+        if (extraction && !this.world.hasDeposit(this.produces.type, this, extraction.radius)) {
+            this.log.debug(`${this.name} cannot produce: no ${this.produces.type} deposits in reach`);
+            return false;
+        }
+        
         // Check if we have resources to consume
         if (this.consumes) {
-            const resourceManager = this.world.game.resourceManager;
+            const resourceManager = this.world.resourceManager;
             if (!resourceManager.hasResources(this.consumes)) {
-                console.log(`${this.name} cannot produce - missing resources`);
+                this.log.debug(`${this.name} cannot produce: missing resources`);
                 return false;
             }
             
@@ -103,10 +91,29 @@ export class Building extends Entity {
         if (!this.produces) return;
         
         // Add produced resource to storage
-        const resourceManager = this.world.game.resourceManager;
-        resourceManager.addResource(this.produces.type, this.produces.rate * this.level);
+        const resourceManager = this.world.resourceManager;
+        let amount = this.produces.rate * this.level;
+        
+        // Extracting buildings take what they produce from the deposits around them
+        const extraction = this.definition.extraction;
+        if (extraction) {
+            amount = this.world.extractDeposit(this.produces.type, this, extraction.radius, amount);
+            if (amount === 0) {
+                this.log.info(`${this.name} has used up the ${this.produces.type} deposits in reach`);
+                this.stopProduction();
+                return;
+            }
+        }
+        
+        resourceManager.addResource(this.produces.type, amount);
+        
+        this.world.events.emit(GameEvent.PRODUCTION_CYCLE, {
+            building: this,
+            resourceType: this.produces.type,
+            amount
+        });
         
-        console.log(`${this.name} produced ${this.produces.rate * this.level} ${this.produces.type}`);
+        this.log.debug(`${this.name} produced ${amount} ${this.produces.type}`);
         
         // If we need resources to continue, check and consume them
         if (this.consumes) {
@@ -121,22 +128,30 @@ export class Building extends Entity {
     
     upgrade() {
         if (this.level >= this.maxLevel) {
-            console.log(`${this.name} is already at maximum level`);
+            this.log.info(`${this.name} is already at maximum level`);
             return false;
         }
         
         this.level++;
         
         // Update upgrade cost for next level
-        this.upgradeCost = {
-            plank: 10 * this.level,
-            stone: 5 * this.level
-        };
+        this.upgradeCost = costForLevel(this.definition.upgradeCost, this.level);
         
-        // Update mesh to reflect upgrade
-        this.mesh.scale.y = 1 + (this.level - 1) * 0.3;
+        this.log.info(`${this.name} upgraded to level ${this.level}`);
+        return true;
+    }
+    
+    // Go back a level, e.g. when an upgrade is undone. upgradeCost is what the
+    // undone upgrade cost, which is again the cost of the next level.
+    downgrade(upgradeCost) {
+        if (this.level <= 1) {
+            return false;
+        }
         
-        console.log(`${this.name} upgraded to level ${this.level}`);
+        this.level--;
+        this.upgradeCost = { ...upgradeCost };
+        
+        this.log.info(`${this.name} downgraded to level ${this.level}`);
         return true;
     }
     
@@ -158,6 +173,34 @@ export class Building extends Entity {
         }
     }
     
+    serialize() {
+        return {
+            ...super.serialize(),
+            type: this.type,
+            level: this.level,
+            isProducing: this.isProducing,
+            productionTimer: this.productionTimer,
+            upgradeCost: { ...this.upgradeCost },
+            interactionPoint: { ...this.interactionPoint },
+            workers: this.workers.map(worker => worker.id)
+        };
+    }
+    
+    restore(data) {
+        super.restore(data);
+        this.level = data.level;
+        this.isProducing = data.isProducing;
+        this.productionTimer = data.productionTimer;
+        this.upgradeCost = { ...data.upgradeCost };
+        this.interactionPoint = { ...data.interactionPoint };
+    }
+    
+    resolveReferences(data) {
+        this.workers = data.workers
+            .map(id => this.world.getEntityById(id))
+            .filter(worker => worker);
+    }
+    
     // Define the interaction point for settlers to approach the building
     _defineInteractionPoint() {
         // By default, the interaction point is at the bottom edge, middle
@@ -166,8 +209,8 @@ export class Building extends Entity {
             y: this.position.y + this.size.height - 1
         };
         
-        // For warehouse, use the bottom right corner
-        if (this.type === 'warehouse') {
+        // Some buildings, like the warehouse, are entered at the bottom right corner
+        if (this.definition.entrance === 'bottomRight') {
             this.interactionPoint = {
                 x: this.position.x + this.size.width - 1,
                 y: this.position.y + this.size.height - 1
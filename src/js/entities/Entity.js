@@ -1,27 +1,45 @@
-import * as THREE from 'three';
-
+// Base class for everything that lives in the simulation. Entities hold state
+// only; their Three.js representation lives in the matching view under render/.
 export class Entity {
     constructor(world, x, y) {
         this.world = world;
+        this.id = world.createEntityId();
         this.position = { x, y };
-        this.mesh = null;
     }
     
     init() {
         // Abstract method to be implemented by subclasses
     }
     
-    update() {
+    // Called once per simulation tick with the tick duration in milliseconds
+    update(deltaTime) {
         // Abstract method to be implemented by subclasses
     }
     
-    createMesh() {
-        // Abstract method to be implemented by subclasses
+    // Plain-object snapshot for save files. References to other entities are
+    // stored as ids and reconnected in resolveReferences once all are restored.
+    serialize() {
+        return {
+            id: this.id,
+            position: { ...this.position }
+        };
+    }
+    
+    restore(data) {
+        this.id = data.id;
+        this.position = { ...data.position };
+    }
+    
+    resolveReferences(data) {
+        // Implemented by subclasses that point at other entities
+    }
+    
+    // Call one of this entity's methods after delay milliseconds of game time
+    schedule(method, delay) {
+        return this.world.scheduler.schedule(this, method, delay);
     }
     
-    destroy() {
-        if (this.mesh) {
-            this.world.scene.remove(this.mesh);
-        }
+    isScheduled(method) {
+        return this.world.scheduler.isScheduled(this, method);
     }
-}
\ No newline at end of file
+}
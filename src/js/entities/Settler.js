@@ -1,6 +1,7 @@
-import * as THREE from 'three';
 import { Entity } from './Entity.js';
 import { settlerNames } from '../utils/Constants.js';
+import { GameEvent, LogCategory, LogLevel } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
 
 export class Settler extends Entity {
     constructor(world, x, y, type) {
@@ -9,45 +10,67 @@ export class Settler extends Entity {
         this.type = type;
         this.name = settlerNames[type] || 'Settler';
         
+        // Job messages; porters and builders log to their own category
+        this.log = logger.channel(LogCategory.SETTLER, this);
+        this.pathLog = logger.channel(LogCategory.PATHFINDING, this);
+        
         // Settler properties
-        this.speed = 0.05; // Increased speed for better visibility
+        this.speed = 0.05; // World units per simulation tick
         this.path = [];
         this.targetPosition = null;
         this.isMoving = false;
         this.assignedBuilding = null;
         
+        // Job state, e.g. 'IDLE'; see the state setter
+        this._state = 'IDLE';
+        
+        // All settlers share the world's seeded settler stream
+        this.random = world.random.stream('settlers');
+        
         // For carriers
         this.carriedResource = null;
         this.carriedAmount = 0;
         
+        // Simulated position in world coordinates. Views interpolate between the
+        // previous and current tick when rendering.
+        const worldPos = world.getWorldPosition(x, y);
+        this.worldPosition = { x: worldPos.x, y: 0.1, z: worldPos.z };
+        this.previousWorldPosition = { ...this.worldPosition };
+        
         // To detect stuck movement
         this.lastPosition = { x: 0, z: 0 };
         this.stuckCounter = 0;
-        this.stuckThreshold = 100; // Frames without significant movement
+        this.stuckThreshold = 100; // Ticks without significant movement
     }
     
-    init() {
-        this.createMesh();
+    get state() {
+        return this._state;
     }
     
-    createMesh() {
-        // Create a simple cylinder for the settler
-        const geometry = new THREE.CylinderGeometry(0.2, 0.2, 0.8, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0x0000FF });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
+    // State changes are published as settlerStateChanged events
+    set state(state) {
+        if (state === this._state) return;
         
-        // Position the settler
-        const worldPos = this.world.getWorldPosition(this.position.x, this.position.y);
-        this.mesh.position.set(worldPos.x, 0.4, worldPos.z);
-        
-        // Name the mesh for raycasting
-        this.mesh.name = `settler_${this.type}_${this.position.x}_${this.position.y}`;
-        
-        return this.mesh;
+        const previousState = this._state;
+        this._state = state;
+        this.log.debug(`${previousState} -> ${state}`);
+        this.world.events.emit(GameEvent.SETTLER_STATE_CHANGED, { settler: this, previousState, state });
+    }
+    
+    // Place the settler instantly, without interpolating from the old position
+    setWorldPosition(x, y, z) {
+        this.worldPosition = { x, y, z };
+        this.previousWorldPosition = { x, y, z };
     }
     
-    update() {
+    // Remember where we were at the start of the tick for interpolation
+    savePreviousPosition() {
+        this.previousWorldPosition.x = this.worldPosition.x;
+        this.previousWorldPosition.y = this.worldPosition.y;
+        this.previousWorldPosition.z = this.worldPosition.z;
+    }
+    
+    update(deltaTime) {
         if (this.isMoving && this.targetPosition) {
             this._moveToTarget();
         } else if (this.assignedBuilding) {
@@ -60,13 +83,10 @@ export class Settler extends Entity {
     
     _moveToTarget() {
         // Simple movement towards target
-        const target = new THREE.Vector3(
-            this.targetPosition.x,
-            this.mesh.position.y,
-            this.targetPosition.z
-        );
-        
-        const distance = this.mesh.position.distanceTo(target);
+        const position = this.worldPosition;
+        const dx = this.targetPosition.x - position.x;
+        const dz = this.targetPosition.z - position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
         
         // Check for reaching target
         if (distance < 0.25) { // Increased threshold for more reliable proximity detection
@@ -76,59 +96,51 @@ export class Settler extends Entity {
             this.stuckCounter = 0; // Reset stuck counter
             
             // Get grid position
-            const gridPos = this.world.getGridPosition(
-                this.mesh.position.x,
-                this.mesh.position.z
-            );
+            const gridPos = this.world.getGridPosition(position.x, position.z);
             
             this.position.x = gridPos.x;
             this.position.y = gridPos.z;
             
-            console.log(`${this.type} reached target at grid (${this.position.x}, ${this.position.y})`);
+            this.pathLog.debug(`Reached (${this.position.x}, ${this.position.y})`);
             
             // If we have a path, get next point
             if (this.path && this.path.length > 0) {
                 // Short delay before moving to next point to avoid rapid state changes
-                setTimeout(() => {
-                    if (!this.isMoving && this.path && this.path.length > 0) {
-                        this.moveTo(this.path.shift());
-                    }
-                }, 50);
+                this.schedule('_moveToNextPathPoint', 50);
             }
         } else {
             // Check if we're stuck
             const movementThreshold = 0.001;
             const isStuck = 
-                Math.abs(this.mesh.position.x - this.lastPosition.x) < movementThreshold &&
-                Math.abs(this.mesh.position.z - this.lastPosition.z) < movementThreshold;
+                Math.abs(position.x - this.lastPosition.x) < movementThreshold &&
+                Math.abs(position.z - this.lastPosition.z) < movementThreshold;
                 
             if (isStuck) {
                 this.stuckCounter++;
                 
                 // If stuck for too long, try to recover
                 if (this.stuckCounter > this.stuckThreshold) {
-                    console.log(`${this.type} is stuck! Attempting recovery...`);
+                    this.pathLog.warn('Stuck, attempting recovery');
                     
                     // Try a small random displacement
-                    const randomOffsetX = (Math.random() - 0.5) * 0.5;
-                    const randomOffsetZ = (Math.random() - 0.5) * 0.5;
+                    const randomOffsetX = (this.random.next() - 0.5) * 0.5;
+                    const randomOffsetZ = (this.random.next() - 0.5) * 0.5;
                     
-                    this.mesh.position.x += randomOffsetX;
-                    this.mesh.position.z += randomOffsetZ;
+                    position.x += randomOffsetX;
+                    position.z += randomOffsetZ;
                     
                     // Reset counter
                     this.stuckCounter = 0;
                     
                     // If still stuck after several recoveries, just teleport to target
-                    if (Math.random() < 0.3) { // Increased probability
-                        console.log(`${this.type} emergency teleport to target`);
-                        this.mesh.position.x = this.targetPosition.x;
-                        this.mesh.position.z = this.targetPosition.z;
+                    if (this.random.chance(0.3)) { // Increased probability
+                        this.pathLog.warn('Still stuck, teleporting to target');
+                        this.setWorldPosition(this.targetPosition.x, position.y, this.targetPosition.z);
                         
                         // Force update grid position
                         const gridPos = this.world.getGridPosition(
-                            this.mesh.position.x,
-                            this.mesh.position.z
+                            this.worldPosition.x,
+                            this.worldPosition.z
                         );
                         
                         this.position.x = gridPos.x;
@@ -140,8 +152,9 @@ export class Settler extends Entity {
                         
                         // If we're following a path, continue
                         if (this.path && this.path.length > 0) {
-                            setTimeout(() => this.moveTo(this.path.shift()), 50);
+                            this.schedule('_moveToNextPathPoint', 50);
                         }
+                        return;
                     }
                 }
             } else {
@@ -150,36 +163,20 @@ export class Settler extends Entity {
             }
             
             // Save current position for next stuck check
-            this.lastPosition.x = this.mesh.position.x;
-            this.lastPosition.z = this.mesh.position.z;
-            
-            // Move towards target
-            const direction = new THREE.Vector3()
-                .subVectors(target, this.mesh.position)
-                .normalize();
-            
-            // Update position
-            const newX = this.mesh.position.x + direction.x * this.speed;
-            const newZ = this.mesh.position.z + direction.z * this.speed;
-            
-            // Get the grid coordinates to find terrain height
-            const gridPos = this.world.getGridPosition(newX, newZ);
-            
-            // Update all components of position
-            this.mesh.position.x = newX;
-            this.mesh.position.z = newZ;
+            this.lastPosition.x = position.x;
+            this.lastPosition.z = position.z;
             
-            // Debug logging for porter movement
-            if (this.type === 'porter' && Math.random() < 0.01) {
-                console.log(`Porter moving to ${this.targetPosition.x.toFixed(2)}, ${this.targetPosition.z.toFixed(2)}, distance: ${distance.toFixed(2)}, path remaining: ${this.path ? this.path.length : 0}`);
-            }
+            // Move towards target, without overshooting it, slower on costly terrain
+            const targetGrid = this.world.getGridPosition(this.targetPosition.x, this.targetPosition.z);
+            const cost = this.world.getMovementCost(targetGrid.x, targetGrid.z);
+            const step = Math.min(this.speed / (Number.isFinite(cost) ? cost : 1), distance);
+            const newX = position.x + (dx / distance) * step;
+            const newZ = position.z + (dz / distance) * step;
             
-            // Update height based on terrain if grid position is valid
-            if (gridPos.x >= 0 && gridPos.x < this.world.size.width && 
-                gridPos.z >= 0 && gridPos.z < this.world.size.height) {
-                const terrainHeight = this.world.terrain[gridPos.z][gridPos.x].height;
-                this.mesh.position.y = terrainHeight + 0.1; // Slightly above terrain
-            }
+            // Update all components of position, following the terrain surface
+            position.x = newX;
+            position.z = newZ;
+            position.y = this.world.getTerrainHeightAt(newX, newZ) + 0.1; // Slightly above terrain
         }
     }
     
@@ -203,14 +200,14 @@ export class Settler extends Entity {
         if (this.carriedResource) {
             // Find where to deliver
             // For now, just go to warehouse
-            const warehouse = this.world.buildings.find(b => b.type === 'warehouse');
+            const warehouse = this.world.buildings.find(b => b.definition.storage);
             
             if (warehouse) {
                 this.moveTo({ x: warehouse.position.x, y: warehouse.position.y });
                 
                 // Once we reach warehouse, deposit resources
                 if (!this.isMoving) {
-                    this.world.game.resourceManager.addResource(
+                    this.world.resourceManager.addResource(
                         this.carriedResource,
                         this.carriedAmount
                     );
@@ -227,9 +224,7 @@ export class Settler extends Entity {
             );
             
             if (productionBuildings.length > 0) {
-                const randomBuilding = productionBuildings[
-                    Math.floor(Math.random() * productionBuildings.length)
-                ];
+                const randomBuilding = this.random.pick(productionBuildings);
                 
                 this.moveTo({ x: randomBuilding.position.x, y: randomBuilding.position.y });
                 
@@ -246,8 +241,8 @@ export class Settler extends Entity {
         // Builder logic: Find buildings to build or upgrade
         // For now, just move around randomly
         if (!this.isMoving) {
-            const randomX = Math.floor(Math.random() * this.world.size.width);
-            const randomY = Math.floor(Math.random() * this.world.size.height);
+            const randomX = this.random.nextInt(this.world.size.width);
+            const randomY = this.random.nextInt(this.world.size.height);
             
             this.moveTo({ x: randomX, y: randomY });
         }
@@ -259,9 +254,7 @@ export class Settler extends Entity {
         const availableBuildings = this.world.buildings.filter(b => b.workers.length < 2);
         
         if (availableBuildings.length > 0) {
-            const randomBuilding = availableBuildings[
-                Math.floor(Math.random() * availableBuildings.length)
-            ];
+            const randomBuilding = this.random.pick(availableBuildings);
             
             this.assignToBuilding(randomBuilding);
         }
@@ -283,14 +276,8 @@ export class Settler extends Entity {
         // Make a defensive copy of the path
         this.path = path ? [...path] : [];
         
-        // Log the path for debugging
-        if (this.type === 'porter') {
-            console.log(`Porter following path of ${this.path.length} steps from (${this.position.x}, ${this.position.y})`);
-            
-            // Show the first few steps
-            if (this.path.length > 0) {
-                console.log(`Path starts: ${JSON.stringify(this.path.slice(0, Math.min(3, this.path.length)))}`);
-            }
+        if (this.pathLog.isEnabled(LogLevel.DEBUG)) {
+            this.pathLog.debug(`Following a path of ${this.path.length} steps from (${this.position.x}, ${this.position.y}), starting ${JSON.stringify(this.path.slice(0, 3))}`);
         }
         
         // Clear any existing movement
@@ -300,14 +287,61 @@ export class Settler extends Entity {
         // Start following the path if it's not empty
         if (this.path.length > 0) {
             // Small delay before starting to move
-            setTimeout(() => {
-                if (this.path && this.path.length > 0) {
-                    this.moveTo(this.path.shift());
-                }
-            }, 50);
+            this.schedule('_moveToNextPathPoint', 50);
         }
     }
     
+    // Scheduled step along the current path
+    _moveToNextPathPoint() {
+        if (!this.isMoving && this.path && this.path.length > 0) {
+            this.moveTo(this.path.shift());
+        }
+    }
+    
+    // True between two points of a path, while the next step is scheduled
+    _isWaitingForPathStep() {
+        return this.isScheduled('_moveToNextPathPoint');
+    }
+    
+    serialize() {
+        return {
+            ...super.serialize(),
+            type: this.type,
+            state: this.state,
+            worldPosition: { ...this.worldPosition },
+            previousWorldPosition: { ...this.previousWorldPosition },
+            path: this.path.map(point => ({ ...point })),
+            targetPosition: this.targetPosition ? { ...this.targetPosition } : null,
+            isMoving: this.isMoving,
+            assignedBuilding: this.assignedBuilding ? this.assignedBuilding.id : null,
+            carriedResource: this.carriedResource,
+            carriedAmount: this.carriedAmount,
+            lastPosition: { ...this.lastPosition },
+            stuckCounter: this.stuckCounter
+        };
+    }
+    
+    restore(data) {
+        super.restore(data);
+        
+        // Loading isn't a state change, so don't publish it
+        this._state = data.state;
+        this.worldPosition = { ...data.worldPosition };
+        this.previousWorldPosition = { ...data.previousWorldPosition };
+        this.path = data.path.map(point => ({ ...point }));
+        this.targetPosition = data.targetPosition ? { ...data.targetPosition } : null;
+        this.isMoving = data.isMoving;
+        this.carriedResource = data.carriedResource;
+        this.carriedAmount = data.carriedAmount;
+        this.lastPosition = { ...data.lastPosition };
+        this.stuckCounter = data.stuckCounter;
+    }
+    
+    resolveReferences(data) {
+        this.assignedBuilding = data.assignedBuilding !== null ?
+            this.world.getEntityById(data.assignedBuilding) : null;
+    }
+    
     assignToBuilding(building) {
         // Unassign from previous building
         if (this.assignedBuilding) {
@@ -1,11 +1,12 @@
-import * as THREE from 'three';
 import { Settler } from '../Settler.js';
-import { SettlerType } from '../../utils/Enums.js';
+import { SettlerType, LogCategory } from '../../utils/Enums.js';
+import { logger } from '../../utils/Logger.js';
 import { PathFinder } from '../../utils/PathFinding.js';
 
 export class Builder extends Settler {
     constructor(world, x, y) {
         super(world, x, y, SettlerType.BUILDER);
+        this.log = logger.channel(LogCategory.BUILDER, this);
 
         // Builder-specific properties
         this.targetConstruction = null;
@@ -18,46 +19,30 @@ export class Builder extends Settler {
         this.state = 'IDLE'; // IDLE, MOVING_TO_CONSTRUCTION, BUILDING
     }
 
-    createMesh() {
-        // Create a group for the builder
-        this.mesh = new THREE.Group();
-
-        // Create the builder figure (orange cylinder) - larger size for visibility
-        const geometry = new THREE.CylinderGeometry(0.3, 0.3, 1.2, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0xFF6600 }); // Bright orange for builders
-
-        const figure = new THREE.Mesh(geometry, material);
-        figure.position.y = 0.6; // Half the height of the taller cylinder
-        this.mesh.add(figure);
-
-        // Position the builder
-        const worldPos = this.world.getWorldPosition(this.position.x, this.position.y);
-        const terrainHeight = this.world.terrain[this.position.y][this.position.x].height;
-        this.mesh.position.set(worldPos.x, terrainHeight + 0.1, worldPos.z); // Slightly above terrain
-
-        // Name the mesh for raycasting
-        this.mesh.name = `settler_${this.type}_${this.position.x}_${this.position.y}`;
-
-        return this.mesh;
-    }
-
-    update() {
+    update(deltaTime) {
         // First handle movement if we're moving
         if (this.isMoving && this.targetPosition) {
             this._moveToTarget();
             return;
         }
 
+        // Don't re-plan while pausing between two steps of a path
+        if (this._isWaitingForPathStep()) {
+            return;
+        }
+
         // Handle states
         switch (this.state) {
             case 'IDLE':
-                this._findConstructionToBuild();
+                if (!this.isScheduled('_retryFindConstruction')) {
+                    this._findConstructionToBuild();
+                }
                 break;
             case 'MOVING_TO_CONSTRUCTION':
                 this._moveToConstruction();
                 break;
             case 'BUILDING':
-                this._performBuilding();
+                this._performBuilding(deltaTime);
                 break;
         }
     }
@@ -85,24 +70,26 @@ export class Builder extends Settler {
 
             // Target this construction
             this.targetConstruction = closestConstruction;
-            console.log(`Builder found construction to build at ${this.targetConstruction.position.x}, ${this.targetConstruction.position.y}`);
+            this.log.debug(`Going to build construction #${this.targetConstruction.id} at (${this.targetConstruction.position.x}, ${this.targetConstruction.position.y})`);
 
             // Change state
             this.state = 'MOVING_TO_CONSTRUCTION';
         } else {
             // No construction needs building, wait a bit and check again
-            setTimeout(() => {
-                if (this.state === 'IDLE') {
-                    this._findConstructionToBuild();
-                }
-            }, 2000);
+            this.schedule('_retryFindConstruction', 2000);
+        }
+    }
+
+    _retryFindConstruction() {
+        if (this.state === 'IDLE') {
+            this._findConstructionToBuild();
         }
     }
 
     _moveToConstruction() {
         // Ensure the construction site still exists
         if (!this.targetConstruction || !this.world.constructions.includes(this.targetConstruction)) {
-            console.log('Target construction no longer exists');
+            this.log.debug('Construction no longer exists');
             this.targetConstruction = null;
             this.state = 'IDLE';
             return;
@@ -126,7 +113,7 @@ export class Builder extends Settler {
             this.state = 'BUILDING';
             this.isBuilding = true;
             this.currentBuildingTime = 0;
-            console.log(`Builder starts building at ${this.position.x}, ${this.position.y}`);
+            this.log.debug(`Started building at (${this.position.x}, ${this.position.y})`);
             return;
         }
 
@@ -137,42 +124,37 @@ export class Builder extends Settler {
         );
 
         if (path.length > 0) {
-            console.log(`Builder moving to construction site along path of ${path.length} steps`);
+            this.pathLog.debug(`Moving to the construction site along a path of ${path.length} steps`);
             // Directly move to construction if path is too complex or nonexistent
             if (path.length > 10) {
-                console.log("Path too complex, taking direct route");
+                this.pathLog.debug('Path too long, taking the direct route');
                 this.moveTo({ x: this.targetConstruction.interactionPoint.x, y: this.targetConstruction.interactionPoint.y });
             } else {
                 this.followPath(path);
             }
         } else {
-            console.log('No path to construction site found, taking direct route');
+            this.pathLog.debug('No path to the construction site, taking the direct route');
             // Direct route as fallback
             this.moveTo({ x: this.targetConstruction.interactionPoint.x, y: this.targetConstruction.interactionPoint.y });
         }
     }
 
-    _performBuilding() {
+    _performBuilding(deltaTime) {
         // Check if construction still exists
         if (!this.targetConstruction || !this.world.constructions.includes(this.targetConstruction)) {
-            console.log('Target construction no longer exists');
+            this.log.debug('Construction no longer exists');
             this.isBuilding = false;
             this.targetConstruction = null;
             this.state = 'IDLE';
             return;
         }
 
-        // Update building time
-        this.currentBuildingTime += 16.67; // Approx 1 frame at 60fps
-
-        // Create building effect (particle animation)
-        if (Math.random() < 0.1) { // Occasionally spawn particles
-            this._createBuildingEffect();
-        }
+        // Update building time with the fixed tick duration
+        this.currentBuildingTime += deltaTime;
 
         // Check if building is complete
         if (this.currentBuildingTime >= this.buildingTime) {
-            console.log('Builder finished construction');
+            this.log.debug('Finished building');
             this.isBuilding = false;
             this.targetConstruction.progress = 100; // Mark as complete
             this.targetConstruction = null;
@@ -180,51 +162,32 @@ export class Builder extends Settler {
         }
     }
 
-    _createBuildingEffect() {
-        // Create a simple particle effect to show building activity
-        const geometry = new THREE.SphereGeometry(0.05, 8, 8);
-        const material = new THREE.MeshBasicMaterial({
-            color: Math.random() < 0.5 ? 0xFFFF00 : 0xFF0000, // Yellow or red sparks
-            transparent: true,
-            opacity: 0.8
-        });
-
-        const particle = new THREE.Mesh(geometry, material);
-
-        // Position at the construction site with random offset
-        const worldPos = this.world.getWorldPosition(
-            this.targetConstruction.position.x,
-            this.targetConstruction.position.y
-        );
-
-        const offsetX = (Math.random() - 0.5) * 0.8;
-        const offsetY = Math.random() * 0.8 + 0.5; // Above ground
-        const offsetZ = (Math.random() - 0.5) * 0.8;
-
-        particle.position.set(
-            worldPos.x + offsetX,
-            offsetY,
-            worldPos.z + offsetZ
-        );
-
-        // Add to scene
-        this.world.scene.add(particle);
-
-        // Animate and remove
-        let life = 1.0;
-        const animateInterval = setInterval(() => {
-            life -= 0.05;
+    // Our construction site was removed
+    abandonConstruction() {
+        this.targetConstruction = null;
+        this.isBuilding = false;
+        this.currentBuildingTime = 0;
+        this.state = 'IDLE';
+    }
 
-            // Move upward
-            particle.position.y += 0.02;
+    serialize() {
+        return {
+            ...super.serialize(),
+            isBuilding: this.isBuilding,
+            currentBuildingTime: this.currentBuildingTime,
+            targetConstruction: this.targetConstruction ? this.targetConstruction.id : null
+        };
+    }
 
-            // Fade out
-            material.opacity = life;
+    restore(data) {
+        super.restore(data);
+        this.isBuilding = data.isBuilding;
+        this.currentBuildingTime = data.currentBuildingTime;
+    }
 
-            if (life <= 0) {
-                clearInterval(animateInterval);
-                this.world.scene.remove(particle);
-            }
-        }, 50);
+    resolveReferences(data) {
+        super.resolveReferences(data);
+        this.targetConstruction = data.targetConstruction !== null ?
+            this.world.getEntityById(data.targetConstruction) : null;
     }
-}
\ No newline at end of file
+}
@@ -1,72 +1,53 @@
-import * as THREE from 'three';
 import { Settler } from '../Settler.js';
-import { SettlerType, ResourceType } from '../../utils/Enums.js';
+import { SettlerType, LogCategory } from '../../utils/Enums.js';
+import { logger } from '../../utils/Logger.js';
 import { PathFinder } from '../../utils/PathFinding.js';
 
 export class Porter extends Settler {
     constructor(world, x, y) {
         super(world, x, y, SettlerType.PORTER);
+        this.log = logger.channel(LogCategory.PORTER, this);
 
         // Porter-specific properties
         this.carriedResource = null;
         this.carriedAmount = 0;
         this.targetConstruction = null;
-        this.resourceSprite = null;
         this.pathFinder = new PathFinder(world);
 
         // States for the porter's workflow
         this.state = 'IDLE'; // IDLE, FETCHING_RESOURCE, DELIVERING_RESOURCE
     }
 
-    createMesh() {
-        // Create a group for the porter and carried resources
-        this.mesh = new THREE.Group();
-
-        // Create the porter figure (blue cylinder) - larger size for visibility
-        const geometry = new THREE.CylinderGeometry(0.3, 0.3, 1.2, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0x0088FF }); // Bright blue for porters
-
-        const figure = new THREE.Mesh(geometry, material);
-        figure.position.y = 0.6; // Half the height of the taller cylinder
-        this.mesh.add(figure);
-
-        // Position the porter
-        const worldPos = this.world.getWorldPosition(this.position.x, this.position.y);
-        const terrainHeight = this.world.terrain[this.position.y][this.position.x].height;
-        this.mesh.position.set(worldPos.x, terrainHeight + 0.1, worldPos.z); // Slightly above terrain
-
-        // Name the mesh for raycasting
-        this.mesh.name = `settler_${this.type}_${this.position.x}_${this.position.y}`;
-
-        return this.mesh;
-    }
-
-    update() {
+    update(deltaTime) {
         // First handle movement if we're moving
         if (this.isMoving && this.targetPosition) {
             this._moveToTarget();
             return;
         }
 
-        // Occasionally log the current state (for debugging)
-        if (Math.random() < 0.005) {
-            console.log(`Porter state: ${this.state}, carrying: ${this.carriedResource || 'nothing'}, target construction: ${this.targetConstruction ? 'yes' : 'no'}`);
+        // Don't re-plan while pausing between two steps of a path
+        if (this._isWaitingForPathStep()) {
+            return;
         }
 
         // Handle states
         switch (this.state) {
             case 'IDLE':
-                this._findConstructionInNeedOfResources();
+                if (!this.isScheduled('_retryFindConstruction')) {
+                    this._findConstructionInNeedOfResources();
+                }
                 break;
             case 'FETCHING_RESOURCE':
-                this._fetchResourceFromWarehouse();
+                if (!this.isScheduled('_retryFetchResource')) {
+                    this._fetchResourceFromWarehouse();
+                }
                 break;
             case 'DELIVERING_RESOURCE':
                 this._deliverResourceToConstruction();
                 break;
             default:
                 // If we somehow get into an invalid state, reset to IDLE
-                console.error(`Porter in invalid state: ${this.state}, resetting to IDLE`);
+                this.log.error(`Invalid state ${this.state}, resetting to IDLE`);
                 this.state = 'IDLE';
                 this.targetPosition = null;
                 this.isMoving = false;
@@ -89,7 +70,7 @@ export class Porter extends Settler {
             const existingConstruction = constructions.find(c => c === this.targetConstruction);
             if (existingConstruction) {
                 closestConstruction = existingConstruction;
-                console.log(`Porter continuing to work on existing construction`);
+                this.log.debug('Continuing to work on the same construction');
             } else {
                 // Otherwise find the closest one
                 for (const construction of constructions) {
@@ -117,36 +98,43 @@ export class Porter extends Settler {
                 }
             }
 
-            console.log(`Porter assigned to fetch ${this.resourceToFetch} for construction at ${this.targetConstruction.position.x}, ${this.targetConstruction.position.y}`);
+            this.log.debug(`Fetching ${this.resourceToFetch} for construction #${this.targetConstruction.id} at (${this.targetConstruction.position.x}, ${this.targetConstruction.position.y})`);
 
             // Change state
             this.state = 'FETCHING_RESOURCE';
         } else {
             // No construction needs resources, wait a bit and check again
-            setTimeout(() => {
-                if (this.state === 'IDLE') {
-                    this._findConstructionInNeedOfResources();
-                }
-            }, 2000);
+            this.schedule('_retryFindConstruction', 2000);
+        }
+    }
+
+    _retryFindConstruction() {
+        if (this.state === 'IDLE') {
+            this._findConstructionInNeedOfResources();
+        }
+    }
+
+    _retryFetchResource() {
+        if (this.state === 'FETCHING_RESOURCE') {
+            this._fetchResourceFromWarehouse();
         }
     }
 
     _fetchResourceFromWarehouse() {
         // Find the warehouse
-        const warehouse = this.world.buildings.find(b => b.type === 'warehouse');
+        const warehouse = this.world.buildings.find(b => b.definition.storage);
 
         if (!warehouse) {
-            console.error('No warehouse found');
+            this.log.error('No warehouse found');
             this.state = 'IDLE';
             return;
         }
 
         // check if resource is still needed
         if (this.targetConstruction && this.targetConstruction._hasAllResources()) {
-            console.log('Target construction has all resources, going back to idle');
+            this.log.debug('Construction has all its resources, going back to idle');
             this.carriedResource = null;
             this.carriedAmount = 0;
-            this._removeResourceSprite();
             this.state = 'IDLE';
             return;
         }
@@ -163,15 +151,10 @@ export class Porter extends Settler {
             Math.pow(porterWorldPos.z - warehouseWorldPos.z, 2)
         );
 
-        // Debug output to help understand proximity calculation
-        if (Math.random() < 0.01) { // Only log occasionally
-            console.log(`Porter distance to warehouse: ${distance.toFixed(2)} vs threshold ${this.world.tileSize}`);
-        }
-
         // Consider close enough if within 1 tile distance
         if (distance < this.world.tileSize * 2.1) { // Slightly increased detection range
             // Get resource from warehouse
-            const resourceManager = this.world.game.resourceManager;
+            const resourceManager = this.world.resourceManager;
 
             if (resourceManager.getResource(this.resourceToFetch) > 0) {
                 // Take 1 resource
@@ -179,13 +162,10 @@ export class Porter extends Settler {
                 this.carriedResource = this.resourceToFetch;
                 this.carriedAmount = 1;
 
-                // Add resource sprite to porter
-                this._addResourceSprite();
-
                 // Change state
                 this.state = 'DELIVERING_RESOURCE';
 
-                console.log(`Porter picked up ${this.carriedResource}`);
+                this.log.debug(`Picked up ${this.carriedResource}`);
 
                 // Set target position to null to ensure proper movement
                 this.targetPosition = null;
@@ -193,14 +173,10 @@ export class Porter extends Settler {
                 this.path = [];
             } else {
                 // No resources available, wait for resources
-                console.log(`Warehouse has no ${this.resourceToFetch} available`);
+                this.log.debug(`Warehouse has no ${this.resourceToFetch} available`);
 
                 // Check again after a delay
-                setTimeout(() => {
-                    if (this.state === 'FETCHING_RESOURCE') {
-                        this._fetchResourceFromWarehouse();
-                    }
-                }, 2000);
+                this.schedule('_retryFetchResource', 2000);
             }
         } else {
             // Move to warehouse interaction point
@@ -211,10 +187,10 @@ export class Porter extends Settler {
             const path = [];
 
             if (path.length > 0) {
-                console.log(`Porter moving to warehouse along path of ${path.length} steps`);
+                this.pathLog.debug(`Moving to the warehouse along a path of ${path.length} steps`);
                 // Directly move to warehouse if path is too complex
                 if (path.length > 10) {
-                    console.log("Path too complex, taking direct route");
+                    this.pathLog.debug('Path too long, taking the direct route');
                     this.moveTo({ x: warehouse.interactionPoint.x, y: warehouse.interactionPoint.y });
                 } else {
                     // Clear the current path before starting a new one
@@ -222,7 +198,7 @@ export class Porter extends Settler {
                     this.followPath(path);
                 }
             } else {
-                console.log('No path to warehouse found, taking direct route');
+                this.pathLog.debug('No path to the warehouse, taking the direct route');
                 // Direct route as fallback
                 this.targetPosition = null; // Clear any existing target
                 this.moveTo({ x: warehouse.interactionPoint.x, y: warehouse.interactionPoint.y });
@@ -233,10 +209,9 @@ export class Porter extends Settler {
     _deliverResourceToConstruction() {
         // Ensure the construction site still exists
         if (!this.targetConstruction || !this.world.constructions.includes(this.targetConstruction)) {
-            console.log('Target construction no longer exists');
+            this.log.debug('Construction no longer exists');
             this.carriedResource = null;
             this.carriedAmount = 0;
-            this._removeResourceSprite();
             this.state = 'IDLE';
             return;
         }
@@ -253,26 +228,17 @@ export class Porter extends Settler {
             Math.pow(porterWorldPos.z - constructionWorldPos.z, 2)
         );
 
-        // Debug output to help understand proximity calculation
-        if (Math.random() < 0.01) { // Only log occasionally
-            console.log(`Porter distance to construction: ${distance.toFixed(2)} vs threshold ${this.world.tileSize}`);
-        }
-
         // Consider close enough if within 1 tile distance (with a bit of buffer)
         if (distance < this.world.tileSize * 1.2) {
             // Deliver the resource
             this.targetConstruction.allocatedResources[this.carriedResource] =
                 (this.targetConstruction.allocatedResources[this.carriedResource] || 0) + this.carriedAmount;
 
-            console.log(`Porter delivered ${this.carriedAmount} ${this.carriedResource} to construction`);
-
-            // Create resource sprite at construction site
-            this._createResourceAtConstruction();
+            this.log.debug(`Delivered ${this.carriedAmount} ${this.carriedResource} to construction #${this.targetConstruction.id}`);
 
             // Reset carried resource
             this.carriedResource = null;
             this.carriedAmount = 0;
-            this._removeResourceSprite();
 
             // Clear movement state to prevent getting stuck
             this.targetPosition = null;
@@ -281,7 +247,7 @@ export class Porter extends Settler {
 
             // Check if construction still needs resources - if so, go directly to fetch more
             if (!this.targetConstruction._hasAllResources()) {
-                console.log(`Construction still needs resources, going to fetch more`);
+                this.log.debug('Construction still needs resources, fetching more');
 
                 // Store current construction to continue working on it
                 const currentConstruction = this.targetConstruction;
@@ -290,13 +256,9 @@ export class Porter extends Settler {
                 this.state = 'FETCHING_RESOURCE';
 
                 // Give a small delay to ensure states don't change too quickly
-                setTimeout(() => {
-                    if (this.state === 'FETCHING_RESOURCE') {
-                        this._fetchResourceFromWarehouse();
-                    }
-                }, 100);
+                this.schedule('_retryFetchResource', 100);
             } else {
-                console.log(`Construction has all needed resources, looking for other work`);
+                this.log.debug('Construction has all its resources, looking for other work');
                 // Reset target construction
                 this.targetConstruction = null;
                 // Back to idle state to find new work
@@ -310,10 +272,10 @@ export class Porter extends Settler {
             );
 
             if (path && path.length > 0) {
-                console.log(`Porter moving to construction site along path of ${path.length} steps`);
+                this.pathLog.debug(`Moving to the construction site along a path of ${path.length} steps`);
                 // Directly move to construction if path is too complex
                 if (path.length > 10) {
-                    console.log("Path too complex, taking direct route");
+                    this.pathLog.debug('Path too long, taking the direct route');
                     this.targetPosition = null; // Clear any existing target
                     this.moveTo({ x: this.targetConstruction.interactionPoint.x, y: this.targetConstruction.interactionPoint.y });
                 } else {
@@ -322,7 +284,7 @@ export class Porter extends Settler {
                     this.followPath(path);
                 }
             } else {
-                console.log('No path to construction site found, taking direct route');
+                this.pathLog.debug('No path to the construction site, taking the direct route');
                 // Direct route as fallback
                 this.targetPosition = null; // Clear any existing target
                 this.moveTo({ x: this.targetConstruction.interactionPoint.x, y: this.targetConstruction.interactionPoint.y });
@@ -330,94 +292,32 @@ export class Porter extends Settler {
         }
     }
 
-    _addResourceSprite() {
-        // Remove any existing resource sprite
-        this._removeResourceSprite();
-
-        // Load the appropriate resource sprite based on resource type
-        const textureLoader = new THREE.TextureLoader();
-        let spritePath;
-
-        if (this.carriedResource === ResourceType.PLANK) {
-            spritePath = '/assets/sprites/plank_carried.png';
-        } else {
-            // Default for other resources
-            spritePath = '/assets/sprites/plank_carried.png';
-        }
-
-        textureLoader.load(spritePath, texture => {
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                depthTest: true
-            });
-
-            const sprite = new THREE.Sprite(spriteMaterial);
-            sprite.scale.set(0.5, 0.25, 1);
-            sprite.position.set(0, 0.8, 0); // Position above the porter
-
-            this.resourceSprite = sprite;
-            this.mesh.add(sprite);
-        });
+    // Our construction site was removed; whatever we carry was refunded with it
+    abandonConstruction() {
+        this.targetConstruction = null;
+        this.resourceToFetch = null;
+        this.carriedResource = null;
+        this.carriedAmount = 0;
+        this.state = 'IDLE';
+        this.world.scheduler.cancel(this, '_retryFetchResource');
     }
 
-    _removeResourceSprite() {
-        if (this.resourceSprite) {
-            this.mesh.remove(this.resourceSprite);
-            this.resourceSprite = null;
-        }
+    serialize() {
+        return {
+            ...super.serialize(),
+            resourceToFetch: this.resourceToFetch || null,
+            targetConstruction: this.targetConstruction ? this.targetConstruction.id : null
+        };
     }
 
-    _createResourceAtConstruction() {
-        // Only handle planks for now
-        if (this.carriedResource !== ResourceType.PLANK) return;
-
-        const textureLoader = new THREE.TextureLoader();
-
-        textureLoader.load('/assets/sprites/planks_on_ground.png', texture => {
-            const spriteMaterial = new THREE.SpriteMaterial({
-                map: texture,
-                transparent: true,
-                depthTest: true
-            });
-
-            const sprite = new THREE.Sprite(spriteMaterial);
-            sprite.scale.set(0.8, 0.4, 1);
-
-            // Create a random position near the construction site
-            const offsetX = (Math.random() - 0.5) * 0.8;
-            const offsetZ = (Math.random() - 0.5) * 0.8;
-
-            const worldPos = this.world.getWorldPosition(
-                this.targetConstruction.position.x,
-                this.targetConstruction.position.y
-            );
+    restore(data) {
+        super.restore(data);
+        this.resourceToFetch = data.resourceToFetch;
+    }
 
-            // Position slightly above ground to avoid z-fighting
-            sprite.position.set(worldPos.x + offsetX, 0.05, worldPos.z + offsetZ);
-
-            // Add to scene for a while, then fade out
-            this.world.scene.add(sprite);
-
-            // Fade out after the construction is complete
-            const checkInterval = setInterval(() => {
-                // Check if construction is complete or no longer exists
-                if (!this.world.constructions.includes(this.targetConstruction)) {
-                    clearInterval(checkInterval);
-
-                    // Fade out
-                    let opacity = 1.0;
-                    const fadeInterval = setInterval(() => {
-                        opacity -= 0.05;
-                        spriteMaterial.opacity = opacity;
-
-                        if (opacity <= 0) {
-                            clearInterval(fadeInterval);
-                            this.world.scene.remove(sprite);
-                        }
-                    }, 100);
-                }
-            }, 1000);
-        });
+    resolveReferences(data) {
+        super.resolveReferences(data);
+        this.targetConstruction = data.targetConstruction !== null ?
+            this.world.getEntityById(data.targetConstruction) : null;
     }
-}
\ No newline at end of file
+}
@@ -1,8 +1,11 @@
 import { Game } from './core/Game.js';
 
-// Initialize the game
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize the game once mod packs are in, since they add buildings and resources,
+// and the scenario to start with (if any) has been fetched
+document.addEventListener('DOMContentLoaded', async () => {
     const game = new Game();
+    await game.loadMods();
+    await game.loadStartScenario();
     game.init();
     game.start();
 });
\ No newline at end of file
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { EntityView } from './EntityView.js';
+
+export class BuildingView extends EntityView {
+    constructor(renderer, building) {
+        super(renderer, building);
+        
+        // Level currently shown by the mesh
+        this.displayedLevel = 1;
+    }
+    
+    init() {
+        this.createMesh();
+        this._positionOnTerrain();
+    }
+    
+    createMesh() {
+        const building = this.entity;
+        
+        // Create a simple box for the building
+        const width = building.size.width * this.world.tileSize;
+        const depth = building.size.height * this.world.tileSize;
+        const height = 1.5; // Building height
+        
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = new THREE.MeshStandardMaterial({ color: 0xDDDDDD });
+        
+        this.mesh = new THREE.Mesh(geometry, material);
+        
+        // Name the mesh for raycasting
+        this.mesh.name = `building_${building.type}_${building.position.x}_${building.position.y}`;
+        
+        // Mark this as a building for raycasting
+        this.mesh.userData.isBuilding = true;
+        
+        return this.mesh;
+    }
+    
+    // Position the building properly on the terrain
+    _positionOnTerrain() {
+        const building = this.entity;
+        const worldPos = this.world.getWorldPosition(building.position.x, building.position.y);
+        const terrainHeight = this.world.getAreaHeight(building.position.x, building.position.y,
+            building.size.width, building.size.height);
+        const width = building.size.width * this.world.tileSize;
+        const depth = building.size.height * this.world.tileSize;
+        
+        // Set position on the terrain
+        this.mesh.position.set(
+            worldPos.x + width / 2,
+            terrainHeight + 1,  // Elevated for visibility
+            worldPos.z + depth / 2
+        );
+        
+        this.log.debug(`Building positioned at: (${this.mesh.position.x}, ${this.mesh.position.y}, ${this.mesh.position.z})`);
+    }
+    
+    update(alpha) {
+        // Update mesh to reflect upgrades
+        if (this.displayedLevel !== this.entity.level) {
+            this.displayedLevel = this.entity.level;
+            this.mesh.scale.y = 1 + (this.entity.level - 1) * 0.3;
+        }
+    }
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { TERRAIN_MESH } from '../utils/Constants.js';
+
+// A surface over the whole map with one vertex per tile, split into square
+// chunks of TERRAIN_MESH.CHUNK_SIZE tiles. Each chunk is its own mesh, so a
+// change only rewrites the chunks around the changed tiles, and three.js culls
+// the chunks outside the camera's view by their bounding spheres.
+//
+// Like the single plane it replaces, the surface has one more row and column
+// of vertices than the map has tiles; vertex x, y sits on tile x, y, and the
+// vertices past the edge take the height of the nearest tile. Subclasses color
+// the vertices (see _writeColor).
+export class ChunkedGridMesh {
+    constructor(world, material, options = {}) {
+        this.world = world;
+        this.material = material;
+        this.name = options.name || 'grid';
+        this.colorSize = options.colorSize || 3; // RGB or RGBA vertex colors
+
+        // Chunk meshes live in one group, which is what the renderer adds to the scene
+        this.group = new THREE.Group();
+        this.group.name = `${this.name}Chunks`;
+
+        // { x, y, width, height, mesh } in tiles, row by row
+        this.chunks = [];
+        this.chunkColumns = 0;
+    }
+
+    init() {
+        const world = this.world;
+        const chunkSize = TERRAIN_MESH.CHUNK_SIZE;
+        this.chunkColumns = Math.ceil(world.size.width / chunkSize);
+
+        for (let y = 0; y < world.size.height; y += chunkSize) {
+            for (let x = 0; x < world.size.width; x += chunkSize) {
+                const chunk = {
+                    x,
+                    y,
+                    width: Math.min(chunkSize, world.size.width - x),
+                    height: Math.min(chunkSize, world.size.height - y)
+                };
+                chunk.mesh = this._createChunkMesh(chunk);
+                this.group.add(chunk.mesh);
+                this.chunks.push(chunk);
+                this._writeChunk(chunk);
+            }
+        }
+    }
+
+    // Rewrite the chunks with vertices on the tiles of area ({ x, y, width, height });
+    // without an area, the whole surface
+    update(area = null) {
+        for (const chunk of area ? this._getChunksIn(area) : this.chunks) {
+            this._writeChunk(chunk);
+        }
+    }
+
+    dispose() {
+        for (const chunk of this.chunks) {
+            chunk.mesh.geometry.dispose();
+        }
+        this.material.dispose();
+        this.chunks = [];
+    }
+
+    get visible() {
+        return this.group.visible;
+    }
+
+    set visible(visible) {
+        this.group.visible = visible;
+    }
+
+    // Chunks with a vertex on a tile of area. A chunk's last row and column of
+    // vertices are the first tiles of the next chunks, so the area reaches one
+    // tile back into the chunks before it.
+    _getChunksIn(area) {
+        const world = this.world;
+        const chunkSize = TERRAIN_MESH.CHUNK_SIZE;
+        const startX = Math.max(0, Math.floor((area.x - 1) / chunkSize));
+        const startY = Math.max(0, Math.floor((area.y - 1) / chunkSize));
+        const endX = Math.min(this.chunkColumns - 1, Math.floor((area.x + area.width - 1) / chunkSize));
+        const endY = Math.min(Math.ceil(world.size.height / chunkSize) - 1, Math.floor((area.y + area.height - 1) / chunkSize));
+
+        const chunks = [];
+        for (let chunkY = startY; chunkY <= endY; chunkY++) {
+            for (let chunkX = startX; chunkX <= endX; chunkX++) {
+                chunks.push(this.chunks[chunkY * this.chunkColumns + chunkX]);
+            }
+        }
+        return chunks;
+    }
+
+    _createChunkMesh(chunk) {
+        const world = this.world;
+        const width = chunk.width * world.tileSize;
+        const depth = chunk.height * world.tileSize;
+
+        const geometry = new THREE.PlaneGeometry(width, depth, chunk.width, chunk.height);
+        geometry.rotateX(-Math.PI / 2); // Make it horizontal
+
+        const vertexCount = geometry.attributes.position.count;
+        geometry.setAttribute('color',
+            new THREE.Float32BufferAttribute(new Float32Array(vertexCount * this.colorSize), this.colorSize));
+
+        // Place the chunk so its first vertex is on its first tile
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = this.name;
+        const corner = world.getWorldPosition(chunk.x, chunk.y);
+        mesh.position.set(corner.x + width / 2, 0, corner.z + depth / 2);
+        return mesh;
+    }
+
+    // Set a chunk's vertex heights and colors from its tiles
+    _writeChunk(chunk) {
+        const world = this.world;
+        const geometry = chunk.mesh.geometry;
+        const position = geometry.attributes.position;
+        const color = geometry.attributes.color;
+
+        let index = 0;
+        for (let y = chunk.y; y <= chunk.y + chunk.height; y++) {
+            for (let x = chunk.x; x <= chunk.x + chunk.width; x++) {
+                const onMap = x < world.size.width && y < world.size.height;
+
+                // Vertices past the edge match heights with the closest edge tile
+                const nearX = Math.min(x, world.size.width - 1);
+                const nearY = Math.min(y, world.size.height - 1);
+                position.setY(index, world.terrain[nearY][nearX].height);
+
+                this._writeColor(color, index, onMap ? world.terrain[y][x] : null);
+                index++;
+            }
+        }
+
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+
+        // Recalculate normals, and the bounds culling and raycasts test against
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+    }
+
+    // Set vertex index of the color attribute for a tile; tile is null for
+    // the vertices past the map edge
+    _writeColor(color, index, tile) {
+        color.setXYZ(index, 1, 1, 1);
+    }
+}
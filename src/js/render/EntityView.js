@@ -0,0 +1,33 @@
+import { LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+// Base class for the Three.js representation of a simulation entity.
+// Views only read entity state; the simulation never knows they exist.
+export class EntityView {
+    constructor(renderer, entity) {
+        this.renderer = renderer;
+        this.world = renderer.world;
+        this.entity = entity;
+        this.mesh = null;
+        this.log = logger.channel(LogCategory.RENDER, entity);
+    }
+    
+    init() {
+        this.createMesh();
+    }
+    
+    createMesh() {
+        // Abstract method to be implemented by subclasses
+    }
+    
+    // Called once per rendered frame; alpha is the fraction of a tick since the last update
+    update(alpha) {
+        // Abstract method to be implemented by subclasses
+    }
+    
+    dispose() {
+        if (this.mesh) {
+            this.renderer.scene.remove(this.mesh);
+        }
+    }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { VisibilityState } from '../utils/Enums.js';
+import { ChunkedGridMesh } from './ChunkedGridMesh.js';
+
+// The fog of war overlay: a surface just above the terrain, following its
+// heights so it covers hills too, darkened by each tile's visibility.
+export class FogMesh extends ChunkedGridMesh {
+    constructor(world) {
+        // Black with transparency
+        super(world, new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthWrite: false // Don't write to depth buffer so it doesn't interfere with raycasting
+        }), { name: 'fogOfWar', colorSize: 4 });
+
+        // Slightly above the terrain to avoid z-fighting
+        this.group.position.y = 0.1;
+
+        // Each tile's visibility as last drawn, row by row
+        this.drawnVisibility = [];
+    }
+
+    init() {
+        super.init();
+        this.drawnVisibility = this.world.terrain.flat().map(tile => tile.visibility);
+    }
+
+    // Recolor the chunks around the tiles whose visibility changed since the last update
+    updateVisibility() {
+        const world = this.world;
+        const changed = new Set();
+
+        let index = 0;
+        for (let y = 0; y < world.size.height; y++) {
+            for (let x = 0; x < world.size.width; x++) {
+                const visibility = world.terrain[y][x].visibility;
+                if (visibility !== this.drawnVisibility[index]) {
+                    this.drawnVisibility[index] = visibility;
+
+                    // The vertex is in the chunk before too if it's on its last row or column
+                    for (const chunk of this._getChunksIn({ x, y, width: 1, height: 1 })) {
+                        changed.add(chunk);
+                    }
+                }
+                index++;
+            }
+        }
+
+        for (const chunk of changed) {
+            this._writeChunk(chunk);
+        }
+        return changed.size;
+    }
+
+    _writeColor(color, index, tile) {
+        switch (tile ? tile.visibility : VisibilityState.UNEXPLORED) {
+            case VisibilityState.VISIBLE:
+                // Fully visible - transparent
+                color.setXYZW(index, 0, 0, 0, 0);
+                break;
+            case VisibilityState.EXPLORED:
+                // Previously explored - semi-transparent dark
+                color.setXYZW(index, 0, 0, 0, 0.5);
+                break;
+            case VisibilityState.UNEXPLORED:
+            default:
+                // Unexplored, and edge vertices - solid black
+                color.setXYZW(index, 0, 0, 0, 1);
+                break;
+        }
+    }
+}
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { EntityView } from './EntityView.js';
+
+export class SettlerView extends EntityView {
+    init() {
+        this.createMesh();
+        
+        // Start at the settler's current position
+        this.update(1);
+        
+        this._addLocatorMarker();
+    }
+    
+    createMesh() {
+        const settler = this.entity;
+        
+        // Create a simple cylinder for the settler
+        const geometry = new THREE.CylinderGeometry(0.2, 0.2, 0.8, 8);
+        const material = new THREE.MeshStandardMaterial({ color: 0x0000FF });
+        
+        this.mesh = new THREE.Mesh(geometry, material);
+        
+        // Name the mesh for raycasting
+        this.mesh.name = `settler_${settler.type}_${settler.position.x}_${settler.position.y}`;
+        
+        return this.mesh;
+    }
+    
+    // Move the mesh to a point between the previous and current tick positions
+    update(alpha) {
+        const prev = this.entity.previousWorldPosition;
+        const curr = this.entity.worldPosition;
+        this.mesh.position.set(
+            prev.x + (curr.x - prev.x) * alpha,
+            prev.y + (curr.y - prev.y) * alpha,
+            prev.z + (curr.z - prev.z) * alpha
+        );
+    }
+    
+    // Create a marker to help locate a newly added settler
+    _addLocatorMarker() {
+        const markerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+        const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFF00 });
+        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        marker.position.y = 1.5; // Above the settler
+        this.mesh.add(marker);
+        
+        // Make the marker blink to make it extra visible
+        const blinkInterval = setInterval(() => {
+            marker.visible = !marker.visible;
+        }, 500);
+        
+        // Remove the marker after 10 seconds
+        setTimeout(() => {
+            clearInterval(blinkInterval);
+            this.mesh.remove(marker);
+        }, 10000);
+    }
+}
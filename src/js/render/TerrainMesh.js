@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { TerrainType } from '../utils/Enums.js';
+import { ChunkedGridMesh } from './ChunkedGridMesh.js';
+
+// The ground: tile heights, colored by terrain type. Its chunks are named
+// 'terrain', which is how clicks on the ground are recognized.
+export class TerrainMesh extends ChunkedGridMesh {
+    constructor(world) {
+        // Basic material, unaffected by lighting
+        super(world, new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide
+        }), { name: 'terrain' });
+    }
+
+    _createChunkMesh(chunk) {
+        const mesh = super._createChunkMesh(chunk);
+
+        // Allow terrain to receive shadows
+        mesh.receiveShadow = true;
+        mesh.castShadow = true;
+        return mesh;
+    }
+
+    _writeColor(color, index, tile) {
+        if (!tile) {
+            // Edge vertices
+            color.setXYZ(index, 0.8, 0.8, 0.8);
+            return;
+        }
+
+        switch (tile.type) {
+            case TerrainType.GRASS:
+                // Varied green for grass, brighter at higher elevations
+                const greenShade = 0.5 + (tile.height / 8) * 0.4;
+                color.setXYZ(index, 0.1, greenShade, 0.1);
+                break;
+
+            case TerrainType.WATER:
+                // Deep water is darker blue, shallow water is lighter
+                if (tile.height < 1.5) {
+                    // Deep ocean - dark blue
+                    color.setXYZ(index, 0.0, 0.0, 0.4);
+                } else {
+                    // Shallow water - lighter blue
+                    const blueShade = 0.3 + (tile.height - 1.5);
+                    color.setXYZ(index, 0.0, 0.3, blueShade);
+                }
+                break;
+
+            case TerrainType.SAND:
+                // Sandy beaches - tan color
+                color.setXYZ(index, 0.76, 0.7, 0.5);
+                break;
+
+            case TerrainType.FOREST:
+                // Darker green for forests
+                color.setXYZ(index, 0.0, 0.35, 0.0);
+                break;
+
+            case TerrainType.MOUNTAIN:
+                // Rocky mountains - gray with subtle variations
+                const greyShade = 0.4 + (tile.height - 10) * 0.05;
+                color.setXYZ(index, greyShade, greyShade, greyShade);
+                break;
+
+            case TerrainType.SNOW:
+                // Snow-capped peaks - white with slight blue tint
+                const snowBrightness = 0.8 + (tile.height - 13) * 0.1;
+                color.setXYZ(index, snowBrightness, snowBrightness, snowBrightness + 0.1);
+                break;
+
+            case TerrainType.STONE:
+                // Stone/rock - grey brown
+                color.setXYZ(index, 0.5, 0.45, 0.4);
+                break;
+
+            default:
+                color.setXYZ(index, 1, 1, 1); // White
+                break;
+        }
+    }
+}
@@ -0,0 +1,972 @@
+import * as THREE from 'three';
+import { TerrainType, VisibilityState, LogCategory, ProfileSection, EditorTool, BuildingType } from '../utils/Enums.js';
+import { FOG_OF_WAR, DEPOSIT_COLORS } from '../utils/Constants.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+import { Construction } from '../entities/buildings/Construction.js';
+import { Settler } from '../entities/Settler.js';
+import { Porter } from '../entities/settlers/Porter.js';
+import { Builder } from '../entities/settlers/Builder.js';
+import { BuildingView } from './BuildingView.js';
+import { SettlerView } from './SettlerView.js';
+import { TerrainMesh } from './TerrainMesh.js';
+import { FogMesh } from './FogMesh.js';
+import { SpriteBuildingView } from './buildings/SpriteBuildingView.js';
+import { ConstructionView } from './buildings/ConstructionView.js';
+import { PorterView } from './settlers/PorterView.js';
+import { BuilderView } from './settlers/BuilderView.js';
+import { logger } from '../utils/Logger.js';
+import { profiler } from '../utils/Profiler.js';
+
+const log = logger.channel(LogCategory.RENDER);
+const uiLog = logger.channel(LogCategory.UI);
+
+// Three.js view of a World. It observes the simulation, keeps one view per entity,
+// and handles mouse picking, the building placement preview and map editor strokes.
+export class WorldRenderer {
+    constructor(game) {
+        this.game = game;
+        this.world = game.world;
+        this.scene = game.scene;
+
+        // Texture loader for terrain sprites
+        this.textureLoader = new THREE.TextureLoader();
+        this.textures = {}; // Cache for loaded textures
+
+        // Cosmetic randomness gets its own stream so it never affects the simulation
+        this.random = this.world.random.stream('render');
+
+        // Terrain and fog meshes, in chunks (see ChunkedGridMesh)
+        this.terrainMesh = null;
+        this.gridHelper = null;
+        this.fogOfWarMesh = null;
+        this.spriteGroup = null;
+
+        // Markers on tiles with resource deposits, shown on demand
+        this.depositOverlay = null;
+
+        // Views of buildings, constructions and settlers, keyed by entity
+        this.views = new Map();
+
+        // Raycaster for mouse interaction
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+
+        // Placement preview of a building, or of the map editor's brush
+        this.placementPreview = null;
+        this.placementPreviewMesh = null;
+
+        // Map editing mode (see Game.startEditing), and the tile of the stroke
+        // the mouse is drawing, if any
+        this.editing = false;
+        this.strokeTile = null;
+
+        // Set once the renderer has been torn down
+        this.disposed = false;
+
+        // Bind methods
+        this._onMouseMove = this._onMouseMove.bind(this);
+        this._onClick = this._onClick.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+    }
+
+    init() {
+        const world = this.world;
+
+        // Build meshes for the already generated world
+        this._createTerrainMesh();
+
+        if (FOG_OF_WAR.ENABLED) {
+            this._createFogMesh();
+        }
+
+        // Create views for entities that exist before we started observing
+        for (const building of world.buildings) {
+            this.onBuildingAdded(building);
+        }
+        for (const construction of world.constructions) {
+            this.onConstructionAdded(construction);
+        }
+        for (const settler of world.settlers) {
+            this.onSettlerAdded(settler);
+        }
+
+        world.addObserver(this);
+
+        // Grass and tree sprites are added once their textures are loaded
+        this._loadTerrainTextures(() => {
+            // The world may have been replaced (e.g. by loading a game) in the meantime
+            if (this.disposed) return;
+            this._addGrassSprites();
+        });
+
+        // Add event listeners for mouse interaction
+        window.addEventListener('mousemove', this._onMouseMove);
+        window.addEventListener('click', this._onClick);
+        this.game.canvas.addEventListener('pointerdown', this._onPointerDown);
+        window.addEventListener('pointermove', this._onPointerMove);
+        window.addEventListener('pointerup', this._onPointerUp);
+
+        log.info('World renderer initialized');
+    }
+
+    // Sync visuals with the simulation once per rendered frame.
+    // alpha is the fraction of a tick elapsed since the last update.
+    render(alpha) {
+        let start = profiler.start();
+        for (const view of this.views.values()) {
+            view.update(alpha);
+        }
+        profiler.end(ProfileSection.VIEWS, start);
+
+        // Show, hide or replace the placement preview as placement mode or the editor tool changes
+        start = profiler.start();
+        const preview = this._getPreview();
+        if (preview?.key !== this.placementPreview?.key) {
+            this._removePlacementPreview();
+            if (preview) {
+                this._createPlacementPreview(preview);
+            }
+        }
+
+        // Update building placement preview if in placement mode
+        if (this.placementPreviewMesh) {
+            this._updatePlacementPreview();
+        }
+        profiler.end(ProfileSection.PLACEMENT_PREVIEW, start);
+    }
+
+    // Remove everything this renderer added to the scene, e.g. before loading a game
+    dispose() {
+        this.disposed = true;
+
+        this.world.removeObserver(this);
+        window.removeEventListener('mousemove', this._onMouseMove);
+        window.removeEventListener('click', this._onClick);
+        this.game.canvas.removeEventListener('pointerdown', this._onPointerDown);
+        window.removeEventListener('pointermove', this._onPointerMove);
+        window.removeEventListener('pointerup', this._onPointerUp);
+
+        for (const view of this.views.values()) {
+            view.dispose();
+        }
+        this.views.clear();
+
+        this._removePlacementPreview();
+
+        for (const object of [this.gridHelper, this.depositOverlay]) {
+            if (object) {
+                this.scene.remove(object);
+                object.geometry.dispose();
+            }
+        }
+
+        for (const mesh of [this.terrainMesh, this.fogOfWarMesh]) {
+            if (mesh) {
+                this.scene.remove(mesh.group);
+                mesh.dispose();
+            }
+        }
+
+        if (this.spriteGroup) {
+            this.scene.remove(this.spriteGroup);
+            this.spriteGroup.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+            });
+        }
+
+        this.terrainMesh = null;
+        this.gridHelper = null;
+        this.fogOfWarMesh = null;
+        this.spriteGroup = null;
+        this.depositOverlay = null;
+    }
+
+    // Switch map editing on or off. The editor sees the whole map, so the fog is
+    // hidden, and so are the terrain sprites, which don't follow edits.
+    setEditing(editing) {
+        this.editing = editing;
+        this.strokeTile = null;
+
+        for (const object of [this.fogOfWarMesh, this.spriteGroup]) {
+            if (object) {
+                object.visible = !editing;
+            }
+        }
+        this._updateDepositOverlay();
+    }
+
+    // Show or hide markers on the explored tiles that have resource deposits
+    setDepositOverlayVisible(visible) {
+        if (!visible) {
+            if (this.depositOverlay) {
+                this.scene.remove(this.depositOverlay);
+                this.depositOverlay.geometry.dispose();
+                this.depositOverlay.material.dispose();
+                this.depositOverlay = null;
+            }
+            return;
+        }
+
+        if (!this.depositOverlay) {
+            this.depositOverlay = new THREE.Points(
+                new THREE.BufferGeometry(),
+                new THREE.PointsMaterial({ size: this.world.tileSize * 0.6, vertexColors: true })
+            );
+            this.depositOverlay.name = 'depositOverlay';
+
+            // The markers are only for show; clicks go through to the terrain and buildings
+            this.depositOverlay.raycast = () => {};
+            this.scene.add(this.depositOverlay);
+        }
+        this._updateDepositOverlay();
+    }
+
+    get depositOverlayVisible() {
+        return this.depositOverlay !== null;
+    }
+
+    // World observer callbacks
+
+    onBuildingAdded(building) {
+        this._addView(building);
+    }
+
+    onBuildingRemoved(building) {
+        this._removeView(building);
+    }
+
+    onConstructionAdded(construction) {
+        this._addView(construction);
+    }
+
+    onConstructionRemoved(construction) {
+        this._removeView(construction);
+    }
+
+    onSettlerAdded(settler) {
+        this._addView(settler);
+    }
+
+    onSettlerRemoved(settler) {
+        this._removeView(settler);
+    }
+
+    // area ({ x, y, width, height }) is where tiles changed; null for anywhere
+    onTerrainChanged(area = null) {
+        const start = profiler.start();
+        this.terrainMesh.update(area);
+        if (this.fogOfWarMesh) {
+            this.fogOfWarMesh.update(area);
+        }
+        profiler.end(ProfileSection.TERRAIN_MESH, start);
+    }
+
+    onFogChanged() {
+        this._updateFogMesh();
+        this._updateDepositOverlay();
+    }
+
+    onDepositsChanged() {
+        this._updateDepositOverlay();
+    }
+
+    _addView(entity) {
+        const view = this._createView(entity);
+        view.init();
+        this.scene.add(view.mesh);
+        this.views.set(entity, view);
+    }
+
+    _removeView(entity) {
+        const view = this.views.get(entity);
+        if (!view) return;
+
+        view.dispose();
+        this.views.delete(entity);
+    }
+
+    // Pick the view class for an entity. Settlers are checked by class, since
+    // some settler types share their name with a building type (woodcutter).
+    _createView(entity) {
+        if (entity instanceof Construction) {
+            return new ConstructionView(this, entity);
+        }
+
+        if (entity instanceof Settler) {
+            if (entity instanceof Porter) return new PorterView(this, entity);
+            if (entity instanceof Builder) return new BuilderView(this, entity);
+            return new SettlerView(this, entity);
+        }
+
+        // Buildings with a sprite are drawn as billboards, the rest as boxes
+        if (entity.definition.sprite) {
+            return new SpriteBuildingView(this, entity);
+        }
+        return new BuildingView(this, entity);
+    }
+
+    // Find the view owning a mesh picked by the raycaster
+    _findViewByMesh(mesh) {
+        for (const view of this.views.values()) {
+            if (view.mesh === mesh) return view;
+        }
+        return null;
+    }
+
+    // Load all terrain textures
+    _loadTerrainTextures(callback) {
+        const texturesToLoad = [
+            // Grass textures with various path formats - trying direct paths first for more reliability
+            { name: 'grass1', path: '/assets/textures/grass1.png' }, // New grass texture
+            { name: 'grass2', path: '/assets/textures/grass2.png' }, // New grass texture
+            { name: 'grass3', path: '/assets/textures/grass3.png' }, // New grass texture
+            { name: 'grass4', path: '/assets/textures/grass4.png' }, // New grass texture
+            { name: 'grass5', path: '/assets/textures/grass5.png' }, // New grass texture
+            { name: 'grass6', path: '/assets/textures/grass6.png' }, // New grass texture
+            { name: 'grass7', path: '/assets/textures/grass7.png' }, // New grass texture
+            { name: 'grass8', path: '/assets/textures/grass8.png' }, // New grass texture
+            { name: 'grass9', path: '/assets/textures/grass9.png' }, // New grass texture
+            { name: 'grass10', path: '/assets/textures/grass10.png' }, // New grass texture
+
+            // Tree textures for forest areas
+            { name: 'tree1', path: '/assets/sprites/tree1.png' },
+            { name: 'tree2', path: '/assets/sprites/tree2.png' },
+            { name: 'tree3', path: '/assets/sprites/tree3.png' },
+            { name: 'tree4', path: '/assets/sprites/tree4.png' },
+            { name: 'tree5', path: '/assets/sprites/tree5.png' },
+            { name: 'tree6', path: '/assets/sprites/tree6.png' },
+            { name: 'tree7', path: '/assets/sprites/tree7.png' },
+            { name: 'tree8', path: '/assets/sprites/tree8.png' },
+            { name: 'tree9', path: '/assets/sprites/tree9.png' },
+            { name: 'tree10', path: '/assets/sprites/tree10.png' },
+        ];
+
+        let loadedCount = 0;
+        const totalToLoad = texturesToLoad.length;
+
+        texturesToLoad.forEach(texture => {
+            this.textureLoader.load(
+                texture.path,
+                (loadedTexture) => {
+                    // Store the loaded texture
+                    this.textures[texture.name] = loadedTexture;
+                    loadedCount++;
+
+                    log.debug(`Loaded texture: ${texture.name} from ${texture.path}`);
+
+                    // If all textures are loaded, call the callback
+                    if (loadedCount === totalToLoad) {
+                        log.debug('All terrain textures loaded');
+                        callback();
+                    }
+                },
+                undefined, // progress callback
+                (error) => {
+                    log.error(`Could not load texture ${texture.name}`, error);
+                    loadedCount++;
+
+                    // Continue even if texture loading fails
+                    if (loadedCount === totalToLoad) {
+                        log.warn('Completed terrain texture loading with some errors');
+                        callback();
+                    }
+                }
+            );
+        });
+    }
+
+    // Build the terrain mesh and grid helper from the world's terrain data
+    _createTerrainMesh() {
+        const world = this.world;
+
+        this.terrainMesh = new TerrainMesh(world);
+        this.terrainMesh.init();
+        this.scene.add(this.terrainMesh.group);
+
+        // Add grid helper for reference (now at water level)
+        // For a massive world, we need fewer grid lines for performance
+        const gridSize = world.size.width * world.tileSize;
+        const gridDivisions = 50; // Just 50 grid lines instead of hundreds
+
+        const gridHelper = new THREE.GridHelper(
+            gridSize,
+            gridDivisions,
+            0x000000, // Black color for main grid lines
+            0x444444  // Darker gray color for secondary grid lines
+        );
+        gridHelper.position.y = 2.5; // At water level
+        gridHelper.position.x = 0;
+        gridHelper.position.z = 0;
+        gridHelper.material.opacity = 0.2; // More transparent for less visual clutter
+        gridHelper.material.transparent = true;
+        this.scene.add(gridHelper);
+        this.gridHelper = gridHelper;
+
+        log.debug(`Terrain mesh created in ${this.terrainMesh.chunks.length} chunks`);
+    }
+
+    // Create the fog of war overlay
+    _createFogMesh() {
+        this.fogOfWarMesh = new FogMesh(this.world);
+        this.fogOfWarMesh.init();
+        this.scene.add(this.fogOfWarMesh.group);
+    }
+
+    // Rebuild the deposit markers, one point above each explored tile with a deposit
+    _updateDepositOverlay() {
+        if (!this.depositOverlay) return;
+
+        const world = this.world;
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color();
+
+        for (let y = 0; y < world.size.height; y++) {
+            for (let x = 0; x < world.size.width; x++) {
+                const tile = world.terrain[y][x];
+                if (!tile.deposit || (tile.visibility === VisibilityState.UNEXPLORED && !this.editing)) continue;
+
+                const worldPos = world.getWorldPosition(x, y);
+                positions.push(worldPos.x, tile.height + 0.5, worldPos.z);
+
+                color.setHex(DEPOSIT_COLORS[tile.deposit.type] ?? 0xffffff);
+                colors.push(color.r, color.g, color.b);
+            }
+        }
+
+        const geometry = this.depositOverlay.geometry;
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.computeBoundingSphere();
+    }
+
+    // Recolor the fog overlay where the tiles' visibility changed
+    _updateFogMesh() {
+        if (!this.fogOfWarMesh) return;
+
+        const start = profiler.start();
+        this.fogOfWarMesh.updateVisibility();
+        profiler.end(ProfileSection.FOG_MESH, start);
+    }
+
+    // What the placement preview shows: the building being placed, or what
+    // the map editor's tool acts on. size is in tiles, offset is how many
+    // tiles the area reaches left of and above the hovered tile. Null for no preview.
+    _getPreview() {
+        const world = this.world;
+        const editor = this.editing ? this.game.mapEditor : null;
+
+        if (editor) {
+            if (editor.tool === EditorTool.WAREHOUSE) {
+                return this._getBuildingPreview(BuildingType.WAREHOUSE);
+            }
+            if (editor.usesBrush) {
+                const side = editor.radius * 2 + 1;
+                return { key: `brush:${editor.radius}`, size: { width: side, height: side }, offset: editor.radius, round: true };
+            }
+            return { key: 'tile', size: { width: 1, height: 1 }, offset: 0 };
+        }
+
+        return world.buildingPlacementMode ? this._getBuildingPreview(world.buildingTypeToPlace) : null;
+    }
+
+    _getBuildingPreview(buildingType) {
+        const definition = buildingRegistry.get(buildingType);
+        return {
+            key: `building:${buildingType}`,
+            size: { ...definition.size },
+            offset: 0,
+            // Default to the construction sprite
+            spritePath: definition.sprite ? definition.sprite.path : '/assets/sprites/construction.png'
+        };
+    }
+
+    // Create a preview mesh for building placement or the editor's brush
+    _createPlacementPreview(preview) {
+        const world = this.world;
+        this.placementPreview = preview;
+
+        const width = preview.size.width * world.tileSize;
+        const depth = preview.size.height * world.tileSize;
+
+        // Create a group for the preview mesh
+        this.placementPreviewMesh = new THREE.Group();
+
+        // Create base outline; brushes are round
+        const outlineGeometry = preview.round ?
+            new THREE.CylinderGeometry(width / 2, width / 2, 0.1, 32) :
+            new THREE.BoxGeometry(width, 0.1, depth);
+        this.previewValidMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00FF00,
+            transparent: true,
+            opacity: 0.5
+        });
+        this.previewInvalidMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFF0000,
+            transparent: true,
+            opacity: 0.5
+        });
+
+        // Create the outline mesh with valid material initially
+        this.previewOutline = new THREE.Mesh(outlineGeometry, this.previewValidMaterial);
+        this.previewOutline.position.y = 0.05; // Just above ground
+        this.placementPreviewMesh.add(this.previewOutline);
+
+        // Add the preview to the scene
+        this.scene.add(this.placementPreviewMesh);
+
+        if (!preview.spritePath) return;
+
+        // Load the building sprite
+        const previewMesh = this.placementPreviewMesh;
+        this.textureLoader.load(preview.spritePath, (texture) => {
+            // Placement may have ended while the texture was loading
+            if (this.placementPreviewMesh !== previewMesh) return;
+
+            // Create sprite material
+            const spriteMaterial = new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                opacity: 0.7,
+                depthTest: true
+            });
+
+            // Create sprite
+            this.previewSprite = new THREE.Sprite(spriteMaterial);
+            this.previewSprite.scale.set(width * 1.5, width * 1.5, 1);
+            this.previewSprite.position.y = width / 2; // Float above the ground
+            this.placementPreviewMesh.add(this.previewSprite);
+        });
+    }
+
+    // Remove the placement preview from the scene
+    _removePlacementPreview() {
+        if (!this.placementPreviewMesh) return;
+
+        this.scene.remove(this.placementPreviewMesh);
+        this.placementPreviewMesh = null;
+        this.placementPreview = null;
+        this.previewOutline = null;
+        this.previewSprite = null;
+    }
+
+    // Update the placement preview position and validity
+    _updatePlacementPreview() {
+        if (!this.placementPreviewMesh) return;
+
+        const world = this.world;
+        const gridPos = this._pickGridPosition();
+        if (!gridPos) return;
+
+        // Let the editor or the world validate the position
+        let valid;
+        const editor = this.editing ? this.game.mapEditor : null;
+        if (editor) {
+            valid = editor.tool === EditorTool.WAREHOUSE ?
+                editor.canMoveWarehouse(gridPos.x, gridPos.z) :
+                gridPos.x >= 0 && gridPos.z >= 0 && gridPos.x < world.size.width && gridPos.z < world.size.height;
+        } else {
+            world.setPlacementPosition(gridPos.x, gridPos.z);
+            valid = world.placementValid;
+        }
+
+        // Update outline color based on validity
+        if (this.previewOutline) {
+            this.previewOutline.material = valid ? this.previewValidMaterial : this.previewInvalidMaterial;
+        }
+
+        // Get world position for center of the previewed area
+        const { size, offset } = this.placementPreview;
+        const cornerX = gridPos.x - offset;
+        const cornerY = gridPos.z - offset;
+        const worldPos = world.getWorldPosition(cornerX, cornerY);
+        const width = size.width * world.tileSize;
+        const depth = size.height * world.tileSize;
+
+        // Determine terrain height at this position
+        const terrainHeight = world.getAreaHeight(cornerX, cornerY, size.width, size.height);
+
+        // Update preview position
+        this.placementPreviewMesh.position.set(
+            worldPos.x + width / 2,
+            terrainHeight + 0.1, // Just above terrain
+            worldPos.z + depth / 2
+        );
+    }
+
+    // Grid position of the terrain under the mouse, or null if it isn't over the terrain
+    _pickGridPosition() {
+        this.raycaster.setFromCamera(this.mouse, this.game.camera);
+        const intersects = this.raycaster.intersectObject(this.terrainMesh.group, true);
+        if (intersects.length === 0) return null;
+
+        const point = intersects[0].point;
+        return this.world.getGridPosition(point.x, point.z);
+    }
+
+    _onMouseMove(event) {
+        // Update mouse position
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+        // If in building placement mode, update the preview
+        if (this.placementPreviewMesh) {
+            this._updatePlacementPreview();
+        }
+    }
+
+    // A press with the left button starts a map editor stroke; shift removes settlers
+    _onPointerDown(event) {
+        if (!this.editing || !this.game.mapEditor || event.button !== 0) return;
+
+        this._onMouseMove(event);
+        const gridPos = this._pickGridPosition();
+        if (!gridPos) return;
+
+        this.strokeTile = { x: gridPos.x, y: gridPos.z };
+        this.game.mapEditor.beginStroke(gridPos.x, gridPos.z, { remove: event.shiftKey });
+    }
+
+    // Dragging carries the stroke on, once per tile the mouse enters
+    _onPointerMove(event) {
+        if (!this.strokeTile || !this.game.mapEditor) return;
+
+        this._onMouseMove(event);
+        const gridPos = this._pickGridPosition();
+        if (!gridPos || (gridPos.x === this.strokeTile.x && gridPos.z === this.strokeTile.y)) return;
+
+        this.strokeTile = { x: gridPos.x, y: gridPos.z };
+        this.game.mapEditor.continueStroke(gridPos.x, gridPos.z);
+    }
+
+    _onPointerUp() {
+        if (!this.strokeTile) return;
+
+        this.strokeTile = null;
+        if (this.game.mapEditor) {
+            this.game.mapEditor.endStroke();
+        }
+    }
+
+    _onClick(event) {
+        const world = this.world;
+
+        // The map editor handles the mouse itself, see _onPointerDown
+        if (this.editing) return;
+
+        // Raycast to find clicked objects
+        this.raycaster.setFromCamera(this.mouse, this.game.camera);
+
+        const intersects = this.raycaster.intersectObjects(this.scene.children, true); // Use true to check all descendants
+
+        if (intersects.length > 0) {
+            const intersect = intersects[0];
+            uiLog.debug(`Click detected at world position: (${intersect.point.x}, ${intersect.point.z})`);
+
+            // Handle building placement if in placement mode
+            if (world.buildingPlacementMode) {
+                world.confirmBuildingPlacement();
+                return;
+            }
+
+            // Check if we clicked on terrain or a building
+            if (intersect.object.name === 'terrain') {
+                // Convert intersection point to grid coordinates using our new method
+                const gridPos = world.getGridPosition(intersect.point.x, intersect.point.z);
+                const x = gridPos.x;
+                const z = gridPos.z;
+
+                if (x >= 0 && x < world.size.width && z >= 0 && z < world.size.height) {
+                    const tile = world.terrain[z][x];
+                    const deposit = tile.deposit ? `, deposit: ${tile.deposit.amount} ${tile.deposit.type}` : '';
+                    uiLog.debug(`Clicked on terrain at grid [${x}, ${z}], type: ${tile.type}${deposit}`);
+                }
+            } else {
+                // Find the clicked building - search through parent objects too
+                let obj = intersect.object;
+                while (obj && !obj.userData.isBuilding) {
+                    obj = obj.parent;
+                }
+
+                const view = obj ? this._findViewByMesh(obj) : null;
+
+                if (view) {
+                    // Check if it's a construction site
+                    if (obj.userData.isConstruction) {
+                        const construction = view.entity;
+                        if (world.constructions.includes(construction)) {
+                            uiLog.debug(`Clicked on construction #${construction.id} (${construction.targetBuildingType})`);
+                            this.game.uiManager.showConstructionPanel(construction);
+                        }
+                    } else {
+                        // Regular building
+                        const building = view.entity;
+                        if (world.buildings.includes(building)) {
+                            uiLog.debug(`Clicked on building #${building.id} (${building.name})`);
+                            this.game.uiManager.showBuildingPanel(building);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Add terrain sprites (grass, forest, etc.)
+    _addGrassSprites() {
+        const world = this.world;
+        const random = this.random;
+
+        // Check if we have loaded the new grass textures, try all possible fallbacks
+        const grassTextures = [];
+        for (let i = 1; i <= 10; i++) {
+            const grassTexture = this.textures[`grass${i}`];
+            if (grassTexture) {
+                grassTextures.push(grassTexture);
+            }
+        }
+
+        // Get all available tree textures
+        const treeTextures = [];
+        for (let i = 1; i <= 10; i++) {
+            const treeTexture = this.textures[`tree${i}`];
+            if (treeTexture) {
+                treeTextures.push(treeTexture);
+            }
+        }
+
+        log.debug("Adding terrain sprites...");
+        log.debug(`Loaded ${treeTextures.length} tree textures for forests`);
+
+        // Create materials for different terrain types
+        const materials = {};
+        const grassMaterials = [];
+        const treeMaterials = [];
+
+        // Add all available grass materials to an array for variety
+        grassTextures.forEach((texture, index) => {
+            grassMaterials.push(new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                alphaTest: 0.5,
+                depthTest: true,
+                sizeAttenuation: true,
+                lights: false, // Disable lighting
+                color: 0xffffff // Full brightness white to use texture colors exactly
+            }));
+            log.debug(`Created grass material ${index + 1}`);
+        });
+
+        // Create tree materials from available textures
+        treeTextures.forEach((texture, index) => {
+            treeMaterials.push(new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                alphaTest: 0.5,
+                depthTest: true,
+                sizeAttenuation: true,
+                lights: false, // Disable lighting
+                color: 0xffffff // Full brightness white to use texture colors exactly
+            }));
+            log.debug(`Created tree material ${index + 1}`);
+        });
+
+        // Fallback to legacy forest textures if no tree textures are available
+        if (treeMaterials.length === 0) {
+            if (forestTexture) {
+                treeMaterials.push(new THREE.SpriteMaterial({
+                    map: forestTexture,
+                    transparent: true,
+                    alphaTest: 0.5,
+                    depthTest: true,
+                    sizeAttenuation: true,
+                    lights: false, // Disable lighting
+                    color: 0xffffff // Full brightness white to use texture colors exactly
+                }));
+                log.debug("Created legacy forest material");
+            } else if (forest1Texture) {
+                treeMaterials.push(new THREE.SpriteMaterial({
+                    map: forest1Texture,
+                    transparent: true,
+                    alphaTest: 0.5,
+                    depthTest: true,
+                    sizeAttenuation: true,
+                    lights: false, // Disable lighting
+                    color: 0xffffff // Full brightness white to use texture colors exactly
+                }));
+                log.debug("Created alternate legacy forest material");
+            }
+        }
+
+        // Store grass materials for use in the terrain generation
+        if (grassMaterials.length > 0) {
+            materials[TerrainType.GRASS] = grassMaterials;
+            // Also use grass textures for forest ground
+            materials[TerrainType.FOREST] = grassMaterials;
+        }
+
+        // Store tree materials separately
+        if (treeMaterials.length > 0) {
+            materials['TREES'] = treeMaterials;
+        }
+
+        // Group for all terrain sprites
+        this.spriteGroup = new THREE.Group();
+        this.spriteGroup.name = "terrainSprites";
+
+        // Stats for logging
+        const stats = {
+            grass: 0,
+            forest: 0,
+            trees: 0,
+            total: 0
+        };
+
+        // Create sprites for terrain tiles
+        // Focus on a reasonable area around the center for performance
+        const centerX = Math.floor(world.size.width / 2);
+        const centerY = Math.floor(world.size.height / 2);
+        const radius = 25; // Only add sprites in a 50x50 area around center
+
+        for (let y = centerY - radius; y < centerY + radius; y++) {
+            for (let x = centerX - radius; x < centerX + radius; x++) {
+                // Check if coordinates are valid
+                if (y >= 0 && y < world.size.height && x >= 0 && x < world.size.width) {
+                    const terrainType = world.terrain[y][x].type;
+
+                    // Only add sprites if we have a material for this terrain type
+                    if (materials[terrainType]) {
+                        // Get world position for this tile
+                        const worldPos = world.getWorldPosition(x, y);
+                        const terrainHeight = world.terrain[y][x].height;
+
+                        // Handle the different terrain types
+                        if ((terrainType === TerrainType.GRASS || terrainType === TerrainType.FOREST) &&
+                            Array.isArray(materials[terrainType])) {
+
+                            // Add grass sprites (for both grass and forest terrains)
+                            // Randomly select a grass material from the array for each sprite
+                            const randomIndex = random.nextInt(materials[terrainType].length);
+                            const sprite = new THREE.Sprite(materials[terrainType][randomIndex]);
+
+                            sprite.scale.set(world.tileSize, world.tileSize, 1);
+
+                            // Create grass as a horizontal plane instead of a sprite
+                            // Create a small plane geometry
+                            const planeGeometry = new THREE.PlaneGeometry(
+                                world.tileSize,
+                                world.tileSize,
+                            );
+
+                            // Create plane material with the grass texture
+                            const planeMaterial = new THREE.MeshBasicMaterial({
+                                map: materials[terrainType][randomIndex].map,
+                                transparent: true,
+                                alphaTest: 0.5,
+                                side: THREE.DoubleSide
+                            });
+
+                            // Create mesh with the plane geometry and material
+                            const grassPlane = new THREE.Mesh(planeGeometry, planeMaterial);
+
+                            // Rotate the plane to be flat on the ground (rotated around X-axis)
+                            grassPlane.rotation.x = -Math.PI / 2;
+                            // rotate 90, 180, 270 degrees randomly
+                            grassPlane.rotation.z = random.next() > 0.75 ? Math.PI / 2 :
+                                random.next() > 0.5 ? Math.PI : random.next() > 0.25 ? -Math.PI / 2 : 0;
+
+                            // Position the grass plane
+                            grassPlane.position.set(
+                                worldPos.x,
+                                terrainHeight,
+                                worldPos.z,
+                            );
+
+                            // Add to the sprite group
+                            this.spriteGroup.add(grassPlane);
+                            stats.grass++;
+                            stats.total++;
+
+                            // Add trees only for forest terrain
+                            if (terrainType === TerrainType.FOREST && materials['TREES']) {
+                                // Add 1-2 trees per forest tile
+                                const treeCount = 1; // + Math.floor(Math.random() * 0.99); // 1-2 trees
+
+                                for (let i = 0; i < treeCount; i++) {
+                                    // Randomly select a tree material
+                                    const randomTreeIndex = random.nextInt(materials['TREES'].length);
+                                    const treeSprite = new THREE.Sprite(materials['TREES'][randomTreeIndex]);
+
+                                    // Trees should be moderately sized but tall enough to be visible
+                                    const treeScale = 0.7 + random.next() * 0.3; // Slight size variation (0.7-1.0)
+                                    const treeSize = world.tileSize * 2.0 * treeScale; // Slightly larger to compensate for height
+                                    treeSprite.scale.set(treeSize, treeSize, 1);
+
+                                    // Random rotation for trees
+                                    // treeSprite.material.rotation = Math.random() * Math.PI * 0.2; // Slight rotation
+
+                                    // Position the tree with offset within the tile
+                                    const treeOffsetX = (random.next() - 0.5) * world.tileSize * 0.7;
+                                    const treeOffsetZ = (random.next() - 0.5) * world.tileSize * 0.7;
+                                    const treeHeightOffset = 1.5; // Higher offset to show trees above grass
+
+                                    treeSprite.position.set(
+                                        worldPos.x + treeOffsetX,
+                                        terrainHeight + treeHeightOffset,
+                                        worldPos.z + treeOffsetZ
+                                    );
+
+                                    // Add to the sprite group
+                                    this.spriteGroup.add(treeSprite);
+                                    stats.trees++;
+                                    stats.total++;
+                                }
+                            }
+                        } else if (materials[terrainType]) {
+                            // For other terrain types, create planes aligned with terrain
+                            const planeSize = world.tileSize * 1.5;
+                            const heightOffset = 0.1;
+
+                            // Create plane geometry
+                            const planeGeometry = new THREE.PlaneGeometry(planeSize, planeSize);
+
+                            // Create material with the texture
+                            const planeMaterial = new THREE.MeshBasicMaterial({
+                                map: materials[terrainType].map,
+                                transparent: true,
+                                alphaTest: 0.5,
+                                side: THREE.DoubleSide
+                            });
+
+                            // Create the mesh
+                            const plane = new THREE.Mesh(planeGeometry, planeMaterial);
+
+                            // Rotate to lie flat on the ground
+                            plane.rotation.x = -Math.PI / 2;
+
+                            // Add some random rotation for natural look
+                            plane.rotation.z = random.next() * Math.PI * 2;
+
+                            // Position the plane on the terrain
+                            plane.position.set(
+                                worldPos.x,
+                                terrainHeight + heightOffset,
+                                worldPos.z
+                            );
+
+                            // Add to the sprite group
+                            this.spriteGroup.add(plane);
+                            stats.total++;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Add all sprites to the scene; the map editor keeps them hidden
+        this.spriteGroup.visible = !this.editing;
+        this.scene.add(this.spriteGroup);
+        log.debug(`Added ${stats.total} terrain sprites (${stats.grass} grass, ${stats.trees} trees, ${stats.forest} forest patches)`);
+    }
+}
@@ -0,0 +1,377 @@
+import * as THREE from 'three';
+import { BuildingView } from '../BuildingView.js';
+import { ResourceType } from '../../utils/Enums.js';
+
+export class ConstructionView extends BuildingView {
+    constructor(renderer, construction) {
+        super(renderer, construction);
+        
+        // Load the construction sprite texture
+        this.textureLoaded = false;
+        this.textureLoader = renderer.textureLoader;
+        
+        // Planks dropped on the ground by porters
+        this.groundSprites = [];
+        this.displayedPlanks = 0;
+    }
+    
+    // Constructions sit directly on the terrain; createMesh positions them
+    init() {
+        this.createMesh();
+    }
+    
+    createMesh() {
+        const construction = this.entity;
+        const width = construction.size.width * this.world.tileSize;
+        const depth = construction.size.height * this.world.tileSize;
+        
+        // Create a group for the mesh; the sprite is added once the texture loads
+        this.mesh = new THREE.Group();
+        
+        // Path to the construction sprite
+        const spritePath = '/assets/sprites/construction.png';
+        
+        this.textureLoader.load(spritePath,
+            // Success callback
+            (texture) => {
+                this.log.debug(`Loaded construction texture ${spritePath}`);
+                this._setupConstructionSprite(texture, width, depth);
+            },
+            // Progress callback
+            undefined,
+            // Error callback
+            (error) => {
+                this.log.warn(`Could not load construction texture ${spritePath}`, error);
+                this._createFallbackMesh(width, depth);
+            });
+        
+        // Position the construction on the terrain
+        const worldPos = this.world.getWorldPosition(construction.position.x, construction.position.y);
+        const terrainHeight = this.world.getAreaHeight(construction.position.x, construction.position.y,
+            construction.size.width, construction.size.height);
+        
+        // Place at the correct position
+        this.mesh.position.set(
+            worldPos.x + width / 2,
+            terrainHeight,
+            worldPos.z + depth / 2
+        );
+        
+        // Create progress bar
+        this._createProgressBar(width);
+        
+        // Name the mesh for raycasting
+        this.mesh.name = `construction_${construction.targetBuildingType}_${construction.position.x}_${construction.position.y}`;
+        
+        // Mark as a building for raycasting
+        this.mesh.userData.isBuilding = true;
+        this.mesh.userData.isConstruction = true;
+        
+        return this.mesh;
+    }
+    
+    // Helper method to create the construction sprite
+    _setupConstructionSprite(texture, width, depth) {
+        this.textureLoaded = true;
+        
+        // Create billboard sprite material
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.01,
+            depthTest: true,
+            sizeAttenuation: true
+        });
+        
+        // Create the sprite
+        const sprite = new THREE.Sprite(spriteMaterial);
+        sprite.scale.set(width * 1.2, width * 1.2, 1);
+        
+        // Position above the base
+        sprite.position.set(0, width/4, 0);
+        this.mesh.add(sprite);
+        
+        // Add a shadow beneath
+        const shadowGeometry = new THREE.PlaneGeometry(width, depth);
+        const shadowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        });
+        
+        const shadow = new THREE.Mesh(shadowGeometry, shadowMaterial);
+        shadow.rotation.x = -Math.PI / 2;
+        shadow.position.y = 0.01;
+        this.mesh.add(shadow);
+    }
+    
+    // Create a fallback mesh if texture loading fails
+    _createFallbackMesh(width, depth) {
+        const height = 0.5;
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = new THREE.MeshStandardMaterial({ color: 0xA0522D });
+        
+        const base = new THREE.Mesh(geometry, material);
+        base.position.y = height / 2;
+        this.mesh.add(base);
+        
+        // Add vertical beams at corners
+        const beamHeight = 1.5;
+        const beamSize = 0.2;
+        const beamGeometry = new THREE.BoxGeometry(beamSize, beamHeight, beamSize);
+        const beamMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+        
+        // Calculate positions for the corners
+        const halfWidth = width / 2 - beamSize / 2;
+        const halfDepth = depth / 2 - beamSize / 2;
+        
+        // Create beams at each corner
+        const corners = [
+            { x: -halfWidth, z: -halfDepth },
+            { x: halfWidth, z: -halfDepth },
+            { x: -halfWidth, z: halfDepth },
+            { x: halfWidth, z: halfDepth }
+        ];
+        
+        corners.forEach(corner => {
+            const beam = new THREE.Mesh(beamGeometry, beamMaterial);
+            beam.position.set(corner.x, height + beamHeight / 2, corner.z);
+            this.mesh.add(beam);
+        });
+    }
+    
+    // Create a progress bar above the construction
+    _createProgressBar(width) {
+        const progressBarWidth = width;
+        const progressBarHeight = 0.2;
+        const progressBarElevation = width / 2 + 0.5;
+        
+        // Background bar
+        const backgroundGeometry = new THREE.BoxGeometry(progressBarWidth, progressBarHeight, progressBarHeight);
+        const backgroundMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 });
+        this.progressBarBackground = new THREE.Mesh(backgroundGeometry, backgroundMaterial);
+        this.progressBarBackground.position.set(0, progressBarElevation, 0);
+        this.mesh.add(this.progressBarBackground);
+        
+        // Progress fill
+        const fillGeometry = new THREE.BoxGeometry(0.01, progressBarHeight * 0.8, progressBarHeight * 0.8);
+        const fillMaterial = new THREE.MeshBasicMaterial({ color: 0x00FF00 });
+        this.progressBarFill = new THREE.Mesh(fillGeometry, fillMaterial);
+        
+        // Position at the left edge of the background
+        this.progressBarFill.position.set(-progressBarWidth / 2, progressBarElevation, 0);
+        this.mesh.add(this.progressBarFill);
+        
+        // Store info for updating the progress bar
+        this.progressBarInfo = {
+            width: progressBarWidth,
+            startX: -progressBarWidth / 2,
+            endX: progressBarWidth / 2
+        };
+        
+        // Create resource indicators
+        this._createResourceIndicators(width);
+    }
+    
+    // Create indicators showing required resources
+    _createResourceIndicators(width) {
+        if (Object.keys(this.entity.requiredResources).length === 0) return;
+        
+        const textureLoader = this.textureLoader;
+        const resourceSprites = {};
+        
+        // Planks are currently the main resource
+        if (this.entity.requiredResources[ResourceType.PLANK]) {
+            textureLoader.load('/assets/sprites/plank_carried.png', texture => {
+                const material = new THREE.SpriteMaterial({
+                    map: texture,
+                    transparent: true,
+                    depthTest: true
+                });
+                
+                const sprite = new THREE.Sprite(material);
+                sprite.scale.set(0.4, 0.2, 1);
+                
+                // Position to the right of the construction site
+                sprite.position.set(width / 2 + 0.3, 0.5, 0);
+                
+                // Add a text indicator showing required amount
+                const amount = this.entity.requiredResources[ResourceType.PLANK];
+                this._createTextIndicator(`0/${amount}`, width / 2 + 0.3, 0.8, sprite);
+                
+                resourceSprites[ResourceType.PLANK] = {
+                    sprite,
+                    textSprite: this.resourceTextSprites[ResourceType.PLANK]
+                };
+                
+                this.mesh.add(sprite);
+            });
+        }
+        
+        // Store for later updates
+        this.resourceSprites = resourceSprites;
+    }
+    
+    // Create a text indicator for resources
+    _createTextIndicator(text, x, y, parent) {
+        // Create canvas for text
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 64;
+        canvas.height = 32;
+        
+        // Draw text
+        context.fillStyle = 'white';
+        context.font = '20px Arial';
+        context.textAlign = 'center';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        
+        // Create texture and sprite
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true
+        });
+        
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(0.5, 0.25, 1);
+        sprite.position.set(0, y, 0);
+        
+        // Add to parent or mesh
+        if (parent) {
+            parent.add(sprite);
+        } else {
+            this.mesh.add(sprite);
+        }
+        
+        // Store for updating
+        if (!this.resourceTextSprites) {
+            this.resourceTextSprites = {};
+        }
+        
+        const resourceType = Object.keys(this.entity.requiredResources).find(
+            type => this.entity.requiredResources[type] === parseInt(text.split('/')[1])
+        );
+        
+        if (resourceType) {
+            this.resourceTextSprites[resourceType] = {
+                sprite,
+                canvas,
+                context
+            };
+        }
+        
+        return sprite;
+    }
+    
+    // Update resource indicators
+    _updateResourceIndicators() {
+        if (!this.resourceTextSprites) return;
+        
+        // Update each resource indicator
+        Object.entries(this.entity.requiredResources).forEach(([resourceType, amount]) => {
+            const allocated = this.entity.allocatedResources[resourceType] || 0;
+            
+            // Only redraw the canvas when the number changed
+            if (this.resourceTextSprites[resourceType] &&
+                this.resourceTextSprites[resourceType].allocated !== allocated) {
+                this.resourceTextSprites[resourceType].allocated = allocated;
+
+                const { context, canvas, sprite } = this.resourceTextSprites[resourceType];
+                
+                // Clear canvas
+                context.clearRect(0, 0, canvas.width, canvas.height);
+                
+                // Draw updated text
+                context.fillStyle = 'white';
+                context.font = '20px Arial';
+                context.textAlign = 'center';
+                context.fillText(`${allocated}/${amount}`, canvas.width / 2, canvas.height / 2);
+                
+                // Update texture
+                sprite.material.map.needsUpdate = true;
+            }
+        });
+    }
+    
+    // Update the progress bar based on construction progress
+    _updateProgressBar() {
+        if (!this.progressBarFill) return;
+        
+        // Calculate the width of the fill bar based on progress
+        const fillWidth = (this.entity.progress / 100) * this.progressBarInfo.width;
+        this.progressBarFill.scale.x = fillWidth;
+        
+        // Position the fill bar so its left edge stays at the start
+        const newX = this.progressBarInfo.startX + fillWidth / 2;
+        this.progressBarFill.position.x = newX;
+        
+        // Update resource indicators
+        this._updateResourceIndicators();
+    }
+    
+    update(alpha) {
+        this._updateProgressBar();
+        this._updateGroundPlanks();
+    }
+    
+    // Show a plank pile next to the site for every plank porters delivered
+    _updateGroundPlanks() {
+        const delivered = this.entity.allocatedResources[ResourceType.PLANK] || 0;
+        
+        while (this.displayedPlanks < delivered) {
+            this.displayedPlanks++;
+            this._createResourceOnGround();
+        }
+    }
+    
+    _createResourceOnGround() {
+        const construction = this.entity;
+        
+        this.textureLoader.load('/assets/sprites/planks_on_ground.png', texture => {
+            const spriteMaterial = new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                depthTest: true
+            });
+            
+            const sprite = new THREE.Sprite(spriteMaterial);
+            sprite.scale.set(0.8, 0.4, 1);
+            
+            // Create a random position near the construction site
+            const offsetX = (this.renderer.random.next() - 0.5) * 0.8;
+            const offsetZ = (this.renderer.random.next() - 0.5) * 0.8;
+            
+            const worldPos = this.world.getWorldPosition(
+                construction.position.x,
+                construction.position.y
+            );
+            
+            // Position slightly above ground to avoid z-fighting
+            sprite.position.set(worldPos.x + offsetX, 0.05, worldPos.z + offsetZ);
+            
+            this.renderer.scene.add(sprite);
+            this.groundSprites.push(sprite);
+        });
+    }
+    
+    // Remove the site and fade out the planks once the construction is gone
+    dispose() {
+        super.dispose();
+        
+        for (const sprite of this.groundSprites) {
+            let opacity = 1.0;
+            const fadeInterval = setInterval(() => {
+                opacity -= 0.05;
+                sprite.material.opacity = opacity;
+                
+                if (opacity <= 0) {
+                    clearInterval(fadeInterval);
+                    this.renderer.scene.remove(sprite);
+                }
+            }, 100);
+        }
+        this.groundSprites = [];
+    }
+}
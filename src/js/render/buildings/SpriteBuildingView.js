@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+import { BuildingView } from '../BuildingView.js';
+
+// Billboard sprite for buildings whose definition has a sprite
+export class SpriteBuildingView extends BuildingView {
+    constructor(renderer, building) {
+        super(renderer, building);
+
+        // Load the sprite texture
+        this.textureLoaded = false;
+        this.textureLoader = renderer.textureLoader;
+    }
+
+    createMesh() {
+        const building = this.entity;
+        const sprite = building.definition.sprite;
+        const width = building.size.width * this.world.tileSize;
+        const depth = building.size.height * this.world.tileSize;
+
+        // Create a group for the mesh; the sprite is added once the texture loads
+        this.mesh = new THREE.Group();
+
+        this.textureLoader.load(sprite.path,
+            // Success callback
+            (texture) => {
+                this.log.debug(`Loaded ${building.type} texture ${sprite.path}`);
+                this._setupSprite(texture, width, depth, sprite.scale);
+            },
+            // Progress callback
+            undefined,
+            // Error callback
+            (error) => {
+                this.log.warn(`Could not load ${building.type} texture ${sprite.path}`, error);
+                // Create a fallback mesh if texture loading fails
+                this._createFallbackMesh(width, depth);
+            });
+
+        // Name the mesh for raycasting
+        this.mesh.name = `building_${building.type}_${building.position.x}_${building.position.y}`;
+
+        // Mark this as a building for raycasting
+        this.mesh.userData.isBuilding = true;
+
+        return this.mesh;
+    }
+
+    // Create the sprite with a loaded texture
+    _setupSprite(texture, width, depth, scale) {
+        this.textureLoaded = true;
+
+        // Create billboard sprite material
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            alphaTest: 0.01,
+            depthTest: true,
+            depthWrite: true,
+            sizeAttenuation: true,
+            color: 0xffffff
+        });
+
+        // The sprite is square, sized relative to the footprint width
+        const sprite = new THREE.Sprite(spriteMaterial);
+        sprite.scale.set(width * scale, width * scale, 1);
+
+        // Position above the base
+        sprite.position.set(0, width / 4, 0);
+        this.mesh.add(sprite);
+
+        // Add a shadow beneath the building
+        const shadowGeometry = new THREE.PlaneGeometry(width, depth);
+        const shadowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            transparent: true,
+            opacity: 0.3,
+            depthWrite: false
+        });
+
+        const shadow = new THREE.Mesh(shadowGeometry, shadowMaterial);
+        shadow.rotation.x = -Math.PI / 2; // Lay flat on the ground
+        shadow.position.y = 0.01; // Slightly above the terrain to prevent z-fighting
+        this.mesh.add(shadow);
+
+        this.log.debug(`${this.entity.name} sprite created`);
+    }
+
+    // Create a fallback mesh if the texture cannot be loaded
+    _createFallbackMesh(width, depth) {
+        const height = 1.5;
+        const geometry = new THREE.BoxGeometry(width, height, depth);
+        const material = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+
+        const box = new THREE.Mesh(geometry, material);
+        box.position.y = height / 2;
+        this.mesh.add(box);
+
+        this.log.debug(`Created fallback mesh for ${this.entity.type}`);
+    }
+}
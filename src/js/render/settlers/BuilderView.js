@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { SettlerView } from '../SettlerView.js';
+
+export class BuilderView extends SettlerView {
+    createMesh() {
+        const builder = this.entity;
+
+        // Create a group for the builder
+        this.mesh = new THREE.Group();
+
+        // Create the builder figure (orange cylinder) - larger size for visibility
+        const geometry = new THREE.CylinderGeometry(0.3, 0.3, 1.2, 8);
+        const material = new THREE.MeshStandardMaterial({ color: 0xFF6600 }); // Bright orange for builders
+
+        const figure = new THREE.Mesh(geometry, material);
+        figure.position.y = 0.6; // Half the height of the taller cylinder
+        this.mesh.add(figure);
+
+        // Name the mesh for raycasting
+        this.mesh.name = `settler_${builder.type}_${builder.position.x}_${builder.position.y}`;
+
+        return this.mesh;
+    }
+
+    update(alpha) {
+        super.update(alpha);
+
+        // Create building effect (particle animation)
+        if (this.entity.isBuilding && this.entity.targetConstruction && this.renderer.random.chance(0.1)) {
+            this._createBuildingEffect();
+        }
+    }
+
+    _createBuildingEffect() {
+        // Create a simple particle effect to show building activity
+        const geometry = new THREE.SphereGeometry(0.05, 8, 8);
+        const material = new THREE.MeshBasicMaterial({
+            color: this.renderer.random.chance(0.5) ? 0xFFFF00 : 0xFF0000, // Yellow or red sparks
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const particle = new THREE.Mesh(geometry, material);
+
+        // Position at the construction site with random offset
+        const worldPos = this.world.getWorldPosition(
+            this.entity.targetConstruction.position.x,
+            this.entity.targetConstruction.position.y
+        );
+
+        const offsetX = (this.renderer.random.next() - 0.5) * 0.8;
+        const offsetY = this.renderer.random.next() * 0.8 + 0.5; // Above ground
+        const offsetZ = (this.renderer.random.next() - 0.5) * 0.8;
+
+        particle.position.set(
+            worldPos.x + offsetX,
+            offsetY,
+            worldPos.z + offsetZ
+        );
+
+        // Add to scene
+        const scene = this.renderer.scene;
+        scene.add(particle);
+
+        // Animate and remove
+        let life = 1.0;
+        const animateInterval = setInterval(() => {
+            life -= 0.05;
+
+            // Move upward
+            particle.position.y += 0.02;
+
+            // Fade out
+            material.opacity = life;
+
+            if (life <= 0) {
+                clearInterval(animateInterval);
+                scene.remove(particle);
+            }
+        }, 50);
+    }
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { SettlerView } from '../SettlerView.js';
+import { ResourceType } from '../../utils/Enums.js';
+
+export class PorterView extends SettlerView {
+    constructor(renderer, porter) {
+        super(renderer, porter);
+
+        this.resourceSprite = null;
+        this.displayedResource = null;
+    }
+
+    createMesh() {
+        const porter = this.entity;
+
+        // Create a group for the porter and carried resources
+        this.mesh = new THREE.Group();
+
+        // Create the porter figure (blue cylinder) - larger size for visibility
+        const geometry = new THREE.CylinderGeometry(0.3, 0.3, 1.2, 8);
+        const material = new THREE.MeshStandardMaterial({ color: 0x0088FF }); // Bright blue for porters
+
+        const figure = new THREE.Mesh(geometry, material);
+        figure.position.y = 0.6; // Half the height of the taller cylinder
+        this.mesh.add(figure);
+
+        // Name the mesh for raycasting
+        this.mesh.name = `settler_${porter.type}_${porter.position.x}_${porter.position.y}`;
+
+        return this.mesh;
+    }
+
+    update(alpha) {
+        super.update(alpha);
+
+        // Show whatever the porter is carrying
+        if (this.displayedResource !== this.entity.carriedResource) {
+            this.displayedResource = this.entity.carriedResource;
+
+            if (this.displayedResource) {
+                this._addResourceSprite(this.displayedResource);
+            } else {
+                this._removeResourceSprite();
+            }
+        }
+    }
+
+    _addResourceSprite(resourceType) {
+        // Remove any existing resource sprite
+        this._removeResourceSprite();
+
+        // Load the appropriate resource sprite based on resource type
+        let spritePath;
+
+        if (resourceType === ResourceType.PLANK) {
+            spritePath = '/assets/sprites/plank_carried.png';
+        } else {
+            // Default for other resources
+            spritePath = '/assets/sprites/plank_carried.png';
+        }
+
+        this.renderer.textureLoader.load(spritePath, texture => {
+            // The porter may have dropped the resource while the texture was loading
+            if (this.displayedResource !== resourceType) return;
+
+            const spriteMaterial = new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                depthTest: true
+            });
+
+            const sprite = new THREE.Sprite(spriteMaterial);
+            sprite.scale.set(0.5, 0.25, 1);
+            sprite.position.set(0, 0.8, 0); // Position above the porter
+
+            this.resourceSprite = sprite;
+            this.mesh.add(sprite);
+        });
+    }
+
+    _removeResourceSprite() {
+        if (this.resourceSprite) {
+            this.mesh.remove(this.resourceSprite);
+            this.resourceSprite = null;
+        }
+    }
+}
@@ -0,0 +1,62 @@
+import { resourceNames, DEPOSIT_COLORS } from '../utils/Constants.js';
+
+// Shows where the resource deposits are, toggled with O: the world renderer
+// marks every explored tile with a deposit, and this panel explains the colors.
+export class DepositOverlay {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'deposit-legend';
+        this.panel.className = 'hud-panel hidden';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Deposits';
+        this.panel.appendChild(title);
+
+        for (const [resourceType, color] of Object.entries(DEPOSIT_COLORS)) {
+            const item = document.createElement('div');
+            item.className = 'deposit-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'deposit-swatch';
+            swatch.style.backgroundColor = `#${color.toString(16).padStart(6, '0')}`;
+            item.appendChild(swatch);
+
+            item.appendChild(document.createTextNode(resourceNames[resourceType] || resourceType));
+            this.panel.appendChild(item);
+        }
+
+        document.getElementById('hud').appendChild(this.panel);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.game.worldRenderer.setDepositOverlayVisible(true);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.game.worldRenderer.setDepositOverlayVisible(false);
+    }
+
+    // A new world comes with a new renderer, which starts without the markers
+    onWorldReplaced() {
+        if (this.isOpen) {
+            this.game.worldRenderer.setDepositOverlayVisible(true);
+        }
+    }
+}
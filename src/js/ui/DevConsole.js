@@ -0,0 +1,384 @@
+import { ResourceType, SettlerType } from '../utils/Enums.js';
+import { AddResourcesCommand } from '../commands/AddResourcesCommand.js';
+import { RevealMapCommand } from '../commands/RevealMapCommand.js';
+import { SpawnSettlerCommand } from '../commands/SpawnSettlerCommand.js';
+import { FinishConstructionCommand } from '../commands/FinishConstructionCommand.js';
+import { logger } from '../utils/Logger.js';
+
+// Lines kept in the output and in the input history
+const OUTPUT_LIMIT = 200;
+const HISTORY_LIMIT = 50;
+
+// Most settlers one spawn command adds
+const SPAWN_LIMIT = 100;
+
+// Developer console, toggled with the backtick key. Commands that change the
+// simulation are submitted as player commands, so they're recorded in replays
+// and ignored while a replay plays; the rest only read state or move the camera.
+export class DevConsole {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+
+        // Previously entered lines, most recent last, and the position while browsing them
+        this.history = [];
+        this.historyIndex = 0;
+
+        // Console commands by name: { usage, description, run(args) }.
+        // run returns text to print, or throws an Error with a message for the user.
+        this.commands = {
+            help: {
+                usage: 'help [command]',
+                description: 'List the commands, or show how to use one',
+                run: (args) => this._help(args[0])
+            },
+            info: {
+                usage: 'info',
+                description: 'Show the seed, game time and entity counts',
+                run: () => this._info()
+            },
+            list: {
+                usage: 'list [buildings|constructions|settlers]',
+                description: 'List entities with their ids and positions',
+                run: (args) => this._list(args[0])
+            },
+            dump: {
+                usage: 'dump [id]',
+                description: 'Print an entity\'s state; defaults to the selected building',
+                run: (args) => this._dump(args[0])
+            },
+            give: {
+                usage: 'give <resource> <amount>',
+                description: 'Add resources to storage',
+                run: (args) => this._give(args[0], args[1])
+            },
+            reveal: {
+                usage: 'reveal',
+                description: 'Explore the whole map',
+                run: () => this._submit(new RevealMapCommand(), 'Map revealed')
+            },
+            spawn: {
+                usage: 'spawn <porter|builder> <x> <y> [count]',
+                description: 'Add settlers at a tile',
+                run: (args) => this._spawn(args[0], args[1], args[2], args[3])
+            },
+            finish: {
+                usage: 'finish [id|all]',
+                description: 'Complete a construction site instantly; defaults to the selected one',
+                run: (args) => this._finish(args[0])
+            },
+            camera: {
+                usage: 'camera <x> <y>',
+                description: 'Move the camera to a tile',
+                run: (args) => this._camera(args[0], args[1])
+            },
+            log: {
+                usage: 'log [levels]',
+                description: 'Show or set log levels, e.g. "log debug" or "log porter:debug,render:off"',
+                run: (args) => this._log(args.join(''))
+            },
+            perf: {
+                usage: 'perf',
+                description: 'Toggle the performance overlay',
+                run: () => {
+                    const overlay = this.game.uiManager.performanceOverlay;
+                    overlay.toggle();
+                    return `Performance overlay ${overlay.isOpen ? 'shown' : 'hidden'}`;
+                }
+            },
+            deposits: {
+                usage: 'deposits',
+                description: 'Toggle the resource deposit overlay',
+                run: () => {
+                    const overlay = this.game.uiManager.depositOverlay;
+                    overlay.toggle();
+                    return `Deposit overlay ${overlay.isOpen ? 'shown' : 'hidden'}`;
+                }
+            },
+            clear: {
+                usage: 'clear',
+                description: 'Clear the console output',
+                run: () => {
+                    this.output.innerHTML = '';
+                    return null;
+                }
+            }
+        };
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'dev-console';
+        this.panel.className = 'hud-panel hidden';
+
+        this.output = document.createElement('div');
+        this.output.className = 'dev-console-output';
+        this.panel.appendChild(this.output);
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'dev-console-input';
+        this.input.spellcheck = false;
+        this.input.addEventListener('keydown', (event) => this._onInputKeyDown(event));
+        this.panel.appendChild(this.input);
+
+        document.getElementById('hud').appendChild(this.panel);
+        document.addEventListener('keydown', this._onKeyDown);
+
+        this._print('Developer console. Type "help" for commands.');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.input.focus();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.input.blur();
+    }
+
+    // Run one line of input, e.g. "give wood 50"
+    execute(line) {
+        const [name, ...args] = line.trim().split(/\s+/);
+        if (!name) return;
+
+        this._print(`> ${line}`, 'dev-console-echo');
+
+        const command = this.commands[name.toLowerCase()];
+        if (!command) {
+            this._print(`Unknown command: ${name}. Type "help" for commands.`, 'dev-console-error');
+            return;
+        }
+
+        try {
+            const result = command.run(args);
+            if (result) {
+                this._print(result);
+            }
+        } catch (error) {
+            this._print(error.message, 'dev-console-error');
+        }
+    }
+
+    _onKeyDown(event) {
+        if (event.key !== '`' || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.tagName === 'INPUT') return;
+
+        // Keep the backtick out of the input
+        event.preventDefault();
+        this.toggle();
+    }
+
+    _onInputKeyDown(event) {
+        // Keep typing from triggering the game's shortcuts
+        event.stopPropagation();
+
+        if (event.key === '`' || event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'Enter') {
+            const line = this.input.value;
+            this.input.value = '';
+            if (line.trim()) {
+                this.history.push(line);
+                if (this.history.length > HISTORY_LIMIT) {
+                    this.history.shift();
+                }
+            }
+            this.historyIndex = this.history.length;
+            this.execute(line);
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            const step = event.key === 'ArrowUp' ? -1 : 1;
+            this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+            this.input.value = this.history[this.historyIndex] || '';
+        }
+    }
+
+    _print(text, className = '') {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        this.output.appendChild(line);
+
+        while (this.output.childElementCount > OUTPUT_LIMIT) {
+            this.output.firstChild.remove();
+        }
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    // Submit a command that changes the simulation
+    _submit(command, message) {
+        const commands = this.game.world.commands;
+        if (commands.replaying) {
+            throw new Error('Cheats are disabled while a replay is playing');
+        }
+        if (!commands.submit(command)) {
+            throw new Error(`Could not ${command.describe()}`);
+        }
+        return message;
+    }
+
+    _help(name) {
+        if (name) {
+            const command = this.commands[name.toLowerCase()];
+            if (!command) {
+                throw new Error(`Unknown command: ${name}`);
+            }
+            return `${command.usage}\n  ${command.description}`;
+        }
+
+        return Object.values(this.commands)
+            .map(command => `${command.usage.padEnd(42)} ${command.description}`)
+            .join('\n');
+    }
+
+    _info() {
+        const world = this.game.world;
+        return [
+            `Seed: ${world.seed}`,
+            `Tick: ${world.clock.tick} (${(world.clock.getElapsedTime() / 1000).toFixed(1)}s of game time)`,
+            `Map: ${world.size.width}x${world.size.height}`,
+            `Buildings: ${world.buildings.length}, constructions: ${world.constructions.length}, settlers: ${world.settlers.length}`,
+            `Commands logged: ${world.commands.log.length}${world.commands.replaying ? ' (replaying)' : ''}`
+        ].join('\n');
+    }
+
+    _list(kind) {
+        const world = this.game.world;
+        const groups = {
+            buildings: world.buildings.map(b => `${b.id}  ${b.type} L${b.level}`),
+            constructions: world.constructions.map(c => `${c.id}  ${c.targetBuildingType} ${c.progress.toFixed(0)}%`),
+            settlers: world.settlers.map(s => `${s.id}  ${s.type} ${s.state}`)
+        };
+        const positions = {
+            buildings: world.buildings,
+            constructions: world.constructions,
+            settlers: world.settlers
+        };
+
+        if (kind && !groups[kind]) {
+            throw new Error(`Usage: ${this.commands.list.usage}`);
+        }
+
+        return Object.keys(groups)
+            .filter(group => !kind || group === kind)
+            .map(group => {
+                const lines = groups[group].map((text, i) => {
+                    const { x, y } = positions[group][i].position;
+                    return `  ${text} at (${x}, ${y})`;
+                });
+                return `${group} (${lines.length}):\n${lines.join('\n')}`;
+            })
+            .join('\n');
+    }
+
+    _log(spec) {
+        if (spec) {
+            logger.configure(spec);
+        }
+        return `Log levels: ${logger.describeLevels()}`;
+    }
+
+    _dump(idArg) {
+        const ui = this.game.uiManager;
+        const entity = idArg !== undefined ?
+            this.game.world.getEntityById(this._parseInt(idArg, 'id')) :
+            ui.selectedBuilding || ui.selectedConstruction;
+
+        if (!entity) {
+            throw new Error(idArg !== undefined ? `No entity with id ${idArg}` : 'Nothing selected; pass an id');
+        }
+        return JSON.stringify(entity.serialize(), null, 2);
+    }
+
+    _give(resource, amountArg) {
+        if (!Object.values(ResourceType).includes(resource)) {
+            throw new Error(`Unknown resource ${resource}. Resources: ${Object.values(ResourceType).join(', ')}`);
+        }
+
+        const amount = this._parseInt(amountArg, 'amount');
+        if (amount < 1) {
+            throw new Error('amount must be at least 1');
+        }
+
+        return this._submit(new AddResourcesCommand({ resources: { [resource]: amount } }), `Added ${amount} ${resource}`);
+    }
+
+    _spawn(settlerType, xArg, yArg, countArg = '1') {
+        if (![SettlerType.PORTER, SettlerType.BUILDER].includes(settlerType)) {
+            throw new Error(`Usage: ${this.commands.spawn.usage}`);
+        }
+
+        const x = this._parseInt(xArg, 'x');
+        const y = this._parseInt(yArg, 'y');
+        const count = this._parseInt(countArg, 'count');
+        if (count < 1 || count > SPAWN_LIMIT) {
+            throw new Error(`count must be between 1 and ${SPAWN_LIMIT}`);
+        }
+
+        for (let i = 0; i < count; i++) {
+            this._submit(new SpawnSettlerCommand({ settlerType, x, y }));
+        }
+        return `Spawned ${count} ${settlerType}${count === 1 ? '' : 's'} at (${x}, ${y})`;
+    }
+
+    _finish(idArg) {
+        const world = this.game.world;
+        let constructions;
+
+        if (idArg === 'all') {
+            constructions = [...world.constructions];
+        } else if (idArg !== undefined) {
+            const construction = world.getEntityById(this._parseInt(idArg, 'id'));
+            if (!construction || !world.constructions.includes(construction)) {
+                throw new Error(`No construction site with id ${idArg}`);
+            }
+            constructions = [construction];
+        } else {
+            const selected = this.game.uiManager.selectedConstruction;
+            if (!selected) {
+                throw new Error('No construction site selected; pass an id or "all"');
+            }
+            constructions = [selected];
+        }
+
+        for (const construction of constructions) {
+            this._submit(new FinishConstructionCommand({ constructionId: construction.id }));
+        }
+        return `Finished ${constructions.length} construction site${constructions.length === 1 ? '' : 's'}`;
+    }
+
+    _camera(xArg, yArg) {
+        const x = this._parseInt(xArg, 'x');
+        const y = this._parseInt(yArg, 'y');
+        const { width, height } = this.game.world.size;
+        if (x < 0 || y < 0 || x >= width || y >= height) {
+            throw new Error(`(${x}, ${y}) is outside the ${width}x${height} map`);
+        }
+
+        this.game.focusCamera(x, y);
+        return `Camera at (${x}, ${y})`;
+    }
+
+    _parseInt(text, name) {
+        const value = Number(text);
+        if (text === undefined || !Number.isInteger(value)) {
+            throw new Error(`${name} must be a whole number`);
+        }
+        return value;
+    }
+}
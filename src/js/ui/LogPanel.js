@@ -0,0 +1,188 @@
+import { LogLevel, LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+// Entries shown at once
+const VISIBLE_ENTRIES = 200;
+
+// In-game view of the log, toggled with L. Shows recent entries filtered by
+// category and entity, and sets the level of the chosen category at runtime.
+export class LogPanel {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+
+        // Filters; null shows everything
+        this.category = null;
+        this.entityId = null;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'log-panel';
+        this.panel.className = 'hud-panel hidden';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Log';
+        this.panel.appendChild(title);
+
+        const controls = document.createElement('div');
+        controls.className = 'log-controls';
+        this.panel.appendChild(controls);
+
+        // Category filter
+        this.categorySelect = document.createElement('select');
+        this._addOption(this.categorySelect, '', 'All categories');
+        Object.values(LogCategory).forEach(category => this._addOption(this.categorySelect, category, category));
+        this.categorySelect.addEventListener('change', () => {
+            this.category = this.categorySelect.value || null;
+            this._syncLevelSelect();
+            this._render();
+        });
+        controls.appendChild(this.categorySelect);
+
+        // Level of the chosen category, or the default level for all categories
+        this.levelSelect = document.createElement('select');
+        this.levelSelect.title = 'Log level';
+        Object.values(LogLevel).forEach(level => this._addOption(this.levelSelect, level, level));
+        this.levelSelect.addEventListener('change', () => {
+            logger.setLevel(this.levelSelect.value, this.category);
+        });
+        controls.appendChild(this.levelSelect);
+
+        // Entity filter
+        this.entityInput = document.createElement('input');
+        this.entityInput.type = 'text';
+        this.entityInput.placeholder = 'Entity id';
+        this.entityInput.size = 8;
+        this.entityInput.addEventListener('input', () => {
+            const id = Number(this.entityInput.value);
+            this.entityId = this.entityInput.value.trim() !== '' && Number.isInteger(id) ? id : null;
+            this._render();
+        });
+        controls.appendChild(this.entityInput);
+
+        const selectedButton = document.createElement('button');
+        selectedButton.textContent = 'Selected';
+        selectedButton.title = 'Show the selected building or construction site';
+        selectedButton.addEventListener('click', () => this._filterSelected());
+        controls.appendChild(selectedButton);
+
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear';
+        clearButton.addEventListener('click', () => {
+            logger.clear();
+            this._render();
+        });
+        controls.appendChild(clearButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => this.close());
+        controls.appendChild(closeButton);
+
+        this.entriesList = document.createElement('div');
+        this.entriesList.className = 'log-entries';
+        this.panel.appendChild(this.entriesList);
+
+        document.getElementById('hud').appendChild(this.panel);
+
+        logger.subscribe(entry => this._onEntry(entry));
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this._syncLevelSelect();
+        this._render();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+    }
+
+    // Show only the entries of one entity
+    filterEntity(id) {
+        this.entityId = id;
+        this.entityInput.value = id === null ? '' : String(id);
+        this._render();
+    }
+
+    _filterSelected() {
+        const ui = this.game.uiManager;
+        const selected = ui.selectedBuilding || ui.selectedConstruction;
+        if (!selected) {
+            ui.showMessage('Select a building or construction site first');
+            return;
+        }
+        this.filterEntity(selected.id);
+    }
+
+    _onEntry(entry) {
+        // Nothing to update while hidden; open() renders from the history
+        if (!this.isOpen || !this._matches(entry)) return;
+
+        this.entriesList.appendChild(this._createEntryElement(entry));
+        while (this.entriesList.childElementCount > VISIBLE_ENTRIES) {
+            this.entriesList.firstChild.remove();
+        }
+        this.entriesList.scrollTop = this.entriesList.scrollHeight;
+    }
+
+    _matches(entry) {
+        return (this.category === null || entry.category === this.category) &&
+            (this.entityId === null || entry.entityId === this.entityId);
+    }
+
+    _render() {
+        this.entriesList.innerHTML = '';
+
+        const entries = logger.entries.filter(entry => this._matches(entry)).slice(-VISIBLE_ENTRIES);
+        for (const entry of entries) {
+            this.entriesList.appendChild(this._createEntryElement(entry));
+        }
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'log-empty';
+            empty.textContent = 'No entries';
+            this.entriesList.appendChild(empty);
+        }
+        this.entriesList.scrollTop = this.entriesList.scrollHeight;
+    }
+
+    _createEntryElement(entry) {
+        const element = document.createElement('div');
+        element.className = `log-entry log-${entry.level}`;
+
+        const time = new Date(entry.time).toLocaleTimeString();
+        const source = entry.entityId !== null ? `${entry.category} #${entry.entityId}` : entry.category;
+        element.textContent = `${time} ${entry.level.toUpperCase()} [${source}] ${entry.message}`;
+
+        // Click an entity's entry to show only that entity
+        if (entry.entityId !== null) {
+            element.classList.add('log-entity');
+            element.addEventListener('click', () => this.filterEntity(entry.entityId));
+        }
+        return element;
+    }
+
+    _syncLevelSelect() {
+        this.levelSelect.value = this.category === null ? logger.defaultLevel : logger.getLevel(this.category);
+    }
+
+    _addOption(select, value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
@@ -0,0 +1,112 @@
+import { LogCategory } from '../utils/Enums.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.UI);
+
+// The menu shown when the game starts, and from the HUD's Menu button: continue
+// the most recent save, set up a new game (see NewGameDialog) or pick a save to
+// load. The map behind it is paused while it's open.
+export class MainMenu {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.wasPaused = false;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'main-menu';
+        this.panel.className = 'hud-panel hidden';
+
+        const title = document.createElement('h2');
+        title.textContent = 'Isometric Settlers';
+        this.panel.appendChild(title);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'main-menu-buttons';
+        this.panel.appendChild(buttons);
+
+        this.continueButton = this._addButton(buttons, 'Continue', () => this._continue());
+        this.continueInfo = document.createElement('div');
+        this.continueInfo.className = 'new-game-summary';
+        buttons.appendChild(this.continueInfo);
+
+        this._addButton(buttons, 'New Game', () => this._newGame());
+        this._addButton(buttons, 'Load', () => this._load());
+        this._addButton(buttons, 'Close', () => this.close());
+
+        document.getElementById('hud').appendChild(this.panel);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        const ui = this.game.uiManager;
+        ui.hideBuildMenu();
+        ui.hideSavePanel();
+
+        this.isOpen = true;
+        this._updateContinue();
+
+        this.wasPaused = this.game.clock.isPaused();
+        this.game.pause();
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        if (!this.wasPaused) {
+            this.game.resume();
+        }
+    }
+
+    // Continue names the save it loads, and is off without one
+    _updateContinue() {
+        const latest = this.game.saveManager.getLatestSave();
+        this.continueButton.disabled = !latest;
+        this.continueInfo.textContent = latest ?
+            `${latest.info.name}, saved ${new Date(latest.info.savedAt).toLocaleString()}` :
+            'No saved games yet';
+    }
+
+    _continue() {
+        const latest = this.game.saveManager.getLatestSave();
+        if (!latest) return;
+
+        const ui = this.game.uiManager;
+        this.close();
+        try {
+            this.game.loadGameFromSlot(latest.slot);
+            ui.showMessage('Game loaded');
+        } catch (error) {
+            log.error(error.message);
+            ui.showMessage(`Could not load game: ${error.message}`);
+        }
+    }
+
+    // Cancelling the new-game dialog comes back here
+    _newGame() {
+        this.close();
+        this.game.uiManager.newGameDialog.open(() => this.open());
+    }
+
+    _load() {
+        this.close();
+        this.game.uiManager.showSavePanel();
+    }
+
+    _addButton(parent, label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+}
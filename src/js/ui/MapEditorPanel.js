@@ -0,0 +1,272 @@
+import { EditorTool, TerrainType, SettlerType, LogCategory } from '../utils/Enums.js';
+import { EDITOR, DEPOSIT_COLORS, resourceNames, settlerNames, terrainNames } from '../utils/Constants.js';
+import { imagesFromTileMap } from '../utils/MapImage.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.UI);
+
+const TOOL_LABELS = {
+    [EditorTool.TERRAIN]: 'Paint',
+    [EditorTool.RAISE]: 'Raise',
+    [EditorTool.LOWER]: 'Lower',
+    [EditorTool.FLATTEN]: 'Flatten',
+    [EditorTool.TREES]: 'Trees',
+    [EditorTool.DEPOSIT]: 'Deposits',
+    [EditorTool.WAREHOUSE]: 'Warehouse',
+    [EditorTool.SETTLERS]: 'Settlers'
+};
+
+// Settlers a scenario can start with (see ScenarioManager)
+const EDITOR_SETTLERS = [SettlerType.PORTER, SettlerType.BUILDER];
+
+// Map editor controls: the tools and their settings, saving the map as a
+// scenario file or as images, and playing it. The game stays paused while editing.
+export class MapEditorPanel {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+    }
+
+    init() {
+        const existingButton = document.getElementById('map-editor-button');
+        if (existingButton) {
+            existingButton.remove();
+        }
+
+        this.button = document.createElement('button');
+        this.button.id = 'map-editor-button';
+        this.button.className = 'hud-button';
+        this.button.textContent = 'Map Editor';
+        this.button.onclick = () => this.toggle();
+        document.getElementById('hud').appendChild(this.button);
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'map-editor-panel';
+        this.panel.className = 'hud-panel hidden';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Map Editor';
+        this.panel.appendChild(title);
+
+        // One button per tool
+        const tools = document.createElement('div');
+        tools.className = 'map-editor-tools';
+        this.toolButtons = {};
+        for (const tool of Object.values(EditorTool)) {
+            const button = document.createElement('button');
+            button.textContent = TOOL_LABELS[tool] || tool;
+            button.addEventListener('click', () => this._setTool(tool));
+            tools.appendChild(button);
+            this.toolButtons[tool] = button;
+        }
+        this.panel.appendChild(tools);
+
+        this.radiusInput = document.createElement('input');
+        this.radiusInput.type = 'range';
+        this.radiusInput.min = '0';
+        this.radiusInput.max = String(EDITOR.MAX_BRUSH_RADIUS);
+        this.radiusInput.addEventListener('input', () => {
+            this._editor().radius = Number(this.radiusInput.value);
+            this._updateControls();
+        });
+        this.radiusValue = document.createElement('span');
+        this.radiusValue.className = 'new-game-value';
+        this.radiusRow = this._addRow('Brush size', this.radiusInput);
+        this.radiusRow.appendChild(this.radiusValue);
+
+        this.terrainSelect = this._addSelect('Terrain', Object.values(TerrainType),
+            type => terrainNames[type] || type, value => { this._editor().terrainType = value; });
+
+        this.depositSelect = this._addSelect('Resource', Object.keys(DEPOSIT_COLORS),
+            type => resourceNames[type] || type, value => { this._editor().depositType = value; });
+
+        this.amountInput = document.createElement('input');
+        this.amountInput.type = 'number';
+        this.amountInput.min = '0';
+        this.amountInput.addEventListener('change', () => {
+            this._editor().depositAmount = Math.max(0, Math.round(Number(this.amountInput.value) || 0));
+        });
+        this.amountRow = this._addRow('Amount (0 removes)', this.amountInput);
+
+        this.settlerSelect = this._addSelect('Settler', EDITOR_SETTLERS,
+            type => settlerNames[type] || type, value => { this._editor().settlerType = value; });
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'new-game-summary';
+        this.panel.appendChild(this.hint);
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.value = 'Custom map';
+        this._addRow('Map name', this.nameInput);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'new-game-buttons';
+        this.panel.appendChild(buttons);
+
+        this._addButton(buttons, 'Save Scenario', () => this._saveScenario());
+        this._addButton(buttons, 'Save Map Images', () => this._saveImages());
+        this._addButton(buttons, 'Play Map', () => this._play());
+
+        document.getElementById('hud').appendChild(this.panel);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this._play();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        const ui = this.game.uiManager;
+        ui.hideBuildMenu();
+        ui.hideSavePanel();
+
+        this.game.startEditing();
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.button.textContent = 'Play Map';
+        this._updateControls();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        this.button.textContent = 'Map Editor';
+    }
+
+    // Playing the map replaces the world, which ends editing
+    onWorldReplaced() {
+        if (!this.game.mapEditor) {
+            this.close();
+        }
+    }
+
+    _play() {
+        const ui = this.game.uiManager;
+        try {
+            this.game.stopEditing({ name: this._getName() });
+            ui.showMessage('Playing the edited map');
+        } catch (error) {
+            log.error(error.message);
+            ui.showMessage(`Could not play this map: ${error.message}`, 10000);
+        }
+    }
+
+    _saveScenario() {
+        const scenario = this.game.scenarioManager.createScenario(this.game.world, { name: this._getName() });
+        const blob = new Blob([JSON.stringify(scenario)], { type: 'application/json' });
+        this._download(blob, `${this._getFileName()}.json`);
+    }
+
+    // The map as a heightmap and a terrain image, which New Game can import
+    _saveImages() {
+        const { heightmap, terrainImage } = imagesFromTileMap(this.game.world.terrain);
+        this._downloadImage(heightmap, `${this._getFileName()}-height.png`);
+        this._downloadImage(terrainImage, `${this._getFileName()}-terrain.png`);
+    }
+
+    _downloadImage(image, fileName) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        canvas.toBlob(blob => this._download(blob, fileName), 'image/png');
+    }
+
+    _download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    _getName() {
+        return this.nameInput.value.trim() || 'Custom map';
+    }
+
+    _getFileName() {
+        return this._getName().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+    }
+
+    _editor() {
+        return this.game.mapEditor;
+    }
+
+    _setTool(tool) {
+        this._editor().tool = tool;
+        this._updateControls();
+    }
+
+    // Show the current tool's settings and hide the others
+    _updateControls() {
+        const editor = this._editor();
+        if (!editor) return;
+
+        for (const [tool, button] of Object.entries(this.toolButtons)) {
+            button.classList.toggle('selected', tool === editor.tool);
+        }
+
+        this.radiusInput.value = String(editor.radius);
+        this.radiusValue.textContent = String(editor.radius);
+        this.terrainSelect.value = editor.terrainType;
+        this.depositSelect.value = editor.depositType;
+        this.amountInput.value = String(editor.depositAmount);
+        this.settlerSelect.value = editor.settlerType;
+
+        const tool = editor.tool;
+        this._showRow(this.radiusRow, editor.usesBrush);
+        this._showRow(this.terrainSelect.parentElement, tool === EditorTool.TERRAIN);
+        this._showRow(this.depositSelect.parentElement, tool === EditorTool.DEPOSIT);
+        this._showRow(this.amountRow, tool === EditorTool.DEPOSIT);
+        this._showRow(this.settlerSelect.parentElement, tool === EditorTool.SETTLERS);
+
+        this.hint.textContent = tool === EditorTool.SETTLERS ?
+            'Click to add a settler, shift-click to remove the settlers on a tile' :
+            tool === EditorTool.WAREHOUSE ? 'Click to move the starting warehouse' :
+            'Click and drag to paint; right-drag moves the camera';
+    }
+
+    _showRow(row, visible) {
+        row.classList.toggle('hidden', !visible);
+    }
+
+    _addSelect(label, values, getLabel, onChange) {
+        const select = document.createElement('select');
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = getLabel(value);
+            select.appendChild(option);
+        }
+        select.addEventListener('change', () => onChange(select.value));
+        this._addRow(label, select);
+        return select;
+    }
+
+    _addButton(parent, label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    _addRow(label, control) {
+        const row = document.createElement('label');
+        row.className = 'new-game-row';
+
+        const text = document.createElement('span');
+        text.className = 'new-game-label';
+        text.textContent = label;
+        row.appendChild(text);
+        row.appendChild(control);
+
+        this.panel.appendChild(row);
+        return row;
+    }
+}
@@ -0,0 +1,314 @@
+import { LogCategory } from '../utils/Enums.js';
+import { MAP, STARTING_RESOURCE_LEVELS } from '../utils/Constants.js';
+import { MAP_PRESETS } from '../utils/MapGen.js';
+import { tileMapFromImages } from '../utils/MapImage.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.UI);
+
+const SIZE_LABELS = {
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large',
+    huge: 'Huge'
+};
+
+const STARTING_RESOURCE_LABELS = {
+    low: 'Low',
+    normal: 'Normal',
+    high: 'High'
+};
+
+// Terrain mix sliders, in percent of the map
+const MIX_SLIDERS = [
+    { key: 'water', label: 'Lakes' },
+    { key: 'forest', label: 'Forest' },
+    { key: 'mountain', label: 'Mountains' }
+];
+
+// Largest share of the map a single terrain slider allows, in percent
+const MAX_SHARE = 60;
+
+// Dialog for starting a new game, opened from the main menu or the HUD: map
+// size, seed, map type, terrain mix and starting resources, or a map imported
+// from images. The game is paused while it's open.
+export class NewGameDialog {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.wasPaused = false;
+
+        // Called when the dialog is cancelled, e.g. to go back to the main menu
+        this.onCancel = null;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'new-game-dialog';
+        this.panel.className = 'hud-panel hidden';
+
+        const title = document.createElement('h3');
+        title.textContent = 'New Game';
+        this.panel.appendChild(title);
+
+        // Map size
+        this.sizeSelect = document.createElement('select');
+        for (const [size, side] of Object.entries(MAP.SIZES)) {
+            this._addOption(this.sizeSelect, size, `${SIZE_LABELS[size] || size} (${side} x ${side})`);
+        }
+        this._addRow('Map size', this.sizeSelect);
+
+        // Seed; left empty for a random one
+        this.seedInput = document.createElement('input');
+        this.seedInput.type = 'text';
+        this.seedInput.placeholder = 'Random';
+        this.seedInput.size = 12;
+        this._addRow('Seed', this.seedInput);
+
+        // Map template; picking one sets the terrain mix it comes with
+        this.presetSelect = document.createElement('select');
+        this._addOption(this.presetSelect, '', 'Standard');
+        for (const [preset, { name }] of Object.entries(MAP_PRESETS)) {
+            this._addOption(this.presetSelect, preset, name);
+        }
+        this.presetSelect.addEventListener('change', () => this._applyPreset(this.presetSelect.value));
+        this._addRow('Map type', this.presetSelect);
+
+        // Terrain mix; grassland, shores and hills fill the rest of the map
+        this.mixInputs = {};
+        for (const { key, label } of MIX_SLIDERS) {
+            this.mixInputs[key] = this._addSlider(label, 0, MAX_SHARE, Math.round(MAP.DEFAULT_MIX[key] * 100), '%');
+        }
+        this.clusteringInput = this._addSlider('Clustering', 0, 100, Math.round(MAP.DEFAULT_CLUSTERING * 100), '%');
+
+        this.mixSummary = document.createElement('div');
+        this.mixSummary.className = 'new-game-summary';
+        this.panel.appendChild(this.mixSummary);
+
+        // Starting resources
+        this.resourcesSelect = document.createElement('select');
+        for (const level of Object.keys(STARTING_RESOURCE_LEVELS)) {
+            this._addOption(this.resourcesSelect, level, STARTING_RESOURCE_LABELS[level] || level);
+        }
+        this.resourcesSelect.value = 'normal';
+        this._addRow('Starting resources', this.resourcesSelect);
+
+        // A map drawn in an image editor replaces the generated one
+        const importHeader = document.createElement('h4');
+        importHeader.textContent = 'Import from images';
+        this.panel.appendChild(importHeader);
+
+        this.heightmapInput = this._addFileRow('Heightmap (gray)');
+        this.terrainInput = this._addFileRow('Terrain (optional)');
+
+        const importHint = document.createElement('div');
+        importHint.className = 'new-game-summary';
+        importHint.textContent = 'PNG images, one pixel per tile; the map size and terrain settings above are ignored';
+        this.panel.appendChild(importHint);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'new-game-buttons';
+        this.panel.appendChild(buttons);
+
+        this.startButton = document.createElement('button');
+        this.startButton.textContent = 'Start';
+        this.startButton.addEventListener('click', () => this._start());
+        buttons.appendChild(this.startButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this._cancel());
+        buttons.appendChild(cancelButton);
+
+        document.getElementById('hud').appendChild(this.panel);
+        this._updateSummary();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open(onCancel = null) {
+        this.isOpen = true;
+        this.onCancel = onCancel;
+
+        // Start from the size of the current map
+        const width = this.game.world.size.width;
+        const size = Object.keys(MAP.SIZES).find(key => MAP.SIZES[key] === width);
+        if (size) {
+            this.sizeSelect.value = size;
+        }
+
+        this.wasPaused = this.game.clock.isPaused();
+        this.game.pause();
+        this.panel.classList.remove('hidden');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        if (!this.wasPaused) {
+            this.game.resume();
+        }
+    }
+
+    _cancel() {
+        const onCancel = this.onCancel;
+        this.close();
+        if (onCancel) {
+            onCancel();
+        }
+    }
+
+    // The chosen setup, as Game.newGame takes it
+    getSetup() {
+        const seed = this.seedInput.value.trim();
+        const map = { mix: {}, clusteringFactor: Number(this.clusteringInput.value) / 100 };
+        for (const { key } of MIX_SLIDERS) {
+            map.mix[key] = Number(this.mixInputs[key].value) / 100;
+        }
+        if (this.presetSelect.value) {
+            map.preset = this.presetSelect.value;
+        }
+
+        return {
+            seed: seed === '' ? undefined : seed,
+            size: this.sizeSelect.value,
+            map,
+            startingResources: this.resourcesSelect.value
+        };
+    }
+
+    _start() {
+        const ui = this.game.uiManager;
+        ui.showMessage(this.heightmapInput.files[0] ? 'Importing map...' : 'Generating map...');
+
+        // Let the message show before the map generation blocks the page
+        setTimeout(() => {
+            this._createSetup().then(setup => {
+                const world = this.game.newGame(setup);
+                this.close();
+                ui.showMessage(`New game started with seed ${world.seed}`);
+            }).catch(error => {
+                log.error(error.message);
+                ui.showMessage(`Could not start a new game: ${error.message}`, 10000);
+            });
+        }, 50);
+    }
+
+    // getSetup, plus the tiles of the imported map if a heightmap was chosen
+    async _createSetup() {
+        const setup = this.getSetup();
+
+        const heightmapFile = this.heightmapInput.files[0];
+        if (!heightmapFile) return setup;
+
+        const terrainFile = this.terrainInput.files[0];
+        const heightmap = await this._readImage(heightmapFile);
+        const terrainImage = terrainFile ? await this._readImage(terrainFile) : null;
+        return { ...setup, tiles: tileMapFromImages(heightmap, terrainImage) };
+    }
+
+    // Decode an image file into its pixels, without color management so
+    // terrain colors come through exactly
+    async _readImage(file) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        } catch (error) {
+            throw new Error(`${file.name} is not an image the browser can read`);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // Set the sliders to a preset's terrain mix, or the standard one
+    _applyPreset(preset) {
+        const { mix, clusteringFactor } = MAP_PRESETS[preset] ||
+            { mix: MAP.DEFAULT_MIX, clusteringFactor: MAP.DEFAULT_CLUSTERING };
+
+        for (const { key } of MIX_SLIDERS) {
+            this._setSlider(this.mixInputs[key], Math.round((mix[key] ?? 0) * 100));
+        }
+        this._setSlider(this.clusteringInput, Math.round(clusteringFactor * 100));
+    }
+
+    // Move a slider and update its label and the summary, like dragging it would
+    _setSlider(input, value) {
+        input.value = String(value);
+        input.dispatchEvent(new Event('input'));
+    }
+
+    // Show how much grassland is left and refuse mixes over 100%
+    _updateSummary() {
+        const total = MIX_SLIDERS.reduce((sum, { key }) => sum + Number(this.mixInputs[key].value), 0);
+        const tooMuch = total > 100;
+
+        this.mixSummary.textContent = tooMuch ?
+            `Lakes, forest and mountains cover ${total}% of the map; lower them to at most 100%` :
+            `Grassland, shores and hills: ${100 - total}%`;
+        this.mixSummary.classList.toggle('new-game-error', tooMuch);
+        this.startButton.disabled = tooMuch;
+    }
+
+    _addSlider(label, min, max, value, unit) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(min);
+        input.max = String(max);
+        input.value = String(value);
+
+        const display = document.createElement('span');
+        display.className = 'new-game-value';
+        display.textContent = `${value}${unit}`;
+
+        input.addEventListener('input', () => {
+            display.textContent = `${input.value}${unit}`;
+            this._updateSummary();
+        });
+
+        const row = this._addRow(label, input);
+        row.appendChild(display);
+        return input;
+    }
+
+    _addFileRow(label) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/png';
+        this._addRow(label, input);
+        return input;
+    }
+
+    _addRow(label, control) {
+        const row = document.createElement('label');
+        row.className = 'new-game-row';
+
+        const text = document.createElement('span');
+        text.className = 'new-game-label';
+        text.textContent = label;
+        row.appendChild(text);
+        row.appendChild(control);
+
+        this.panel.appendChild(row);
+        return row;
+    }
+
+    _addOption(select, value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
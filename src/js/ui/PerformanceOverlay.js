@@ -0,0 +1,119 @@
+import { ProfileSection } from '../utils/Enums.js';
+import { profiler } from '../utils/Profiler.js';
+
+// Rows of the timings table; nested sections are indented under the one they're part of
+const SIMULATION_ROWS = [
+    { section: ProfileSection.WORLD_UPDATE, depth: 0 },
+    { section: ProfileSection.COMMANDS, depth: 1 },
+    { section: ProfileSection.SCHEDULER, depth: 1 },
+    { section: ProfileSection.SETTLERS, depth: 1 },
+    { section: ProfileSection.PATHFINDING, depth: 2 },
+    { section: ProfileSection.BUILDINGS, depth: 1 },
+    { section: ProfileSection.CONSTRUCTIONS, depth: 1 },
+    { section: ProfileSection.FOG, depth: 0 }
+];
+
+const RENDER_ROWS = [
+    { section: ProfileSection.VIEWS, depth: 0 },
+    { section: ProfileSection.PLACEMENT_PREVIEW, depth: 0 },
+    { section: ProfileSection.TERRAIN_MESH, depth: 0 },
+    { section: ProfileSection.FOG_MESH, depth: 0 },
+    { section: ProfileSection.SCENE_RENDER, depth: 0 }
+];
+
+// FPS, per-system timings and scene statistics, toggled with F3. The profiler
+// only measures while the overlay is open.
+export class PerformanceOverlay {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'performance-overlay';
+        this.panel.className = 'hud-panel hidden';
+
+        this.content = document.createElement('pre');
+        this.panel.appendChild(this.content);
+
+        document.getElementById('hud').appendChild(this.panel);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.remove('hidden');
+        this.content.textContent = 'Measuring...';
+        profiler.setEnabled(true);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.add('hidden');
+        profiler.setEnabled(false);
+    }
+
+    // Show a profiler summary (see Profiler.endFrame)
+    update(summary) {
+        if (!this.isOpen || !summary) return;
+
+        const info = this.game.renderer.info;
+        const objects = this._countObjects(this.game.scene);
+        const world = this.game.world;
+
+        this.content.textContent = [
+            `FPS ${summary.fps.toFixed(1)}  (${summary.frameMs.toFixed(2)} ms/frame)`,
+            '',
+            this._formatTable('Simulation', SIMULATION_ROWS, summary.sections),
+            '',
+            this._formatTable('Rendering', RENDER_ROWS, summary.sections),
+            '',
+            `Draw calls ${info.render.calls}, triangles ${info.render.triangles}`,
+            `Geometries ${info.memory.geometries}, textures ${info.memory.textures}`,
+            `Scene objects ${objects.total} (${objects.visible} visible): ` +
+                `${objects.sprites} sprites, ${objects.meshes} meshes`,
+            `Settlers ${world.settlers.length}, buildings ${world.buildings.length}, ` +
+                `constructions ${world.constructions.length}`
+        ].join('\n');
+    }
+
+    _formatTable(title, rows, sections) {
+        const lines = [`${title.padEnd(26)}${'ms/frame'.padStart(9)}${'calls/s'.padStart(9)}${'avg ms'.padStart(9)}${'max ms'.padStart(9)}`];
+
+        for (const { section, depth } of rows) {
+            const label = `${'  '.repeat(depth + 1)}${section}`.padEnd(26);
+            const stats = sections[section];
+            if (!stats) {
+                lines.push(`${label}${'-'.padStart(9)}`);
+                continue;
+            }
+
+            lines.push(label +
+                stats.msPerFrame.toFixed(2).padStart(9) +
+                stats.callsPerSecond.toFixed(0).padStart(9) +
+                stats.avgMs.toFixed(3).padStart(9) +
+                stats.maxMs.toFixed(2).padStart(9));
+        }
+        return lines.join('\n');
+    }
+
+    _countObjects(scene) {
+        const counts = { total: 0, visible: 0, sprites: 0, meshes: 0 };
+
+        scene.traverse(object => {
+            counts.total++;
+            if (object.visible) counts.visible++;
+            if (object.isSprite) counts.sprites++;
+            if (object.isMesh) counts.meshes++;
+        });
+        return counts;
+    }
+}
@@ -1,5 +1,21 @@
-import { ResourceType, BuildingType } from '../utils/Enums.js';
-import { resourceNames, buildingNames, buildingCosts } from '../utils/Constants.js';
+import { ResourceType, GameEvent, LogCategory } from '../utils/Enums.js';
+import { resourceNames, terrainNames, SIMULATION } from '../utils/Constants.js';
+import { buildingRegistry } from '../core/BuildingRegistry.js';
+import { UpgradeBuildingCommand } from '../commands/UpgradeBuildingCommand.js';
+import { CancelConstructionCommand } from '../commands/CancelConstructionCommand.js';
+import { DemolishBuildingCommand } from '../commands/DemolishBuildingCommand.js';
+import { UndoCommand } from '../commands/UndoCommand.js';
+import { RedoCommand } from '../commands/RedoCommand.js';
+import { DevConsole } from './DevConsole.js';
+import { LogPanel } from './LogPanel.js';
+import { PerformanceOverlay } from './PerformanceOverlay.js';
+import { DepositOverlay } from './DepositOverlay.js';
+import { NewGameDialog } from './NewGameDialog.js';
+import { MainMenu } from './MainMenu.js';
+import { MapEditorPanel } from './MapEditorPanel.js';
+import { logger } from '../utils/Logger.js';
+
+const log = logger.channel(LogCategory.UI);
 
 export class UIManager {
     constructor(game) {
@@ -11,6 +27,8 @@ export class UIManager {
         this.warehousePanel = document.getElementById('warehouse-panel');
         this.constructionPanel = document.getElementById('construction-panel');
         this.buildMenuPanel = document.getElementById('build-menu-panel');
+        this.speedPanel = document.getElementById('speed-panel');
+        this.savePanel = document.getElementById('save-panel');
         
         // Currently selected building
         this.selectedBuilding = null;
@@ -18,21 +36,52 @@ export class UIManager {
         
         // Track if build menu is open
         this.buildMenuOpen = false;
+        this.savePanelOpen = false;
         
-        // Available buildings to build
-        this.availableBuildings = [
-            BuildingType.WOODCUTTER,
-            // Add more building types as they become implemented
-        ];
+        // Available buildings to build, as marked in their definitions
+        this.availableBuildings = buildingRegistry.getAll()
+            .filter(definition => definition.inBuildMenu)
+            .map(definition => definition.type);
     }
     
     init() {
         // Initialize UI
         this._initResourcesPanel();
         this._initBuildMenu();
+        this._initSpeedControls();
+        
+        // Developer console, toggled with the backtick key
+        this.devConsole = new DevConsole(this.game);
+        this.devConsole.init();
+        
+        // Recent log entries, toggled with L
+        this.logPanel = new LogPanel(this.game);
+        this.logPanel.init();
+        
+        // FPS and per-system timings, toggled with F3
+        this.performanceOverlay = new PerformanceOverlay(this.game);
+        this.performanceOverlay.init();
         
-        // Add resource update listener
-        this.game.resourceManager.addListener(this._updateResourcesPanel.bind(this));
+        // Resource deposit markers, toggled with O
+        this.depositOverlay = new DepositOverlay(this.game);
+        this.depositOverlay.init();
+        
+        // Map size, seed and terrain for a new game
+        this.newGameDialog = new NewGameDialog(this.game);
+        this.newGameDialog.init();
+        
+        // Continue, New Game and Load, shown at startup
+        this.mainMenu = new MainMenu(this.game);
+        this.mainMenu.init();
+        
+        // Keep the HUD in sync with simulation events
+        const events = this.game.events;
+        events.on(GameEvent.RESOURCE_CHANGED, ({ resourceType, amount }) => {
+            this._updateResourcesPanel({ [resourceType]: amount });
+        });
+        events.on(GameEvent.CONSTRUCTION_COMPLETED, ({ building }) => {
+            this.showMessage(`${building.name} completed`, 2000);
+        });
         
         // Create construction panel if it doesn't exist
         if (!this.constructionPanel) {
@@ -64,8 +113,73 @@ export class UIManager {
         buildButton.onclick = () => this.toggleBuildMenu();
         document.getElementById('hud').appendChild(buildButton);
         
+        // Main menu, Save / load and New Game buttons next to it
+        const existingMenuButton = document.getElementById('menu-button');
+        if (existingMenuButton) {
+            existingMenuButton.remove();
+        }
+        
+        const menuButton = document.createElement('button');
+        menuButton.id = 'menu-button';
+        menuButton.className = 'hud-button';
+        menuButton.textContent = 'Menu';
+        menuButton.onclick = () => this.mainMenu.toggle();
+        document.getElementById('hud').appendChild(menuButton);
+        
+        const existingSaveButton = document.getElementById('save-button');
+        if (existingSaveButton) {
+            existingSaveButton.remove();
+        }
+        
+        const saveButton = document.createElement('button');
+        saveButton.id = 'save-button';
+        saveButton.className = 'hud-button';
+        saveButton.textContent = 'Save / Load';
+        saveButton.onclick = () => this.toggleSavePanel();
+        document.getElementById('hud').appendChild(saveButton);
+        
+        const existingNewGameButton = document.getElementById('new-game-button');
+        if (existingNewGameButton) {
+            existingNewGameButton.remove();
+        }
+        
+        const newGameButton = document.createElement('button');
+        newGameButton.id = 'new-game-button';
+        newGameButton.className = 'hud-button';
+        newGameButton.textContent = 'New Game';
+        newGameButton.onclick = () => {
+            this.hideSavePanel();
+            this.newGameDialog.toggle();
+        };
+        document.getElementById('hud').appendChild(newGameButton);
+        
+        // Map editor for the current world, with its own HUD button
+        this.mapEditorPanel = new MapEditorPanel(this.game);
+        this.mapEditorPanel.init();
+        
         // Add keyboard shortcut for build menu
         document.addEventListener('keydown', (event) => {
+            // Keys typed into the developer console or a form field aren't shortcuts,
+            // and the game behind the menu and the new-game dialog takes no commands
+            if (this.devConsole.isOpen || this.mainMenu.isOpen || this.newGameDialog.isOpen) return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            
+            if (event.key === 'l' || event.key === 'L') {
+                this.logPanel.toggle();
+            }
+            
+            if (event.key === 'o' || event.key === 'O') {
+                this.depositOverlay.toggle();
+            }
+            
+            if (event.key === 'F3') {
+                event.preventDefault();
+                this.performanceOverlay.toggle();
+            }
+            
+            // The map editor keeps the game paused and takes no commands
+            if (this.game.mapEditor) return;
+            
             if (event.key === 'b' || event.key === 'B') {
                 this.toggleBuildMenu();
             }
@@ -74,15 +188,38 @@ export class UIManager {
             if (event.key === 'Escape' && this.game.world.buildingPlacementMode) {
                 this.game.world.cancelBuildingPlacement();
             }
+            
+            // Game speed: space toggles pause, 1-4 select 1x/2x/4x/8x
+            if (event.code === 'Space') {
+                event.preventDefault();
+                this.game.togglePause();
+            }
+            
+            const speedIndex = ['1', '2', '3', '4'].indexOf(event.key);
+            if (speedIndex !== -1 && speedIndex < SIMULATION.SPEEDS.length) {
+                this.game.setSpeed(SIMULATION.SPEEDS[speedIndex]);
+            }
+            
+            // Undo: Ctrl+Z, redo: Ctrl+Y or Ctrl+Shift+Z (Cmd on macOS)
+            if (event.ctrlKey || event.metaKey) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                    event.preventDefault();
+                    this.redo();
+                }
+            }
         });
         
-        console.log('UI initialized with keyboard shortcuts');
+        log.debug('UI initialized with keyboard shortcuts');
     }
     
     // Initialize the build menu with available buildings
     _initBuildMenu() {
         if (!this.buildMenuPanel) {
-            console.error('Build menu panel not found');
+            log.error('Build menu panel not found');
             return;
         }
         
@@ -93,8 +230,14 @@ export class UIManager {
         const buildingsList = document.createElement('div');
         buildingsList.className = 'buildings-list';
         
-        this.availableBuildings.forEach(buildingType => {
-            const buildingName = buildingNames[buildingType] || buildingType;
+        // A scenario may limit what can be built
+        const allowedBuildings = this.availableBuildings.filter(buildingType =>
+            this.game.world.isBuildingAllowed(buildingType)
+        );
+        
+        allowedBuildings.forEach(buildingType => {
+            const definition = buildingRegistry.get(buildingType);
+            const buildingName = definition.name;
             
             // Create building item
             const buildingItem = document.createElement('div');
@@ -111,13 +254,10 @@ export class UIManager {
             const costsElement = document.createElement('div');
             costsElement.className = 'building-costs';
             
-            const costs = buildingCosts[buildingType];
-            if (costs) {
-                Object.entries(costs).forEach(([resource, amount]) => {
-                    const resourceName = resourceNames[resource] || resource;
-                    costsElement.innerHTML += `<div>${resourceName}: ${amount}</div>`;
-                });
-            }
+            Object.entries(definition.cost).forEach(([resource, amount]) => {
+                const resourceName = resourceNames[resource] || resource;
+                costsElement.innerHTML += `<div>${resourceName}: ${amount}</div>`;
+            });
             
             buildingItem.appendChild(costsElement);
             
@@ -138,6 +278,51 @@ export class UIManager {
         this.buildMenuPanel.appendChild(closeButton);
     }
     
+    // Initialize the pause / speed buttons
+    _initSpeedControls() {
+        if (!this.speedPanel) {
+            this.speedPanel = document.createElement('div');
+            this.speedPanel.id = 'speed-panel';
+            this.speedPanel.className = 'hud-panel';
+            document.getElementById('hud').appendChild(this.speedPanel);
+        }
+        
+        this.speedPanel.innerHTML = '';
+        
+        // Pause button
+        const pauseButton = document.createElement('button');
+        pauseButton.className = 'speed-button';
+        pauseButton.setAttribute('data-speed', '0');
+        pauseButton.title = 'Pause (Space)';
+        pauseButton.textContent = '||';
+        pauseButton.addEventListener('click', () => this.game.togglePause());
+        this.speedPanel.appendChild(pauseButton);
+        
+        // One button per speed multiplier
+        SIMULATION.SPEEDS.forEach((speed, index) => {
+            const speedButton = document.createElement('button');
+            speedButton.className = 'speed-button';
+            speedButton.setAttribute('data-speed', speed);
+            speedButton.title = `${speed}x speed (${index + 1})`;
+            speedButton.textContent = `${speed}x`;
+            speedButton.addEventListener('click', () => this.game.setSpeed(speed));
+            this.speedPanel.appendChild(speedButton);
+        });
+        
+        this.updateSpeedControls();
+    }
+    
+    // Highlight the button for the current game speed
+    updateSpeedControls() {
+        if (!this.speedPanel) return;
+        
+        const currentSpeed = this.game.clock.speed;
+        this.speedPanel.querySelectorAll('.speed-button').forEach(button => {
+            const speed = Number(button.getAttribute('data-speed'));
+            button.classList.toggle('active', speed === currentSpeed);
+        });
+    }
+    
     _initResourcesPanel() {
         this.resourcesPanel.innerHTML = '<h3>Resources</h3>';
         const resources = this.game.resourceManager.getAllResources();
@@ -183,10 +368,17 @@ export class UIManager {
                     <div>Status: ${building.isProducing ? 'Working' : 'Idle'}</div>
                 </div>
             `;
+            
+            // Extracting buildings run dry once the deposits around them are used up
+            const extraction = building.definition.extraction;
+            if (extraction) {
+                const left = this.game.world.countDeposits(building.produces.type, building, extraction.radius);
+                this.buildingPanel.innerHTML += `<div>${resourceName} in reach: ${left}</div>`;
+            }
         }
         
         // Add storage info if applicable
-        if (building.type === 'warehouse') {
+        if (building.definition.storage) {
             const warehouseButton = document.createElement('button');
             warehouseButton.textContent = 'Show Storage';
             warehouseButton.addEventListener('click', () => this.showWarehousePanel());
@@ -201,6 +393,11 @@ export class UIManager {
             this.buildingPanel.appendChild(upgradeButton);
         }
         
+        const demolishButton = document.createElement('button');
+        demolishButton.textContent = 'Demolish';
+        demolishButton.addEventListener('click', () => this._demolishBuilding(building));
+        this.buildingPanel.appendChild(demolishButton);
+        
         // Add close button
         const closeButton = document.createElement('button');
         closeButton.textContent = 'Close';
@@ -261,7 +458,7 @@ export class UIManager {
         this.hideBuildMenu();
         
         if (!this.constructionPanel) {
-            console.error('Construction panel not found');
+            log.error('Construction panel not found');
             return;
         }
         
@@ -271,7 +468,7 @@ export class UIManager {
         this.constructionPanel.innerHTML = '';
         
         // Add construction info
-        const buildingName = buildingNames[construction.targetBuildingType] || 'Building';
+        const buildingName = buildingRegistry.get(construction.targetBuildingType).name;
         this.constructionPanel.innerHTML += `<h3>${buildingName} Construction</h3>`;
         
         // Add progress bar
@@ -309,6 +506,11 @@ export class UIManager {
         
         this.constructionPanel.appendChild(resourcesElement);
         
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel Construction';
+        cancelButton.addEventListener('click', () => this._cancelConstruction(construction));
+        this.constructionPanel.appendChild(cancelButton);
+        
         // Add close button
         const closeButton = document.createElement('button');
         closeButton.textContent = 'Close';
@@ -357,7 +559,9 @@ export class UIManager {
     
     // Toggle the build menu
     toggleBuildMenu() {
-        console.log('Toggle build menu called. Current state:', this.buildMenuOpen);
+        if (this.game.mapEditor) return;
+        
+        log.debug(`Toggling the build menu, open: ${this.buildMenuOpen}`);
         if (this.buildMenuOpen) {
             this.hideBuildMenu();
         } else {
@@ -375,7 +579,7 @@ export class UIManager {
         if (!this.buildMenuPanel) {
             this.buildMenuPanel = document.getElementById('build-menu-panel');
             if (!this.buildMenuPanel) {
-                console.error('Build menu panel not found in DOM');
+                log.error('Build menu panel not found in DOM');
                 return;
             }
         }
@@ -386,25 +590,30 @@ export class UIManager {
         // Show build menu
         this.buildMenuPanel.classList.remove('hidden');
         this.buildMenuOpen = true;
-        console.log('Build menu shown');
+        log.debug('Build menu shown');
     }
     
     hideBuildMenu() {
         if (this.buildMenuPanel) {
             this.buildMenuPanel.classList.add('hidden');
             this.buildMenuOpen = false;
-            console.log('Build menu hidden');
+            log.debug('Build menu hidden');
         }
     }
     
     // Select a building to place
     selectBuildingToBuild(buildingType) {
+        if (this.game.world.commands.replaying) {
+            this.showMessage('Building is disabled while a replay is playing');
+            return;
+        }
+        
         // Get costs for the selected building
-        const costs = buildingCosts[buildingType];
+        const costs = buildingRegistry.get(buildingType).cost;
         
         // Check if we have enough resources
         if (!this.game.resourceManager.hasResources(costs)) {
-            console.log('Not enough resources to build');
+            log.info('Not enough resources to build');
             // TODO: Show error message
             return;
         }
@@ -421,12 +630,21 @@ export class UIManager {
     
     // Show a floating message with placement instructions
     _showPlacementInstructions(buildingType) {
-        const buildingName = buildingNames[buildingType] || 'Building';
+        const definition = buildingRegistry.get(buildingType);
+        const terrainList = (types) => types.map(type => (terrainNames[type] || type).toLowerCase()).join(' or ');
+        
+        // Describe where the building may go, from its placement rules
+        let where = `a valid ${terrainList(definition.placement.terrain)} tile`;
+        if (definition.placement.near) {
+            const { terrain, radius, deposit } = definition.placement.near;
+            const holding = deposit ? ` with ${(resourceNames[deposit] || deposit).toLowerCase()}` : '';
+            where += ` within ${radius} tiles of ${terrainList(terrain)}${holding}`;
+        }
         
         // Create a message element
         const message = document.createElement('div');
         message.className = 'placement-instructions';
-        message.textContent = `Click on a valid grass tile to place ${buildingName}. Press Escape to cancel.`;
+        message.textContent = `Click on ${where} to place ${definition.name}. Press Escape to cancel.`;
         
         // Add to HUD
         document.getElementById('hud').appendChild(message);
@@ -449,19 +667,434 @@ export class UIManager {
     }
     
     _upgradeBuilding(building) {
-        // Check if we have resources for upgrade
-        if (this.game.resourceManager.hasResources(building.upgradeCost)) {
-            // Consume resources
-            this.game.resourceManager.consumeResources(building.upgradeCost);
-            
-            // Upgrade building
-            building.upgrade();
-            
+        const upgraded = this.game.world.commands.submit(
+            new UpgradeBuildingCommand({ buildingId: building.id })
+        );
+
+        if (upgraded) {
             // Update UI
             this.showBuildingPanel(building);
         } else {
-            console.log('Not enough resources for upgrade');
             // TODO: Show error message to user
         }
     }
-}
\ No newline at end of file
+    
+    _demolishBuilding(building) {
+        if (!this.game.world.canDemolishBuilding(building)) {
+            this.showMessage(`Cannot demolish the last ${building.name}`);
+            return;
+        }
+        
+        const demolished = this.game.world.commands.submit(
+            new DemolishBuildingCommand({ buildingId: building.id })
+        );
+        
+        if (demolished) {
+            this.hideBuildingPanel();
+            this.showMessage(`${building.name} demolished (Ctrl+Z to undo)`);
+        }
+    }
+    
+    _cancelConstruction(construction) {
+        const cancelled = this.game.world.commands.submit(
+            new CancelConstructionCommand({ constructionId: construction.id })
+        );
+        
+        if (cancelled) {
+            this.hideConstructionPanel();
+            this.showMessage('Construction cancelled and resources refunded (Ctrl+Z to undo)');
+        }
+    }
+    
+    // Undo the latest build action
+    undo() {
+        const commands = this.game.world.commands;
+        if (commands.replaying) {
+            this.showMessage('Undo is disabled while a replay is playing');
+            return;
+        }
+        
+        const command = commands.peekUndo();
+        if (!command) {
+            this.showMessage('Nothing to undo');
+            return;
+        }
+        
+        const undone = commands.submit(new UndoCommand());
+        this.showMessage(undone ? `Undid: ${command.describe()}` : `Cannot undo: ${command.describe()}`);
+        this._refreshSelection();
+    }
+    
+    // Redo the latest undone build action
+    redo() {
+        const commands = this.game.world.commands;
+        if (commands.replaying) {
+            this.showMessage('Redo is disabled while a replay is playing');
+            return;
+        }
+        
+        const command = commands.peekRedo();
+        if (!command) {
+            this.showMessage('Nothing to redo');
+            return;
+        }
+        
+        const redone = commands.submit(new RedoCommand());
+        this.showMessage(redone ? `Redid: ${command.describe()}` : `Cannot redo: ${command.describe()}`);
+        this._refreshSelection();
+    }
+    
+    // Close panels whose building was removed and refresh the rest
+    _refreshSelection() {
+        const world = this.game.world;
+        
+        if (this.selectedBuilding) {
+            if (world.buildings.includes(this.selectedBuilding)) {
+                this.showBuildingPanel(this.selectedBuilding);
+            } else {
+                this.hideBuildingPanel();
+            }
+        }
+        
+        if (this.selectedConstruction && !world.constructions.includes(this.selectedConstruction)) {
+            this.hideConstructionPanel();
+        }
+    }
+    
+    // Show a short floating message, e.g. to report a failed save
+    showMessage(text, duration = 4000) {
+        const message = document.createElement('div');
+        message.className = 'placement-instructions';
+        message.textContent = text;
+        document.getElementById('hud').appendChild(message);
+        
+        setTimeout(() => {
+            message.remove();
+        }, duration);
+    }
+    
+    // The game loaded a different world; drop references into the old one
+    onWorldReplaced() {
+        this.hideBuildingPanel();
+        this.hideWarehousePanel();
+        this.hideConstructionPanel();
+        this.hideBuildMenu();
+        this.depositOverlay.onWorldReplaced();
+        this.mapEditorPanel.onWorldReplaced();
+        
+        if (this.savePanelOpen) {
+            this._renderSavePanel();
+        }
+    }
+    
+    toggleSavePanel() {
+        if (this.savePanelOpen) {
+            this.hideSavePanel();
+        } else {
+            this.showSavePanel();
+        }
+    }
+    
+    showSavePanel() {
+        if (!this.savePanel) {
+            this.savePanel = document.createElement('div');
+            this.savePanel.id = 'save-panel';
+            this.savePanel.className = 'hud-panel hidden';
+            document.getElementById('hud').appendChild(this.savePanel);
+        }
+        
+        this.hideBuildMenu();
+        this._renderSavePanel();
+        this.savePanel.classList.remove('hidden');
+        this.savePanelOpen = true;
+    }
+    
+    hideSavePanel() {
+        if (this.savePanel) {
+            this.savePanel.classList.add('hidden');
+        }
+        this.savePanelOpen = false;
+    }
+    
+    // List the save slots with save / load / delete buttons, plus file export and import
+    _renderSavePanel() {
+        this.savePanel.innerHTML = '<h3>Save / Load</h3>';
+        
+        const saveManager = this.game.saveManager;
+        const slotsList = document.createElement('div');
+        slotsList.className = 'save-slots';
+        
+        saveManager.listSlots().forEach(({ slot, info }) => {
+            const slotItem = document.createElement('div');
+            slotItem.className = 'save-slot';
+            
+            const label = document.createElement('div');
+            label.className = 'save-slot-label';
+            label.textContent = info ?
+                `${slot}. ${new Date(info.savedAt).toLocaleString()} (game time ${this._formatGameTime(info.tick)})` :
+                `${slot}. Empty`;
+            slotItem.appendChild(label);
+            
+            const saveButton = document.createElement('button');
+            saveButton.textContent = 'Save';
+            saveButton.addEventListener('click', () => {
+                try {
+                    this.game.saveGame(slot);
+                    this.showMessage(`Game saved to slot ${slot}`);
+                } catch (error) {
+                    log.error(error.message);
+                    this.showMessage(error.message);
+                }
+                this._renderSavePanel();
+            });
+            slotItem.appendChild(saveButton);
+            
+            if (info) {
+                const loadButton = document.createElement('button');
+                loadButton.textContent = 'Load';
+                loadButton.addEventListener('click', () => this._loadGame(() => this.game.loadGameFromSlot(slot)));
+                slotItem.appendChild(loadButton);
+                
+                const deleteButton = document.createElement('button');
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => {
+                    saveManager.deleteSlot(slot);
+                    this._renderSavePanel();
+                });
+                slotItem.appendChild(deleteButton);
+            }
+            
+            slotsList.appendChild(slotItem);
+        });
+        
+        this.savePanel.appendChild(slotsList);
+        
+        // Autosaves can only be loaded
+        const autosaves = saveManager.listAutosaves().filter(({ info }) => info);
+        if (autosaves.length > 0) {
+            const autosavesList = document.createElement('div');
+            autosavesList.className = 'save-slots';
+            autosavesList.innerHTML = '<h4>Autosaves</h4>';
+            
+            autosaves.forEach(({ slot, info }) => {
+                const slotItem = document.createElement('div');
+                slotItem.className = 'save-slot';
+                
+                const label = document.createElement('div');
+                label.className = 'save-slot-label';
+                label.textContent = `${new Date(info.savedAt).toLocaleString()} (game time ${this._formatGameTime(info.tick)})`;
+                slotItem.appendChild(label);
+                
+                const loadButton = document.createElement('button');
+                loadButton.textContent = 'Load';
+                loadButton.addEventListener('click', () => this._loadGame(() => this.game.loadGameFromSlot(slot)));
+                slotItem.appendChild(loadButton);
+                
+                autosavesList.appendChild(slotItem);
+            });
+            
+            this.savePanel.appendChild(autosavesList);
+        }
+        
+        // Export the current game as a file
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export to File';
+        exportButton.addEventListener('click', () => this._exportSave());
+        this.savePanel.appendChild(exportButton);
+        
+        // Import a game from a file
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.className = 'hidden';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                this._loadGame(() => this.game.loadGame(text));
+            }).catch(error => {
+                log.error(error.message);
+                this.showMessage(`Could not read ${file.name}`);
+            });
+        });
+        this.savePanel.appendChild(fileInput);
+        
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import from File';
+        importButton.addEventListener('click', () => fileInput.click());
+        this.savePanel.appendChild(importButton);
+        
+        // Replays: the session's starting point plus every player command
+        const replayHeader = document.createElement('h4');
+        replayHeader.textContent = 'Replays';
+        this.savePanel.appendChild(replayHeader);
+        
+        const exportReplayButton = document.createElement('button');
+        exportReplayButton.textContent = 'Export Replay';
+        exportReplayButton.addEventListener('click', () => this._exportReplay());
+        this.savePanel.appendChild(exportReplayButton);
+        
+        const replayInput = document.createElement('input');
+        replayInput.type = 'file';
+        replayInput.accept = '.json,application/json';
+        replayInput.className = 'hidden';
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                this._loadReplay(text);
+            }).catch(error => {
+                log.error(error.message);
+                this.showMessage(`Could not read ${file.name}`);
+            });
+        });
+        this.savePanel.appendChild(replayInput);
+        
+        const loadReplayButton = document.createElement('button');
+        loadReplayButton.textContent = 'Load Replay';
+        loadReplayButton.addEventListener('click', () => replayInput.click());
+        this.savePanel.appendChild(loadReplayButton);
+        
+        // Scenarios: start a new game from a designed map
+        const scenarioHeader = document.createElement('h4');
+        scenarioHeader.textContent = 'Scenarios';
+        this.savePanel.appendChild(scenarioHeader);
+        
+        const scenarioInput = document.createElement('input');
+        scenarioInput.type = 'file';
+        scenarioInput.accept = '.json,application/json';
+        scenarioInput.className = 'hidden';
+        scenarioInput.addEventListener('change', () => {
+            const file = scenarioInput.files[0];
+            if (!file) return;
+            
+            file.text().then(text => {
+                this._loadScenario(text);
+            }).catch(error => {
+                log.error(error.message);
+                this.showMessage(`Could not read ${file.name}`);
+            });
+        });
+        this.savePanel.appendChild(scenarioInput);
+        
+        const loadScenarioButton = document.createElement('button');
+        loadScenarioButton.textContent = 'Load Scenario';
+        loadScenarioButton.addEventListener('click', () => scenarioInput.click());
+        this.savePanel.appendChild(loadScenarioButton);
+        
+        // Add close button
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => this.hideSavePanel());
+        this.savePanel.appendChild(closeButton);
+    }
+    
+    _loadGame(load) {
+        try {
+            load();
+            this.hideSavePanel();
+            this.showMessage('Game loaded');
+        } catch (error) {
+            log.error(error.message);
+            this.showMessage(`Could not load game: ${error.message}`);
+        }
+    }
+    
+    _loadReplay(text) {
+        try {
+            this.game.loadReplay(text);
+            this.hideSavePanel();
+            const endTick = this.game.world.commands.replayEndTick;
+            this.showMessage(`Replaying until game time ${this._formatGameTime(endTick)}`);
+        } catch (error) {
+            log.error(error.message);
+            this.showMessage(`Could not load replay: ${error.message}`);
+        }
+    }
+    
+    _loadScenario(text) {
+        try {
+            const scenario = this.game.loadScenario(text);
+            this.hideSavePanel();
+            this.showScenarioIntro(scenario);
+        } catch (error) {
+            log.error(error.message);
+            this.showMessage(`Could not load scenario: ${error.message}`, 10000);
+        }
+    }
+    
+    // Show the name and description of a scenario that was just started
+    showScenarioIntro(scenario) {
+        const text = scenario.description ? `${scenario.name}: ${scenario.description}` : scenario.name;
+        this.showMessage(text, 8000);
+    }
+    
+    _exportSave() {
+        this._downloadJSON(this.game.exportSave(), `settlers-${this.game.world.seed}-${this.game.clock.tick}.json`);
+    }
+    
+    _exportReplay() {
+        this._downloadJSON(this.game.exportReplay(), `settlers-replay-${this.game.world.seed}-${this.game.clock.tick}.json`);
+    }
+    
+    _downloadJSON(json, filename) {
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    // Format a tick count as h:mm:ss of game time
+    _formatGameTime(tick) {
+        const totalSeconds = Math.floor(tick / SIMULATION.TICKS_PER_SECOND);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+    
+    // Ask whether to resume from the autosave of a session that ended unexpectedly.
+    // The game is paused until the player decides.
+    showResumePrompt(info, onResume) {
+        const wasPaused = this.game.clock.isPaused();
+        this.game.pause();
+        
+        const prompt = document.createElement('div');
+        prompt.id = 'resume-prompt';
+        prompt.className = 'hud-panel';
+        prompt.innerHTML = `
+            <h3>Resume last session?</h3>
+            <p>Your last game didn't end normally. An autosave from
+            ${new Date(info.savedAt).toLocaleString()} (game time ${this._formatGameTime(info.tick)}) is available.</p>
+        `;
+        
+        const close = () => {
+            prompt.remove();
+            if (!wasPaused) {
+                this.game.resume();
+            }
+        };
+        
+        const resumeButton = document.createElement('button');
+        resumeButton.textContent = 'Resume';
+        resumeButton.addEventListener('click', () => {
+            close();
+            this._loadGame(onResume);
+        });
+        prompt.appendChild(resumeButton);
+        
+        const newGameButton = document.createElement('button');
+        newGameButton.textContent = 'Start New Game';
+        newGameButton.addEventListener('click', close);
+        prompt.appendChild(newGameButton);
+        
+        document.getElementById('hud').appendChild(prompt);
+    }
+}
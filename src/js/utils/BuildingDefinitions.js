@@ -0,0 +1,198 @@
+import { BuildingType, ResourceType, SettlerType, TerrainType } from './Enums.js';
+
+// Built-in building types, registered with the BuildingRegistry on startup.
+// See BuildingRegistry.register for the fields and their defaults.
+export const defaultBuildings = [
+    {
+        type: BuildingType.WAREHOUSE,
+        name: 'Warehouse',
+        size: { width: 2, height: 2 },
+        cost: {
+            [ResourceType.PLANK]: 20,
+            [ResourceType.STONE]: 10
+        },
+        upgradeCost: {
+            [ResourceType.PLANK]: 20,
+            [ResourceType.STONE]: 10
+        },
+        sprite: { path: '/assets/sprites/warehouse.png', scale: 1 },
+        visionRadius: 20,
+        entrance: 'bottomRight',
+        storage: true
+    },
+    {
+        type: BuildingType.WOODCUTTER,
+        name: 'Woodcutter\'s Hut',
+        cost: {
+            [ResourceType.PLANK]: 5
+        },
+        sprite: { path: '/assets/sprites/woodcutter.png', scale: 1.5 },
+        recipe: {
+            produces: { type: ResourceType.WOOD, rate: 1 }
+        },
+        // Fells the forest around it
+        extraction: { radius: 6 },
+        worker: SettlerType.WOODCUTTER,
+        visionRadius: 10,
+        inBuildMenu: true
+    },
+    {
+        type: BuildingType.SAWMILL,
+        name: 'Sawmill',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 5
+        },
+        sprite: { path: '/assets/sprites/sawmill.png', scale: 1.5 },
+        recipe: {
+            consumes: { [ResourceType.WOOD]: 1 },
+            produces: { type: ResourceType.PLANK, rate: 1 }
+        },
+        visionRadius: 10
+    },
+    {
+        type: BuildingType.STONEMASON,
+        name: 'Stonemason\'s Hut',
+        cost: {
+            [ResourceType.PLANK]: 5
+        },
+        recipe: {
+            produces: { type: ResourceType.STONE, rate: 1 }
+        },
+        extraction: { radius: 6 },
+        worker: SettlerType.STONEMASON,
+        visionRadius: 10,
+        // Quarries a stone field
+        placement: {
+            near: { terrain: [TerrainType.STONE], radius: 6 }
+        },
+        inBuildMenu: true
+    },
+    {
+        type: BuildingType.MINE,
+        name: 'Mine',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 10
+        },
+        recipe: {
+            produces: { type: ResourceType.IRON_ORE, rate: 1 }
+        },
+        extraction: { radius: 4 },
+        worker: SettlerType.MINER,
+        visionRadius: 12,
+        // Mines sit on the grass or stone at the foot of a mountain with their ore
+        placement: {
+            terrain: [TerrainType.GRASS, TerrainType.STONE],
+            near: { terrain: [TerrainType.MOUNTAIN], radius: 4, deposit: ResourceType.IRON_ORE }
+        },
+        inBuildMenu: true
+    },
+    {
+        type: BuildingType.COAL_MINE,
+        name: 'Coal Mine',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 10
+        },
+        recipe: {
+            produces: { type: ResourceType.COAL, rate: 1 }
+        },
+        extraction: { radius: 4 },
+        worker: SettlerType.MINER,
+        visionRadius: 12,
+        placement: {
+            terrain: [TerrainType.GRASS, TerrainType.STONE],
+            near: { terrain: [TerrainType.MOUNTAIN], radius: 4, deposit: ResourceType.COAL }
+        },
+        inBuildMenu: true
+    },
+    {
+        type: BuildingType.GOLD_MINE,
+        name: 'Gold Mine',
+        cost: {
+            [ResourceType.PLANK]: 10,
+            [ResourceType.STONE]: 10
+        },
+        recipe: {
+            produces: { type: ResourceType.GOLD, rate: 1 }
+        },
+        extraction: { radius: 4 },
+        worker: SettlerType.MINER,
+        visionRadius: 12,
+        placement: {
+            terrain: [TerrainType.GRASS, TerrainType.STONE],
+            near: { terrain: [TerrainType.MOUNTAIN], radius: 4, deposit: ResourceType.GOLD }
+        },
+        inBuildMenu: true
+    },
+    {
+        type: BuildingType.IRONSMITH,
+        name: 'Ironsmith\'s Forge',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 10
+        },
+        recipe: {
+            consumes: { [ResourceType.IRON_ORE]: 1 },
+            produces: { type: ResourceType.IRON, rate: 1 }
+        },
+        worker: SettlerType.BLACKSMITH,
+        visionRadius: 10
+    },
+    {
+        type: BuildingType.FARM,
+        name: 'Farm',
+        cost: {
+            [ResourceType.PLANK]: 5
+        },
+        recipe: {
+            produces: { type: ResourceType.WHEAT, rate: 1 }
+        },
+        worker: SettlerType.FARMER,
+        visionRadius: 15
+    },
+    {
+        type: BuildingType.MILL,
+        name: 'Mill',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 5
+        },
+        recipe: {
+            consumes: { [ResourceType.WHEAT]: 1 },
+            produces: { type: ResourceType.FLOUR, rate: 1 }
+        },
+        worker: SettlerType.MILLER,
+        visionRadius: 10
+    },
+    {
+        type: BuildingType.BAKERY,
+        name: 'Bakery',
+        cost: {
+            [ResourceType.PLANK]: 5,
+            [ResourceType.STONE]: 10
+        },
+        recipe: {
+            consumes: { [ResourceType.FLOUR]: 1 },
+            produces: { type: ResourceType.BREAD, rate: 1 }
+        },
+        worker: SettlerType.BAKER,
+        visionRadius: 10
+    },
+    {
+        type: BuildingType.HUNTER,
+        name: 'Hunter\'s Hut',
+        cost: {
+            [ResourceType.PLANK]: 5
+        },
+        recipe: {
+            produces: { type: ResourceType.MEAT, rate: 1 }
+        },
+        worker: SettlerType.HUNTER,
+        visionRadius: 15
+    }
+];
+
+// Terrain every building accepts unless its definition says otherwise
+export const DEFAULT_PLACEMENT_TERRAIN = [TerrainType.GRASS];
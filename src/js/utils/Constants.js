@@ -1,10 +1,12 @@
-import { ResourceType, BuildingType, SettlerType } from './Enums.js';
+import { ResourceType, SettlerType, TerrainType } from './Enums.js';
 
 // Resource names for display
 export const resourceNames = {
     [ResourceType.WOOD]: 'Wood',
     [ResourceType.STONE]: 'Stone',
     [ResourceType.IRON_ORE]: 'Iron Ore',
+    [ResourceType.COAL]: 'Coal',
+    [ResourceType.GOLD]: 'Gold',
     [ResourceType.IRON]: 'Iron',
     [ResourceType.PLANK]: 'Planks',
     [ResourceType.WHEAT]: 'Wheat',
@@ -13,18 +15,19 @@ export const resourceNames = {
     [ResourceType.MEAT]: 'Meat'
 };
 
-// Building names for display
-export const buildingNames = {
-    [BuildingType.WAREHOUSE]: 'Warehouse',
-    [BuildingType.WOODCUTTER]: 'Woodcutter\'s Hut',
-    [BuildingType.SAWMILL]: 'Sawmill',
-    [BuildingType.STONEMASON]: 'Stonemason\'s Hut',
-    [BuildingType.MINE]: 'Mine',
-    [BuildingType.IRONSMITH]: 'Ironsmith\'s Forge',
-    [BuildingType.FARM]: 'Farm',
-    [BuildingType.MILL]: 'Mill',
-    [BuildingType.BAKERY]: 'Bakery',
-    [BuildingType.HUNTER]: 'Hunter\'s Hut'
+// Resources a new game starts with; types not listed start at 0
+export const STARTING_RESOURCES = {
+    [ResourceType.WOOD]: 20,
+    [ResourceType.STONE]: 10,
+    [ResourceType.IRON_ORE]: 0,
+    [ResourceType.COAL]: 0,
+    [ResourceType.GOLD]: 0,
+    [ResourceType.IRON]: 0,
+    [ResourceType.PLANK]: 10,
+    [ResourceType.WHEAT]: 0,
+    [ResourceType.FLOUR]: 0,
+    [ResourceType.BREAD]: 10,
+    [ResourceType.MEAT]: 5
 };
 
 // Settler names for display
@@ -42,130 +45,178 @@ export const settlerNames = {
     [SettlerType.DIGGER]: 'Digger'
 };
 
+// Terrain names for display
+export const terrainNames = {
+    [TerrainType.GRASS]: 'Grass',
+    [TerrainType.WATER]: 'Water',
+    [TerrainType.STONE]: 'Stone',
+    [TerrainType.MOUNTAIN]: 'Mountain',
+    [TerrainType.FOREST]: 'Forest',
+    [TerrainType.SAND]: 'Sand',
+    [TerrainType.SNOW]: 'Snow'
+};
+
+// Cost of walking onto a tile of each passable terrain type, relative to grass.
+// The pathfinder prefers cheaper routes and settlers walk slower on costlier
+// ground. Water and mountains can't be crossed at all.
+export const MOVEMENT_COST = {
+    [TerrainType.GRASS]: 1,
+    [TerrainType.FOREST]: 1.5,
+    [TerrainType.SAND]: 1.5,
+    [TerrainType.STONE]: 2,
+    [TerrainType.SNOW]: 3
+};
+
+// Map settings
+export const MAP = {
+    DEFAULT_SIZE: { width: 500, height: 500 }, // Tiles
+    // Square map sizes offered for a new game (tiles per side)
+    SIZES: { small: 64, medium: 128, large: 256, huge: 500 },
+    // Terrain mix a new game starts from (see MapGen.generateTileMap), close to the default map
+    DEFAULT_MIX: { water: 0.15, forest: 0.25, mountain: 0.1 },
+    DEFAULT_CLUSTERING: 0.5,
+    // Smallest and largest map side, in tiles, e.g. for maps imported from images
+    MIN_SIZE: 16,
+    MAX_SIZE: 512
+};
+
+// Colors of the terrain types in imported terrain images (hex RGB; see utils/MapImage.js)
+export const TERRAIN_IMAGE_COLORS = {
+    [TerrainType.GRASS]: 0x00ff00,
+    [TerrainType.FOREST]: 0x008000,
+    [TerrainType.WATER]: 0x0000ff,
+    [TerrainType.SAND]: 0xffff00,
+    [TerrainType.STONE]: 0x808080,
+    [TerrainType.MOUNTAIN]: 0x804000,
+    [TerrainType.SNOW]: 0xffffff
+};
+
+// Starting stock of a new game, as multiples of STARTING_RESOURCES
+export const STARTING_RESOURCE_LEVELS = {
+    low: 0.5,
+    normal: 1,
+    high: 2
+};
+
+// Generated terrain (see utils/MapGen.js). Heights are in world units; levels
+// are fractions of the map's elevation range, from its lowest to its highest tile.
+export const TERRAIN = {
+    MAX_HEIGHT: 16,             // Height of the highest tile
+    WATER_LEVEL: 0.3,           // Below this is water
+    SHORE_LEVEL: 0.34,          // Sand between the water and this level
+    STONE_LEVEL: 0.68,          // Rocky hills from here up
+    MOUNTAIN_LEVEL: 0.78,       // Impassable mountains from here up
+    SNOW_LEVEL: 0.9,            // Snow-capped peaks from here up
+    FOREST_MOISTURE: 0.55,      // Grassland wetter than this is forest
+    NOISE_SCALE: 80,            // Tiles per noise period of the coarsest octave
+    MIN_NOISE_SCALE: 20,        // Noise period at clustering factor 0
+    MAX_NOISE_SCALE: 140,       // Noise period at clustering factor 1
+    OCTAVES: 6,
+    RIVER_DENSITY: 0.2,         // Rivers per 10,000 tiles
+    RIVER_DEPTH: 0.5,           // How far a river is carved below its banks
+    RIVER_BANK_WIDTH: 2,        // Tiles of fertile grass along lowland rivers
+    RIVER_CLIMB: 0.05,          // Most a river may rise in one step, so it crosses flat ground
+    RIVER_LAKE_RADIUS: 2,       // Tiles of lake around a river that ends in a hollow
+    START_LEVEL: 0.45,          // Level of the plain the warehouse starts on
+    START_RADIUS: 15,           // Tiles of level plain around the start
+    START_FADE: 8,              // Tiles over which the plain blends into the land around it
+    MAX_BUILDING_SLOPE: 1.0     // Largest height difference allowed under a building
+};
+
+// Natural resources on tiles, placed by MapGen and used up by buildings that
+// extract them. Amounts are the average units per tile.
+export const DEPOSITS = {
+    TIMBER: 20,                 // Wood in every forest tile
+    STONE: 40,                  // Stone in stone fields, and in mountains without ore
+    ORE_SCALE: 20,              // Tiles per noise period of the ore veins
+    // Ores in mountain tiles where their noise field is above the threshold,
+    // checked in this order; a higher threshold makes an ore rarer
+    ORES: [
+        { type: ResourceType.GOLD, threshold: 0.62, amount: 30 },
+        { type: ResourceType.IRON_ORE, threshold: 0.56, amount: 60 },
+        { type: ResourceType.COAL, threshold: 0.56, amount: 60 }
+    ]
+};
+
+// Colors of the deposit overlay (hex RGB), by resource type
+export const DEPOSIT_COLORS = {
+    [ResourceType.WOOD]: 0x8b5a2b,
+    [ResourceType.STONE]: 0xb0b0b0,
+    [ResourceType.IRON_ORE]: 0xc0502a,
+    [ResourceType.COAL]: 0x202020,
+    [ResourceType.GOLD]: 0xffd700
+};
+
 // Fog of War settings
 export const FOG_OF_WAR = {
     ENABLED: true,
-    INITIAL_VISIBILITY_RADIUS: 20, // Radius in grid units around warehouse
-    BUILDING_VISIBILITY_RADIUS: {
-        [BuildingType.WAREHOUSE]: 20,
-        [BuildingType.WOODCUTTER]: 10,
-        [BuildingType.SAWMILL]: 10,
-        [BuildingType.STONEMASON]: 10,
-        [BuildingType.MINE]: 12,
-        [BuildingType.IRONSMITH]: 10,
-        [BuildingType.FARM]: 15,
-        [BuildingType.MILL]: 10,
-        [BuildingType.BAKERY]: 10,
-        [BuildingType.HUNTER]: 15
-    }
-};
-
-// Building costs (resources needed to build)
-export const buildingCosts = {
-    [BuildingType.WAREHOUSE]: {
-        [ResourceType.PLANK]: 20,
-        [ResourceType.STONE]: 10
-    },
-    [BuildingType.WOODCUTTER]: {
-        [ResourceType.PLANK]: 5
-    },
-    [BuildingType.SAWMILL]: {
-        [ResourceType.PLANK]: 5,
-        [ResourceType.STONE]: 5
-    },
-    [BuildingType.STONEMASON]: {
-        [ResourceType.PLANK]: 5
-    },
-    [BuildingType.MINE]: {
-        [ResourceType.PLANK]: 5,
-        [ResourceType.STONE]: 10
-    },
-    [BuildingType.IRONSMITH]: {
-        [ResourceType.PLANK]: 5,
-        [ResourceType.STONE]: 10
-    },
-    [BuildingType.FARM]: {
-        [ResourceType.PLANK]: 5
-    },
-    [BuildingType.MILL]: {
-        [ResourceType.PLANK]: 5,
-        [ResourceType.STONE]: 5
-    },
-    [BuildingType.BAKERY]: {
-        [ResourceType.PLANK]: 5,
-        [ResourceType.STONE]: 10
-    },
-    [BuildingType.HUNTER]: {
-        [ResourceType.PLANK]: 5
-    }
-};
-
-// Production chains - what resources each building uses and produces
-export const productionChains = {
-    [BuildingType.WOODCUTTER]: {
-        produces: {
-            type: ResourceType.WOOD,
-            rate: 1
-        }
-    },
-    [BuildingType.SAWMILL]: {
-        consumes: {
-            [ResourceType.WOOD]: 1
-        },
-        produces: {
-            type: ResourceType.PLANK,
-            rate: 1
-        }
-    },
-    [BuildingType.STONEMASON]: {
-        produces: {
-            type: ResourceType.STONE,
-            rate: 1
-        }
-    },
-    [BuildingType.MINE]: {
-        produces: {
-            type: ResourceType.IRON_ORE,
-            rate: 1
-        }
-    },
-    [BuildingType.IRONSMITH]: {
-        consumes: {
-            [ResourceType.IRON_ORE]: 1
-        },
-        produces: {
-            type: ResourceType.IRON,
-            rate: 1
-        }
-    },
-    [BuildingType.FARM]: {
-        produces: {
-            type: ResourceType.WHEAT,
-            rate: 1
-        }
-    },
-    [BuildingType.MILL]: {
-        consumes: {
-            [ResourceType.WHEAT]: 1
-        },
-        produces: {
-            type: ResourceType.FLOUR,
-            rate: 1
-        }
-    },
-    [BuildingType.BAKERY]: {
-        consumes: {
-            [ResourceType.FLOUR]: 1
-        },
-        produces: {
-            type: ResourceType.BREAD,
-            rate: 1
-        }
-    },
-    [BuildingType.HUNTER]: {
-        produces: {
-            type: ResourceType.MEAT,
-            rate: 1
-        }
-    }
-};
\ No newline at end of file
+    INITIAL_VISIBILITY_RADIUS: 20 // Radius in grid units for buildings that don't set a visionRadius
+};
+
+// Terrain and fog meshes (see render/ChunkedGridMesh.js)
+export const TERRAIN_MESH = {
+    CHUNK_SIZE: 32 // Tiles along each side of a chunk; chunks are redrawn and culled on their own
+};
+
+// Simulation clock settings - the world advances in fixed ticks regardless of frame rate
+export const SIMULATION = {
+    TICKS_PER_SECOND: 60,
+    TICK_DURATION: 1000 / 60, // Milliseconds of game time per tick
+    MAX_FRAME_TIME: 1000, // Longest real-time gap caught up in one go (ms)
+    MAX_TICKS_PER_FRAME: 120, // Most ticks run in one frame; the rest of a long catch-up carries over to the next frames
+    MAX_BACKLOG: 60000, // Most game time carried over; beyond it time is dropped, so a slow simulation can't fall ever further behind (ms)
+    BACKGROUND_INTERVAL: 1000, // Timer used to keep simulating while the tab is hidden (ms)
+    BACKGROUND_MAX_FRAME_TIME: 60000, // Gap caught up per background timer; browsers may throttle it to once a minute (ms)
+    BACKGROUND_MAX_TICKS: 960, // Most ticks run per background timer, leaving room for late timers to catch up
+    SPEEDS: [1, 2, 4, 8] // Selectable game speed multipliers
+};
+
+// Performance overlay
+export const PROFILER = {
+    WINDOW: 1000 // Timings are averaged over this much real time (ms)
+};
+
+// Save games
+export const SAVE = {
+    FORMAT: 'isometric-settlers-save',
+    VERSION: 3, // Bump when the format changes and add a migration in SaveManager
+    STORAGE_PREFIX: 'isometric-settlers.save.',
+    SLOT_COUNT: 5,
+    AUTOSAVE_INTERVAL: 5, // Minutes of game time between autosaves
+    AUTOSAVE_SLOT_COUNT: 3, // Autosaves rotate through this many slots
+    SESSION_KEY: 'isometric-settlers.session' // Present while a game is running
+};
+
+// Replay files
+export const REPLAY = {
+    FORMAT: 'isometric-settlers-replay',
+    VERSION: 1
+};
+
+// Scenario files (see core/ScenarioManager.js)
+export const SCENARIO = {
+    FORMAT: 'isometric-settlers-scenario',
+    VERSION: 1,
+    BASE_URL: '/scenarios/' // ?scenario=<name> loads <name>.json from here
+};
+
+// Map editor brushes (see core/MapEditor.js)
+export const EDITOR = {
+    MAX_BRUSH_RADIUS: 10,       // Tiles from the brush center to its edge
+    HEIGHT_STEP: 0.4,           // Height a raise or lower brush adds at its center, per step
+    FLATTEN_STRENGTH: 0.5,      // Share of the way to the target height a flatten brush goes, per step
+    TREE_DENSITY: 0.6           // Share of the tiles under the brush a tree brush plants
+};
+
+// Undo / redo of player commands
+export const UNDO = {
+    HISTORY_SIZE: 50, // Oldest commands drop out of the undo history beyond this
+    DEMOLITION_REFUND: 0.5 // Share of a building's cost returned when it's demolished
+};
+
+// Mod packs, loaded at startup from public/mods (see core/ModLoader.js)
+export const MODS = {
+    BASE_URL: '/mods/',
+    INDEX_FILE: 'index.json', // { "mods": ["pack-id", ...] } - packs load in this order
+    MANIFEST_FILE: 'mod.json' // Each pack's manifest, in its own folder
+};
@@ -0,0 +1,61 @@
+// Compact encodings for large per-tile arrays in save files
+
+// Run-length encode an array of JSON values into [[value, count], ...]
+export const encodeRuns = (values) => {
+    const runs = [];
+
+    for (const value of values) {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === value) {
+            last[1]++;
+        } else {
+            runs.push([value, 1]);
+        }
+    }
+
+    return runs;
+};
+
+export const decodeRuns = (runs) => {
+    const values = [];
+
+    for (const [value, count] of runs) {
+        for (let i = 0; i < count; i++) {
+            values.push(value);
+        }
+    }
+
+    return values;
+};
+
+// Encode numbers as base64 of their 64-bit float representation, which keeps
+// every number exactly
+export const encodeFloat64 = (values) => encodeBytes(new Uint8Array(Float64Array.from(values).buffer));
+
+export const decodeFloat64 = (base64) => Array.from(new Float64Array(decodeBytes(base64).buffer));
+
+// Encode numbers as base64 of their 32-bit float representation. Used by save
+// version 1, which rounded heights to 32 bits.
+export const encodeFloat32 = (values) => encodeBytes(new Uint8Array(Float32Array.from(values).buffer));
+
+export const decodeFloat32 = (base64) => Array.from(new Float32Array(decodeBytes(base64).buffer));
+
+const encodeBytes = (bytes) => {
+    // Convert in chunks; String.fromCharCode can't take a whole map's worth of arguments
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+
+    return btoa(binary);
+};
+
+const decodeBytes = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
@@ -14,6 +14,8 @@ export const ResourceType = {
     WOOD: 'wood',
     STONE: 'stone',
     IRON_ORE: 'iron_ore',
+    COAL: 'coal',
+    GOLD: 'gold',
     IRON: 'iron',
     PLANK: 'plank',
     WHEAT: 'wheat',
@@ -29,6 +31,8 @@ export const BuildingType = {
     SAWMILL: 'sawmill',
     STONEMASON: 'stonemason',
     MINE: 'mine',
+    COAL_MINE: 'coal_mine',
+    GOLD_MINE: 'gold_mine',
     IRONSMITH: 'ironsmith',
     FARM: 'farm',
     MILL: 'mill',
@@ -56,4 +60,94 @@ export const VisibilityState = {
     UNEXPLORED: 'unexplored',   // Never seen, completely black
     EXPLORED: 'explored',       // Previously seen but not in range of a building, darkened/grayed out
     VISIBLE: 'visible'          // Currently visible, normal display
-};
\ No newline at end of file
+};
+
+// Player commands (see commands/)
+export const CommandType = {
+    PLACE_CONSTRUCTION: 'placeConstruction',
+    UPGRADE_BUILDING: 'upgradeBuilding',
+    CANCEL_CONSTRUCTION: 'cancelConstruction',
+    DEMOLISH_BUILDING: 'demolishBuilding',
+    UNDO: 'undo',
+    REDO: 'redo',
+
+    // Developer console cheats
+    ADD_RESOURCES: 'addResources',
+    REVEAL_MAP: 'revealMap',
+    SPAWN_SETTLER: 'spawnSettler',
+    FINISH_CONSTRUCTION: 'finishConstruction'
+};
+
+// Simulation events published on the EventBus (core/EventBus.js), with their payloads
+export const GameEvent = {
+    RESOURCE_CHANGED: 'resourceChanged',                // { resourceType, amount, delta }
+    CONSTRUCTION_STARTED: 'constructionStarted',        // { construction }
+    CONSTRUCTION_CANCELLED: 'constructionCancelled',    // { construction, refund }
+    CONSTRUCTION_COMPLETED: 'constructionCompleted',    // { construction, building }
+    BUILDING_ADDED: 'buildingAdded',                    // { building }
+    BUILDING_UPGRADED: 'buildingUpgraded',              // { building, level }
+    BUILDING_DOWNGRADED: 'buildingDowngraded',          // { building, level }
+    BUILDING_DEMOLISHED: 'buildingDemolished',          // { building, refund }
+    PRODUCTION_CYCLE: 'productionCycle',                // { building, resourceType, amount }
+    SETTLER_ADDED: 'settlerAdded',                      // { settler }
+    SETTLER_STATE_CHANGED: 'settlerStateChanged',       // { settler, previousState, state }
+    FOG_REVEALED: 'fogRevealed',                        // { tiles } - number of newly explored tiles
+    DEPOSIT_DEPLETED: 'depositDepleted'                 // { x, y, resourceType } - a tile's deposit ran out
+};
+
+// Log levels, from most to least verbose (see utils/Logger.js)
+export const LogLevel = {
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    OFF: 'off'
+};
+
+// Log categories, each with its own level
+export const LogCategory = {
+    GAME: 'game',                   // Startup, saves, replays, mods, scenarios
+    WORLD: 'world',                 // Map generation, placement, the tick loop
+    COMMANDS: 'commands',
+    PATHFINDING: 'pathfinding',
+    SETTLER: 'settler',
+    PORTER: 'porter',
+    BUILDER: 'builder',
+    CONSTRUCTION: 'construction',
+    PRODUCTION: 'production',
+    FOG: 'fog',
+    RENDER: 'render',
+    UI: 'ui'
+};
+
+// Sections timed by the profiler (see utils/Profiler.js), named as the performance overlay shows them
+export const ProfileSection = {
+    // Simulation, per World.update
+    WORLD_UPDATE: 'World.update',
+    COMMANDS: 'commands',
+    SCHEDULER: 'scheduled tasks',
+    SETTLERS: 'settlers',
+    BUILDINGS: 'buildings',
+    CONSTRUCTIONS: 'constructions',
+    FOG: 'fog of war',
+    PATHFINDING: 'PathFinder.findPath',
+
+    // Rendering, per frame
+    VIEWS: 'entity views',
+    PLACEMENT_PREVIEW: 'placement preview',
+    TERRAIN_MESH: 'terrain mesh',
+    FOG_MESH: 'fog mesh',
+    SCENE_RENDER: 'WebGL render'
+};
+
+// Tools of the map editor (see core/MapEditor.js)
+export const EditorTool = {
+    TERRAIN: 'terrain',         // Paint a terrain type
+    RAISE: 'raise',             // Raise the ground
+    LOWER: 'lower',             // Lower the ground
+    FLATTEN: 'flatten',         // Level the ground to where the stroke started
+    TREES: 'trees',             // Plant forest
+    DEPOSIT: 'deposit',         // Paint resource deposits
+    WAREHOUSE: 'warehouse',     // Move the starting warehouse
+    SETTLERS: 'settlers'        // Add or remove starting settlers
+};
@@ -0,0 +1,177 @@
+import { LogLevel, LogCategory } from './Enums.js';
+
+// Levels from most to least verbose; a category logs its level and everything after it
+const LEVEL_ORDER = [LogLevel.DEBUG, LogLevel.INFO, LogLevel.WARN, LogLevel.ERROR, LogLevel.OFF];
+
+// Console method for each level
+const CONSOLE_METHODS = {
+    [LogLevel.DEBUG]: 'debug',
+    [LogLevel.INFO]: 'log',
+    [LogLevel.WARN]: 'warn',
+    [LogLevel.ERROR]: 'error'
+};
+
+// Entries kept for the log panel
+const HISTORY_LIMIT = 1000;
+
+// Leveled, categorized logging. Every category has a level (the default level
+// unless overridden); messages below it are dropped before they reach the
+// console or the history. Levels can be set at runtime or from a spec like
+// "info,porter:debug,render:off" (see configure), which the game reads from
+// the ?log= URL parameter.
+export class Logger {
+    constructor(defaultLevel = LogLevel.INFO) {
+        this.defaultLevel = defaultLevel;
+
+        // Level overrides by category
+        this.levels = {};
+
+        // Recent entries, oldest first: { time, level, category, message, entityId }
+        this.entries = [];
+
+        this.listeners = [];
+    }
+
+    // Set the level of one category, or the default level without a category
+    setLevel(level, category = null) {
+        this._checkLevel(level);
+
+        if (category === null) {
+            this.defaultLevel = level;
+        } else {
+            this._checkCategory(category);
+            this.levels[category] = level;
+        }
+    }
+
+    getLevel(category) {
+        return this.levels[category] || this.defaultLevel;
+    }
+
+    // Whether a message of this level in this category would be logged,
+    // to skip building expensive messages
+    isEnabled(level, category) {
+        const threshold = this.getLevel(category);
+        return threshold !== LogLevel.OFF && LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(threshold);
+    }
+
+    // Apply a comma-separated list of levels, each either "level" for the default
+    // or "category:level". The whole spec is checked before any of it is applied.
+    configure(spec) {
+        const changes = spec.split(',')
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const [first, second] = part.split(':').map(text => text.trim().toLowerCase());
+                const change = second === undefined ?
+                    { category: null, level: first } :
+                    { category: first, level: second };
+
+                this._checkLevel(change.level);
+                if (change.category !== null) {
+                    this._checkCategory(change.category);
+                }
+                return change;
+            });
+
+        for (const { level, category } of changes) {
+            this.setLevel(level, category);
+        }
+    }
+
+    // The current levels, e.g. "default info, porter debug"
+    describeLevels() {
+        return [
+            `default ${this.defaultLevel}`,
+            ...Object.entries(this.levels).map(([category, level]) => `${category} ${level}`)
+        ].join(', ');
+    }
+
+    // Log a message. entity ties the entry to a simulation entity so the log panel
+    // can filter by it; details (e.g. an Error) are passed on to the console.
+    log(level, category, message, entity = null, details = undefined) {
+        if (!this.isEnabled(level, category)) return;
+
+        const entry = {
+            time: Date.now(),
+            level,
+            category,
+            message,
+            entityId: entity ? entity.id : null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > HISTORY_LIMIT) {
+            this.entries.shift();
+        }
+
+        const prefix = entry.entityId !== null ? `[${category} #${entry.entityId}]` : `[${category}]`;
+        const args = details === undefined ? [] : [details];
+        console[CONSOLE_METHODS[level]](`${prefix} ${message}`, ...args);
+
+        for (const listener of this.listeners) {
+            listener(entry);
+        }
+    }
+
+    // A logger bound to a category, and optionally to an entity
+    channel(category, entity = null) {
+        return new LogChannel(this, category, entity);
+    }
+
+    // Call listener with every entry that gets logged. Returns a function that unsubscribes again.
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    _checkLevel(level) {
+        if (!LEVEL_ORDER.includes(level)) {
+            throw new Error(`Unknown log level "${level}" (use ${LEVEL_ORDER.join(', ')})`);
+        }
+    }
+
+    _checkCategory(category) {
+        if (!Object.values(LogCategory).includes(category)) {
+            throw new Error(`Unknown log category "${category}" (use ${Object.values(LogCategory).join(', ')})`);
+        }
+    }
+}
+
+// Logging methods for one category, e.g. const log = logger.channel(LogCategory.FOG)
+export class LogChannel {
+    constructor(logger, category, entity = null) {
+        this.logger = logger;
+        this.category = category;
+        this.entity = entity;
+    }
+
+    debug(message, details) {
+        this.logger.log(LogLevel.DEBUG, this.category, message, this.entity, details);
+    }
+
+    info(message, details) {
+        this.logger.log(LogLevel.INFO, this.category, message, this.entity, details);
+    }
+
+    warn(message, details) {
+        this.logger.log(LogLevel.WARN, this.category, message, this.entity, details);
+    }
+
+    error(message, details) {
+        this.logger.log(LogLevel.ERROR, this.category, message, this.entity, details);
+    }
+
+    isEnabled(level) {
+        return this.logger.isEnabled(level, this.category);
+    }
+}
+
+// The logger the game and the headless simulation use
+export const logger = new Logger();
@@ -1,102 +1,410 @@
-import { TerrainType } from "./Enums";
+import { TerrainType, ResourceType } from "./Enums.js";
+import { Random } from "./Random.js";
+import { PerlinNoise } from "./PerlinNoise.js";
+import { TERRAIN, DEPOSITS } from "./Constants.js";
 
+// Generate a width x height grid of { type, height } tiles from fractal noise.
+// An elevation field gives each tile its height and decides between water, sand
+// shores, lowlands, rocky hills, mountains and snow peaks; a second, moisture
+// field turns the wetter lowlands into forest. Rivers then run downhill from
+// the mountains to a lake, the sea or the map edge. Finally forests, stone
+// fields and mountains get their deposits of timber, stone and ores.
+//
+// options.random is the seeded generator to use; without it the map is
+// generated from options.seed (or a random seed if neither is given). Any
+// TERRAIN setting can be overridden in options, e.g. { WATER_LEVEL: 0.4 }, and
+// options.deposits replaces the DEPOSITS settings.
+//
+// options.mix = { water, forest, mountain } sets the share of the map (0 to 1)
+// covered by lakes, forest and mountains; grassland, shores and hills make up
+// the rest. options.clusteringFactor (0 to 1) goes from many small patches of
+// each terrain to a few large ones. options.preset names one of MAP_PRESETS,
+// which shapes the landmass and brings its own mix and clustering.
+//
+// options.start = { x, y } is the center of the start area: a level plain of
+// lowland that rivers flow around, so a warehouse always fits there.
 export const generateTileMap = (width = 30, height = 30, options = {}) => {
-    // Default terrain distribution
-    const terrainOptions = {
-        grassPercentage: options.grassPercentage || 55,
-        forestPercentage: options.forestPercentage || 35,
-        lakePercentage: options.lakePercentage || 5,
-        mountainPercentage: options.mountainPercentage || 10,
-        clusteringFactor: options.clusteringFactor || 0.95,
-        smoothingPasses: options.smoothingPasses || 3
-    };
-
-    // Initialize empty map
-    const map = Array(height).fill().map(() => Array(width).fill(TerrainType.GRASS));
-
-    // Create initial random noise
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const random = Math.random() * 100;
-
-            if (random < terrainOptions.grassPercentage) {
-                map[y][x] = TerrainType.GRASS;
-            } else if (random < terrainOptions.grassPercentage + terrainOptions.forestPercentage) {
-                map[y][x] = TerrainType.FOREST;
-            } else if (random < terrainOptions.grassPercentage + terrainOptions.forestPercentage + terrainOptions.lakePercentage) {
-                map[y][x] = TerrainType.WATER;
-            } else {
-                map[y][x] = TerrainType.MOUNTAIN;
-            }
-        }
+    const random = options.random || new Random(options.seed);
+
+    const preset = options.preset ? MAP_PRESETS[options.preset] : null;
+    if (options.preset && !preset) {
+        throw new Error(`Unknown map preset ${options.preset}`);
     }
 
-    // Apply cellular automata for more natural clustering
-    for (let i = 0; i < terrainOptions.smoothingPasses; i++) {
-        applyCellularAutomata(map, terrainOptions.clusteringFactor);
+    const settings = { ...TERRAIN, ...(preset && preset.settings), ...options };
+    const mix = options.mix || (preset && preset.mix);
+    const clusteringFactor = options.clusteringFactor ?? (preset && preset.clusteringFactor);
+
+    if (clusteringFactor !== undefined && clusteringFactor !== null) {
+        settings.NOISE_SCALE = noiseScaleFor(clusteringFactor, settings);
     }
 
-    return map.map(row => row.map(tile => ({
-        type: tile,
-        height: 1.0,
+    const elevationNoise = new PerlinNoise(random.nextInt(0x100000000));
+    const moistureNoise = new PerlinNoise(random.nextInt(0x100000000));
+
+    let elevation = sampleNoise(elevationNoise, width, height, settings.NOISE_SCALE, settings.OCTAVES);
+    const moisture = sampleNoise(moistureNoise, width, height, settings.NOISE_SCALE * 1.5, settings.OCTAVES);
+
+    if (preset && preset.shape) {
+        elevation = shapeElevation(elevation, preset.shape);
+    }
+
+    if (mix) {
+        checkMix(mix);
+        elevation = fitElevationToMix(elevation, mix, settings);
+        settings.FOREST_MOISTURE = forestMoistureFor(elevation, moisture, mix.forest, settings);
+    }
+
+    if (options.start) {
+        levelStartArea(elevation, moisture, options.start, settings);
+    }
+
+    const tiles = elevation.map((row, y) => row.map((level, x) => ({
+        type: terrainTypeFor(level, moisture[y][x], settings),
+        height: heightForLevel(level, settings)
     })));
+
+    addRivers(tiles, elevation, random, settings, options.start);
+    addDeposits(tiles, random, options.deposits || DEPOSITS);
+    return tiles;
 };
 
-const applyCellularAutomata = (map, clusteringFactor) => {
-    const height = map.length;
-    const width = map[0].length;
-    const newMap = JSON.parse(JSON.stringify(map));
+const smoothstep = (edge0, edge1, value) => {
+    const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
 
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const neighbors = getNeighbors(map, x, y);
-            const currentTile = map[y][x];
-
-            // Count occurrences of each terrain type in the neighbors
-            const counts = neighbors.reduce((acc, terrain) => {
-                acc[terrain] = (acc[terrain] || 0) + 1;
-                return acc;
-            }, {});
-
-            // Determine the most common terrain around this tile
-            let mostCommonTerrain = currentTile;
-            let maxCount = 0;
-
-            for (const terrain in counts) {
-                if (counts[terrain] > maxCount) {
-                    maxCount = counts[terrain];
-                    mostCommonTerrain = terrain;
-                }
+// Named map templates for generateTileMap. shape(level, x, y) reshapes the
+// elevation before the terrain mix is applied, with x and y running from -1 to
+// 1 across the map (0, 0 being its center, where the start area is); the
+// result is stretched back to the 0 to 1 range. settings override TERRAIN.
+export const MAP_PRESETS = {
+    continents: {
+        name: 'Continents',
+        mix: { water: 0.35, forest: 0.2, mountain: 0.1 },
+        clusteringFactor: 0.9
+    },
+    archipelago: {
+        name: 'Archipelago',
+        mix: { water: 0.55, forest: 0.15, mountain: 0.05 },
+        clusteringFactor: 0.25,
+        // Land sinks towards the map edge, leaving open sea around the islands
+        shape: (level, x, y) => level * (1 - smoothstep(0.5, 0.9, Math.max(Math.abs(x), Math.abs(y))))
+    },
+    highlands: {
+        name: 'Highlands',
+        mix: { water: 0.08, forest: 0.2, mountain: 0.3 },
+        clusteringFactor: 0.5,
+        // A valley in the middle, ringed by mountains
+        shape: (level, x, y) => level * 0.4 + smoothstep(0.3, 0.9, Math.hypot(x, y)) * 0.6
+    },
+    riverValley: {
+        name: 'River Valley',
+        mix: { water: 0.12, forest: 0.2, mountain: 0.15 },
+        clusteringFactor: 0.5,
+        settings: { RIVER_DENSITY: 1 },
+        // A valley from north to south between two ridges, falling towards a
+        // delta at the southern edge
+        shape: (level, x, y) => level * 0.5 + smoothstep(0.1, 0.8, Math.abs(x)) * 0.4 - y * 0.2
+    },
+    denseForest: {
+        name: 'Dense Forest',
+        mix: { water: 0.08, forest: 0.55, mountain: 0.07 },
+        clusteringFactor: 0.6
+    }
+};
+
+const shapeElevation = (elevation, shape) => {
+    const height = elevation.length;
+    const width = elevation[0].length;
+
+    const shaped = elevation.map((row, y) => row.map((level, x) =>
+        shape(level, x / (width - 1) * 2 - 1, y / (height - 1) * 2 - 1)));
+    return normalize(shaped);
+};
+
+// Pull the elevation around the start towards START_LEVEL: flat within
+// START_RADIUS, then blending into the surrounding land over START_FADE tiles.
+// The moisture is pulled towards dry the same way, so the plain is open
+// grassland to build on rather than forest.
+const levelStartArea = (elevation, moisture, start, settings) => {
+    const reach = settings.START_RADIUS + settings.START_FADE;
+
+    for (let y = Math.max(0, start.y - reach); y <= Math.min(elevation.length - 1, start.y + reach); y++) {
+        for (let x = Math.max(0, start.x - reach); x <= Math.min(elevation[0].length - 1, start.x + reach); x++) {
+            const distance = Math.hypot(x - start.x, y - start.y);
+            if (distance >= reach) continue;
+
+            const pull = 1 - smoothstep(settings.START_RADIUS, reach, distance);
+            elevation[y][x] += (settings.START_LEVEL - elevation[y][x]) * pull;
+            moisture[y][x] *= 1 - pull;
+        }
+    }
+};
+
+const isInStartArea = (x, y, start, settings) =>
+    start !== undefined && start !== null && Math.hypot(x - start.x, y - start.y) <= settings.START_RADIUS;
+
+// Noise period for a clustering factor: larger periods give larger patches
+const noiseScaleFor = (clusteringFactor, settings) => {
+    if (typeof clusteringFactor !== 'number' || clusteringFactor < 0 || clusteringFactor > 1) {
+        throw new Error(`clusteringFactor must be a number from 0 to 1, not ${clusteringFactor}`);
+    }
+    return settings.MIN_NOISE_SCALE + clusteringFactor * (settings.MAX_NOISE_SCALE - settings.MIN_NOISE_SCALE);
+};
+
+const checkMix = (mix) => {
+    let total = 0;
+    for (const share of ['water', 'forest', 'mountain']) {
+        const value = mix[share] ?? 0;
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error(`Terrain mix: ${share} must be a number from 0 to 1, not ${value}`);
+        }
+        total += value;
+    }
+
+    if (total > 1) {
+        throw new Error(`Terrain mix: water, forest and mountains add up to ${Math.round(total * 100)}% of the map`);
+    }
+};
+
+// Stretch the elevation levels so mix.water of the tiles end up below
+// WATER_LEVEL and mix.mountain of them at MOUNTAIN_LEVEL or above. The order
+// of the tiles doesn't change, so the landscape keeps its shape.
+const fitElevationToMix = (elevation, mix, settings) => {
+    const levels = elevation.flat().sort((a, b) => a - b);
+    const waterCount = Math.round((mix.water ?? 0) * levels.length);
+    const mountainCount = Math.round((mix.mountain ?? 0) * levels.length);
+
+    // Tiles below the shoreline are water, tiles from the foot of the mountains up are mountains
+    const shoreline = waterCount > 0 ? levels[Math.min(waterCount, levels.length - 1)] : 0;
+    const mountainFoot = mountainCount > 0 ? levels[levels.length - mountainCount] : null;
+
+    // Without mountains the highest tile stays just below them
+    const lowlandTop = mountainFoot ?? levels[levels.length - 1] * 1.001;
+    const lowlandRange = lowlandTop - shoreline || 1;
+
+    return elevation.map(row => row.map(level => {
+        if (level < shoreline) {
+            return level / shoreline * settings.WATER_LEVEL;
+        }
+        if (mountainFoot === null || level < mountainFoot) {
+            return settings.WATER_LEVEL + (level - shoreline) / lowlandRange * (settings.MOUNTAIN_LEVEL - settings.WATER_LEVEL);
+        }
+        return settings.MOUNTAIN_LEVEL + (level - mountainFoot) / (1 - mountainFoot || 1) * (1 - settings.MOUNTAIN_LEVEL);
+    }));
+};
+
+// The moisture above which forestShare of all tiles become forest. Only the
+// lowlands between the shores and the hills can be forest, so it's capped there.
+const forestMoistureFor = (elevation, moisture, forestShare = 0, settings) => {
+    const lowland = [];
+    elevation.forEach((row, y) => row.forEach((level, x) => {
+        if (level >= settings.SHORE_LEVEL && level < settings.STONE_LEVEL) {
+            lowland.push(moisture[y][x]);
+        }
+    }));
+
+    const forestCount = Math.round(forestShare * elevation.length * elevation[0].length);
+    if (forestCount >= lowland.length) return -Infinity;
+
+    lowland.sort((a, b) => a - b);
+    return lowland[lowland.length - forestCount - 1];
+};
+
+// The deposit a tile of this type starts with on a map that wasn't generated,
+// e.g. a scenario's hand-drawn terrain: timber in forests, stone in stone fields
+// and mountains. Returns { type, amount }, or null.
+export const defaultDepositFor = (terrainType, deposits = DEPOSITS) => {
+    switch (terrainType) {
+        case TerrainType.FOREST:
+            return { type: ResourceType.WOOD, amount: deposits.TIMBER };
+        case TerrainType.STONE:
+        case TerrainType.MOUNTAIN:
+            return { type: ResourceType.STONE, amount: deposits.STONE };
+        default:
+            return null;
+    }
+};
+
+// Give every forest, stone and mountain tile a deposit. Ores form veins in the
+// mountains, each following its own noise field.
+const addDeposits = (tiles, random, deposits) => {
+    const oreFields = deposits.ORES.map(ore => ({
+        ...ore,
+        noise: new PerlinNoise(random.nextInt(0x100000000))
+    }));
+
+    tiles.forEach((row, y) => row.forEach((tile, x) => {
+        let deposit = defaultDepositFor(tile.type, deposits);
+        if (!deposit) return;
+
+        if (tile.type === TerrainType.MOUNTAIN) {
+            const ore = oreFields.find(field =>
+                field.noise.fbm(x / deposits.ORE_SCALE, y / deposits.ORE_SCALE, 3) > field.threshold);
+            if (ore) {
+                deposit = { type: ore.type, amount: ore.amount };
             }
+        }
+
+        // Vary the amounts between half and one and a half times the average
+        deposit.amount = Math.round(deposit.amount * (0.5 + random.next()));
+        tile.deposit = deposit;
+    }));
+};
+
+// The four neighbors rivers flow between
+const DIRECTIONS = [{ dx: 0, dy: -1 }, { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 }];
 
-            // Apply clustering based on the factor
-            if (Math.random() < clusteringFactor) {
-                newMap[y][x] = mostCommonTerrain;
+// Trace rivers from random mountain tiles and carve them into the map as water.
+// A river flows downhill until it reaches water or the map edge; in a hollow
+// with no way down it ends in a small lake. Rivers don't cross the start area.
+const addRivers = (tiles, elevation, random, settings, start) => {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    const count = Math.round(width * height / 10000 * settings.RIVER_DENSITY);
+
+    for (let river = 0, attempts = 0; river < count && attempts < count * 50; attempts++) {
+        const x = random.nextInt(width);
+        const y = random.nextInt(height);
+        if (elevation[y][x] < settings.MOUNTAIN_LEVEL || tiles[y][x].type === TerrainType.WATER) continue;
+
+        const isBlocked = (nextX, nextY) => isInStartArea(nextX, nextY, start, settings);
+        const path = traceRiver(tiles, x, y, settings.RIVER_CLIMB, isBlocked);
+        const end = path[path.length - 1];
+        const drains = tiles[end.y][end.x].type === TerrainType.WATER ||
+            end.x === 0 || end.y === 0 || end.x === width - 1 || end.y === height - 1;
+
+        carveRiver(tiles, elevation, path, settings);
+        if (!drains) {
+            addLake(tiles, end, settings.RIVER_LAKE_RADIUS, isBlocked);
+        }
+        river++;
+    }
+};
+
+// Tiles from the source down to the first water tile, the map edge or a hollow.
+// Each step goes to the lowest unvisited neighbor at most climb higher than the
+// current tile. isBlocked(x, y) marks tiles the river has to flow around.
+const traceRiver = (tiles, startX, startY, climb, isBlocked) => {
+    const height = tiles.length;
+    const width = tiles[0].length;
+    const visited = new Set();
+    const path = [];
+
+    let x = startX;
+    let y = startY;
+    while (true) {
+        path.push({ x, y });
+        visited.add(y * width + x);
+
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) break;
+
+        const maxHeight = tiles[y][x].height + climb;
+        let next = null;
+        for (const { dx, dy } of DIRECTIONS) {
+            const tile = tiles[y + dy][x + dx];
+            if (visited.has((y + dy) * width + x + dx) || isBlocked(x + dx, y + dy)) continue;
+            if (tile.height > maxHeight) continue;
+            if (!next || tile.height < tiles[next.y][next.x].height) {
+                next = { x: x + dx, y: y + dy };
             }
         }
+
+        // A hollow, or boxed in by its own course
+        if (!next) break;
+
+        if (tiles[next.y][next.x].type === TerrainType.WATER) {
+            path.push(next);
+            break;
+        }
+        x = next.x;
+        y = next.y;
+    }
+    return path;
+};
+
+// Turn a river's tiles into water, with a bed that only ever runs downhill,
+// and its lowland banks into grass
+const carveRiver = (tiles, elevation, path, settings) => {
+    const bank = settings.RIVER_BANK_WIDTH;
+    let bedHeight = Infinity;
+
+    for (const { x, y } of path) {
+        const tile = tiles[y][x];
+        bedHeight = Math.min(tile.height - settings.RIVER_DEPTH, bedHeight);
+        tile.height = Math.max(bedHeight, 0);
+        tile.type = TerrainType.WATER;
+
+        for (let bankY = y - bank; bankY <= y + bank; bankY++) {
+            for (let bankX = x - bank; bankX <= x + bank; bankX++) {
+                const bankTile = tiles[bankY] && tiles[bankY][bankX];
+                if (!bankTile || elevation[bankY][bankX] >= settings.STONE_LEVEL) continue;
+
+                if (bankTile.type === TerrainType.FOREST || bankTile.type === TerrainType.SAND) {
+                    bankTile.type = TerrainType.GRASS;
+                }
+            }
+        }
+    }
+};
+
+// Flood the tiles within radius of a river's end down to its water level
+const addLake = (tiles, end, radius, isBlocked) => {
+    const level = tiles[end.y][end.x].height;
+    for (let y = end.y - radius; y <= end.y + radius; y++) {
+        for (let x = end.x - radius; x <= end.x + radius; x++) {
+            const tile = tiles[y] && tiles[y][x];
+            if (!tile || Math.hypot(x - end.x, y - end.y) > radius || isBlocked(x, y)) continue;
+
+            tile.type = TerrainType.WATER;
+            tile.height = Math.min(tile.height, level);
+        }
     }
+};
 
-    // Apply changes back to the original map
+// Fractal noise for every tile, stretched so the lowest tile is 0 and the highest 1
+const sampleNoise = (noise, width, height, scale, octaves) => {
+    const values = [];
     for (let y = 0; y < height; y++) {
+        const row = [];
         for (let x = 0; x < width; x++) {
-            map[y][x] = newMap[y][x];
+            row.push(noise.fbm(x / scale, y / scale, octaves));
         }
+        values.push(row);
     }
-};
 
-const getNeighbors = (map, x, y) => {
-    const height = map.length;
-    const width = map[0].length;
-    const neighbors = [];
+    return normalize(values);
+};
 
-    // Get the 8 surrounding tiles
-    for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
-        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
-            if (nx !== x || ny !== y) { // Skip the center tile
-                neighbors.push(map[ny][nx]);
-            }
+// Stretch values so the lowest is 0 and the highest 1
+const normalize = (values) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const row of values) {
+        for (const value of row) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
         }
     }
 
-    return neighbors;
-};
\ No newline at end of file
+    const range = max - min || 1;
+    return values.map(row => row.map(value => (value - min) / range));
+};
+
+// Terrain type of a tile at a level of the elevation range, given its moisture
+// from 0 (dry) to 1 (wet)
+export const terrainTypeFor = (level, moisture, settings = TERRAIN) => {
+    if (level < settings.WATER_LEVEL) return TerrainType.WATER;
+    if (level < settings.SHORE_LEVEL) return TerrainType.SAND;
+    if (level < settings.STONE_LEVEL) {
+        return moisture > settings.FOREST_MOISTURE ? TerrainType.FOREST : TerrainType.GRASS;
+    }
+    if (level < settings.MOUNTAIN_LEVEL) return TerrainType.STONE;
+    if (level < settings.SNOW_LEVEL) return TerrainType.MOUNTAIN;
+    return TerrainType.SNOW;
+};
+
+// Height of a tile at a level of the elevation range (see TERRAIN). Lowlands
+// stay fairly flat and peaks rise steeply.
+export const heightForLevel = (level, settings = TERRAIN) => Math.pow(level, 1.5) * settings.MAX_HEIGHT;
@@ -0,0 +1,135 @@
+import { TerrainType } from "./Enums.js";
+import { TERRAIN, MAP, TERRAIN_IMAGE_COLORS, terrainNames } from "./Constants.js";
+import { heightForLevel, terrainTypeFor, defaultDepositFor } from "./MapGen.js";
+
+// Unknown colors listed in an error message before the rest are only counted
+const MAX_REPORTED_COLORS = 5;
+
+// Build a tile map from images a level designer drew, in the same
+// { type, height, deposit } form MapGen.generateTileMap returns. One pixel is
+// one tile.
+//
+// heightmap is a grayscale image: black is the lowest ground, white the
+// highest (TERRAIN.MAX_HEIGHT). terrainImage paints each tile in the color of
+// its terrain type (TERRAIN_IMAGE_COLORS); without it the types follow the
+// heights like on a generated map, but without forests. Both are ImageData-like
+// objects { width, height, data } with RGBA bytes, as a canvas returns them.
+// Tiles get their terrain type's usual deposit (see MapGen.defaultDepositFor).
+//
+// Throws an Error with a readable message if an image has the wrong size or
+// the terrain image has colors that aren't terrain types.
+export const tileMapFromImages = (heightmap, terrainImage = null, options = {}) => {
+    const settings = { ...TERRAIN, ...options };
+
+    checkSize(heightmap, 'Heightmap');
+    if (terrainImage) {
+        checkSize(terrainImage, 'Terrain image');
+        if (terrainImage.width !== heightmap.width || terrainImage.height !== heightmap.height) {
+            throw new Error(`Terrain image is ${terrainImage.width} x ${terrainImage.height} pixels, ` +
+                `but the heightmap is ${heightmap.width} x ${heightmap.height}; they must be the same size`);
+        }
+    }
+
+    const types = terrainImage ? readTerrainTypes(terrainImage) : null;
+
+    const tiles = [];
+    for (let y = 0; y < heightmap.height; y++) {
+        const row = [];
+        for (let x = 0; x < heightmap.width; x++) {
+            const index = (y * heightmap.width + x) * 4;
+            const data = heightmap.data;
+
+            // Gray value, averaged in case the image was saved in color
+            const level = (data[index] + data[index + 1] + data[index + 2]) / 3 / 255;
+            const type = types ? types[y][x] : terrainTypeFor(level, 0, settings);
+
+            const tile = { type, height: heightForLevel(level, settings) };
+            const deposit = defaultDepositFor(type);
+            if (deposit) {
+                tile.deposit = deposit;
+            }
+            row.push(tile);
+        }
+        tiles.push(row);
+    }
+    return tiles;
+};
+
+// The reverse of tileMapFromImages: a grayscale heightmap and a terrain image
+// of a tile map, as { heightmap, terrainImage } ImageData-like objects. Heights
+// are rounded to the 256 shades of gray; deposits aren't part of the images.
+export const imagesFromTileMap = (tiles, options = {}) => {
+    const settings = { ...TERRAIN, ...options };
+    const height = tiles.length;
+    const width = tiles[0].length;
+
+    const heightmap = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    const terrainImage = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+
+    tiles.forEach((row, y) => row.forEach((tile, x) => {
+        const index = (y * width + x) * 4;
+
+        // Inverse of MapGen.heightForLevel
+        const level = Math.pow(Math.min(tile.height / settings.MAX_HEIGHT, 1), 1 / 1.5);
+        const gray = Math.round(level * 255);
+        heightmap.data.set([gray, gray, gray, 255], index);
+
+        const color = TERRAIN_IMAGE_COLORS[tile.type] ?? 0;
+        terrainImage.data.set([color >> 16, (color >> 8) & 0xff, color & 0xff, 255], index);
+    }));
+
+    return { heightmap, terrainImage };
+};
+
+const checkSize = (image, label) => {
+    const { width, height } = image;
+    if (width < MAP.MIN_SIZE || height < MAP.MIN_SIZE || width > MAP.MAX_SIZE || height > MAP.MAX_SIZE) {
+        throw new Error(`${label} is ${width} x ${height} pixels; maps must be ` +
+            `${MAP.MIN_SIZE} to ${MAP.MAX_SIZE} pixels on each side`);
+    }
+};
+
+// Terrain type of every pixel, by its color
+const readTerrainTypes = (image) => {
+    const typeByColor = new Map(Object.entries(TERRAIN_IMAGE_COLORS).map(([type, color]) => [color, type]));
+
+    // Pixel count and first position of each color that isn't a terrain type
+    const unknown = new Map();
+
+    const types = [];
+    for (let y = 0; y < image.height; y++) {
+        const row = [];
+        for (let x = 0; x < image.width; x++) {
+            const index = (y * image.width + x) * 4;
+            const color = (image.data[index] << 16) | (image.data[index + 1] << 8) | image.data[index + 2];
+            const type = typeByColor.get(color);
+
+            if (type === undefined) {
+                const entry = unknown.get(color) || { pixels: 0, x, y };
+                entry.pixels++;
+                unknown.set(color, entry);
+            }
+            row.push(type ?? TerrainType.GRASS);
+        }
+        types.push(row);
+    }
+
+    if (unknown.size > 0) {
+        throw new Error(describeUnknownColors(unknown));
+    }
+    return types;
+};
+
+const describeUnknownColors = (unknown) => {
+    const listed = [...unknown].slice(0, MAX_REPORTED_COLORS).map(([color, { pixels, x, y }]) =>
+        `${formatColor(color)} (${pixels} ${pixels === 1 ? 'pixel' : 'pixels'}, first at ${x}, ${y})`);
+    const more = unknown.size > MAX_REPORTED_COLORS ? ` and ${unknown.size - MAX_REPORTED_COLORS} more` : '';
+
+    const known = Object.entries(TERRAIN_IMAGE_COLORS)
+        .map(([type, color]) => `${formatColor(color)} ${terrainNames[type] || type}`);
+
+    return `Terrain image has colors that aren't terrain types: ${listed.join(', ')}${more}. ` +
+        `Use ${known.join(', ')}`;
+};
+
+const formatColor = (color) => `#${color.toString(16).padStart(6, '0')}`;
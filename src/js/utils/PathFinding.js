@@ -1,4 +1,5 @@
-import { TerrainType } from './Enums.js';
+import { ProfileSection } from './Enums.js';
+import { profiler } from './Profiler.js';
 
 // A* pathfinding algorithm for settlers to find paths through the terrain
 export class PathFinder {
@@ -8,6 +9,13 @@ export class PathFinder {
     
     // Find the shortest path between two points
     findPath(startX, startY, endX, endY) {
+        const start = profiler.start();
+        const path = this._search(startX, startY, endX, endY);
+        profiler.end(ProfileSection.PATHFINDING, start);
+        return path;
+    }
+    
+    _search(startX, startY, endX, endY) {
         // Create a grid representation of the terrain
         const grid = this._createGrid();
         
@@ -48,8 +56,8 @@ export class PathFinder {
                 // Skip if already evaluated
                 if (closedSet.has(neighborKey)) continue;
                 
-                // Calculate tentative gScore
-                const tentativeGScore = (gScore.get(current.key) || Infinity) + 1;
+                // Calculate tentative gScore, weighted by the terrain's movement cost
+                const tentativeGScore = (gScore.get(current.key) || Infinity) + neighbor.cost;
                 
                 // Add to open set if not already there
                 const existingIndex = openSet.findIndex(n => n.key === neighborKey);
@@ -87,8 +95,8 @@ export class PathFinder {
         for (let y = 0; y < this.world.size.height; y++) {
             grid[y] = [];
             for (let x = 0; x < this.world.size.width; x++) {
-                // Check if tile is passable
-                grid[y][x] = this._isPassable(x, y);
+                // Movement cost of the tile, or null if it's impassable
+                grid[y][x] = this._isPassable(x, y) ? this.world.getMovementCost(x, y) : null;
             }
         }
         return grid;
@@ -103,8 +111,8 @@ export class PathFinder {
         
         const terrain = this.world.terrain[y][x];
         
-        // Water and mountains are impassable
-        if (terrain.type === TerrainType.WATER || terrain.type === TerrainType.MOUNTAIN) {
+        // Terrain without a movement cost, like water and mountains, is impassable
+        if (!Number.isFinite(this.world.getMovementCost(x, y))) {
             return false;
         }
         
@@ -113,8 +121,8 @@ export class PathFinder {
             // The only exception is the entry point of a building
             const building = terrain.building;
             
-            // For warehouse, the entry point is the bottom right corner
-            if (building.type === 'warehouse') {
+            // Some buildings, like the warehouse, are entered at the bottom right corner
+            if (building.definition.entrance === 'bottomRight') {
                 const entryX = building.position.x + building.size.width - 1;
                 const entryY = building.position.y + building.size.height - 1;
                 return x === entryX && y === entryY;
@@ -129,8 +137,6 @@ export class PathFinder {
             return isBottomEdge && isWithinBuilding;
         }
         
-        // Forest is passable but with higher cost (handled in getNeighbors)
-        
         return true;
     }
     
@@ -155,15 +161,15 @@ export class PathFinder {
             }
             
             // Check if passable
-            if (grid[newY][newX]) {
-                neighbors.push({ x: newX, y: newY });
+            if (grid[newY][newX] !== null) {
+                neighbors.push({ x: newX, y: newY, cost: grid[newY][newX] });
             }
         }
         
         return neighbors;
     }
     
-    // Heuristic function (Manhattan distance)
+    // Heuristic function (Manhattan distance); grass has the lowest movement cost, 1
     _heuristic(x1, y1, x2, y2) {
         return Math.abs(x1 - x2) + Math.abs(y1 - y2);
     }
@@ -1,17 +1,21 @@
 // A simple implementation of Perlin noise for JavaScript
 // Adapted from https://github.com/josephg/noisejs
 
+import { Random } from './Random.js';
+
 export class PerlinNoise {
     constructor(seed) {
-        this.seed = seed || Math.random();
+        this.seed = seed === undefined ? Random.randomSeed() : Random.normalizeSeed(seed);
         this.gradients = {};
         this.memory = {};
     }
 
-    _random() {
-        let s = this.seed + 1;
-        s = Math.sin(s) * 10000;
-        return s - Math.floor(s);
+    // Deterministic value in [0, 1) for a lattice point, derived from the seed
+    _random(ix, iy) {
+        let h = this.seed ^ Math.imul(ix, 0x27D4EB2D) ^ Math.imul(iy, 0x165667B1);
+        h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+        h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
     }
 
     _dotProductI(ix, iy, x, y) {
@@ -23,7 +27,7 @@ export class PerlinNoise {
             gradient = this.gradients[key];
         } else {
             // Random angle
-            const theta = 2 * Math.PI * this._random();
+            const theta = 2 * Math.PI * this._random(ix, iy);
             gradient = {
                 x: Math.cos(theta),
                 y: Math.sin(theta)
@@ -0,0 +1,87 @@
+import { PROFILER } from './Constants.js';
+
+// Times sections of the simulation and rendering for the performance overlay.
+// Timed code calls start() and passes the result to end():
+//
+//   const start = profiler.start();
+//   ...
+//   profiler.end(ProfileSection.SETTLERS, start);
+//
+// While disabled both are no-ops, so the calls can stay in hot paths. Timings
+// are collected per window of PROFILER.WINDOW ms and published as a summary.
+export class Profiler {
+    constructor(windowLength = PROFILER.WINDOW) {
+        this.windowLength = windowLength;
+        this.enabled = false;
+
+        // Summary of the last complete window, or null
+        this.summary = null;
+
+        this._resetWindow(0);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.summary = null;
+        this._resetWindow(performance.now());
+    }
+
+    start() {
+        return this.enabled ? performance.now() : 0;
+    }
+
+    end(section, startTime) {
+        if (!this.enabled) return;
+
+        const duration = performance.now() - startTime;
+        let stats = this.sections.get(section);
+        if (!stats) {
+            stats = { calls: 0, total: 0, max: 0 };
+            this.sections.set(section, stats);
+        }
+
+        stats.calls++;
+        stats.total += duration;
+        stats.max = Math.max(stats.max, duration);
+    }
+
+    // Called once per rendered frame. Returns true when a new summary is ready.
+    endFrame(now = performance.now()) {
+        if (!this.enabled) return false;
+
+        this.frames++;
+        const elapsed = now - this.windowStart;
+        if (elapsed < this.windowLength) return false;
+
+        const sections = {};
+        for (const [section, stats] of this.sections) {
+            sections[section] = {
+                callsPerSecond: stats.calls * 1000 / elapsed,
+                msPerFrame: stats.total / this.frames,
+                avgMs: stats.total / stats.calls,
+                maxMs: stats.max
+            };
+        }
+
+        this.summary = {
+            fps: this.frames * 1000 / elapsed,
+            frameMs: elapsed / this.frames,
+            frames: this.frames,
+            sections
+        };
+
+        this._resetWindow(now);
+        return true;
+    }
+
+    _resetWindow(now) {
+        this.windowStart = now;
+        this.frames = 0;
+
+        // { calls, total, max } by section, for the current window
+        this.sections = new Map();
+    }
+}
+
+// The profiler the game uses
+export const profiler = new Profiler();
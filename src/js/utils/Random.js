@@ -0,0 +1,97 @@
+// Seeded pseudo-random number generator (mulberry32).
+// All game randomness goes through a Random so a seed always reproduces the
+// same map and the same simulation. Independent systems draw from named streams,
+// so e.g. rendering extra grass sprites never shifts what the settlers do.
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = Random.normalizeSeed(seed);
+        this.state = this.seed;
+
+        // Child generators created by stream(), keyed by name
+        this.streams = new Map();
+    }
+
+    // Pick a fresh seed for a new game
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Turn a number or string (e.g. from a ?seed= URL parameter) into a 32-bit seed
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            const trimmed = seed.trim();
+            if (/^\d+$/.test(trimmed)) {
+                return Number(trimmed) >>> 0;
+            }
+            return Random.hashString(trimmed);
+        }
+
+        return Math.floor(Number(seed) || 0) >>> 0;
+    }
+
+    // FNV-1a hash of a string
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Get the generator for a named subsystem, e.g. 'mapgen' or 'settlers'.
+    // Streams only depend on the seed and their name, not on each other.
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new Random(Random.hashString(`${this.seed}:${name}`));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    // Snapshot of this generator and its streams, for save files
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.getState();
+        }
+        return { state: this.state, streams };
+    }
+
+    setState(snapshot) {
+        this.state = snapshot.state >>> 0;
+        for (const [name, streamState] of Object.entries(snapshot.streams || {})) {
+            this.stream(name).setState(streamState);
+        }
+    }
+
+    // Float in [0, 1), a drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    // Random element of an array
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+}